@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+// Compiled Hardhat artifact for contracts/CropChain.sol (override for deployments without the repo root)
+const ARTIFACT_PATH = process.env.CONTRACT_ARTIFACT_PATH
+    ? path.resolve(process.env.CONTRACT_ARTIFACT_PATH)
+    : path.join(__dirname, '../../artifacts/contracts/CropChain.sol/CropChain.json');
+
+/**
+ * Load the CropChain artifact produced by `npx hardhat compile`
+ * @returns {{ abi: Array, deployedBytecode: string }}
+ */
+const loadArtifact = () => {
+    if (!fs.existsSync(ARTIFACT_PATH)) {
+        throw new Error(`CropChain artifact not found at ${ARTIFACT_PATH}. Run "npx hardhat compile" from the repository root.`);
+    }
+
+    const artifact = JSON.parse(fs.readFileSync(ARTIFACT_PATH, 'utf8'));
+
+    if (artifact.contractName !== 'CropChain' || !Array.isArray(artifact.abi)) {
+        throw new Error(`${ARTIFACT_PATH} is not a CropChain Hardhat artifact`);
+    }
+
+    return artifact;
+};
+
+let artifact = null;
+let contractInterface = null;
+
+/**
+ * The CropChain artifact, loaded on first use so the backend starts without it in demo mode
+ * @returns {{ abi: Array, deployedBytecode: string }}
+ */
+const getArtifact = () => {
+    if (!artifact) artifact = loadArtifact();
+    return artifact;
+};
+
+/**
+ * Interface for decoding CropChain calls and events
+ * @returns {ethers.Interface}
+ */
+const getContractInterface = () => {
+    if (!contractInterface) contractInterface = new ethers.Interface(getArtifact().abi);
+    return contractInterface;
+};
+
+/**
+ * NonceManager that sends one transaction at a time and drops its nonce count when a send fails.
+ * NonceManager counts the nonce before populateTransaction estimates gas, so a send that reverts in
+ * estimation (e.g. an update of a recalled batch) would leave a gap that stalls every later
+ * transaction. Sends are serialized so the reset never races another send. It only orders nonces:
+ * anchorService waits for a batch's previous transaction to be mined before sending the next one.
+ */
+class SerialNonceManager extends ethers.NonceManager {
+    #queue = Promise.resolve();
+
+    sendTransaction(tx) {
+        const sent = this.#queue.then(() => super.sendTransaction(tx));
+        // Re-read the pending nonce from the node before the next send
+        this.#queue = sent.then(() => {}, () => this.reset());
+        return sent;
+    }
+}
+
+/**
+ * Backend wallet signer
+ * @param {string} privateKey
+ * @param {ethers.Provider} rpcProvider
+ * @returns {SerialNonceManager}
+ */
+const createSigner = (privateKey, rpcProvider) => new SerialNonceManager(new ethers.Wallet(privateKey, rpcProvider));
+
+let provider = null;
+let signer = null;
+let contract = null;
+let initialized = false;
+
+/**
+ * Build the provider, signer and contract from INFURA_URL / CONTRACT_ADDRESS / PRIVATE_KEY.
+ * The signer is a SerialNonceManager so concurrent anchoring transactions
+ * from the backend wallet never reuse a nonce or leave a gap.
+ */
+const initBlockchain = () => {
+    initialized = true;
+
+    const { INFURA_URL, CONTRACT_ADDRESS, PRIVATE_KEY } = process.env;
+
+    if (!INFURA_URL || !CONTRACT_ADDRESS || !PRIVATE_KEY) {
+        console.log('ℹ️  Blockchain not configured - running without contract instance');
+        return;
+    }
+
+    // A configured contract needs the artifact; a missing one fails here rather than on first decode
+    const { abi } = getArtifact();
+
+    try {
+        provider = new ethers.JsonRpcProvider(INFURA_URL);
+        signer = createSigner(PRIVATE_KEY, provider);
+        contract = new ethers.Contract(CONTRACT_ADDRESS, abi, signer);
+        console.log('✓ Blockchain contract instance initialized');
+    } catch (error) {
+        console.error('Failed to initialize blockchain connection:', error.message);
+        provider = null;
+        signer = null;
+        contract = null;
+    }
+};
+
+/**
+ * Get the shared CropChain contract instance (connected to the backend wallet)
+ * @returns {ethers.Contract|null} - null when blockchain is not configured
+ */
+const getContract = () => {
+    if (!initialized) initBlockchain();
+    return contract;
+};
+
+/**
+ * Get the shared JSON-RPC provider
+ * @returns {ethers.JsonRpcProvider|null}
+ */
+const getProvider = () => {
+    if (!initialized) initBlockchain();
+    return provider;
+};
+
+/**
+ * Strip the CBOR metadata trailer solc appends to runtime bytecode.
+ * The trailer hashes the source text, so comment-only edits change it
+ * without changing the deployed logic.
+ * @param {string} bytecode - 0x-prefixed hex
+ * @returns {string}
+ */
+const stripMetadata = (bytecode) => {
+    const hex = bytecode.toLowerCase().replace(/^0x/, '');
+    if (hex.length < 4) return hex;
+
+    const metadataLength = parseInt(hex.slice(-4), 16);
+    const trailerLength = (metadataLength + 2) * 2;
+
+    return trailerLength < hex.length ? hex.slice(0, hex.length - trailerLength) : hex;
+};
+
+/**
+ * Check that CONTRACT_ADDRESS holds the CropChain build this backend was compiled against.
+ * Throws when no code is deployed there or the runtime bytecode differs from the artifact,
+ * so events and calls are never decoded with the wrong ABI.
+ * @returns {Promise<void>}
+ */
+const verifyContractDeployment = async () => {
+    const instance = getContract();
+    if (!instance) return;
+
+    const address = await instance.getAddress();
+    const deployedCode = await provider.getCode(address);
+
+    if (!deployedCode || deployedCode === '0x') {
+        throw new Error(`No contract deployed at ${address}`);
+    }
+
+    if (stripMetadata(deployedCode) !== stripMetadata(getArtifact().deployedBytecode)) {
+        throw new Error(
+            `Contract at ${address} does not match ${path.basename(ARTIFACT_PATH)} - ` +
+            'redeploy CropChain or recompile the artifact that matches the deployed contract'
+        );
+    }
+
+    console.log(`✓ Deployed bytecode at ${address} matches the CropChain artifact`);
+};
+
+module.exports = {
+    createSigner,
+    getArtifact,
+    getContractInterface,
+    getContract,
+    getProvider,
+    stripMetadata,
+    verifyContractDeployment
+};
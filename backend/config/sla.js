@@ -0,0 +1,58 @@
+const STAGES = require('../constants/stages');
+
+// The retailer stage is terminal, so it has no SLA
+const SLA_STAGES = STAGES.slice(0, -1);
+
+/**
+ * Maximum hours a batch may stay in a stage, per crop type. `default` applies to every
+ * crop and stage without an entry of its own.
+ */
+const DEFAULT_SLA_HOURS = {
+    default: { farmer: 168, mandi: 72, transport: 72 },
+    rice: { mandi: 168 },
+    wheat: { mandi: 168 },
+    tomato: { farmer: 48, mandi: 24, transport: 48 }
+};
+
+/**
+ * Load the SLA table: the defaults, overridden per crop and stage by the SLA_HOURS
+ * environment variable, e.g. SLA_HOURS='{"tomato":{"transport":36},"corn":{"mandi":96}}'
+ * @param {string} [override=process.env.SLA_HOURS] - JSON in the shape of DEFAULT_SLA_HOURS
+ * @returns {Object<string, Object<string, number>>}
+ * @throws {Error} when the override is not valid JSON or names an unknown stage or a non-positive limit
+ */
+const loadSlaHours = (override = process.env.SLA_HOURS) => {
+    if (!override) {
+        return DEFAULT_SLA_HOURS;
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(override);
+    } catch (error) {
+        throw new Error(`SLA_HOURS is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('SLA_HOURS must be an object keyed by crop type');
+    }
+
+    const rules = { ...DEFAULT_SLA_HOURS };
+    for (const [crop, stages] of Object.entries(parsed)) {
+        if (!stages || typeof stages !== 'object' || Array.isArray(stages)) {
+            throw new Error(`SLA_HOURS.${crop} must be an object keyed by stage`);
+        }
+        for (const [stage, hours] of Object.entries(stages)) {
+            if (!SLA_STAGES.includes(stage)) {
+                throw new Error(`SLA_HOURS.${crop}.${stage}: stage must be one of ${SLA_STAGES.join(', ')}`);
+            }
+            if (typeof hours !== 'number' || !(hours > 0)) {
+                throw new Error(`SLA_HOURS.${crop}.${stage} must be a positive number of hours`);
+            }
+        }
+        rules[crop] = { ...rules[crop], ...stages };
+    }
+
+    return rules;
+};
+
+module.exports = { SLA_STAGES, DEFAULT_SLA_HOURS, loadSlaHours };
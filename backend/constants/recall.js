@@ -0,0 +1,29 @@
+/**
+ * Recall Constants
+ *
+ * Recall severities, in the order of CropChain.sol RecallSeverity so the index
+ * can be written to the contract with recallBatch.
+ * Used by:
+ * - Mongoose models (Batch.js)
+ * - Recall validation (batchSchema.js)
+ * - Recall anchoring (anchorService.js)
+ */
+
+const RECALL_SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Map a severity to the contract's RecallSeverity enum index
+ * @param {string} severity
+ * @returns {number}
+ */
+const toChainSeverity = (severity) => {
+    const index = RECALL_SEVERITIES.indexOf(severity);
+    if (index === -1) {
+        throw new Error(`Unknown recall severity: ${severity}`);
+    }
+    return index;
+};
+
+module.exports = RECALL_SEVERITIES;
+module.exports.RECALL_SEVERITIES = RECALL_SEVERITIES;
+module.exports.toChainSeverity = toChainSeverity;
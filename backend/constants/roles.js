@@ -0,0 +1,68 @@
+/**
+ * Shared User Role Constants
+ *
+ * Single source of truth for user roles. Mirrors CropChain.sol ActorRole so a
+ * role assigned in MongoDB can be written to the contract with setRole.
+ * Used by:
+ * - Mongoose models (User.js)
+ * - Registration validation (authController.js, validateRegistration.js)
+ * - Role management (userService.js)
+ */
+
+const ROLES = ['farmer', 'mandi', 'transporter', 'retailer', 'oracle', 'admin'];
+
+/**
+ * Roles a user may pick when registering. Oracle and admin are only granted by an admin.
+ */
+const SELF_REGISTER_ROLES = ['farmer', 'mandi', 'transporter', 'retailer'];
+
+/**
+ * Roles that may record a supply chain update on an existing batch
+ */
+const BATCH_UPDATE_ROLES = ['mandi', 'transporter', 'retailer', 'admin'];
+
+/**
+ * Roles that may split and merge batches (CropChain.onlyMandiOrAdmin)
+ */
+const BATCH_LINEAGE_ROLES = ['mandi', 'admin'];
+
+/**
+ * Contract ActorRole enum index for each role (0 is ActorRole.None)
+ */
+const CHAIN_ROLES = {
+    none: 0,
+    farmer: 1,
+    mandi: 2,
+    transporter: 3,
+    retailer: 4,
+    oracle: 5,
+    admin: 6
+};
+
+/**
+ * Check if a value is a valid role
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidRole = (value) => ROLES.includes(value);
+
+/**
+ * Map a role to the contract's ActorRole enum index
+ * @param {string} role
+ * @returns {number}
+ */
+const toChainRole = (role) => {
+    if (!(role in CHAIN_ROLES)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+    return CHAIN_ROLES[role];
+};
+
+module.exports = ROLES;
+module.exports.ROLES = ROLES;
+module.exports.SELF_REGISTER_ROLES = SELF_REGISTER_ROLES;
+module.exports.BATCH_UPDATE_ROLES = BATCH_UPDATE_ROLES;
+module.exports.BATCH_LINEAGE_ROLES = BATCH_LINEAGE_ROLES;
+module.exports.CHAIN_ROLES = CHAIN_ROLES;
+module.exports.isValidRole = isValidRole;
+module.exports.toChainRole = toChainRole;
@@ -5,6 +5,7 @@
  * Used by:
  * - Mongoose models (Batch.js)
  * - Joi validations (batchSchema.js)
+ * - Stage ordering and role rules (batchService.js, served to the frontend by GET /api/batches/stages)
  * - Any other stage-related logic
  * 
  * All stages are lowercase to ensure consistency.
@@ -33,8 +34,50 @@ const isValidStage = (value) => STAGES.includes(value?.toLowerCase());
  */
 const normalizeStage = (value) => value?.toLowerCase();
 
+/**
+ * Roles allowed to record each stage (mirrors CropChain.sol _canUpdate).
+ * Admins may record any stage.
+ */
+const STAGE_ROLES = {
+    farmer: ['farmer'],
+    mandi: ['mandi'],
+    transport: ['transporter'],
+    retailer: ['retailer']
+};
+
+/**
+ * Stage that must follow the given one (mirrors CropChain.sol _isNextStage)
+ * @param {string|null} currentStage - Last recorded stage, or null for a batch with no updates
+ * @returns {string|null} - Next stage, or null once the batch reached the retailer
+ */
+const getNextStage = (currentStage) => {
+    if (!currentStage) return STAGES[0];
+    const index = STAGES.indexOf(normalizeStage(currentStage));
+    return index >= 0 && index < STAGES.length - 1 ? STAGES[index + 1] : null;
+};
+
+/**
+ * Check whether moving from one stage to another is a legal transition
+ * @param {string|null} currentStage
+ * @param {string} nextStage
+ * @returns {boolean}
+ */
+const isNextStage = (currentStage, nextStage) => getNextStage(currentStage) === normalizeStage(nextStage);
+
+/**
+ * Check whether a user role may record a stage
+ * @param {string} stage
+ * @param {string} role
+ * @returns {boolean}
+ */
+const canRoleUpdateStage = (stage, role) => role === 'admin' || (STAGE_ROLES[normalizeStage(stage)] || []).includes(role);
+
 module.exports = STAGES;
 module.exports.STAGES = STAGES;
 module.exports.getStagesString = getStagesString;
 module.exports.isValidStage = isValidStage;
 module.exports.normalizeStage = normalizeStage;
+module.exports.STAGE_ROLES = STAGE_ROLES;
+module.exports.getNextStage = getNextStage;
+module.exports.isNextStage = isNextStage;
+module.exports.canRoleUpdateStage = canRoleUpdateStage;
@@ -0,0 +1,75 @@
+const analyticsService = require('../services/analyticsService');
+const apiResponse = require('../utils/apiResponse');
+const { CustomError } = require('../utils/errorHandler');
+
+/**
+ * Pass expected errors to the global error handler and answer unexpected ones with an endpoint-specific 500
+ */
+const handleError = (res, next, error, message, code) => {
+    if (error instanceof CustomError) {
+        return next(error);
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json(apiResponse.errorResponse(message, code, 500));
+};
+
+/**
+ * Batch count and quantity per crop, month or region (?groupBy=)
+ */
+exports.getBatchVolume = async (req, res, next) => {
+    try {
+        const volume = await analyticsService.batchVolume(req.validated.query);
+        res.json(apiResponse.successResponse(volume, 'Batch volume retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to compute batch volume', 'ANALYTICS_VOLUME_ERROR');
+    }
+};
+
+/**
+ * Average dwell time per supply chain stage
+ */
+exports.getStageDwellTimes = async (req, res, next) => {
+    try {
+        const dwellTimes = await analyticsService.stageDwellTimes(req.validated.query);
+        res.json(apiResponse.successResponse(dwellTimes, 'Stage dwell times retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to compute stage dwell times', 'ANALYTICS_DWELL_TIME_ERROR');
+    }
+};
+
+/**
+ * Share of recalled batches
+ */
+exports.getRecallRate = async (req, res, next) => {
+    try {
+        const recallRate = await analyticsService.recallRate(req.validated.query);
+        res.json(apiResponse.successResponse(recallRate, 'Recall rate retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to compute recall rate', 'ANALYTICS_RECALL_RATE_ERROR');
+    }
+};
+
+/**
+ * Share of batches whose on-chain anchoring failed
+ */
+exports.getSyncErrorRate = async (req, res, next) => {
+    try {
+        const syncErrors = await analyticsService.syncErrorRate(req.validated.query);
+        res.json(apiResponse.successResponse(syncErrors, 'Sync error rate retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to compute sync error rate', 'ANALYTICS_SYNC_ERROR_RATE_ERROR');
+    }
+};
+
+/**
+ * Farmers with the largest total quantity
+ */
+exports.getTopFarmers = async (req, res, next) => {
+    try {
+        const topFarmers = await analyticsService.topFarmers(req.validated.query);
+        res.json(apiResponse.successResponse(topFarmers, 'Top farmers retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to compute top farmers', 'ANALYTICS_TOP_FARMERS_ERROR');
+    }
+};
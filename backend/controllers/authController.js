@@ -1,12 +1,25 @@
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
 const bcrypt = require('bcryptjs');
 const { z } = require('zod');
 const apiResponse = require('../utils/apiResponse');
-const { verifyMessage } = require('ethers');
+const nonceService = require('../services/nonceService');
+const siweService = require('../services/siweService');
+const sessionService = require('../services/sessionService');
+const accountService = require('../services/accountService');
+const accountLockoutService = require('../services/accountLockoutService');
+const { UnauthorizedError, CustomError } = require('../utils/errorHandler');
+const { SELF_REGISTER_ROLES } = require('../constants/roles');
 require('dotenv').config();
 
 // Validation Schemas
+const passwordSchema = z.string()
+    .min(8, 'Password must be at least 8 characters')
+    .max(128, 'Password too long')
+    .regex(/[A-Z]/, 'Password must contain at least one uppercase letter')
+    .regex(/[a-z]/, 'Password must contain at least one lowercase letter')
+    .regex(/[0-9]/, 'Password must contain at least one number')
+    .regex(/[^A-Za-z0-9]/, 'Password must contain at least one special character');
+
 const registerSchema = z.object({
     name: z.string()
         .min(2, 'Name must be at least 2 characters')
@@ -16,15 +29,9 @@ const registerSchema = z.object({
         .email('Please provide a valid email')
         .toLowerCase()
         .trim(),
-    password: z.string()
-        .min(8, 'Password must be at least 8 characters')
-        .max(128, 'Password too long')
-        .regex(/[A-Z]/, 'Password must contain at least one uppercase letter')
-        .regex(/[a-z]/, 'Password must contain at least one lowercase letter')
-        .regex(/[0-9]/, 'Password must contain at least one number')
-        .regex(/[^A-Za-z0-9]/, 'Password must contain at least one special character'),
-    role: z.enum(['farmer', 'transporter'], {
-        errorMap: () => ({ message: 'Invalid role. Only farmer and transporter are allowed.' })
+    password: passwordSchema,
+    role: z.enum(SELF_REGISTER_ROLES, {
+        errorMap: () => ({ message: `Invalid role. Allowed roles: ${SELF_REGISTER_ROLES.join(', ')}.` })
     })
 });
 
@@ -37,15 +44,39 @@ const loginSchema = z.object({
         .min(1, 'Password is required')
 });
 
+// Client details stored with a session's refresh token
+const sessionMeta = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+});
+
 // Sanitization helper
 const sanitizeUser = (user) => ({
     id: user._id,
     name: user.name,
     email: user.email,
     role: user.role,
+    emailVerified: Boolean(user.emailVerified),
     createdAt: user.createdAt
 });
 
+// 429 with Retry-After while an account is locked
+const accountLockedResponse = (res, error) => {
+    res.set('Retry-After', String(error.details.retryAfter));
+    return res.status(429).json(
+        apiResponse.errorResponse(error.message, error.code, 429, error.details)
+    );
+};
+
+// Registration succeeds even if the email cannot be sent; the user can ask for it again
+const sendVerificationEmail = async (user) => {
+    try {
+        await accountService.sendEmailVerification(user);
+    } catch (error) {
+        console.error(`Failed to send verification email to user ${user._id}:`, error.message);
+    }
+};
+
 const registerUser = async (req, res) => {
     try {
         // Validate request body
@@ -85,9 +116,11 @@ const registerUser = async (req, res) => {
         });
 
         if (user) {
+            await sendVerificationEmail(user);
+
             const response = apiResponse.successResponse(
                 {
-                    token: generateToken(user._id, user.role, user.name),
+                    ...(await sessionService.createSession(user, sessionMeta(req))),
                     user: sanitizeUser(user)
                 },
                 'Registration successful',
@@ -131,26 +164,39 @@ const loginUser = async (req, res) => {
         }
 
         const { email, password } = validationResult.data;
+        const attempt = { method: 'password', identifier: email, ...sessionMeta(req) };
 
         // Find user with password
         const user = await User.findOne({ email }).select('+password');
 
+        if (user) {
+            await accountLockoutService.assertNotLocked(user, attempt);
+        }
+
         if (user && (await bcrypt.compare(password, user.password))) {
+            await accountLockoutService.recordSuccess(user);
+
             const response = apiResponse.successResponse(
                 {
-                    token: generateToken(user._id, user.role, user.name),
+                    ...(await sessionService.createSession(user, sessionMeta(req))),
                     user: sanitizeUser(user)
                 },
                 'Login successful'
             );
             return res.json(response);
         } else {
+            if (user) {
+                await accountLockoutService.recordFailure(user, attempt);
+            }
             return res.status(401).json(
                 apiResponse.unauthorizedResponse('Invalid email or password')
             );
         }
 
     } catch (error) {
+        if (error.code === 'ACCOUNT_LOCKED') {
+            return accountLockedResponse(res, error);
+        }
         return res.status(500).json(
             apiResponse.errorResponse('Login failed', 'LOGIN_FAILED', 500)
         );
@@ -161,27 +207,43 @@ const loginUser = async (req, res) => {
  * Wallet Login - Authenticate user via wallet signature
  * 
  * Flow:
- * 1. User requests a nonce from backend (stored in DB or session)
- * 2. User signs the nonce with their wallet
- * 3. Frontend sends address and signature to this endpoint
- * 4. Backend verifies the signature matches the address
+ * 1. User requests a nonce from backend (stored in MongoDB, single use)
+ * 2. Frontend builds a Sign-In with Ethereum (EIP-4361) message carrying the nonce
+ *    and the user signs it with their wallet
+ * 3. Frontend sends the message and signature to this endpoint
+ * 4. Backend checks the message's domain, URI, chain ID, nonce and expiry,
+ *    verifies the signature and consumes the nonce
  * 5. Backend issues JWT with user's role from database
  * 
  * This ensures role is ALWAYS assigned by backend, never by frontend.
  */
 const walletLoginSchema = z.object({
-    address: z.string()
-        .regex(/^0x[a-fA-F0-9]{40}$/, 'Invalid Ethereum address'),
+    message: z.string()
+        .min(1, 'Sign-in message is required')
+        .max(2000, 'Sign-in message too long'),
     signature: z.string()
         .min(1, 'Signature is required'),
-    nonce: z.string().optional()
+    address: z.string()
+        .regex(/^0x[a-fA-F0-9]{40}$/, 'Invalid Ethereum address')
+        .optional()
 });
 
-// In-memory nonce store (for production, use Redis or database)
-const nonceStore = new Map();
+/**
+ * Verify a signed SIWE message; a claimed address must be the one in the message
+ * @returns {Promise<string>} - Lowercase wallet address
+ */
+const verifyWalletMessage = async (message, signature, claimedAddress) => {
+    const { address } = await siweService.verify(message, signature);
+
+    if (claimedAddress && claimedAddress.toLowerCase() !== address) {
+        throw new UnauthorizedError('Signature verification failed - address mismatch');
+    }
+
+    return address;
+};
 
 /**
- * Generate a nonce for wallet authentication
+ * Generate a nonce for wallet authentication, with the SIWE parameters the message must use
  */
 const getNonce = async (req, res) => {
     try {
@@ -193,17 +255,14 @@ const getNonce = async (req, res) => {
             );
         }
 
-        // Generate a unique nonce
-        const nonce = `CropChain Authentication ${Date.now()}`;
-        
-        // Store nonce with expiration (5 minutes)
-        nonceStore.set(address.toLowerCase(), {
-            nonce,
-            expiresAt: Date.now() + 5 * 60 * 1000
-        });
+        const { nonce, expiresAt } = await nonceService.issue(address);
 
-        return res.json(apiResponse.successResponse({ nonce }, 'Nonce generated'));
+        return res.json(apiResponse.successResponse(
+            { nonce, expiresAt, ...siweService.getMessageParams() },
+            'Nonce generated'
+        ));
     } catch (error) {
+        console.error('Nonce generation error:', error);
         return res.status(500).json(
             apiResponse.errorResponse('Failed to generate nonce', 'NONCE_ERROR', 500)
         );
@@ -227,43 +286,27 @@ const walletLogin = async (req, res) => {
             });
         }
 
-        const { address, signature, nonce: providedNonce } = validationResult.data;
-        const normalizedAddress = address.toLowerCase();
+        const { message, signature, address } = validationResult.data;
 
-        // Get stored nonce
-        const storedNonce = nonceStore.get(normalizedAddress);
-        
-        // Use provided nonce or stored nonce
-        const nonce = providedNonce || storedNonce?.nonce || 'Login to CropChain';
+        // Failed attempts count against the account of the wallet the request claims
+        const claimedAddress = (address || siweService.getMessageAddress(message) || '').toLowerCase();
+        const attempt = { method: 'wallet', identifier: claimedAddress || null, ...sessionMeta(req) };
+        const user = claimedAddress ? await User.findOne({ walletAddress: claimedAddress }) : null;
 
-        // Clean up expired nonces
-        if (storedNonce && storedNonce.expiresAt < Date.now()) {
-            nonceStore.delete(normalizedAddress);
-            return res.status(401).json(
-                apiResponse.unauthorizedResponse('Nonce expired. Please request a new one.')
-            );
+        if (user) {
+            await accountLockoutService.assertNotLocked(user, attempt);
         }
 
-        // Verify the signature
-        let recoveredAddress;
+        // The nonce is consumed so the signature cannot be replayed
         try {
-            recoveredAddress = verifyMessage(nonce, signature);
+            await verifyWalletMessage(message, signature, address);
         } catch (error) {
-            return res.status(401).json(
-                apiResponse.unauthorizedResponse('Invalid signature')
-            );
+            if (user && error instanceof UnauthorizedError) {
+                await accountLockoutService.recordFailure(user, attempt);
+            }
+            throw error;
         }
 
-        // Verify recovered address matches claimed address
-        if (recoveredAddress.toLowerCase() !== normalizedAddress) {
-            return res.status(401).json(
-                apiResponse.unauthorizedResponse('Signature verification failed - address mismatch')
-            );
-        }
-
-        // Find user by wallet address
-        const user = await User.findOne({ walletAddress: normalizedAddress });
-
         if (!user) {
             return res.status(403).json(
                 apiResponse.errorResponse(
@@ -274,13 +317,12 @@ const walletLogin = async (req, res) => {
             );
         }
 
-        // Delete used nonce to prevent replay attacks
-        nonceStore.delete(normalizedAddress);
+        await accountLockoutService.recordSuccess(user);
 
         // Generate JWT with user's role from database
         const response = apiResponse.successResponse(
             {
-                token: generateToken(user._id, user.role, user.name),
+                ...(await sessionService.createSession(user, sessionMeta(req))),
                 user: sanitizeUser(user)
             },
             'Wallet authentication successful'
@@ -289,6 +331,12 @@ const walletLogin = async (req, res) => {
         return res.json(response);
 
     } catch (error) {
+        if (error instanceof UnauthorizedError) {
+            return res.status(401).json(apiResponse.unauthorizedResponse(error.message));
+        }
+        if (error.code === 'ACCOUNT_LOCKED') {
+            return accountLockedResponse(res, error);
+        }
         console.error('Wallet login error:', error);
         return res.status(500).json(
             apiResponse.errorResponse('Wallet authentication failed', 'WALLET_LOGIN_FAILED', 500)
@@ -309,12 +357,15 @@ const walletRegisterSchema = z.object({
         .toLowerCase()
         .trim(),
     walletAddress: z.string()
-        .regex(/^0x[a-fA-F0-9]{40}$/, 'Invalid Ethereum address'),
+        .regex(/^0x[a-fA-F0-9]{40}$/, 'Invalid Ethereum address')
+        .optional(),
+    message: z.string()
+        .min(1, 'Sign-in message is required')
+        .max(2000, 'Sign-in message too long'),
     signature: z.string()
         .min(1, 'Signature is required'),
-    nonce: z.string().optional(),
-    role: z.enum(['farmer', 'transporter'], {
-        errorMap: () => ({ message: 'Invalid role. Only farmer and transporter are allowed.' })
+    role: z.enum(SELF_REGISTER_ROLES, {
+        errorMap: () => ({ message: `Invalid role. Allowed roles: ${SELF_REGISTER_ROLES.join(', ')}.` })
     })
 });
 
@@ -331,28 +382,10 @@ const walletRegister = async (req, res) => {
             });
         }
 
-        const { name, email, walletAddress, signature, nonce: providedNonce, role } = validationResult.data;
-        const normalizedAddress = walletAddress.toLowerCase();
-
-        // Get stored nonce
-        const storedNonce = nonceStore.get(normalizedAddress);
-        const nonce = providedNonce || storedNonce?.nonce || 'Login to CropChain';
-
-        // Verify signature
-        let recoveredAddress;
-        try {
-            recoveredAddress = verifyMessage(nonce, signature);
-        } catch (error) {
-            return res.status(401).json(
-                apiResponse.unauthorizedResponse('Invalid signature')
-            );
-        }
+        const { name, email, walletAddress, message, signature, role } = validationResult.data;
 
-        if (recoveredAddress.toLowerCase() !== normalizedAddress) {
-            return res.status(401).json(
-                apiResponse.unauthorizedResponse('Signature verification failed')
-            );
-        }
+        // Verify the SIWE message and consume its nonce
+        const normalizedAddress = await verifyWalletMessage(message, signature, walletAddress);
 
         // Check if user exists
         const existingUser = await User.findOne({
@@ -377,12 +410,11 @@ const walletRegister = async (req, res) => {
             password: await bcrypt.hash(Math.random().toString(36), 12) // Random password for wallet users
         });
 
-        // Delete used nonce
-        nonceStore.delete(normalizedAddress);
+        await sendVerificationEmail(user);
 
         const response = apiResponse.successResponse(
             {
-                token: generateToken(user._id, user.role, user.name),
+                ...(await sessionService.createSession(user, sessionMeta(req))),
                 user: sanitizeUser(user)
             },
             'Wallet registration successful',
@@ -392,6 +424,9 @@ const walletRegister = async (req, res) => {
         return res.status(201).json(response);
 
     } catch (error) {
+        if (error instanceof UnauthorizedError) {
+            return res.status(401).json(apiResponse.unauthorizedResponse(error.message));
+        }
         console.error('Wallet registration error:', error);
         if (error.code === 11000) {
             return res.status(409).json(
@@ -404,10 +439,238 @@ const walletRegister = async (req, res) => {
     }
 };
 
+const refreshSchema = z.object({
+    refreshToken: z.string()
+        .min(1, 'Refresh token is required')
+        .max(200, 'Invalid refresh token')
+});
+
+/**
+ * Exchange a refresh token for a new access token; the refresh token is rotated
+ */
+const refreshSession = async (req, res) => {
+    try {
+        const validationResult = refreshSchema.safeParse(req.body);
+
+        if (!validationResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'Refresh token is required',
+                details: validationResult.error
+            });
+        }
+
+        const session = await sessionService.refreshSession(validationResult.data.refreshToken, sessionMeta(req));
+
+        return res.json(apiResponse.successResponse(session, 'Session refreshed'));
+    } catch (error) {
+        if (error instanceof UnauthorizedError) {
+            return res.status(401).json(apiResponse.unauthorizedResponse(error.message));
+        }
+        console.error('Session refresh error:', error);
+        return res.status(500).json(
+            apiResponse.errorResponse('Failed to refresh session', 'SESSION_REFRESH_FAILED', 500)
+        );
+    }
+};
+
+/**
+ * End the session of a refresh token. The access token expires on its own.
+ */
+const logout = async (req, res) => {
+    try {
+        const validationResult = refreshSchema.safeParse(req.body);
+
+        if (!validationResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'Refresh token is required',
+                details: validationResult.error
+            });
+        }
+
+        await sessionService.revokeSession(validationResult.data.refreshToken);
+
+        return res.json(apiResponse.successResponse(null, 'Logged out'));
+    } catch (error) {
+        console.error('Logout error:', error);
+        return res.status(500).json(
+            apiResponse.errorResponse('Logout failed', 'LOGOUT_FAILED', 500)
+        );
+    }
+};
+
+/**
+ * End all sessions of the authenticated user, on every device
+ */
+const logoutAll = async (req, res) => {
+    try {
+        const { sessions } = await sessionService.revokeAllSessions(req.user._id);
+
+        return res.json(apiResponse.successResponse({ sessions }, 'Logged out of all sessions'));
+    } catch (error) {
+        console.error('Logout all error:', error);
+        return res.status(500).json(
+            apiResponse.errorResponse('Failed to log out all sessions', 'LOGOUT_ALL_FAILED', 500)
+        );
+    }
+};
+
+const forgotPasswordSchema = z.object({
+    email: z.string()
+        .email('Please provide a valid email')
+        .toLowerCase()
+        .trim()
+});
+
+const resetPasswordSchema = z.object({
+    token: z.string()
+        .min(1, 'Reset token is required')
+        .max(1000, 'Invalid reset token'),
+    password: passwordSchema
+});
+
+const verifyEmailSchema = z.object({
+    token: z.string()
+        .min(1, 'Verification token is required')
+        .max(1000, 'Invalid verification token')
+});
+
+/**
+ * Email a password reset link. The response is the same whether or not the email is registered.
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const validationResult = forgotPasswordSchema.safeParse(req.body);
+
+        if (!validationResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'Please provide a valid email',
+                details: validationResult.error
+            });
+        }
+
+        try {
+            await accountService.requestPasswordReset(validationResult.data.email);
+        } catch (error) {
+            // Answering differently would reveal that the account exists
+            console.error('Password reset email error:', error.message);
+        }
+
+        return res.json(apiResponse.successResponse(
+            null,
+            'If an account exists for this email, a password reset link has been sent'
+        ));
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        return res.status(500).json(
+            apiResponse.errorResponse('Password reset request failed', 'PASSWORD_RESET_REQUEST_FAILED', 500)
+        );
+    }
+};
+
+/**
+ * Set a new password with an emailed reset token; all sessions of the user are ended
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const validationResult = resetPasswordSchema.safeParse(req.body);
+
+        if (!validationResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                // The first failed rule, e.g. a missing special character in the new password
+                message: validationResult.error.issues[0].message,
+                details: validationResult.error
+            });
+        }
+
+        const { token, password } = validationResult.data;
+        await accountService.resetPassword(token, password);
+
+        return res.json(apiResponse.successResponse(null, 'Password has been reset. Please log in again.'));
+    } catch (error) {
+        if (error instanceof CustomError) {
+            return res.status(error.statusCode).json(
+                apiResponse.errorResponse(error.message, error.code, error.statusCode)
+            );
+        }
+        console.error('Reset password error:', error);
+        return res.status(500).json(
+            apiResponse.errorResponse('Password reset failed', 'PASSWORD_RESET_FAILED', 500)
+        );
+    }
+};
+
+/**
+ * Confirm the user's email address with an emailed verification token
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const validationResult = verifyEmailSchema.safeParse(req.body);
+
+        if (!validationResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                message: 'Verification token is required',
+                details: validationResult.error
+            });
+        }
+
+        const user = await accountService.verifyEmail(validationResult.data.token);
+
+        return res.json(apiResponse.successResponse({ user: sanitizeUser(user) }, 'Email verified'));
+    } catch (error) {
+        if (error instanceof CustomError) {
+            return res.status(error.statusCode).json(
+                apiResponse.errorResponse(error.message, error.code, error.statusCode)
+            );
+        }
+        console.error('Verify email error:', error);
+        return res.status(500).json(
+            apiResponse.errorResponse('Email verification failed', 'EMAIL_VERIFICATION_FAILED', 500)
+        );
+    }
+};
+
+/**
+ * Send the authenticated user a new verification email
+ */
+const resendVerificationEmail = async (req, res) => {
+    try {
+        await accountService.sendEmailVerification(req.user);
+
+        return res.json(apiResponse.successResponse(null, 'Verification email sent'));
+    } catch (error) {
+        if (error instanceof CustomError) {
+            return res.status(error.statusCode).json(
+                apiResponse.errorResponse(error.message, error.code, error.statusCode)
+            );
+        }
+        console.error('Resend verification email error:', error);
+        return res.status(500).json(
+            apiResponse.errorResponse('Failed to send verification email', 'EMAIL_VERIFICATION_SEND_FAILED', 500)
+        );
+    }
+};
+
 module.exports = {
     registerUser,
     loginUser,
     walletLogin,
     walletRegister,
-    getNonce
+    getNonce,
+    refreshSession,
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail
 };
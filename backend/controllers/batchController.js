@@ -1,27 +1,269 @@
-const Batch = require('../models/Batch');
+const batchService = require('../services/batchService');
+const slaService = require('../services/slaService');
+const recallService = require('../services/recallService');
+const apiResponse = require('../utils/apiResponse');
+const { CustomError } = require('../utils/errorHandler');
 
 /**
- * Update the status of a batch (Active/Flagged/Inactive)
- * Only accessible by admin users
+ * Pass expected errors (not found, conflict, validation...) to the global error handler
+ * and answer unexpected ones with an endpoint-specific 500
  */
-exports.updateBatchStatus = async (req, res) => {
+const handleError = (res, next, error, message, code) => {
+    if (error instanceof CustomError) {
+        return next(error);
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json(apiResponse.errorResponse(message, code, 500));
+};
+
+/**
+ * Create a batch for the authenticated farmer
+ */
+exports.createBatch = async (req, res, next) => {
+    try {
+        const batch = await batchService.createBatch(req.validated.body, req.user);
+
+        console.log(`[SUCCESS] Batch created: ${batch.batchId} by user ${req.user.id} (${req.user.email}) from IP: ${req.ip}`);
+
+        res.status(201).json(apiResponse.successResponse({ batch }, 'Batch created successfully', 201));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to create batch', 'BATCH_CREATION_ERROR');
+    }
+};
+
+/**
+ * Attach a location proof bound to the batch (its farmer or an admin)
+ */
+exports.attachOriginProof = async (req, res, next) => {
     try {
         const { batchId } = req.params;
-        const { status } = req.body;
-        const allowedStatuses = ['Active', 'Flagged', 'Inactive'];
-        if (!allowedStatuses.includes(status)) {
-            return res.status(400).json({ error: 'Invalid status', allowed: allowedStatuses });
-        }
-        const batch = await Batch.findOneAndUpdate(
-            { batchId },
-            { $set: { status } },
-            { new: true }
-        );
+        const batch = await batchService.attachOriginProof(batchId, req.validated.body, req.user);
+
+        console.log(`[SUCCESS] Origin proof (${batch.originProof.status}) attached to batch ${batchId} by user ${req.user.id} from IP: ${req.ip}`);
+
+        res.json(apiResponse.successResponse({ batch }, 'Origin proof attached successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to attach origin proof', 'ORIGIN_PROOF_ATTACH_ERROR');
+    }
+};
+
+/**
+ * Resolve a human batch ID to its on-chain bytes32 ID or back
+ */
+exports.resolveBatchId = async (req, res, next) => {
+    try {
+        const result = await batchService.resolveBatchId(req.params.id);
+        res.json(apiResponse.successResponse(result, 'Batch ID resolved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to resolve batch ID', 'BATCH_RESOLVE_ERROR');
+    }
+};
+
+/**
+ * Get one batch by human or on-chain ID
+ */
+exports.getBatch = async (req, res, next) => {
+    try {
+        const { batchId } = req.params;
+        const batch = await batchService.getBatch(batchId);
+
         if (!batch) {
-            return res.status(404).json({ error: 'Batch not found' });
+            console.log(`[NOT FOUND] Batch lookup failed: ${batchId} from IP: ${req.ip}`);
+            return res.status(404).json(apiResponse.notFoundResponse('Batch', `ID: ${batchId}`));
         }
-        res.json(batch);
-    } catch (err) {
-        res.status(500).json({ error: 'Server error', details: err.message });
+
+        if (batch.isRecalled) {
+            console.log("🚨 ALERT: Recalled batch viewed:", batchId);
+        }
+
+        // Who was emailed about a recall is shown to admins only, in the recall report
+        const body = batch.toObject();
+        if (body.recall) {
+            delete body.recall.notifications;
+        }
+
+        res.json(apiResponse.successResponse({ batch: body }, 'Batch retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to fetch batch', 'BATCH_FETCH_ERROR');
+    }
+};
+
+/**
+ * Stage ordering and role rules used by the UpdateBatch page
+ */
+exports.getStageRules = (req, res) => {
+    res.json(apiResponse.successResponse(batchService.getStageRules(), 'Stage rules retrieved successfully'));
+};
+
+/**
+ * Append a supply chain update (stage ordering, recall and role rules are enforced by batchService)
+ */
+exports.updateBatch = async (req, res, next) => {
+    try {
+        const { batchId } = req.params;
+        const batch = await batchService.updateBatch(batchId, req.validated.body, req.user);
+
+        console.log(`[SUCCESS] Batch updated: ${batchId} to stage ${batch.currentStage} by ${req.validated.body.actor} from IP: ${req.ip}`);
+
+        res.json(apiResponse.successResponse({ batch }, 'Batch updated successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to update batch', 'BATCH_UPDATE_ERROR');
+    }
+};
+
+/**
+ * Recall a batch and every batch derived from it, cancel their listings and notify
+ * the users who handled them (admin only)
+ */
+exports.recallBatch = async (req, res, next) => {
+    try {
+        const { batchId } = req.params;
+        const { batch, affectedBatchIds, cancelledListings, notifications } = await recallService.recallBatch(batchId, req.validated.body, req.user);
+
+        console.log(`🚨 RECALL (${batch.recall.severity}) by admin ${req.user?.email || 'unknown'} for batch ${batchId}, reaching ${affectedBatchIds.join(', ')}`);
+
+        res.json(apiResponse.successResponse({
+            batch,
+            affectedBatchIds,
+            cancelledListings,
+            notifications,
+            recalledBy: req.user?.email,
+            recalledAt: batch.recall.recalledAt
+        }, 'Batch recalled successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to recall batch', 'BATCH_RECALL_ERROR');
+    }
+};
+
+/**
+ * Batches, quantities, locations, listings and notifications a recall reached (admin only)
+ */
+exports.getRecallReport = async (req, res, next) => {
+    try {
+        const report = await recallService.getRecallReport(req.params.batchId);
+
+        res.json(apiResponse.successResponse(report, 'Recall report retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to build recall report', 'RECALL_REPORT_ERROR');
+    }
+};
+
+/**
+ * Split a batch into lots whose quantities add up to it (mandi or admin)
+ */
+exports.splitBatch = async (req, res, next) => {
+    try {
+        const { batchId } = req.params;
+        const { parent, children } = await batchService.splitBatch(batchId, req.validated.body, req.user);
+
+        console.log(`[SUCCESS] Batch ${batchId} split into ${children.map((child) => child.batchId).join(', ')} by user ${req.user.id} from IP: ${req.ip}`);
+
+        res.status(201).json(apiResponse.successResponse({ parent, children }, 'Batch split successfully', 201));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to split batch', 'BATCH_SPLIT_ERROR');
+    }
+};
+
+/**
+ * Merge batches of one crop type at one stage into a new batch (mandi or admin)
+ */
+exports.mergeBatches = async (req, res, next) => {
+    try {
+        const { parents, batch } = await batchService.mergeBatches(req.validated.body, req.user);
+
+        console.log(`[SUCCESS] Batches ${parents.map((parent) => parent.batchId).join(', ')} merged into ${batch.batchId} by user ${req.user.id} from IP: ${req.ip}`);
+
+        res.status(201).json(apiResponse.successResponse({ batch, parents }, 'Batches merged successfully', 201));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to merge batches', 'BATCH_MERGE_ERROR');
+    }
+};
+
+/**
+ * Ancestors and descendants of a batch through splits and merges
+ */
+exports.getBatchLineage = async (req, res, next) => {
+    try {
+        const lineage = await batchService.getLineage(req.params.batchId, req.validated.query.depth);
+
+        res.json(apiResponse.successResponse(lineage, 'Batch lineage retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to fetch batch lineage', 'BATCH_LINEAGE_FETCH_ERROR');
+    }
+};
+
+/**
+ * List batches: paginated, filtered, searchable and sorted (see listBatchesQuerySchema)
+ */
+exports.getAllBatches = async (req, res, next) => {
+    try {
+        const { batches, pagination } = await batchService.listBatches(req.validated.query);
+
+        console.log(`[SUCCESS] Batches list retrieved from IP: ${req.ip}`);
+
+        res.json(apiResponse.successResponse({ batches, pagination }, 'Batches retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to fetch batches', 'BATCHES_FETCH_ERROR');
+    }
+};
+
+/**
+ * Dashboard stats over all batches
+ */
+exports.getBatchStats = async (req, res, next) => {
+    try {
+        const { stats } = await batchService.getDashboardStats();
+
+        res.json(apiResponse.successResponse({ stats }, 'Batch stats retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to fetch batch stats', 'BATCH_STATS_FETCH_ERROR');
+    }
+};
+
+/**
+ * SLA per crop type and stage
+ */
+exports.getSlaRules = (req, res) => {
+    res.json(apiResponse.successResponse(slaService.getRules(), 'SLA rules retrieved successfully'));
+};
+
+/**
+ * Batches flagged for overstaying a stage (admin only)
+ */
+exports.getSlaBreaches = async (req, res, next) => {
+    try {
+        const { breaches, pagination } = await slaService.listBreaches(req.validated.query);
+        res.json(apiResponse.successResponse({ breaches, pagination }, 'SLA breaches retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to fetch SLA breaches', 'SLA_BREACHES_FETCH_ERROR');
+    }
+};
+
+/**
+ * Run the SLA scan now instead of waiting for the timer (admin only)
+ */
+exports.scanSlaBreaches = async (req, res, next) => {
+    try {
+        const result = await slaService.scan();
+
+        console.log(`[SLA] Manual scan by ${req.user?.email || 'unknown'} flagged ${result.flagged.length} batch(es)`);
+
+        res.json(apiResponse.successResponse(result, 'SLA scan completed'));
+    } catch (error) {
+        handleError(res, next, error, 'SLA scan failed', 'SLA_SCAN_ERROR');
+    }
+};
+
+/**
+ * Update the status of a batch (Active/Flagged/Inactive)
+ * Only accessible by admin users
+ */
+exports.updateBatchStatus = async (req, res, next) => {
+    try {
+        const batch = await batchService.updateBatchStatus(req.params.batchId, req.validated.body.status);
+        res.json(apiResponse.successResponse({ batch }, 'Batch status updated successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to update batch status', 'BATCH_STATUS_ERROR');
     }
 };
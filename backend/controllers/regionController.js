@@ -0,0 +1,107 @@
+const regionService = require('../services/regionService');
+const apiResponse = require('../utils/apiResponse');
+const { CustomError } = require('../utils/errorHandler');
+
+/**
+ * Pass expected errors to the global error handler and answer unexpected ones with an endpoint-specific 500
+ */
+const handleError = (res, next, error, message, code) => {
+    if (error instanceof CustomError) {
+        return next(error);
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json(apiResponse.errorResponse(message, code, 500));
+};
+
+/**
+ * List certified regions (?active=true for regions whose certification is in force)
+ */
+exports.listRegions = async (req, res, next) => {
+    try {
+        const regions = await regionService.listRegions({ activeOnly: req.query.active === 'true' });
+        res.json(apiResponse.successResponse(
+            { regions: regions.map((region) => regionService.serialize(region)) },
+            'Regions retrieved successfully'
+        ));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to fetch regions', 'REGION_LIST_ERROR');
+    }
+};
+
+/**
+ * Get one region by ID
+ */
+exports.getRegion = async (req, res, next) => {
+    try {
+        const region = await regionService.getRegion(req.params.regionId);
+        res.json(apiResponse.successResponse({ region: regionService.serialize(region) }, 'Region retrieved successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to fetch region', 'REGION_FETCH_ERROR');
+    }
+};
+
+/**
+ * Register a certified region (admin only)
+ */
+exports.createRegion = async (req, res, next) => {
+    try {
+        const region = await regionService.createRegion(req.body, req.user);
+
+        console.log(`[REGION] ${req.user?.email || 'unknown'} created region ${region.regionId}`);
+
+        res.status(201).json(apiResponse.successResponse(
+            { region: regionService.serialize(region) },
+            'Region created successfully',
+            201
+        ));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to create region', 'REGION_CREATION_ERROR');
+    }
+};
+
+/**
+ * Update a certified region (admin only)
+ */
+exports.updateRegion = async (req, res, next) => {
+    try {
+        const region = await regionService.updateRegion(req.params.regionId, req.body);
+
+        console.log(`[REGION] ${req.user?.email || 'unknown'} updated region ${region.regionId}`);
+
+        res.json(apiResponse.successResponse({ region: regionService.serialize(region) }, 'Region updated successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to update region', 'REGION_UPDATE_ERROR');
+    }
+};
+
+/**
+ * Delete a region no batch proof references (admin only)
+ */
+exports.deleteRegion = async (req, res, next) => {
+    try {
+        const region = await regionService.deleteRegion(req.params.regionId);
+
+        console.log(`[REGION] ${req.user?.email || 'unknown'} deleted region ${region.regionId}`);
+
+        res.json(apiResponse.successResponse({ regionId: region.regionId }, 'Region deleted successfully'));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to delete region', 'REGION_DELETE_ERROR');
+    }
+};
+
+/**
+ * Anchor the region's hash on-chain (admin only)
+ */
+exports.anchorRegion = async (req, res, next) => {
+    try {
+        const { region, chain } = await regionService.anchorRegion(req.params.regionId);
+
+        res.json(apiResponse.successResponse(
+            { region: regionService.serialize(region), chain },
+            'Region anchored successfully'
+        ));
+    } catch (error) {
+        handleError(res, next, error, 'Failed to anchor region', 'REGION_ANCHOR_ERROR');
+    }
+};
@@ -0,0 +1,103 @@
+const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
+const accountLockoutService = require('../services/accountLockoutService');
+const apiResponse = require('../utils/apiResponse');
+const { CustomError } = require('../utils/errorHandler');
+
+/**
+ * Assign a role to a user in MongoDB and on-chain (admin only)
+ */
+exports.setUserRole = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { user, previousRole, chain } = await userService.setRole(userId, req.body.role);
+
+        console.log(`[ROLE] ${req.user?.email || 'unknown'} changed role of user ${userId} from ${previousRole} to ${user.role} (chain: ${chain.status})`);
+
+        res.json(apiResponse.successResponse({
+            user: {
+                id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                walletAddress: user.walletAddress
+            },
+            previousRole,
+            chain
+        }, 'User role updated successfully'));
+    } catch (error) {
+        if (error instanceof CustomError) {
+            return next(error);
+        }
+
+        console.error('Failed to update user role:', error);
+        res.status(500).json(apiResponse.errorResponse('Failed to update user role', 'USER_ROLE_UPDATE_ERROR', 500));
+    }
+};
+
+/**
+ * End all sessions of a user, e.g. a compromised account (admin only)
+ */
+exports.revokeUserSessions = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { revokedAt, sessions } = await sessionService.revokeAllSessions(userId);
+
+        console.log(`[SESSION] ${req.user?.email || 'unknown'} revoked ${sessions} session(s) of user ${userId}`);
+
+        res.json(apiResponse.successResponse({ userId, revokedAt, sessions }, 'User sessions revoked'));
+    } catch (error) {
+        if (error instanceof CustomError) {
+            return next(error);
+        }
+
+        console.error('Failed to revoke user sessions:', error);
+        res.status(500).json(apiResponse.errorResponse('Failed to revoke user sessions', 'USER_SESSION_REVOKE_ERROR', 500));
+    }
+};
+
+/**
+ * Lift a login lockout and clear the failed-attempt counter (admin only)
+ */
+exports.unlockUser = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const user = await accountLockoutService.unlock(userId, req.user, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        console.log(`[LOCKOUT] ${req.user?.email || 'unknown'} unlocked user ${userId}`);
+
+        res.json(apiResponse.successResponse({
+            userId: user._id,
+            loginLockout: user.loginLockout
+        }, 'User unlocked'));
+    } catch (error) {
+        if (error instanceof CustomError) {
+            return next(error);
+        }
+
+        console.error('Failed to unlock user:', error);
+        res.status(500).json(apiResponse.errorResponse('Failed to unlock user', 'USER_UNLOCK_ERROR', 500));
+    }
+};
+
+/**
+ * Failed logins, lockouts and unlocks of a user, newest first (admin only)
+ */
+exports.getLoginAudit = async (req, res, next) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+        const entries = await accountLockoutService.getAuditLog(req.params.userId, limit);
+
+        res.json(apiResponse.successResponse({ entries }, 'Login audit retrieved'));
+    } catch (error) {
+        if (error instanceof CustomError) {
+            return next(error);
+        }
+
+        console.error('Failed to fetch login audit:', error);
+        res.status(500).json(apiResponse.errorResponse('Failed to fetch login audit', 'LOGIN_AUDIT_FETCH_ERROR', 500));
+    }
+};
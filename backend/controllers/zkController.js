@@ -0,0 +1,25 @@
+const zkService = require('../services/zkService');
+const apiResponse = require('../utils/apiResponse');
+const { CustomError } = require('../utils/errorHandler');
+
+/**
+ * Verify a location proof against zk/verification_key.json
+ */
+exports.verifyLocation = async (req, res, next) => {
+    try {
+        const { proof, publicSignals, regionId, batchId } = req.body;
+        const result = await zkService.verifyLocation({ proof, publicSignals, regionId }, batchId);
+
+        res.json(apiResponse.successResponse(
+            result,
+            result.valid ? 'Location proof is valid' : 'Location proof is invalid'
+        ));
+    } catch (error) {
+        if (error instanceof CustomError) {
+            return next(error);
+        }
+
+        console.error('Failed to verify location proof:', error);
+        res.status(500).json(apiResponse.errorResponse('Failed to verify location proof', 'ZK_VERIFY_ERROR', 500));
+    }
+};
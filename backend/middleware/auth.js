@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Batch = require('../models/Batch');
+const sessionService = require('../services/sessionService');
 
 /**
  * Protect routes - verify JWT token
@@ -26,11 +27,20 @@ const protect = async (req, res, next) => {
                 });
             }
 
+            // Logged out everywhere, or sessions revoked by an admin, after this token was issued
+            if (sessionService.isAccessTokenRevoked(decoded, req.user)) {
+                return res.status(401).json({
+                    error: 'Not authorized',
+                    message: 'Session has been revoked',
+                });
+            }
+
             return next();
         } catch (error) {
             return res.status(401).json({
                 error: 'Not authorized',
-                message: 'Invalid token',
+                // Clients refresh the session on an expired token and log in again otherwise
+                message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
             });
         }
     }
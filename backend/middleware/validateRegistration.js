@@ -1,12 +1,13 @@
+const { SELF_REGISTER_ROLES } = require('../constants/roles');
+
 const validateRegistration = (req, res, next) => {
     const { role } = req.body;
 
     // Restrict role creation
-    const allowedRoles = ['farmer', 'transporter'];
-    if (role && !allowedRoles.includes(role)) {
+    if (role && !SELF_REGISTER_ROLES.includes(role)) {
         return res.status(400).json({
             error: 'Registration failed',
-            message: 'Invalid role selected. Only farmer and transporter accounts can be created publicly.'
+            message: `Invalid role selected. Only ${SELF_REGISTER_ROLES.join(', ')} accounts can be created publicly.`
         });
     }
 
@@ -1,9 +1,16 @@
 const { ValidationError } = require('../utils/errorHandler');
 
-const validateRequest = (schema) => {
+/**
+ * Validate part of the request against a Joi schema.
+ * The converted value (defaults applied, numbers and dates parsed) is stored in
+ * req.validated[property]; the original request is left untouched.
+ * @param {Object} schema - Joi schema
+ * @param {string} [property='body'] - Request property to validate (body or query)
+ */
+const validateRequest = (schema, property = 'body') => {
   return (req, res, next) => {
-    // We validate the request body against the provided schema
-    const { error } = schema.validate(req.body, { abortEarly: false });
+    // We validate the request against the provided schema
+    const { error, value } = schema.validate(req[property], { abortEarly: false });
 
     if (error) {
       // If there's an error, throw ValidationError to be caught by error handler
@@ -12,6 +19,8 @@ const validateRequest = (schema) => {
       return next(validationError);
     }
 
+    req.validated = { ...req.validated, [property]: value };
+
     // If validation passes, we move to the next step (the route handler)
     next();
   };
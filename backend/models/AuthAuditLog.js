@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.AUTH_AUDIT_RETENTION_DAYS) || 180;
+
+/**
+ * Audit trail of failed logins, account lockouts and unlocks.
+ * Entries are removed by the TTL index after AUTH_AUDIT_RETENTION_DAYS.
+ */
+const authAuditLogSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: {
+    type: String,
+    enum: ['login_failed', 'login_blocked', 'account_locked', 'account_unlocked'],
+    required: true
+  },
+  method: { type: String, enum: ['password', 'wallet', 'admin'], required: true },
+  // Email or wallet address the attempt was made with
+  identifier: { type: String, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  // Admin who unlocked the account
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  failedAttempts: { type: Number, default: null },
+  lockedUntil: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now, index: { expires: RETENTION_DAYS * 24 * 60 * 60 } }
+});
+
+authAuditLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuthAuditLog', authAuditLogSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+/**
+ * Pending wallet authentication nonce, one per address.
+ * Requesting a new nonce replaces the previous one. MongoDB's TTL monitor removes
+ * expired nonces, but it only runs about once a minute, so lookups must also
+ * filter on expiresAt.
+ */
+const authNonceSchema = new mongoose.Schema({
+  address: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  nonce: { type: String, required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const STAGES = require('../constants/stages');
+const RECALL_SEVERITIES = require('../constants/recall');
+const { toChainBatchId, isChainBatchId } = require('../utils/batchId');
 
 /**
  * @typedef {Object} BatchUpdate
@@ -8,6 +10,8 @@ const STAGES = require('../constants/stages');
  * @property {string} location - Location of update
  * @property {Date} timestamp - When update occurred
  * @property {string} [notes] - Optional notes
+ * @property {string} [txHash] - Transaction that anchored this update on-chain
+ * @property {string} [updatedBy] - ID of the user who recorded the update
  */
 
 const updateSchema = new mongoose.Schema({
@@ -32,12 +36,248 @@ const updateSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: 500
+  },
+  txHash: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: null
   }
 }, { _id: true });
 
+/**
+ * @typedef {Object} OriginProof
+ * @property {Object} [proof] - Groth16 proof as written by snarkjs (pi_a, pi_b, pi_c); absent when indexed from chain
+ * @property {string[]} publicSignals - Proven bounding box and batch [minLat, maxLat, minLon, maxLon, batchId] (see utils/zkProof.js)
+ * @property {string} status - pending (not yet recorded on-chain) / verified (recorded by CropChain.recordOriginProof) / rejected
+ * @property {string} [txHash] - Transaction that recorded the proof
+ * @property {number} [blockNumber] - Block that included it
+ * @property {Date} [verifiedAt] - When the proof was recorded on-chain
+ * @property {string} [error] - Why the latest attempt failed
+ * @property {string} [proofHash] - keccak256 of the proof and public signals (services/zkService.js)
+ * @property {boolean} [offChainValid] - Result of verifying the proof against zk/verification_key.json
+ * @property {string} [regionId] - Certified region the proof references (models/CertifiedRegion.js)
+ * @property {boolean} [regionVerified] - Whether the proof proves that region while its certification is in force,
+ *   cleared when read after the certification ended
+ * @property {Date} [checkedAt] - When the off-chain check ran
+ */
+
+const originProofSchema = new mongoose.Schema({
+  proof: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  publicSignals: {
+    type: [String],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected'],
+    default: 'pending'
+  },
+  txHash: {
+    type: String,
+    default: null
+  },
+  blockNumber: {
+    type: Number,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  proofHash: {
+    type: String,
+    default: null
+  },
+  offChainValid: {
+    type: Boolean,
+    default: null
+  },
+  regionId: {
+    type: String,
+    default: null
+  },
+  regionVerified: {
+    type: Boolean,
+    default: null
+  },
+  checkedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * @typedef {Object} SlaBreach
+ * @property {string} stage - Stage the batch overstayed
+ * @property {number} limitHours - SLA for the crop type and stage (config/sla.js)
+ * @property {Date} enteredStageAt - Timestamp of the update that recorded the stage
+ * @property {Date} detectedAt - When the SLA scan flagged the batch
+ * @property {string} reason - Human readable explanation
+ */
+
+const slaBreachSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    enum: STAGES,
+    required: true
+  },
+  limitHours: {
+    type: Number,
+    required: true
+  },
+  enteredStageAt: {
+    type: Date,
+    required: true
+  },
+  detectedAt: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+/**
+ * @typedef {Object} RecallNotification
+ * @property {string} userId - Notified user
+ * @property {string} name
+ * @property {string} email
+ * @property {string[]} batchIds - Recalled batches the user recorded, sold or farmed
+ * @property {string} status - pending/sent/failed
+ * @property {string} [error] - Why the email could not be sent
+ * @property {Date} [sentAt]
+ */
+
+const recallNotificationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  batchIds: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * @typedef {Object} Recall
+ * Recorded on every batch a recall reached. Cancelled listings and notifications
+ * are only recorded on the batch the recall was issued for.
+ * @property {string} sourceBatchId - Batch the recall was issued for; other batches were derived from it
+ * @property {string} severity - low/medium/high
+ * @property {string} reason
+ * @property {string[]} evidence - Lab reports, photos or inspection records (URLs or IPFS CIDs)
+ * @property {string} evidenceHash - keccak256 of the evidence, as anchored with CropChain.recallBatch
+ * @property {string} recalledBy - ID of the admin who issued the recall
+ * @property {Date} recalledAt
+ * @property {Object[]} cancelledListings - Marketplace listings of the recalled batches that were cancelled
+ * @property {RecallNotification[]} notifications - Actors emailed about the recall
+ * @property {string} syncStatus - pending (not yet anchored) / synced (recorded by CropChain.recallBatch) / error.
+ *   Kept apart from the batch's own syncStatus: one recall transaction reaches batches anchored by other transactions
+ * @property {string} [txHash] - Transaction that anchored the recall
+ * @property {number} [blockNumber] - Block that included it
+ * @property {string} [syncError] - Why the latest anchoring attempt failed
+ */
+
+const recallSchema = new mongoose.Schema({
+  sourceBatchId: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: RECALL_SEVERITIES,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  evidence: {
+    type: [String],
+    default: []
+  },
+  evidenceHash: {
+    type: String,
+    default: null
+  },
+  recalledBy: {
+    type: String,
+    default: null
+  },
+  recalledAt: {
+    type: Date,
+    required: true
+  },
+  cancelledListings: {
+    type: [{
+      _id: false,
+      listingId: Number,
+      batchId: String,
+      seller: String,
+      quantityAvailable: String
+    }],
+    default: []
+  },
+  notifications: {
+    type: [recallNotificationSchema],
+    default: []
+  },
+  syncStatus: {
+    type: String,
+    enum: ['pending', 'synced', 'error'],
+    default: 'pending'
+  },
+  txHash: {
+    type: String,
+    default: null
+  },
+  blockNumber: {
+    type: Number,
+    default: null
+  },
+  syncError: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
 /**
  * @typedef {Object} Batch
- * @property {string} batchId - Unique batch identifier (CROP-YYYY-XXX)
+ * @property {string} batchId - Unique batch identifier (CROP[-ORG]-YYYY-NNN, see services/batchIdService.js)
+ * @property {string} chainBatchId - On-chain bytes32 ID, keccak256(batchId) (see utils/batchId.js)
  * @property {string} farmerId - Farmer identifier
  * @property {string} farmerName - Farmer's full name
  * @property {string} farmerAddress - Farmer's address
@@ -50,9 +290,21 @@ const updateSchema = new mongoose.Schema({
  * @property {string} currentStage - Current supply chain stage
  * @property {boolean} isRecalled - Whether batch is recalled
  * @property {string} qrCode - QR code data URL
- * @property {string} blockchainHash - Blockchain transaction hash
+ * @property {string} blockchainHash - Hash of the latest anchoring transaction
+ * @property {number} blockNumber - Block that included the latest anchoring transaction
+ * @property {number} confirmations - Confirmations observed when the receipt was recorded
  * @property {string} syncStatus - Sync status (pending/synced/error)
+ * @property {string} [syncError] - Reason the latest anchoring attempt failed
+ * @property {Date} [syncedAt] - When the latest anchoring transaction was confirmed
  * @property {BatchUpdate[]} updates - Array of supply chain updates
+ * @property {OriginProof} [originProof] - Zero-knowledge proof that the batch comes from a certified region
+ * @property {string} status - Administrative status (Active/Flagged/Inactive)
+ * @property {SlaBreach} [slaBreach] - Latest stage SLA breach (services/slaService.js)
+ * @property {string[]} parentBatchIds - Batches this one was split or merged from
+ * @property {string[]} childBatchIds - Batches this one was split or merged into
+ * @property {string} [derivedBy] - How the batch was made from its parents (split/merge)
+ * @property {string} [consumedBy] - How the batch was used up (split/merge); consumed batches cannot be updated
+ * @property {Recall} [recall] - Why and by whom the batch was recalled (services/recallService.js)
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  */
@@ -64,6 +316,11 @@ const batchSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  chainBatchId: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   farmerId: {
     type: String,
     required: true,
@@ -140,19 +397,62 @@ const batchSchema = new mongoose.Schema({
   },
   blockchainHash: {
     type: String,
-    required: true
+    default: null
+  },
+  blockNumber: {
+    type: Number,
+    default: null
+  },
+  confirmations: {
+    type: Number,
+    default: 0
   },
   syncStatus: {
     type: String,
     enum: ['pending', 'synced', 'error'],
     default: 'pending'
   },
+  syncError: {
+    type: String,
+    default: null
+  },
+  syncedAt: {
+    type: Date,
+    default: null
+  },
   updates: [updateSchema],
+  originProof: originProofSchema,
   status: {
     type: String,
     enum: ['Active', 'Flagged', 'Inactive'],
     default: 'Active',
     required: true
+  },
+  slaBreach: {
+    type: slaBreachSchema,
+    default: null
+  },
+  parentBatchIds: {
+    type: [String],
+    default: []
+  },
+  childBatchIds: {
+    type: [String],
+    default: []
+  },
+  derivedBy: {
+    type: String,
+    enum: ['split', 'merge', null],
+    default: null
+  },
+  consumedBy: {
+    type: String,
+    enum: ['split', 'merge', null],
+    default: null
+  },
+  recall: {
+    type: recallSchema,
+    default: null
   }
 }, {
   timestamps: true // Automatically adds createdAt and updatedAt fields
@@ -160,11 +460,30 @@ const batchSchema = new mongoose.Schema({
 
 // Add indexes for performance optimization
 batchSchema.index({ batchId: 1 }, { unique: true });
+batchSchema.index({ chainBatchId: 1 }, { unique: true, sparse: true });
 batchSchema.index({ farmerId: 1 });
 batchSchema.index({ createdAt: -1 });
 batchSchema.index({ currentStage: 1 });
 batchSchema.index({ syncStatus: 1 });
 batchSchema.index({ isRecalled: 1 });
+batchSchema.index({ status: 1 });
+batchSchema.index({ harvestDate: -1 });
+batchSchema.index({ status: 1, 'slaBreach.detectedAt': -1 });
+batchSchema.index({ parentBatchIds: 1 });
+batchSchema.index({ 'recall.sourceBatchId': 1 }, { sparse: true });
+// Full-text search of GET /api/batches?q=
+batchSchema.index(
+  { farmerName: 'text', origin: 'text', description: 'text' },
+  { name: 'batch_text_search', weights: { farmerName: 3, origin: 2, description: 1 } }
+);
+
+// Derive the on-chain ID so chain events can be joined back to this document
+batchSchema.pre('validate', function(next) {
+  if (this.batchId && (this.isNew || this.isModified('batchId'))) {
+    this.chainBatchId = toChainBatchId(this.batchId);
+  }
+  next();
+});
 
 // Pre-save validation
 batchSchema.pre('save', function(next) {
@@ -227,6 +546,17 @@ batchSchema.statics.findByBatchId = function(batchId) {
   return this.findOne({ batchId });
 };
 
+batchSchema.statics.findByAnyId = function(id) {
+  /**
+   * Find batch by either its human readable ID or its bytes32 chain ID
+   * @param {string} id - CROP-YYYY-XXX or 0x-prefixed bytes32 hex
+   * @returns {Promise} Promise resolving to batch document
+   */
+  return isChainBatchId(id)
+    ? this.findOne({ chainBatchId: id.toLowerCase() })
+    : this.findOne({ batchId: id });
+};
+
 batchSchema.statics.findByFarmerId = function(farmerId) {
   /**
    * Find all batches by farmer ID
@@ -236,9 +566,10 @@ batchSchema.statics.findByFarmerId = function(farmerId) {
   return this.find({ farmerId }).sort({ createdAt: -1 });
 };
 
-batchSchema.statics.getStats = function() {
+batchSchema.statics.getStats = function(recentSince = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)) {
   /**
    * Get overall batch statistics
+   * @param {Date} [recentSince] - Batches created after this count as recent (default: last 30 days)
    * @returns {Promise} Promise resolving to statistics object
    */
   return this.aggregate([
@@ -250,18 +581,23 @@ batchSchema.statics.getStats = function() {
         uniqueFarmers: { $addToSet: '$farmerId' },
         recalledBatches: {
           $sum: { $cond: ['$isRecalled', 1, 0] }
+        },
+        recentBatches: {
+          $sum: { $cond: [{ $gt: ['$createdAt', recentSince] }, 1, 0] }
         }
       }
     },
     {
       $project: {
+        _id: 0,
         totalBatches: 1,
         totalQuantity: 1,
         uniqueFarmers: { $size: '$uniqueFarmers' },
-        recalledBatches: 1
+        recalledBatches: 1,
+        recentBatches: 1
       }
     }
-  ]).then(result => result[0] || { totalBatches: 0, totalQuantity: 0, uniqueFarmers: 0, recalledBatches: 0 });
+  ]).then(result => result[0] || { totalBatches: 0, totalQuantity: 0, uniqueFarmers: 0, recalledBatches: 0, recentBatches: 0 });
 };
 
 module.exports = mongoose.model('Batch', batchSchema);
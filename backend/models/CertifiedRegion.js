@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { boxFromDegrees } = require('../utils/zkProof');
+
+/**
+ * @typedef {Object} CertifiedRegion
+ * A growing region certified by an authority. Location proofs name a region by regionId
+ * and must prove exactly its box.
+ * @property {string} regionId - Stable ID, e.g. IN-PB
+ * @property {string} name - Display name
+ * @property {string} authority - Certifying authority
+ * @property {{minLat: number, maxLat: number, minLon: number, maxLon: number}} bounds - Box in decimal degrees
+ * @property {string[]} box - Bounds as the circuit's public signals [minLat, maxLat, minLon, maxLon] (derived)
+ * @property {Date} validFrom - Certification start
+ * @property {Date|null} validUntil - Certification end, null if open-ended
+ * @property {Object} [anchor] - Last on-chain anchoring (CropChain.anchorRegion)
+ */
+
+const boundsSchema = new mongoose.Schema({
+  minLat: { type: Number, required: true, min: -90, max: 90 },
+  maxLat: { type: Number, required: true, min: -90, max: 90 },
+  minLon: { type: Number, required: true, min: -180, max: 180 },
+  maxLon: { type: Number, required: true, min: -180, max: 180 }
+}, { _id: false });
+
+const anchorSchema = new mongoose.Schema({
+  dataHash: { type: String, required: true },
+  txHash: { type: String, required: true },
+  blockNumber: { type: Number },
+  anchoredAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const certifiedRegionSchema = new mongoose.Schema({
+  regionId: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]{2,32}$/, 'Region ID may only contain letters, digits and dashes']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  authority: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  bounds: {
+    type: boundsSchema,
+    required: true
+  },
+  box: {
+    type: [String],
+    index: true
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  anchor: {
+    type: anchorSchema,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the circuit encoding in step with the bounds
+certifiedRegionSchema.pre('validate', function (next) {
+  if (this.bounds) {
+    this.box = boxFromDegrees(this.bounds);
+  }
+  next();
+});
+
+/**
+ * Whether the certification is in force at a given time
+ * @param {Date} [at]
+ * @returns {boolean}
+ */
+certifiedRegionSchema.methods.isValidAt = function (at = new Date()) {
+  return this.validFrom <= at && (!this.validUntil || this.validUntil > at);
+};
+
+module.exports = mongoose.model('CertifiedRegion', certifiedRegionSchema);
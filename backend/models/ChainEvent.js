@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} ChainEvent
+ * @property {string} name - Contract event name (BatchCreated, ListingPurchased, ...)
+ * @property {string} txHash - Transaction that emitted the event
+ * @property {number} logIndex - Position of the log within its block
+ * @property {number} blockNumber - Block that included the event
+ * @property {string} [chainBatchId] - bytes32 batch key, for batch and listing events
+ * @property {Object} args - Decoded event arguments (uint256 values as decimal strings)
+ * @property {boolean} applied - Whether the event's effects have been written to the read models
+ */
+
+const chainEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  txHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  chainBatchId: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  applied: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// (txHash, logIndex) identifies a log; re-processing a block range never duplicates events
+chainEventSchema.index({ txHash: 1, logIndex: 1 }, { unique: true });
+chainEventSchema.index({ chainBatchId: 1, blockNumber: 1 });
+chainEventSchema.index({ name: 1, blockNumber: -1 });
+
+module.exports = mongoose.model('ChainEvent', chainEventSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+/**
+ * Checkpoint for a blockchain indexer.
+ * lastProcessedBlock is the highest block whose events have been fully applied;
+ * on restart the indexer resumes from lastProcessedBlock + 1.
+ */
+const indexerStateSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  contractAddress: { type: String, lowercase: true, trim: true },
+  lastProcessedBlock: { type: Number, default: -1 }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('IndexerState', indexerStateSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * @typedef {Object} Listing
+ * Read model of a CropChain MarketListing, maintained by the chain indexer
+ * @property {number} listingId - On-chain listing ID
+ * @property {string} chainBatchId - bytes32 batch key the listing sells from
+ * @property {string} seller - Seller address
+ * @property {string} quantity - Listed quantity
+ * @property {string} quantityAvailable - Quantity still for sale
+ * @property {string} unitPriceWei - Price per unit in wei (decimal string)
+ * @property {boolean} active - Whether the listing can still be bought from
+ */
+
+const listingSchema = new mongoose.Schema({
+  listingId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  chainBatchId: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  seller: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  quantity: {
+    type: String,
+    required: true
+  },
+  quantityAvailable: {
+    type: String,
+    required: true
+  },
+  unitPriceWei: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBlock: {
+    type: Number
+  },
+  cancelledBy: {
+    type: String,
+    lowercase: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+listingSchema.index({ chainBatchId: 1, active: 1 });
+
+module.exports = mongoose.model('Listing', listingSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refresh token of a login session.
+ * Only the SHA-256 hash of the token is stored. Each refresh replaces the token with a
+ * new one in the same family (one family per login); presenting a replaced token again
+ * means it leaked, and the whole family is revoked. Expired tokens are removed by the
+ * TTL index.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  revokedAt: { type: Date, default: null },
+  replacedBy: { type: String, default: null },
+  createdByIp: { type: String, default: null },
+  userAgent: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
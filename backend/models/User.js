@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ROLES = require('../constants/roles');
 
 
 const userSchema = new mongoose.Schema({
@@ -15,6 +16,14 @@ const userSchema = new mongoose.Schema({
             'Please add a valid email'
         ],
     },
+    // Set by the emailed verification link (or a password reset, which proves the same)
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerifiedAt: {
+        type: Date,
+    },
     password: {
         type: String,
         required: [true, 'Please add a password'],
@@ -23,7 +32,7 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['farmer', 'transporter', 'admin'],
+        enum: ROLES,
         default: 'farmer',
     },
     walletAddress: {
@@ -58,6 +67,30 @@ const userSchema = new mongoose.Schema({
             type: String,
         },
     },
+    // Consecutive failed logins and the current lockout (services/accountLockoutService.js)
+    loginLockout: {
+        failedAttempts: {
+            type: Number,
+            default: 0,
+        },
+        lastFailedAt: {
+            type: Date,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+    },
+    // When all sessions were last revoked (log out all sessions, credential revocation)
+    sessionsRevokedAt: {
+        type: Date,
+        default: null,
+    },
+    // Carried in access tokens as `ver`; bumped on every revocation so earlier tokens are rejected
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
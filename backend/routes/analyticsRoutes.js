@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const validateRequest = require('../middleware/validator');
+const { protect, adminOnly } = require('../middleware/auth');
+const {
+    analyticsRangeQuerySchema,
+    batchVolumeQuerySchema,
+    topFarmersQuerySchema
+} = require('../validations/analyticsSchema');
+
+// Mounted at /api/analytics; admin dashboard reports
+router.get('/batches', protect, adminOnly, validateRequest(batchVolumeQuerySchema, 'query'), analyticsController.getBatchVolume);
+router.get('/dwell-times', protect, adminOnly, validateRequest(analyticsRangeQuerySchema, 'query'), analyticsController.getStageDwellTimes);
+router.get('/recall-rate', protect, adminOnly, validateRequest(analyticsRangeQuerySchema, 'query'), analyticsController.getRecallRate);
+router.get('/sync-errors', protect, adminOnly, validateRequest(analyticsRangeQuerySchema, 'query'), analyticsController.getSyncErrorRate);
+router.get('/top-farmers', protect, adminOnly, validateRequest(topFarmersQuerySchema, 'query'), analyticsController.getTopFarmers);
+
+module.exports = router;
@@ -1,7 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { registerUser, loginUser, walletLogin, walletRegister, getNonce } = require('../controllers/authController');
+const {
+    registerUser,
+    loginUser,
+    walletLogin,
+    walletRegister,
+    getNonce,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail
+} = require('../controllers/authController');
 const validateRegistration = require('../middleware/validateRegistration');
+const { protect } = require('../middleware/auth');
 
 router.post('/register', validateRegistration, registerUser);
 router.post('/login', loginUser);
@@ -11,4 +22,10 @@ router.get('/nonce', getNonce);
 router.post('/wallet-login', walletLogin);
 router.post('/wallet-register', walletRegister);
 
+// Password reset and email verification (emailed, signed links)
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+
 module.exports = router;
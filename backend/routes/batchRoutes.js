@@ -2,12 +2,36 @@ const express = require('express');
 const router = express.Router();
 const batchController = require('../controllers/batchController');
 const validateRequest = require('../middleware/validator');
-const { createBatchSchema, updateBatchSchema } = require("../validations/batchSchema");
+const { protect, adminOnly, authorizeRoles } = require('../middleware/auth');
+const { BATCH_UPDATE_ROLES, BATCH_LINEAGE_ROLES } = require('../constants/roles');
+const {
+    createBatchSchema,
+    updateBatchSchema,
+    attachOriginProofSchema,
+    listBatchesQuerySchema,
+    slaBreachesQuerySchema,
+    splitBatchSchema,
+    mergeBatchesSchema,
+    lineageQuerySchema,
+    recallBatchSchema
+} = require("../validations/batchSchema");
 
-router.post('/', validateRequest(createBatchSchema), batchController.createBatch);
+// Mounted at /api/batches behind the batch rate limiter
+router.post('/', protect, validateRequest(createBatchSchema), batchController.createBatch);
+router.get('/', validateRequest(listBatchesQuerySchema, 'query'), batchController.getAllBatches);
+router.get('/stats', batchController.getBatchStats);
+router.get('/stages', batchController.getStageRules);
+router.get('/sla', batchController.getSlaRules);
+router.get('/sla-breaches', protect, adminOnly, validateRequest(slaBreachesQuerySchema, 'query'), batchController.getSlaBreaches);
+router.post('/sla-breaches/scan', protect, adminOnly, batchController.scanSlaBreaches);
+router.post('/merge', protect, authorizeRoles(...BATCH_LINEAGE_ROLES), validateRequest(mergeBatchesSchema), batchController.mergeBatches);
+router.get('/resolve/:id', batchController.resolveBatchId);
 router.get('/:batchId', batchController.getBatch);
-router.put('/:batchId', validateRequest(updateBatchSchema), batchController.updateBatch);
-router.post('/:batchId/recall', batchController.recallBatch);
-router.get('/', batchController.getAllBatches);
+router.get('/:batchId/lineage', validateRequest(lineageQuerySchema, 'query'), batchController.getBatchLineage);
+router.put('/:batchId', protect, authorizeRoles(...BATCH_UPDATE_ROLES), validateRequest(updateBatchSchema), batchController.updateBatch);
+router.post('/:batchId/recall', protect, adminOnly, validateRequest(recallBatchSchema), batchController.recallBatch);
+router.get('/:batchId/recall-report', protect, adminOnly, batchController.getRecallReport);
+router.post('/:batchId/origin-proof', protect, validateRequest(attachOriginProofSchema), batchController.attachOriginProof);
+router.post('/:batchId/split', protect, authorizeRoles(...BATCH_LINEAGE_ROLES), validateRequest(splitBatchSchema), batchController.splitBatch);
 
 module.exports = router;
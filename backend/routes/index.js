@@ -4,6 +4,8 @@ const router = express.Router();
 const mongoose = require("mongoose");
 const { updateBatchStatus } = require("../controllers/batchController");
 const { protect, adminOnly } = require("../middleware/auth");
+const validateRequest = require("../middleware/validator");
+const { updateBatchStatusSchema } = require("../validations/batchSchema");
 
 router.get('/status', (req, res) => {
     const state = mongoose.connection.readyState;
@@ -24,7 +26,7 @@ router.get('/status', (req, res) => {
 });
 
 // Update batch status (admin only)
-router.patch('/batch/:batchId/status', protect, adminOnly, updateBatchStatus);
+router.patch('/batch/:batchId/status', protect, adminOnly, validateRequest(updateBatchStatusSchema), updateBatchStatus);
 
 
 
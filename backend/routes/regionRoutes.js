@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const regionController = require('../controllers/regionController');
+const validateRequest = require('../middleware/validator');
+const { protect, adminOnly } = require('../middleware/auth');
+const { createRegionSchema, updateRegionSchema } = require('../validations/regionSchema');
+
+// Mounted at /api/regions
+router.get('/', regionController.listRegions);
+router.get('/:regionId', regionController.getRegion);
+router.post('/', protect, adminOnly, validateRequest(createRegionSchema), regionController.createRegion);
+router.put('/:regionId', protect, adminOnly, validateRequest(updateRegionSchema), regionController.updateRegion);
+router.delete('/:regionId', protect, adminOnly, regionController.deleteRegion);
+router.post('/:regionId/anchor', protect, adminOnly, regionController.anchorRegion);
+
+module.exports = router;
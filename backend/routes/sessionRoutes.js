@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { refreshSession, logout, logoutAll } = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
+
+// Mounted at /api/auth ahead of authRoutes, so token refreshes are not counted by the login rate limiter
+router.post('/refresh', refreshSession);
+router.post('/logout', logout);
+router.post('/logout-all', protect, logoutAll);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const userController = require('../controllers/userController');
+const { protect, adminOnly } = require('../middleware/auth');
+
+// Mounted at /api/users
+router.put('/:userId/role', protect, adminOnly, userController.setUserRole);
+router.post('/:userId/sessions/revoke', protect, adminOnly, userController.revokeUserSessions);
+router.post('/:userId/unlock', protect, adminOnly, userController.unlockUser);
+router.get('/:userId/login-audit', protect, adminOnly, userController.getLoginAudit);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const zkController = require('../controllers/zkController');
+const validateRequest = require('../middleware/validator');
+const { protect } = require('../middleware/auth');
+const { verifyLocationSchema } = require('../validations/zkSchema');
+
+// Mounted at /api/zk
+router.post('/verify-location', protect, validateRequest(verifyLocationSchema), zkController.verifyLocation);
+
+module.exports = router;
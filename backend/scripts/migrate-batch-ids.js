@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Batch = require("../models/Batch");
+const Counter = require("../models/Counter");
+const batchIdService = require("../services/batchIdService");
+
+/**
+ * Prepare existing data for per-year batch ID counters.
+ *
+ * Batch IDs used to come from one global counter named "batchId" with the year hardcoded
+ * to 2024. This script checks every stored batchId against the configured format, reports
+ * IDs that collide on (org, year, sequence), and seeds each per-year counter with the
+ * highest sequence already in use so new IDs can't clash with old ones.
+ *
+ * Usage: node scripts/migrate-batch-ids.js [--apply] [--json]
+ *   --apply  write the per-year counters (dry run otherwise)
+ *   --json   print the result as JSON
+ *
+ * Exit codes: 0 = all IDs valid, 1 = invalid or colliding IDs found, 2 = failed to run
+ */
+async function migrateBatchIds(argv = process.argv.slice(2)) {
+    const apply = argv.includes("--apply");
+    const json = argv.includes("--json");
+
+    try {
+        if (mongoose.connection.readyState !== 1) {
+            await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cropchain');
+        }
+
+        const batches = await Batch.find({}, { batchId: 1 }).lean();
+        const legacyCounter = await Counter.findOne({ name: 'batchId' }).lean();
+        const result = batchIdService.audit(batches.map((batch) => batch.batchId));
+
+        if (apply) {
+            // $max never moves a counter backwards if new IDs were issued in the meantime
+            for (const [name, seq] of Object.entries(result.counters)) {
+                await Counter.updateOne({ name }, { $max: { seq } }, { upsert: true });
+            }
+        }
+
+        const summary = {
+            batches: batches.length,
+            legacyCounter: legacyCounter ? legacyCounter.seq : null,
+            applied: apply,
+            ...result
+        };
+
+        if (json) {
+            console.log(JSON.stringify(summary, null, 2));
+        } else {
+            console.log(`Checked ${summary.batches} batch IDs (legacy counter: ${summary.legacyCounter ?? 'none'})`);
+            summary.invalid.forEach((batchId) => console.log(`❌ Invalid format: ${batchId}`));
+            summary.collisions.forEach((ids) => console.log(`❌ Collision: ${ids.join(', ')}`));
+            Object.entries(summary.counters).forEach(([name, seq]) => {
+                console.log(`${apply ? '✅ Seeded' : '• Would seed'} ${name} = ${seq}`);
+            });
+            if (!apply) console.log('Dry run - re-run with --apply to write counters');
+        }
+
+        const problems = summary.invalid.length + summary.collisions.length;
+
+        if (require.main === module) {
+            await mongoose.disconnect();
+            process.exit(problems > 0 ? 1 : 0);
+        }
+        return summary;
+    } catch (error) {
+        console.error("Batch ID migration failed:", error.message);
+
+        if (require.main === module) process.exit(2);
+        throw error;
+    }
+}
+
+// Execute if running directly
+if (require.main === module) {
+    migrateBatchIds();
+}
+
+module.exports = migrateBatchIds;
@@ -1,25 +1,65 @@
-const Batch = require('../models/Batch');
-const { getContract } = require('../config/blockchain'); // adjust if needed
+const fs = require("fs");
+const mongoose = require("mongoose");
+require("dotenv").config();
 
-async function reconcile() {
-  const contract = await getContract();
+const { getContract } = require("../config/blockchain");
+const reconciliationService = require("../services/reconciliationService");
 
-  const total = await contract.getBatchCount();
+/**
+ * Diff MongoDB against CropChain state.
+ *
+ * Usage: node scripts/reconcile.js [--json] [--fix] [--out=report.json]
+ *   --json  print the report as JSON instead of text
+ *   --fix   re-submit batches, updates and recalls whose anchoring failed or stalled;
+ *           repair other divergent / orphaned Mongo records from chain state
+ *   --out   also write the JSON report to a file
+ *
+ * Exit codes: 0 = in sync (or repaired), 1 = discrepancies found, 2 = failed to run
+ */
+async function reconcile(argv = process.argv.slice(2)) {
+    const options = {
+        json: argv.includes("--json"),
+        fix: argv.includes("--fix"),
+        out: (argv.find((arg) => arg.startsWith("--out=")) || "").slice("--out=".length) || null
+    };
 
-  for (let i = 0; i < total; i++) {
-    const onChain = await contract.batches(i);
+    try {
+        const contract = getContract();
+        if (!contract) {
+            throw new Error("Blockchain is not configured (INFURA_URL, CONTRACT_ADDRESS, PRIVATE_KEY)");
+        }
 
-    await Batch.updateOne(
-      { batchId: i },
-      {
-        stage: onChain.stage,
-        syncStatus: 'synced'
-      },
-      { upsert: true }
-    );
-  }
+        if (mongoose.connection.readyState !== 1) {
+            await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cropchain');
+        }
 
-  console.log('✅ Reconciliation complete');
+        const report = await reconciliationService.reconcile(contract, { fix: options.fix });
+
+        console.log(options.json ? JSON.stringify(report, null, 2) : reconciliationService.formatReport(report));
+
+        if (options.out) {
+            fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+        }
+
+        const { missing, divergent, orphaned, repaired } = report.summary;
+        const outstanding = missing + divergent + orphaned - repaired;
+
+        if (require.main === module) {
+            await mongoose.disconnect();
+            process.exit(outstanding > 0 ? 1 : 0);
+        }
+        return report;
+    } catch (error) {
+        console.error("Reconciliation failed:", error.message);
+
+        if (require.main === module) process.exit(2);
+        throw error;
+    }
+}
+
+// Execute if running directly
+if (require.main === module) {
+    reconcile();
 }
 
-reconcile();
+module.exports = reconcile;
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const CertifiedRegion = require("../models/CertifiedRegion");
+require("dotenv").config();
+
+/**
+ * Seed the certified region registry with the development regions.
+ * IN-PB's box is the one zk/input.json, zk/proof.json and zk/public.json prove.
+ * Existing regions are left untouched.
+ *
+ * Usage: node scripts/seed-regions.js
+ */
+const SEED_REGIONS = [
+    {
+        regionId: "IN-PB",
+        name: "Punjab",
+        authority: "Punjab State Seed Certification Authority",
+        bounds: { minLat: 29.5, maxLat: 32.5, minLon: 73.8, maxLon: 77 },
+        validFrom: new Date("2025-01-01T00:00:00Z")
+    },
+    {
+        regionId: "IN-HR",
+        name: "Haryana",
+        authority: "Haryana State Seed Certification Agency",
+        bounds: { minLat: 27.6, maxLat: 31, minLon: 74.4, maxLon: 77.6 },
+        validFrom: new Date("2025-01-01T00:00:00Z")
+    }
+];
+
+async function seedRegions() {
+    try {
+        if (mongoose.connection.readyState !== 1) {
+            await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/cropchain');
+        }
+
+        for (const data of SEED_REGIONS) {
+            if (await CertifiedRegion.exists({ regionId: data.regionId })) {
+                console.log(`- ${data.regionId} already exists`);
+                continue;
+            }
+            await CertifiedRegion.create(data);
+            console.log(`✅ ${data.regionId} (${data.name}) created`);
+        }
+
+        if (require.main === module) {
+            await mongoose.disconnect();
+            process.exit(0);
+        }
+    } catch (error) {
+        console.error("Error seeding regions:", error);
+
+        if (require.main === module) process.exit(1);
+        throw error;
+    }
+}
+
+// Execute if running directly
+if (require.main === module) {
+    seedRegions();
+}
+
+module.exports = seedRegions;
+module.exports.SEED_REGIONS = SEED_REGIONS;
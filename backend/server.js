@@ -5,9 +5,6 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const jwt = require('jsonwebtoken');
-const mongoose = require('mongoose'); // Required for transactions
-const { ethers } = require('ethers');
-const QRCode = require('qrcode');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./swagger');
 const connectDB = require('./config/db');
@@ -17,15 +14,9 @@ const validateRequest = require('./middleware/validator');
 const { chatSchema } = require("./validations/chatSchema");
 const aiService = require('./services/aiService');
 const errorHandlerMiddleware = require('./middleware/errorHandler');
-const { createBatchSchema, updateBatchSchema } = require("./validations/batchSchema");
-const { protect, adminOnly, authorizeBatchOwner, authorizeRoles } = require('./middleware/auth');
 const apiResponse = require('./utils/apiResponse');
-const crypto = require('crypto');
-const mongoose = require('mongoose');
-
-// Import MongoDB Model
-const Batch = require('./models/Batch');
-const Counter = require('./models/Counter');
+const { getContract, getProvider, verifyContractDeployment } = require('./config/blockchain');
+const batchService = require('./services/batchService');
 
 // Connect to Database
 connectDB();
@@ -135,6 +126,18 @@ const batchLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Each proof check runs a Groth16 verification
+const zkLimiter = rateLimit({
+    windowMs: rateLimitWindowMs,
+    max: parseInt(process.env.ZK_RATE_LIMIT_MAX) || 10,
+    message: {
+        error: 'Too many proof verifications from this IP, please try again later.',
+        retryAfter: `${Math.ceil(rateLimitWindowMs / 60000)} minutes`
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 app.use(generalLimiter);
 
 // CORS configuration
@@ -222,361 +225,41 @@ if (process.env.NODE_ENV !== 'test') {
 
 const PROVIDER_URL = process.env.INFURA_URL;
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
-
-// Initialize blockchain provider and contract (reused for listener)
-let provider;
-let contractInstance;
-let wallet;
-
-if (PROVIDER_URL && CONTRACT_ADDRESS && PRIVATE_KEY) {
-    try {
-        provider = new ethers.JsonRpcProvider(PROVIDER_URL);
-        wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-
-        const contractABI = [
-            "event BatchCreated(bytes32 indexed batchId, address indexed farmer, uint256 quantity)",
-            "event BatchUpdated(bytes32 indexed batchId, string stage, address indexed actor)",
-            "function getBatch(bytes32 batchId) view returns (tuple(address farmer, uint256 quantity, string stage, bool exists))",
-            "function createBatch(bytes32 batchId, uint256 quantity, string memory metadata) returns (bool)"
-        ];
-
-        contractInstance = new ethers.Contract(CONTRACT_ADDRESS, contractABI, wallet);
-        console.log('✓ Blockchain contract instance initialized');
-    } catch (error) {
-        console.error('Failed to initialize blockchain connection:', error.message);
-        contractInstance = null;
-    }
-} else {
-    console.log('ℹ️  Blockchain not configured - running without contract instance');
-}
-
-// Helper functions
-async function generateBatchId() {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-        const counter = await Counter.findOneAndUpdate(
-            { name: 'batchId' },
-            { $inc: { seq: 1 } },
-            { new: true, upsert: true, session }
-        );
-
-        const currentYear = new Date().getFullYear();
-        const batchId = `CROP-${currentYear}-${String(counter.seq).padStart(3, '0')}`;
-
-        await session.commitTransaction();
-        session.endSession();
-
-        return batchId;
-
-    } catch (error) {
-        await session.abortTransaction();
-        session.endSession();
-        throw error;
-/**
- * Generate batch ID with optional session support for transaction safety
- * @param {mongoose.ClientSession} session - MongoDB session for transaction
- * @returns {string} - Generated batch ID
- */
-async function generateBatchId(session = null) {
-    const options = { new: true, upsert: true };
-    if (session) {
-        options.session = session;
-    }
-    
-    const counter = await Counter.findOneAndUpdate(
-        { name: 'batchId' },
-        { $inc: { seq: 1 } },
-        options
-    );
-    return `CROP-2024-${String(counter.seq).padStart(3, '0')}`;
-}
-
-async function generateQRCode(batchId) {
-    try {
-        return await QRCode.toDataURL(batchId, {
-            width: 200,
-            margin: 2,
-            color: {
-                dark: '#22c55e',
-                light: '#ffffff'
-            }
-        });
-    } catch (error) {
-        console.error('Failed to generate QR code:', error);
-        return '';
-    }
-}
 
-function simulateBlockchainHash(data) {
-    return '0x' + crypto
-        .createHash('sha256')
-        .update(JSON.stringify(data) + Date.now().toString())
-        .digest('hex');
-}
+// Initialize blockchain provider and contract (shared with anchoring and the indexer)
+const contractInstance = getContract();
 
 // Import Routes
 const authRoutes = require('./routes/authRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
 const verificationRoutes = require('./routes/verification');
-
-// Mount Auth Routes
+const batchRoutes = require('./routes/batchRoutes');
+const userRoutes = require('./routes/userRoutes');
+const zkRoutes = require('./routes/zkRoutes');
+const regionRoutes = require('./routes/regionRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+
+// Mount Auth Routes (session routes first: refresh/logout use the general limit, not the login limit)
+app.use('/api/auth', generalLimiter, sessionRoutes);
 app.use('/api/auth', authLimiter, authRoutes);
 
 // Mount Verification Routes
 app.use('/api/verification', generalLimiter, verificationRoutes);
 
 // Batch routes - ALL USING MONGODB ONLY
+app.use('/api/batches', batchLimiter, batchRoutes);
 
-// CREATE batch - requires authentication
-// Uses MongoDB transaction to prevent race conditions in batch ID generation (CVSS 7.5 fix)
-app.post('/api/batches', batchLimiter, protect, validateRequest(createBatchSchema), async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    
-    try {
-        const validatedData = req.body;
-        
-        // Generate batch ID within transaction for atomicity
-        const batchId = await generateBatchId(session);
-        const qrCode = await generateQRCode(batchId);
-
-        const batch = await Batch.create([{
-            batchId,
-            farmerId: req.user.farmerId || req.user.id, // Use authenticated user's ID
-            farmerName: validatedData.farmerName || req.user.name,
-            farmerAddress: validatedData.farmerAddress || req.user.address || '',
-            cropType: validatedData.cropType,
-            quantity: validatedData.quantity,
-            harvestDate: validatedData.harvestDate,
-            origin: validatedData.origin,
-            certifications: validatedData.certifications,
-            description: validatedData.description,
-            currentStage: "farmer",
-            isRecalled: false,
-            qrCode,
-            blockchainHash: simulateBlockchainHash(validatedData),
-            syncStatus: 'pending',
-            updates: [{
-                stage: "farmer",
-                actor: validatedData.farmerName || req.user.name,
-                location: validatedData.origin,
-                timestamp: validatedData.harvestDate,
-                notes: validatedData.description || "Initial harvest recorded"
-            }]
-        }], { session });
-
-        // Commit the transaction
-        await session.commitTransaction();
-        session.endSession();
-        
-        console.log(`[SUCCESS] Batch created: ${batchId} by user ${req.user.id} (${req.user.email}) from IP: ${req.ip}`);
-
-        const response = apiResponse.successResponse(
-            { batch: batch[0] },
-            'Batch created successfully',
-            201
-        );
-        res.status(201).json(response);
-    } catch (error) {
-        // Abort transaction on error
-        await session.abortTransaction();
-        session.endSession();
-        
-        console.error('Error creating batch:', error);
-        const response = apiResponse.errorResponse(
-            'Failed to create batch',
-            'BATCH_CREATION_ERROR',
-            500
-        );
-        res.status(500).json(response);
-    }
-});
-
-// GET one batch
-app.get('/api/batches/:batchId', batchLimiter, async (req, res) => {
-    try {
-        const { batchId } = req.params;
-        const batch = await Batch.findOne({ batchId });
-
-        if (!batch) {
-            console.log(`[NOT FOUND] Batch lookup failed: ${batchId} from IP: ${req.ip}`);
-            const response = apiResponse.notFoundResponse('Batch', `ID: ${batchId}`);
-            return res.status(404).json(response);
-        }
-
-        if (batch.isRecalled) {
-            console.log("🚨 ALERT: Recalled batch viewed:", batchId);
-        }
+// User administration (role changes are mirrored on-chain)
+app.use('/api/users', generalLimiter, userRoutes);
 
-        const response = apiResponse.successResponse({ batch }, 'Batch retrieved successfully');
-        res.json(response);
-    } catch (error) {
-        console.error('Error fetching batch:', error);
-        const response = apiResponse.errorResponse(
-            'Failed to fetch batch',
-            'BATCH_FETCH_ERROR',
-            500
-        );
-        res.status(500).json(response);
-    }
-});
-
-// UPDATE batch - requires authentication and ownership
-app.put('/api/batches/:batchId', batchLimiter, protect, authorizeBatchOwner, validateRequest(updateBatchSchema), async (req, res) => {
-    try {
-        const { batchId } = req.params;
-        const validatedData = req.body;
-
-        // Normalize stage to lowercase for consistency
-        const normalizedStage = validatedData.stage.toLowerCase();
+// Zero-knowledge proof verification
+app.use('/api/zk', zkLimiter, zkRoutes);
 
-        // Note: authorizeBatchOwner middleware already checks if batch exists
-        // and verifies ownership, so we can proceed directly to update
+// Certified growing regions referenced by location proofs
+app.use('/api/regions', generalLimiter, regionRoutes);
 
-        const update = {
-            stage: normalizedStage,
-            actor: validatedData.actor,
-            location: validatedData.location,
-            timestamp: validatedData.timestamp,
-            notes: validatedData.notes
-        };
-
-        const batch = await Batch.findOneAndUpdate(
-            { batchId },
-            {
-                $push: { updates: update },
-                currentStage: normalizedStage,
-                blockchainHash: simulateBlockchainHash(update),
-                syncStatus: 'pending'
-            },
-            { new: true }
-        );
-
-        console.log(`[SUCCESS] Batch updated: ${batchId} to stage ${normalizedStage} by ${validatedData.actor} from IP: ${req.ip}`);
-
-        const response = apiResponse.successResponse(
-            { batch },
-            'Batch updated successfully'
-        );
-        res.json(response);
-    } catch (error) {
-        console.error('Error updating batch:', error);
-        const response = apiResponse.errorResponse(
-            'Failed to update batch',
-            'BATCH_UPDATE_ERROR',
-            500
-        );
-        res.status(500).json(response);
-    }
-});
-
-// ==================== SECURED RECALL ENDPOINT ====================
-
-app.post(
-    '/api/batches/:batchId/recall',
-    batchLimiter,
-    protect,
-    adminOnly,
-    async (req, res) => {
-        try {
-            const { batchId } = req.params;
-
-            const batch = await Batch.findOne({ batchId });
-
-            if (!batch) {
-                return res.status(404).json({ error: 'Batch not found' });
-            }
-
-            if (batch.isRecalled) {
-                return res.status(400).json({ error: 'Batch already recalled' });
-            }
-
-            batch.isRecalled = true;
-            await batch.save();
-
-            console.log(`🚨 RECALL by admin ${req.user?.email || 'unknown'} for batch ${batchId}`);
-
-            res.json({
-                success: true,
-                message: 'Batch recalled successfully',
-                recalledBy: req.user?.email,
-                recalledAt: new Date().toISOString(),
-                batch
-            });
-        } catch (error) {
-            console.error('Error recalling batch:', error);
-            res.status(500).json({ error: 'Failed to recall batch' });
-        }
-    }
-);
-
-// GET all batches
-app.get('/api/batches', batchLimiter, async (req, res) => {
-    try {
-        const allBatches = await Batch.find().sort({ createdAt: -1 });
-
-        const uniqueFarmers = new Set(allBatches.map(b => b.farmerName)).size;
-        const totalQuantity = allBatches.reduce((sum, batch) => sum + batch.quantity, 0);
-
-        const stats = {
-            totalBatches: allBatches.length,
-            totalFarmers: uniqueFarmers,
-            totalQuantity,
-            recentBatches: allBatches.filter(batch => {
-                const monthAgo = new Date();
-                monthAgo.setDate(monthAgo.getDate() - 30);
-                return new Date(batch.createdAt) > monthAgo;
-            }).length
-        };
-
-        console.log(`[SUCCESS] Batches list retrieved from IP: ${req.ip}`);
-
-        const response = apiResponse.successResponse(
-            { stats, batches: allBatches },
-            'Batches retrieved successfully'
-        );
-        res.json(response);
-    } catch (error) {
-        console.error('Error fetching batches:', error);
-        const response = apiResponse.errorResponse(
-            'Failed to fetch batches',
-            'BATCHES_FETCH_ERROR',
-            500
-        );
-        res.status(500).json(response);
-    }
-});
-
-// AI Service - MongoDB only
-const batchServiceForAI = {
-    async getBatch(batchId) {
-        return await Batch.findOne({ batchId });
-    },
-
-    async getDashboardStats() {
-        const allBatches = await Batch.find();
-        const uniqueFarmers = new Set(allBatches.map(b => b.farmerName)).size;
-        const totalQuantity = allBatches.reduce((sum, batch) => sum + batch.quantity, 0);
-
-        return {
-            stats: {
-                totalBatches: allBatches.length,
-                totalFarmers: uniqueFarmers,
-                totalQuantity,
-                recentBatches: allBatches.filter(batch => {
-                    const monthAgo = new Date();
-                    monthAgo.setDate(monthAgo.getDate() - 30);
-                    return new Date(batch.createdAt) > monthAgo;
-                }).length
-            }
-        };
-    }
-};
-
-// AI Service import (ADD THIS if missing)
-// AI Service import (Already imported at initialization)
+// Dashboard aggregations over batches (admin only)
+app.use('/api/analytics', generalLimiter, analyticsRoutes);
 
 app.post('/api/ai/chat', batchLimiter, validateRequest(chatSchema), async (req, res) => {
     try {
@@ -584,7 +267,7 @@ app.post('/api/ai/chat', batchLimiter, validateRequest(chatSchema), async (req,
 
         console.log(`[AI CHAT] Request from IP: ${req.ip} - Message: "${message.substring(0, 50)}..."`);
 
-        const aiResponse = await aiService.chat(message, batchServiceForAI);
+        const aiResponse = await aiService.chat(message, batchService);
 
         console.log(`[AI CHAT SUCCESS] Response generated for IP: ${req.ip}`);
 
@@ -639,11 +322,37 @@ app.use(errorHandlerMiddleware);
 // Import createAdmin script
 const createAdmin = require('./scripts/create-admin');
 
-// Import blockchain listener
-const startListener = require('./services/blockchainListener');
+// Import blockchain event indexer
+const ChainIndexer = require('./services/chainIndexer');
+
+// Import stage SLA scan
+const slaService = require('./services/slaService');
+
+// Import mail service
+const mailService = require('./services/mailService');
+
+/**
+ * Check configuration, then listen. The contract check runs before any request is served,
+ * the admin is created or batches are flagged, so nothing is anchored to the wrong contract.
+ */
+const startServer = async () => {
+    // Refuse to start with a missing or unknown mail transport instead of failing on the first email
+    try {
+        mailService.getTransport();
+    } catch (error) {
+        console.error('❌ Mail configuration invalid:', error.message);
+        process.exit(1);
+    }
+
+    if (contractInstance) {
+        try {
+            await verifyContractDeployment();
+        } catch (error) {
+            console.error('❌ Blockchain startup check failed:', error.message);
+            process.exit(1);
+        }
+    }
 
-// Start server
-if (process.env.NODE_ENV !== 'test') {
     app.listen(PORT, async () => {
         console.log(`🚀 CropChain API server running on port ${PORT}`);
         console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
@@ -683,18 +392,24 @@ if (process.env.NODE_ENV !== 'test') {
 
         console.log('\n✅ Server startup complete\n');
 
-        // Start blockchain event listener
+        // Flag batches that overstay a stage
+        slaService.start();
+
+        // Start blockchain event indexer
         if (contractInstance) {
             try {
-                startListener(contractInstance);
-                console.log('🔗 Blockchain event listener started');
+                await new ChainIndexer(contractInstance, getProvider()).start();
             } catch (error) {
-                console.error('❌ Failed to start blockchain listener:', error.message);
+                console.error('❌ Failed to start blockchain indexer:', error.message);
             }
         } else {
-            console.log('ℹ️  Skipping blockchain listener (no contract instance available)');
+            console.log('ℹ️  Skipping blockchain indexer (no contract instance available)');
         }
     });
+};
+
+if (process.env.NODE_ENV !== 'test') {
+    startServer();
 }
 
 module.exports = app;
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthAuditLog = require('../models/AuthAuditLog');
+const { BusinessRuleError, NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Account Lockout Service
+ * Per-account brute-force protection for password and wallet login, on top of the
+ * per-IP authLimiter. Failed attempts are counted on the user; from the threshold on,
+ * every further failure locks the account for twice as long as the previous one, up to
+ * a maximum. A successful login or an admin unlock clears the counter, and failures are
+ * forgotten after a quiet period. Failures, lockouts, blocked attempts and unlocks are
+ * written to the AuthAuditLog.
+ */
+class AccountLockoutService {
+    constructor() {
+        this.threshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+        this.baseSeconds = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+        this.maxSeconds = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+        this.resetMinutes = parseInt(process.env.LOGIN_FAILURE_RESET_MINUTES) || 60;
+    }
+
+    /**
+     * How long an account is locked after its n-th consecutive failure
+     * @param {number} failedAttempts
+     * @returns {number} - Seconds, 0 below the threshold
+     */
+    lockDurationSeconds(failedAttempts) {
+        if (failedAttempts < this.threshold) {
+            return 0;
+        }
+        return Math.min(this.baseSeconds * 2 ** (failedAttempts - this.threshold), this.maxSeconds);
+    }
+
+    /**
+     * Refuse a login attempt while the account is locked. Checked before the credentials,
+     * so attempts during a lockout neither succeed nor count as failures.
+     * @param {Object} user - User document
+     * @param {{method: string, identifier?: string, ip?: string, userAgent?: string}} attempt
+     * @throws {BusinessRuleError} ACCOUNT_LOCKED (429) with details.retryAfter in seconds
+     */
+    async assertNotLocked(user, attempt) {
+        const { lockedUntil, failedAttempts } = user.loginLockout || {};
+        const now = Date.now();
+
+        if (!lockedUntil || lockedUntil.getTime() <= now) {
+            return;
+        }
+
+        await this._audit(user._id, 'login_blocked', attempt, { failedAttempts, lockedUntil });
+
+        throw new BusinessRuleError(
+            'Account temporarily locked after repeated failed logins. Try again later.',
+            'ACCOUNT_LOCKED',
+            429,
+            { retryAfter: Math.ceil((lockedUntil.getTime() - now) / 1000), lockedUntil }
+        );
+    }
+
+    /**
+     * Count a failed login and lock the account once the threshold is reached
+     * @param {Object} user - User document
+     * @param {{method: string, identifier?: string, ip?: string, userAgent?: string}} attempt
+     * @returns {Promise<{failedAttempts: number, lockedUntil: Date|null}>}
+     */
+    async recordFailure(user, attempt) {
+        const now = new Date();
+        const state = user.loginLockout || {};
+        const lastActivity = Math.max(state.lastFailedAt?.getTime() || 0, state.lockedUntil?.getTime() || 0);
+
+        if (state.failedAttempts && now.getTime() - lastActivity > this.resetMinutes * 60 * 1000) {
+            // Conditional on lastFailedAt so a concurrent failure is not wiped out
+            await User.updateOne(
+                { _id: user._id, 'loginLockout.lastFailedAt': state.lastFailedAt },
+                { $set: { 'loginLockout.failedAttempts': 0 } }
+            );
+        }
+
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id },
+            { $inc: { 'loginLockout.failedAttempts': 1 }, $set: { 'loginLockout.lastFailedAt': now } },
+            { new: true }
+        );
+        const failedAttempts = updated ? updated.loginLockout.failedAttempts : (state.failedAttempts || 0) + 1;
+
+        await this._audit(user._id, 'login_failed', attempt, { failedAttempts });
+
+        const seconds = this.lockDurationSeconds(failedAttempts);
+        if (!seconds) {
+            return { failedAttempts, lockedUntil: null };
+        }
+
+        const lockedUntil = new Date(now.getTime() + seconds * 1000);
+        // $max: concurrent failures never shorten a lock
+        await User.updateOne({ _id: user._id }, { $max: { 'loginLockout.lockedUntil': lockedUntil } });
+        await this._audit(user._id, 'account_locked', attempt, { failedAttempts, lockedUntil });
+
+        console.warn(`[AUTH] Account ${user._id} locked for ${seconds}s after ${failedAttempts} failed ${attempt.method} logins`);
+
+        return { failedAttempts, lockedUntil };
+    }
+
+    /**
+     * Clear the failure counter after a successful login
+     * @param {Object} user - User document
+     */
+    async recordSuccess(user) {
+        const { failedAttempts, lockedUntil } = user.loginLockout || {};
+        if (failedAttempts || lockedUntil) {
+            await User.updateOne(
+                { _id: user._id },
+                { $set: { 'loginLockout.failedAttempts': 0, 'loginLockout.lockedUntil': null } }
+            );
+        }
+    }
+
+    /**
+     * Lift a lockout and clear the failure counter (admin)
+     * @param {string} userId
+     * @param {Object} admin - User document of the admin
+     * @param {{ip?: string, userAgent?: string}} [meta]
+     * @returns {Promise<Object>} - Updated user
+     * @throws {NotFoundError}
+     */
+    async unlock(userId, admin, meta = {}) {
+        const user = mongoose.isValidObjectId(userId)
+            ? await User.findByIdAndUpdate(
+                userId,
+                { $set: { 'loginLockout.failedAttempts': 0, 'loginLockout.lockedUntil': null } },
+                { new: true }
+            )
+            : null;
+        if (!user) {
+            throw new NotFoundError('User', `ID: ${userId}`);
+        }
+
+        await this._audit(user._id, 'account_unlocked', { method: 'admin', identifier: user.email, ...meta }, { actor: admin._id });
+
+        return user;
+    }
+
+    /**
+     * Most recent audit entries of a user, newest first
+     * @param {string} userId
+     * @param {number} [limit=50]
+     * @returns {Promise<Array>}
+     * @throws {NotFoundError}
+     */
+    async getAuditLog(userId, limit = 50) {
+        if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+            throw new NotFoundError('User', `ID: ${userId}`);
+        }
+
+        return AuthAuditLog.find({ user: userId })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .populate('actor', 'name email')
+            .lean();
+    }
+
+    async _audit(userId, event, attempt, fields = {}) {
+        try {
+            await AuthAuditLog.create({
+                user: userId,
+                event,
+                method: attempt.method,
+                identifier: attempt.identifier || null,
+                ip: attempt.ip || null,
+                userAgent: attempt.userAgent || null,
+                ...fields
+            });
+        } catch (error) {
+            // Losing an audit entry must not change the outcome of a login
+            console.error(`[AUTH] Failed to write ${event} audit entry for user ${userId}:`, error.message);
+        }
+    }
+}
+
+module.exports = new AccountLockoutService();
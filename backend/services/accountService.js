@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const sessionService = require('./sessionService');
+const { BusinessRuleError } = require('../utils/errorHandler');
+
+const PURPOSE_PASSWORD_RESET = 'password-reset';
+const PURPOSE_EMAIL_VERIFICATION = 'email-verification';
+
+const INVALID_LINK_MESSAGES = {
+    [PURPOSE_PASSWORD_RESET]: 'Password reset link is invalid or has expired',
+    [PURPOSE_EMAIL_VERIFICATION]: 'Email verification link is invalid or has expired'
+};
+
+const fingerprint = (value) => crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+
+/**
+ * Account Service
+ * Password reset and email verification. Both use signed, expiring tokens that are not
+ * stored: each purpose has its own signing key derived from JWT_SECRET, so they can never
+ * pass as access tokens or as each other. A token also carries a fingerprint of the state
+ * it acts on (the password hash, or the email address), which makes a reset token single
+ * use and voids a verification token when the email changes.
+ */
+class AccountService {
+    constructor() {
+        this.resetTtlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+        this.verificationTtlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+    }
+
+    /**
+     * Email a password reset link if an account uses this email.
+     * Resolves the same way whether or not it does, so callers cannot probe for accounts.
+     * @param {string} email - Lowercase email
+     * @returns {Promise<void>}
+     */
+    async requestPasswordReset(email) {
+        const user = await User.findOne({ email }).select('+password');
+        if (!user) {
+            return;
+        }
+
+        const token = this._sign(PURPOSE_PASSWORD_RESET, user._id, user.password, `${this.resetTtlMinutes}m`);
+        await mailService.sendPasswordReset(user, token, this.resetTtlMinutes);
+    }
+
+    /**
+     * Set a new password with a reset token and end all of the user's sessions
+     * @param {string} token - Password reset token
+     * @param {string} password - New password, already validated
+     * @returns {Promise<Object>} - Updated user
+     * @throws {BusinessRuleError} INVALID_TOKEN when the token is malformed, expired or already used
+     */
+    async resetPassword(token, password) {
+        const { user } = await this._verify(PURPOSE_PASSWORD_RESET, token, (u) => u.password);
+        const hashedPassword = await bcrypt.hash(password, await bcrypt.genSalt(12));
+
+        // Conditional on the old hash, so the token works once even under concurrent requests.
+        // Receiving the link also proves the user controls the address.
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, password: user.password },
+            { $set: { password: hashedPassword, emailVerified: true, emailVerifiedAt: user.emailVerifiedAt || new Date() } },
+            { new: true }
+        );
+        if (!updated) {
+            throw this._invalid(PURPOSE_PASSWORD_RESET);
+        }
+
+        await sessionService.revokeAllSessions(user._id);
+        return updated;
+    }
+
+    /**
+     * Email a link that confirms the user's address
+     * @param {Object} user - User document
+     * @returns {Promise<void>}
+     * @throws {BusinessRuleError} EMAIL_ALREADY_VERIFIED
+     */
+    async sendEmailVerification(user) {
+        if (user.emailVerified) {
+            throw new BusinessRuleError('Email is already verified', 'EMAIL_ALREADY_VERIFIED', 409);
+        }
+
+        const token = this._sign(PURPOSE_EMAIL_VERIFICATION, user._id, user.email, `${this.verificationTtlHours}h`);
+        await mailService.sendEmailVerification(user, token, this.verificationTtlHours);
+    }
+
+    /**
+     * Mark the user's email as verified. Verifying twice is not an error.
+     * @param {string} token - Email verification token
+     * @returns {Promise<Object>} - Updated user
+     * @throws {BusinessRuleError} INVALID_TOKEN when the token is malformed, expired or for another address
+     */
+    async verifyEmail(token) {
+        const { user } = await this._verify(PURPOSE_EMAIL_VERIFICATION, token, (u) => u.email);
+
+        if (user.emailVerified) {
+            return user;
+        }
+
+        return User.findByIdAndUpdate(
+            user._id,
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+            { new: true }
+        );
+    }
+
+    _key(purpose) {
+        return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`cropchain:${purpose}`).digest();
+    }
+
+    _sign(purpose, userId, state, expiresIn) {
+        return jwt.sign(
+            { sub: String(userId), purpose, fp: fingerprint(state) },
+            this._key(purpose),
+            { expiresIn }
+        );
+    }
+
+    async _verify(purpose, token, stateOf) {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, this._key(purpose));
+        } catch (error) {
+            throw this._invalid(purpose);
+        }
+        if (decoded.purpose !== purpose) {
+            throw this._invalid(purpose);
+        }
+
+        const user = await User.findById(decoded.sub).select('+password');
+        if (!user || fingerprint(stateOf(user)) !== decoded.fp) {
+            throw this._invalid(purpose);
+        }
+
+        return { user, decoded };
+    }
+
+    _invalid(purpose) {
+        return new BusinessRuleError(INVALID_LINK_MESSAGES[purpose], 'INVALID_TOKEN', 400);
+    }
+}
+
+module.exports = new AccountService();
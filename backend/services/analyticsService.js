@@ -0,0 +1,229 @@
+const Batch = require('../models/Batch');
+const STAGES = require('../constants/stages');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Bucket key of each groupBy option of batchVolume
+const VOLUME_GROUP_KEYS = {
+    crop: '$cropType',
+    month: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
+    region: '$origin'
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Updates without a timestamp leave no dwell time
+const toHours = (ms) => (ms === null || ms === undefined ? null : round(ms / HOUR_MS));
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+/**
+ * Every month from first to last (YYYY-MM, inclusive)
+ */
+const monthRange = (first, last) => {
+    const months = [];
+    let [year, month] = first.split('-').map(Number);
+    for (let key = first; key <= last; key = `${year}-${String(month).padStart(2, '0')}`) {
+        months.push(key);
+        month += 1;
+        if (month > 12) {
+            month = 1;
+            year += 1;
+        }
+    }
+    return months;
+};
+
+/**
+ * Analytics Service
+ * Aggregations over batches for the admin dashboard, computed in MongoDB. Every report
+ * takes an optional date range applied to the batch creation date; months are UTC.
+ */
+class AnalyticsService {
+    /**
+     * $match stage for a creation date range
+     * @param {{from?: Date, to?: Date}} range - Both bounds inclusive
+     * @returns {Object}
+     */
+    matchRange({ from, to } = {}) {
+        if (!from && !to) {
+            return {};
+        }
+        return {
+            createdAt: {
+                ...(from && { $gte: from }),
+                ...(to && { $lte: to })
+            }
+        };
+    }
+
+    /**
+     * Batch count and quantity per crop type, month or origin region
+     * @param {{groupBy: 'crop'|'month'|'region', from?: Date, to?: Date, limit?: number}} query
+     *   limit caps the number of regions, largest quantity first
+     * @returns {Promise<{groupBy: string, buckets: Array<{key: string, batches: number, quantity: number}>}>}
+     *   Months are in order and include the empty ones in the range
+     */
+    async batchVolume({ groupBy = 'crop', from, to, limit = 10 } = {}) {
+        const pipeline = [
+            { $match: this.matchRange({ from, to }) },
+            { $group: { _id: VOLUME_GROUP_KEYS[groupBy], batches: { $sum: 1 }, quantity: { $sum: '$quantity' } } },
+            { $project: { _id: 0, key: '$_id', batches: 1, quantity: 1 } },
+            { $sort: groupBy === 'month' ? { key: 1 } : { quantity: -1, key: 1 } }
+        ];
+        if (groupBy === 'region') {
+            pipeline.push({ $limit: limit });
+        }
+
+        const buckets = await Batch.aggregate(pipeline);
+
+        if (groupBy !== 'month' || (!buckets.length && !from)) {
+            return { groupBy, buckets };
+        }
+
+        const byMonth = new Map(buckets.map((bucket) => [bucket.key, bucket]));
+        const first = from ? monthKey(from) : buckets[0].key;
+        return {
+            groupBy,
+            buckets: monthRange(first, monthKey(to || new Date()))
+                .map((key) => byMonth.get(key) || { key, batches: 0, quantity: 0 })
+        };
+    }
+
+    /**
+     * Average time batches spend in each stage, from one update's timestamp to the next.
+     * The retailer stage is terminal and has no dwell time.
+     * @param {{from?: Date, to?: Date}} [range]
+     * @returns {Promise<{stages: Array<{stage: string, batches: number, avgHours: number|null, minHours: number|null, maxHours: number|null}>}>}
+     */
+    async stageDwellTimes(range = {}) {
+        const rows = await Batch.aggregate([
+            { $match: { ...this.matchRange(range), 'updates.1': { $exists: true } } },
+            {
+                $project: {
+                    dwell: {
+                        $map: {
+                            input: { $range: [0, { $subtract: [{ $size: '$updates' }, 1] }] },
+                            as: 'i',
+                            in: {
+                                stage: { $arrayElemAt: ['$updates.stage', '$$i'] },
+                                ms: {
+                                    $subtract: [
+                                        { $arrayElemAt: ['$updates.timestamp', { $add: ['$$i', 1] }] },
+                                        { $arrayElemAt: ['$updates.timestamp', '$$i'] }
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            { $unwind: '$dwell' },
+            {
+                $group: {
+                    _id: '$dwell.stage',
+                    batches: { $sum: 1 },
+                    avgMs: { $avg: '$dwell.ms' },
+                    minMs: { $min: '$dwell.ms' },
+                    maxMs: { $max: '$dwell.ms' }
+                }
+            }
+        ]);
+
+        const byStage = new Map(rows.map((row) => [row._id, row]));
+        return {
+            stages: STAGES.slice(0, -1).map((stage) => {
+                const row = byStage.get(stage);
+                return {
+                    stage,
+                    batches: row ? row.batches : 0,
+                    avgHours: row ? toHours(row.avgMs) : null,
+                    minHours: row ? toHours(row.minMs) : null,
+                    maxHours: row ? toHours(row.maxMs) : null
+                };
+            })
+        };
+    }
+
+    /**
+     * Share of batches that were recalled
+     * @param {{from?: Date, to?: Date}} [range]
+     * @returns {Promise<{totalBatches: number, recalledBatches: number, recallRate: number}>}
+     *   recallRate is a fraction (0-1)
+     */
+    async recallRate(range = {}) {
+        const [row] = await Batch.aggregate([
+            { $match: this.matchRange(range) },
+            {
+                $group: {
+                    _id: null,
+                    totalBatches: { $sum: 1 },
+                    recalledBatches: { $sum: { $cond: ['$isRecalled', 1, 0] } }
+                }
+            }
+        ]);
+
+        const { totalBatches = 0, recalledBatches = 0 } = row || {};
+        return {
+            totalBatches,
+            recalledBatches,
+            recallRate: totalBatches ? round(recalledBatches / totalBatches, 4) : 0
+        };
+    }
+
+    /**
+     * Share of batches whose latest on-chain anchoring failed
+     * @param {{from?: Date, to?: Date}} [range]
+     * @returns {Promise<{totalBatches: number, synced: number, pending: number, error: number, errorRate: number}>}
+     *   errorRate is a fraction (0-1)
+     */
+    async syncErrorRate(range = {}) {
+        const rows = await Batch.aggregate([
+            { $match: this.matchRange(range) },
+            { $group: { _id: '$syncStatus', count: { $sum: 1 } } }
+        ]);
+
+        const counts = { synced: 0, pending: 0, error: 0 };
+        rows.forEach(({ _id, count }) => {
+            if (_id in counts) {
+                counts[_id] += count;
+            }
+        });
+        const totalBatches = counts.synced + counts.pending + counts.error;
+
+        return {
+            totalBatches,
+            ...counts,
+            errorRate: totalBatches ? round(counts.error / totalBatches, 4) : 0
+        };
+    }
+
+    /**
+     * Farmers with the largest total quantity
+     * @param {{from?: Date, to?: Date, limit?: number}} [query]
+     * @returns {Promise<{farmers: Array<{farmerId: string, farmerName: string, batches: number, quantity: number, recalledBatches: number}>}>}
+     */
+    async topFarmers({ from, to, limit = 10 } = {}) {
+        const farmers = await Batch.aggregate([
+            { $match: this.matchRange({ from, to }) },
+            { $sort: { createdAt: 1 } },
+            {
+                $group: {
+                    _id: '$farmerId',
+                    // Name on the farmer's latest batch
+                    farmerName: { $last: '$farmerName' },
+                    batches: { $sum: 1 },
+                    quantity: { $sum: '$quantity' },
+                    recalledBatches: { $sum: { $cond: ['$isRecalled', 1, 0] } }
+                }
+            },
+            { $sort: { quantity: -1, batches: -1, _id: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, farmerId: '$_id', farmerName: 1, batches: 1, quantity: 1, recalledBatches: 1 } }
+        ]);
+
+        return { farmers };
+    }
+}
+
+module.exports = new AnalyticsService();
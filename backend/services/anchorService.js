@@ -0,0 +1,420 @@
+const { ethers } = require('ethers');
+const Batch = require('../models/Batch');
+const STAGES = require('../constants/stages');
+const { toChainSeverity } = require('../constants/recall');
+const { getContract } = require('../config/blockchain');
+const { toChainBatchId } = require('../utils/batchId');
+const { toVerifierArgs } = require('../utils/zkProof');
+
+// An update recorded in MongoDB whose transaction was never sent or failed. The creation update
+// is left out: split and merged batches are created by their source's transaction, without a txHash.
+const hasUnsentUpdates = (batch) => (batch.updates || []).slice(1).some((update) => !update.txHash);
+
+/**
+ * Anchor Service
+ * Submits batch creations and supply chain updates to the CropChain contract
+ * and records the transaction outcome on the MongoDB batch document.
+ *
+ * syncStatus lifecycle: pending (saved in Mongo) → synced (receipt of the latest transaction confirmed,
+ *                                                          no update left unsent)
+ *                                                → error (send failed or reverted)
+ *
+ * originProof lifecycle: pending → verified (recorded by CropChain.recordOriginProof)
+ *                                → rejected (the contract refused the proof)
+ *
+ * Transactions for one batch are sent in the order they were queued, each once the previous
+ * one is mined: the contract rejects an update for a batch whose createBatch it has not seen.
+ */
+class AnchorService {
+    constructor() {
+        this.confirmations = parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS) || 1;
+        this.txTimeoutMs = parseInt(process.env.BLOCKCHAIN_TX_TIMEOUT_MS) || 120000;
+        // Batch ID → settled promise of the last task queued for the batch
+        this.queues = new Map();
+    }
+
+    /**
+     * On-chain crop type key: keccak256 of the upper-cased crop type
+     * @param {string} cropType - e.g. rice
+     * @returns {string} - bytes32 hex string
+     */
+    toCropTypeHash(cropType) {
+        return ethers.id(cropType.toUpperCase());
+    }
+
+    /**
+     * Map a stage name to the contract's Stage enum index
+     * @param {string} stage - farmer/mandi/transport/retailer
+     * @returns {number}
+     */
+    toChainStage(stage) {
+        const index = STAGES.indexOf(stage.toLowerCase());
+        if (index === -1) {
+            throw new Error(`Unknown stage: ${stage}`);
+        }
+        return index;
+    }
+
+    /**
+     * On-chain evidence key: keccak256 of the evidence references, one per line
+     * @param {string[]} evidence - URLs or IPFS CIDs
+     * @returns {string} - bytes32 hex string, zero when there is no evidence
+     */
+    toEvidenceHash(evidence = []) {
+        return evidence.length ? ethers.id(evidence.join('\n')) : ethers.ZeroHash;
+    }
+
+    /**
+     * Anchor a newly created batch with CropChain.createBatch
+     * @param {Object} batch - Saved Batch document
+     * @returns {Promise<Object|null>} - Anchoring result, null if blockchain is not configured
+     */
+    async anchorBatchCreation(batch) {
+        const initialUpdate = batch.updates?.[0];
+
+        const result = await this._submit(batch.batchId, initialUpdate?._id, (contract) => contract.createBatch(
+            toChainBatchId(batch.batchId),
+            this.toCropTypeHash(batch.cropType),
+            '',
+            batch.quantity,
+            initialUpdate?.actor || batch.farmerName,
+            initialUpdate?.location || batch.origin,
+            initialUpdate?.notes || ''
+        ));
+
+        // The contract only accepts origin proofs for batches it already knows, so a proof
+        // attached while the creation was being mined is recorded now
+        if (result?.syncStatus === 'synced') {
+            try {
+                const stored = await Batch.findOne({ batchId: batch.batchId }).select('originProof');
+                if (stored?.originProof?.proof && stored.originProof.status === 'pending') {
+                    result.originProof = await this.anchorOriginProof(batch.batchId, stored.originProof);
+                }
+            } catch (error) {
+                // The proof stays pending; attaching it again re-submits it
+                console.error(`[CHAIN ERROR] Could not record origin proof for ${batch.batchId}:`, error.message);
+                result.originProof = { status: 'pending', error: error.message };
+
+                try {
+                    await Batch.updateOne(
+                        { batchId: batch.batchId, 'originProof.status': 'pending' },
+                        { $set: { 'originProof.error': error.message } }
+                    );
+                } catch (dbError) {
+                    console.error(`[CHAIN ERROR] Could not record origin proof error for ${batch.batchId}:`, dbError.message);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Record a location proof with CropChain.recordOriginProof, which checks it
+     * against the registered Groth16 verifier.
+     * Never throws - the outcome is stored on batch.originProof. Reverts mark the proof
+     * rejected; anything else (RPC down, timeout) leaves it pending for a retry.
+     * @param {string} batchId - Human readable batch ID
+     * @param {{proof: Object, publicSignals: string[]}} originProof
+     * @returns {Promise<Object|null>} - Recording result, null if blockchain is not configured
+     */
+    async anchorOriginProof(batchId, originProof) {
+        const contract = getContract();
+
+        if (!contract) {
+            return null;
+        }
+
+        return this._enqueue([batchId], () => this._sendOriginProof(contract, batchId, originProof));
+    }
+
+    async _sendOriginProof(contract, batchId, originProof) {
+        try {
+            const tx = await contract.recordOriginProof(
+                toChainBatchId(batchId),
+                ...toVerifierArgs(originProof.proof, originProof.publicSignals)
+            );
+            const receipt = await tx.wait(this.confirmations, this.txTimeoutMs);
+
+            await Batch.updateOne({ batchId }, {
+                $set: {
+                    'originProof.status': 'verified',
+                    'originProof.txHash': receipt.hash,
+                    'originProof.blockNumber': receipt.blockNumber,
+                    'originProof.verifiedAt': new Date(),
+                    'originProof.error': null
+                }
+            });
+
+            console.log(`[CHAIN] Origin proof for ${batchId} recorded in tx ${receipt.hash}`);
+
+            return { status: 'verified', txHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (error) {
+            const reason = error.shortMessage || error.reason || error.message;
+            const status = error.code === 'CALL_EXCEPTION' ? 'rejected' : 'pending';
+            console.error(`[CHAIN ERROR] Failed to record origin proof for ${batchId}: ${reason}`);
+
+            try {
+                // A proof recorded by a concurrent submission stays verified
+                await Batch.updateOne({ batchId, 'originProof.status': { $ne: 'verified' } }, {
+                    $set: {
+                        'originProof.status': status,
+                        'originProof.error': reason
+                    }
+                });
+            } catch (dbError) {
+                console.error(`[CHAIN ERROR] Could not record origin proof error for ${batchId}:`, dbError.message);
+            }
+
+            return { status, error: reason };
+        }
+    }
+
+    /**
+     * Anchor a supply chain update with CropChain.updateBatch
+     * @param {string} batchId - Human readable batch ID
+     * @param {Object} update - The update subdocument that was pushed
+     * @returns {Promise<Object|null>} - Anchoring result, null if blockchain is not configured
+     */
+    async anchorBatchUpdate(batchId, update) {
+        return this._submit(batchId, update._id, (contract) => contract.updateBatch(
+            toChainBatchId(batchId),
+            this.toChainStage(update.stage),
+            update.actor,
+            update.location,
+            update.notes || ''
+        ));
+    }
+
+    /**
+     * Anchor a split with CropChain.splitBatch. The contract creates the child batches at the
+     * parent's stage and consumes the parent, so the outcome is recorded on all of them.
+     * @param {Object} parent - Split batch document
+     * @param {Object[]} children - Child batch documents, in the order they were created
+     * @returns {Promise<Object|null>} - Anchoring result, null if blockchain is not configured
+     */
+    async anchorBatchSplit(parent, children) {
+        const initialUpdate = children[0].updates?.[0];
+
+        return this._submit([parent.batchId, ...children.map((child) => child.batchId)], null, (contract) => contract.splitBatch(
+            toChainBatchId(parent.batchId),
+            children.map((child) => toChainBatchId(child.batchId)),
+            children.map((child) => child.quantity),
+            initialUpdate?.actor || '',
+            initialUpdate?.location || '',
+            initialUpdate?.notes || ''
+        ));
+    }
+
+    /**
+     * Anchor a merge with CropChain.mergeBatches, which creates the merged batch and consumes its parents
+     * @param {Object[]} parents - Merged batch documents
+     * @param {Object} merged - New batch document
+     * @returns {Promise<Object|null>} - Anchoring result, null if blockchain is not configured
+     */
+    async anchorBatchMerge(parents, merged) {
+        const initialUpdate = merged.updates?.[0];
+
+        return this._submit([...parents.map((parent) => parent.batchId), merged.batchId], null, (contract) => contract.mergeBatches(
+            parents.map((parent) => toChainBatchId(parent.batchId)),
+            toChainBatchId(merged.batchId),
+            initialUpdate?.actor || '',
+            initialUpdate?.location || '',
+            initialUpdate?.notes || ''
+        ));
+    }
+
+    /**
+     * Anchor a recall with CropChain.recallBatch. The contract recalls the batches derived from
+     * the source batch and cancels their listings itself, so the outcome is recorded on the recall
+     * of all of them. Their own blockchainHash and syncStatus track the transactions that anchored
+     * the batches and are left alone.
+     * Never throws - failures are recorded as recall.syncStatus 'error'.
+     * @param {string} sourceBatchId - Batch the recall was issued for
+     * @param {string[]} batchIds - Batches whose earlier transactions the recall waits for
+     * @param {{severity: string, reason: string, evidenceHash: string}} recall
+     * @returns {Promise<Object|null>} - Anchoring result, null if blockchain is not configured
+     */
+    async anchorRecall(sourceBatchId, batchIds, recall) {
+        const contract = getContract();
+
+        if (!contract) {
+            return null;
+        }
+
+        return this._enqueue([].concat(batchIds), () => this._sendRecall(contract, sourceBatchId, recall));
+    }
+
+    async _sendRecall(contract, sourceBatchId, recall) {
+        const filter = { 'recall.sourceBatchId': sourceBatchId };
+
+        try {
+            const tx = await contract.recallBatch(
+                toChainBatchId(sourceBatchId),
+                toChainSeverity(recall.severity),
+                recall.reason,
+                recall.evidenceHash
+            );
+
+            await Batch.updateMany(filter, {
+                $set: { 'recall.txHash': tx.hash, 'recall.syncStatus': 'pending', 'recall.syncError': null }
+            });
+
+            const receipt = await tx.wait(this.confirmations, this.txTimeoutMs);
+            const confirmations = Math.max(await receipt.confirmations(), this.confirmations);
+
+            await Batch.updateMany(filter, {
+                $set: { 'recall.syncStatus': 'synced', 'recall.blockNumber': receipt.blockNumber }
+            });
+
+            console.log(`[CHAIN] Recall of batch ${sourceBatchId} anchored in tx ${receipt.hash} (block ${receipt.blockNumber}, ${confirmations} confirmations)`);
+
+            return {
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                confirmations,
+                syncStatus: 'synced'
+            };
+        } catch (error) {
+            const reason = error.shortMessage || error.reason || error.message;
+            console.error(`[CHAIN ERROR] Failed to anchor recall of batch ${sourceBatchId}: ${reason}`);
+
+            try {
+                await Batch.updateMany(filter, { $set: { 'recall.syncStatus': 'error', 'recall.syncError': reason } });
+            } catch (dbError) {
+                console.error(`[CHAIN ERROR] Could not record recall sync error for ${sourceBatchId}:`, dbError.message);
+            }
+
+            return {
+                txHash: error.receipt?.hash || null,
+                syncStatus: 'error',
+                error: reason
+            };
+        }
+    }
+
+    /**
+     * Once the batches' earlier transactions are mined, send a transaction, persist its hash,
+     * wait for the receipt and record block number and confirmation count.
+     * Never throws - failures are recorded as syncStatus 'error'.
+     * @param {string|string[]} batchId - Batch, or every batch the transaction changes
+     */
+    async _submit(batchId, updateId, send) {
+        const contract = getContract();
+
+        if (!contract) {
+            // Leave the batch pending; `npm run reconcile -- --fix` re-submits it once the chain is configured
+            return null;
+        }
+
+        const batchIds = [].concat(batchId);
+        return this._enqueue(batchIds, () => this._send(contract, batchIds, updateId, send));
+    }
+
+    async _send(contract, batchIds, updateId, send) {
+        const label = batchIds.join(', ');
+        const key = { batchId: batchIds[0] };
+        const filter = updateId ? { ...key, 'updates._id': updateId } : key;
+
+        try {
+            const tx = await send(contract);
+
+            await this._record(batchIds, filter, {
+                $set: {
+                    blockchainHash: tx.hash,
+                    syncStatus: 'pending',
+                    syncError: null,
+                    ...(updateId && { 'updates.$.txHash': tx.hash })
+                }
+            });
+
+            const receipt = await tx.wait(this.confirmations, this.txTimeoutMs);
+            // wait() already guarantees the requested depth; the provider's cached block number can lag behind it
+            const confirmations = Math.max(await receipt.confirmations(), this.confirmations);
+
+            await this._recordReceipt(batchIds, receipt, confirmations);
+
+            console.log(`[CHAIN] Batch ${label} anchored in tx ${receipt.hash} (block ${receipt.blockNumber}, ${confirmations} confirmations)`);
+
+            return {
+                txHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                confirmations,
+                syncStatus: 'synced'
+            };
+        } catch (error) {
+            const reason = error.shortMessage || error.reason || error.message;
+            console.error(`[CHAIN ERROR] Failed to anchor batch ${label}: ${reason}`);
+
+            try {
+                // A reverted update counts as unsent, so later transactions do not mark the batch synced
+                await this._record(batchIds, filter, {
+                    $set: {
+                        syncStatus: 'error',
+                        syncError: reason,
+                        ...(updateId && { 'updates.$.txHash': null })
+                    }
+                });
+            } catch (dbError) {
+                console.error(`[CHAIN ERROR] Could not record sync error for ${label}:`, dbError.message);
+            }
+
+            return {
+                txHash: error.receipt?.hash || null,
+                syncStatus: 'error',
+                error: reason
+            };
+        }
+    }
+
+    /**
+     * Record a confirmed transaction on the batches it is still the latest anchoring transaction of.
+     * Those are marked synced unless one of their updates is unsent; an older transaction
+     * confirming late leaves the batches alone.
+     * @param {string[]} batchIds - Every batch the transaction changes
+     */
+    async _recordReceipt(batchIds, receipt, confirmations) {
+        const latest = await Batch.find({ batchId: { $in: batchIds }, blockchainHash: receipt.hash }).select('batchId updates.txHash');
+        const block = { blockNumber: receipt.blockNumber, confirmations };
+        const synced = latest.filter((batch) => !hasUnsentUpdates(batch)).map((batch) => batch.batchId);
+        const waiting = latest.filter(hasUnsentUpdates).map((batch) => batch.batchId);
+
+        if (synced.length) {
+            await Batch.updateMany(
+                { batchId: { $in: synced }, blockchainHash: receipt.hash },
+                { $set: { ...block, syncStatus: 'synced', syncedAt: new Date() } }
+            );
+        }
+        if (waiting.length) {
+            await Batch.updateMany({ batchId: { $in: waiting }, blockchainHash: receipt.hash }, { $set: block });
+        }
+    }
+
+    /**
+     * Run a task once every task queued earlier for any of the batches has finished
+     * @param {string[]} batchIds - Batches the task sends a transaction for
+     * @param {Function} task - Returns a promise
+     * @returns {Promise} - The task's result
+     */
+    _enqueue(batchIds, task) {
+        const previous = batchIds.map((id) => this.queues.get(id)).filter(Boolean);
+        const run = Promise.all(previous).then(task);
+        const settled = run.then(() => {}, () => {});
+
+        batchIds.forEach((id) => this.queues.set(id, settled));
+        settled.then(() => batchIds.forEach((id) => {
+            if (this.queues.get(id) === settled) this.queues.delete(id);
+        }));
+
+        return run;
+    }
+
+    // One batch is matched by `filter`; a transaction that changes several batches is recorded on all of them
+    _record(batchIds, filter, update) {
+        return batchIds.length === 1
+            ? Batch.updateOne(filter, update)
+            : Batch.updateMany({ batchId: { $in: batchIds } }, update);
+    }
+}
+
+module.exports = new AnchorService();
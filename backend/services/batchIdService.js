@@ -0,0 +1,149 @@
+const Counter = require('../models/Counter');
+
+const envInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Batch ID Service
+ * Issues human readable batch IDs of the form PREFIX[-ORG]-YYYY-NNN:
+ *
+ *   CROP-2025-001        default
+ *   CROP-PB-2025-001     with an organisation / region code
+ *
+ * Sequences come from an atomic Counter per (org, year), so numbering restarts every
+ * year and IDs never collide across organisations. Sequences that outgrow the
+ * configured width keep all their digits (CROP-2025-1000) instead of being truncated.
+ */
+class BatchIdService {
+    constructor() {
+        this.prefix = (process.env.BATCH_ID_PREFIX || 'CROP').toUpperCase();
+        this.width = envInt(process.env.BATCH_ID_WIDTH, 3);
+        this.orgCode = process.env.BATCH_ID_ORG_CODE ? process.env.BATCH_ID_ORG_CODE.toUpperCase() : null;
+    }
+
+    /**
+     * Pattern matching any ID this service can issue
+     * @returns {RegExp} - Captures org code (optional), year and sequence
+     */
+    get pattern() {
+        return new RegExp(`^${this.prefix}(?:-([A-Z0-9]{2,10}))?-(\\d{4})-(\\d{${this.width},})$`);
+    }
+
+    /**
+     * Build a batch ID
+     * @param {Object} parts
+     * @param {number} parts.year - Four digit year
+     * @param {number} parts.seq - Sequence number within the year
+     * @param {string} [parts.orgCode] - Organisation / region code
+     * @returns {string}
+     */
+    format({ year, seq, orgCode = null }) {
+        const segments = [this.prefix];
+        if (orgCode) {
+            if (!/^[A-Z0-9]{2,10}$/i.test(orgCode)) {
+                throw new Error(`Invalid batch ID org code "${orgCode}" (2-10 letters or digits)`);
+            }
+            segments.push(orgCode.toUpperCase());
+        }
+        segments.push(String(year), String(seq).padStart(this.width, '0'));
+        return segments.join('-');
+    }
+
+    /**
+     * Split a batch ID into its parts
+     * @param {string} batchId
+     * @returns {{orgCode: string|null, year: number, seq: number}|null} - null if the ID is not well formed
+     */
+    parse(batchId) {
+        const match = this.pattern.exec(batchId || '');
+        if (!match) return null;
+
+        return {
+            orgCode: match[1] || null,
+            year: Number(match[2]),
+            seq: Number(match[3])
+        };
+    }
+
+    /**
+     * Check whether a value is a well formed batch ID
+     * @param {string} batchId
+     * @returns {boolean}
+     */
+    isValid(batchId) {
+        return this.parse(batchId) !== null;
+    }
+
+    /**
+     * Counter document that holds the sequence for an organisation and year
+     * @param {number} year
+     * @param {string} [orgCode]
+     * @returns {string} - e.g. batchId:2025 or batchId:PB:2025
+     */
+    counterName(year, orgCode = null) {
+        return orgCode ? `batchId:${orgCode.toUpperCase()}:${year}` : `batchId:${year}`;
+    }
+
+    /**
+     * Validate existing batch IDs before switching to per-year counters
+     * @param {string[]} batchIds - Every batchId currently stored
+     * @returns {{invalid: string[], collisions: string[][], counters: Object<string, number>}}
+     *   invalid    - IDs that don't match the configured format
+     *   collisions - groups of distinct IDs sharing org, year and sequence (e.g. CROP-2024-001 / CROP-2024-0001)
+     *   counters   - highest sequence in use per counter name, to seed the per-year counters with
+     */
+    audit(batchIds) {
+        const invalid = [];
+        const bySequence = new Map();
+        const counters = {};
+
+        for (const batchId of batchIds) {
+            const parts = this.parse(batchId);
+            if (!parts) {
+                invalid.push(batchId);
+                continue;
+            }
+
+            const key = `${parts.orgCode || ''}:${parts.year}:${parts.seq}`;
+            if (!bySequence.has(key)) bySequence.set(key, new Set());
+            bySequence.get(key).add(batchId);
+
+            const name = this.counterName(parts.year, parts.orgCode);
+            counters[name] = Math.max(counters[name] || 0, parts.seq);
+        }
+
+        const collisions = [...bySequence.values()]
+            .filter((ids) => ids.size > 1)
+            .map((ids) => [...ids]);
+
+        return { invalid, collisions, counters };
+    }
+
+    /**
+     * Generate the next batch ID with optional session support for transaction safety
+     * @param {Object} [options]
+     * @param {mongoose.ClientSession} [options.session] - MongoDB session for transaction
+     * @param {string} [options.orgCode] - Overrides BATCH_ID_ORG_CODE
+     * @param {Date} [options.date] - Date whose UTC year the ID belongs to (defaults to now)
+     * @returns {Promise<string>} - Generated batch ID
+     */
+    async generate({ session = null, orgCode = this.orgCode, date = new Date() } = {}) {
+        const year = date.getUTCFullYear();
+        const options = { new: true, upsert: true };
+        if (session) {
+            options.session = session;
+        }
+
+        const counter = await Counter.findOneAndUpdate(
+            { name: this.counterName(year, orgCode) },
+            { $inc: { seq: 1 } },
+            options
+        );
+
+        return this.format({ year, seq: counter.seq, orgCode });
+    }
+}
+
+module.exports = new BatchIdService();
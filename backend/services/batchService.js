@@ -0,0 +1,784 @@
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const Batch = require('../models/Batch');
+const batchIdService = require('./batchIdService');
+const anchorService = require('./anchorService');
+const zkService = require('./zkService');
+const { toChainBatchId } = require('../utils/batchId');
+const { toBatchSignal, batchSignalOf } = require('../utils/zkProof');
+const { STAGES, STAGE_ROLES, getNextStage, isNextStage, canRoleUpdateStage } = require('../constants/stages');
+const { NotFoundError, ValidationError, BusinessRuleError, ForbiddenError } = require('../utils/errorHandler');
+
+const BATCH_STATUSES = ['Active', 'Flagged', 'Inactive'];
+
+// Left out of list responses: the QR code data URL and the raw proof are large
+const LIST_PROJECTION = '-qrCode -originProof.proof';
+const DATE_SORT_FIELDS = ['createdAt', 'harvestDate'];
+
+// Fields of the batches in a lineage graph
+const LINEAGE_FIELDS = ['batchId', 'cropType', 'quantity', 'currentStage', 'isRecalled', 'status', 'farmerName',
+    'origin', 'harvestDate', 'parentBatchIds', 'childBatchIds', 'derivedBy', 'consumedBy', 'syncStatus', 'createdAt'];
+const MAX_BATCH_QUANTITY = 1000000;
+// Inserts retried with a fresh batch ID when the ID is taken (a Counter behind the batches, e.g. after a restore)
+const MAX_BATCH_ID_ATTEMPTS = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Batch Service
+ * Business logic for crop batches, shared by the HTTP controller and the AI assistant.
+ * Methods take plain data and throw CustomError subclasses, so they can be used and
+ * tested without Express.
+ */
+class BatchService {
+    /**
+     * Generate the QR code shown on batch labels
+     * @param {string} batchId
+     * @returns {Promise<string>} - Data URL, or '' if generation failed
+     */
+    async generateQRCode(batchId) {
+        try {
+            return await QRCode.toDataURL(batchId, {
+                width: 200,
+                margin: 2,
+                color: {
+                    dark: '#22c55e',
+                    light: '#ffffff'
+                }
+            });
+        } catch (error) {
+            console.error('Failed to generate QR code:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Create a batch and queue its on-chain anchoring.
+     * The batch ID is generated inside a MongoDB transaction to prevent race conditions (CVSS 7.5 fix).
+     * An ID that is already taken is retried with the next one in the sequence.
+     * @param {Object} data - Validated createBatchSchema payload
+     * @param {Object} user - Authenticated user ({ id, name, farmerId?, address? })
+     * @returns {Promise<Object>} - Created batch document
+     */
+    async createBatch(data, user) {
+        for (let attempt = 1; ; attempt += 1) {
+            try {
+                const batch = await this._insertBatch(data, user);
+
+                // Anchor on-chain in the background; syncStatus moves to synced/error once the receipt arrives
+                anchorService.anchorBatchCreation(batch)
+                    .catch((error) => console.error(`[CHAIN ERROR] Anchoring batch ${batch.batchId} failed:`, error.message));
+
+                return batch;
+            } catch (error) {
+                if (error?.code !== 11000 || attempt === MAX_BATCH_ID_ATTEMPTS) {
+                    throw error;
+                }
+                console.warn(`Batch ID already taken, retrying with the next one (attempt ${attempt + 1})`);
+            }
+        }
+    }
+
+    /**
+     * Insert a new batch under the next batch ID in one transaction
+     * @private
+     */
+    async _insertBatch(data, user) {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const batchId = await batchIdService.generate({ session });
+            const qrCode = await this.generateQRCode(batchId);
+
+            const [batch] = await Batch.create([{
+                batchId,
+                farmerId: user.farmerId || user.id,
+                farmerName: data.farmerName || user.name,
+                farmerAddress: data.farmerAddress || user.address || '',
+                cropType: data.cropType,
+                quantity: data.quantity,
+                harvestDate: data.harvestDate,
+                origin: data.origin,
+                certifications: data.certifications,
+                description: data.description,
+                currentStage: 'farmer',
+                isRecalled: false,
+                qrCode,
+                syncStatus: 'pending',
+                updates: [{
+                    stage: 'farmer',
+                    actor: data.farmerName || user.name,
+                    location: data.origin,
+                    timestamp: data.harvestDate,
+                    notes: data.description || 'Initial harvest recorded',
+                    updatedBy: user.id
+                }]
+            }], { session });
+
+            await session.commitTransaction();
+            session.endSession();
+
+            return batch;
+        } catch (error) {
+            await session.abortTransaction();
+            session.endSession();
+            throw error;
+        }
+    }
+
+    /**
+     * Attach a location proof to a batch and queue its on-chain recording.
+     * Proofs are bound to one batch through their batchId public signal, so they can only be
+     * generated once the batch exists. A proof that fails the off-chain check is stored as
+     * rejected and can be replaced; a verified one cannot.
+     * @param {string} batchId
+     * @param {Object} data - Validated attachOriginProofSchema payload
+     * @param {Object} user - Authenticated user; the farmer who created the batch or an admin
+     * @returns {Promise<Object>} - Updated batch document
+     * @throws {ValidationError} When the proof is for another batch
+     */
+    async attachOriginProof(batchId, data, user) {
+        const batch = await Batch.findOne({ batchId });
+        if (!batch) {
+            throw new NotFoundError('Batch', `ID: ${batchId}`);
+        }
+
+        if (user.role !== 'admin' && ![user.id, user.farmerId].includes(batch.farmerId)) {
+            throw new ForbiddenError('Only the farmer who created the batch or an admin can attach its origin proof');
+        }
+
+        if (batch.isRecalled) {
+            throw new BusinessRuleError(`Batch ${batchId} has been recalled`, 'BATCH_RECALLED', 409, { batchId });
+        }
+
+        if (batch.originProof?.status === 'verified') {
+            throw new BusinessRuleError(`Origin of batch ${batchId} is already proven`, 'ORIGIN_ALREADY_PROVEN', 409, { batchId });
+        }
+
+        const expected = toBatchSignal(batch.chainBatchId || toChainBatchId(batch.batchId));
+        if (batchSignalOf(data.publicSignals) !== expected) {
+            throw new ValidationError('Proof is for another batch', { batchId, expectedBatchSignal: expected });
+        }
+
+        const originProof = await this.buildOriginProof(data);
+
+        // Only apply if the proof was not recorded on-chain since the batch was checked
+        const updated = await Batch.findOneAndUpdate(
+            { batchId, 'originProof.status': { $ne: 'verified' } },
+            { $set: { originProof } },
+            { new: true }
+        );
+
+        if (!updated) {
+            throw new BusinessRuleError(`Origin of batch ${batchId} is already proven`, 'ORIGIN_ALREADY_PROVEN', 409, { batchId });
+        }
+
+        // A batch still being anchored gets its proof recorded by anchorBatchCreation once it is synced
+        if (originProof.status === 'pending' && updated.syncStatus === 'synced') {
+            anchorService.anchorOriginProof(batchId, originProof)
+                .catch((error) => console.error(`[CHAIN ERROR] Recording origin proof for ${batchId} failed:`, error.message));
+        }
+
+        return updated;
+    }
+
+    /**
+     * Verify a submitted origin proof and build the batch.originProof subdocument.
+     * The proof must prove the box of the certified region it references. Proofs that fail
+     * are stored as rejected rather than failing the request.
+     * @param {{proof: Object, publicSignals: string[], regionId: string}} submitted
+     * @returns {Promise<Object>}
+     */
+    async buildOriginProof(submitted) {
+        const check = await zkService.checkLocationProof(submitted);
+
+        let error = null;
+        if (!check.valid) {
+            error = 'Proof failed off-chain verification';
+        } else if (!check.region) {
+            error = `Proof does not match certified region ${submitted.regionId} or its certification is not in force`;
+        }
+
+        return {
+            proof: submitted.proof,
+            publicSignals: submitted.publicSignals,
+            status: error ? 'rejected' : 'pending',
+            error,
+            ...zkService.toCheckFields(check),
+            regionId: submitted.regionId.toUpperCase()
+        };
+    }
+
+    /**
+     * Find a batch by its human readable or on-chain ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async getBatch(id) {
+        return await Batch.findByAnyId(id);
+    }
+
+    /**
+     * Find a batch or throw NotFoundError
+     * @param {string} id
+     * @returns {Promise<Object>}
+     */
+    async getBatchOrFail(id) {
+        const batch = await this.getBatch(id);
+        if (!batch) {
+            throw new NotFoundError('Batch', `ID: ${id}`);
+        }
+        return batch;
+    }
+
+    /**
+     * Map a human batch ID to its on-chain ID or back
+     * @param {string} id - Either form
+     * @returns {Promise<{batchId: string, chainBatchId: string, syncStatus: string}>}
+     */
+    async resolveBatchId(id) {
+        const batch = await Batch.findByAnyId(id).select('batchId chainBatchId syncStatus');
+        if (!batch) {
+            throw new NotFoundError('Batch', `ID: ${id}`);
+        }
+
+        return {
+            batchId: batch.batchId,
+            chainBatchId: batch.chainBatchId || toChainBatchId(batch.batchId),
+            syncStatus: batch.syncStatus
+        };
+    }
+
+    /**
+     * Stage ordering and role rules, as served to the frontend
+     * @returns {{stages: string[], transitions: Object<string, string|null>, stageRoles: Object<string, string[]>, adminRole: string}}
+     */
+    getStageRules() {
+        const transitions = {};
+        STAGES.forEach((stage) => {
+            transitions[stage] = getNextStage(stage);
+        });
+
+        return { stages: [...STAGES], transitions, stageRoles: STAGE_ROLES, adminRole: 'admin' };
+    }
+
+    /**
+     * Apply the contract's updateBatch rules: not recalled, next stage only, role allowed for the stage
+     * @param {Object} batch - Batch document
+     * @param {string} stage - Requested stage (lowercase)
+     * @param {string} role - Role of the user recording the update
+     * @throws {BusinessRuleError} BATCH_RECALLED, BATCH_CONSUMED, INVALID_STAGE_TRANSITION or ROLE_NOT_ALLOWED_FOR_STAGE
+     */
+    assertCanUpdate(batch, stage, role) {
+        if (!batch.canBeUpdated()) {
+            throw new BusinessRuleError('Batch has been recalled and can no longer be updated', 'BATCH_RECALLED');
+        }
+
+        this.assertNotConsumed(batch);
+
+        if (!isNextStage(batch.currentStage, stage)) {
+            const expectedStage = getNextStage(batch.currentStage);
+            throw new BusinessRuleError(
+                expectedStage
+                    ? `Invalid stage transition from ${batch.currentStage} to ${stage}; next stage must be ${expectedStage}`
+                    : `Invalid stage transition: batch already reached the final stage (${batch.currentStage})`,
+                'INVALID_STAGE_TRANSITION',
+                409,
+                { currentStage: batch.currentStage, requestedStage: stage, expectedStage }
+            );
+        }
+
+        if (!canRoleUpdateStage(stage, role)) {
+            throw new BusinessRuleError(
+                `Role '${role}' is not allowed to record the ${stage} stage`,
+                'ROLE_NOT_ALLOWED_FOR_STAGE',
+                403,
+                { stage, role, allowedRoles: [...STAGE_ROLES[stage], 'admin'] }
+            );
+        }
+    }
+
+    /**
+     * Append a supply chain update and queue its on-chain anchoring
+     * @param {string} batchId
+     * @param {Object} data - Validated updateBatchSchema payload
+     * @param {Object} user - Authenticated user recording the update
+     * @returns {Promise<Object>} - Updated batch document
+     */
+    async updateBatch(batchId, data, user) {
+        // Normalize stage to lowercase for consistency
+        const stage = data.stage.toLowerCase();
+
+        const existing = await Batch.findOne({ batchId });
+        if (!existing) {
+            throw new NotFoundError('Batch', `ID: ${batchId}`);
+        }
+
+        this.assertCanUpdate(existing, stage, user.role);
+
+        const update = {
+            stage,
+            actor: data.actor,
+            location: data.location,
+            timestamp: data.timestamp,
+            notes: data.notes,
+            updatedBy: user.id
+        };
+
+        // Only apply if nobody moved, recalled, split or merged the batch since it was checked
+        const batch = await Batch.findOneAndUpdate(
+            { batchId, currentStage: existing.currentStage, isRecalled: false, consumedBy: null },
+            {
+                $push: { updates: update },
+                currentStage: stage,
+                syncStatus: 'pending'
+            },
+            { new: true }
+        );
+
+        if (!batch) {
+            throw new BusinessRuleError('Batch was modified by another request, reload it and try again', 'BATCH_UPDATE_CONFLICT');
+        }
+
+        // Anchor the pushed update on-chain in the background
+        anchorService.anchorBatchUpdate(batchId, batch.updates[batch.updates.length - 1])
+            .catch((error) => console.error(`[CHAIN ERROR] Anchoring update of batch ${batchId} failed:`, error.message));
+
+        return batch;
+    }
+
+    /**
+     * Batches that were split or merged live on in the batches made from them
+     * @param {Object} batch - Batch document
+     * @throws {BusinessRuleError} BATCH_CONSUMED
+     */
+    assertNotConsumed(batch) {
+        if (batch.consumedBy) {
+            throw new BusinessRuleError(
+                `Batch ${batch.batchId} was ${batch.consumedBy === 'split' ? 'split' : 'merged'} into ${batch.childBatchIds.join(', ')} and can no longer be changed`,
+                'BATCH_CONSUMED',
+                409,
+                { batchId: batch.batchId, consumedBy: batch.consumedBy, childBatchIds: batch.childBatchIds }
+            );
+        }
+    }
+
+    /**
+     * Apply the contract's splitBatch/mergeBatches rules to one of the source batches
+     * @param {Object} batch - Batch document
+     * @throws {BusinessRuleError} BATCH_RECALLED or BATCH_CONSUMED
+     */
+    assertCanReshape(batch) {
+        if (batch.isRecalled) {
+            throw new BusinessRuleError(`Batch ${batch.batchId} has been recalled and cannot be split or merged`, 'BATCH_RECALLED', 409, { batchId: batch.batchId });
+        }
+
+        this.assertNotConsumed(batch);
+    }
+
+    /**
+     * A batch made by a split or merge: it continues at the source stage, with an initial
+     * update recorded by the user who made it
+     * @param {string} batchId
+     * @param {Object} fields - Batch fields taken from the source batches
+     * @param {{stage: string, actor: string, location: string, notes: string, updatedBy: string}} update
+     * @returns {Promise<Object>}
+     */
+    async buildDerivedBatch(batchId, fields, update) {
+        return {
+            ...fields,
+            batchId,
+            currentStage: update.stage,
+            isRecalled: false,
+            qrCode: await this.generateQRCode(batchId),
+            syncStatus: 'pending',
+            updates: [update]
+        };
+    }
+
+    /**
+     * Split a batch into lots whose quantities add up to the batch's, e.g. when a mandi sells it
+     * to several buyers. The lots inherit the crop, farmer and harvest of the batch and continue at
+     * its stage; the batch itself is consumed and can no longer be updated.
+     * @param {string} batchId
+     * @param {{quantities: number[], location: string, notes?: string}} data - Validated splitBatchSchema payload
+     * @param {Object} user - Authenticated mandi or admin
+     * @returns {Promise<{parent: Object, children: Object[]}>}
+     * @throws {BusinessRuleError} INVALID_SPLIT_QUANTITIES, BATCH_RECALLED, BATCH_CONSUMED or BATCH_UPDATE_CONFLICT
+     */
+    async splitBatch(batchId, data, user) {
+        const parent = await Batch.findOne({ batchId });
+        if (!parent) {
+            throw new NotFoundError('Batch', `ID: ${batchId}`);
+        }
+
+        this.assertCanReshape(parent);
+
+        const total = data.quantities.reduce((sum, quantity) => sum + quantity, 0);
+        if (total !== parent.quantity) {
+            throw new BusinessRuleError(
+                `Split quantities add up to ${total} but batch ${batchId} holds ${parent.quantity}`,
+                'INVALID_SPLIT_QUANTITIES',
+                400,
+                { quantity: parent.quantity, total }
+            );
+        }
+
+        const update = {
+            stage: parent.currentStage,
+            actor: user.name,
+            location: data.location,
+            notes: data.notes || `Split from ${parent.batchId}`,
+            updatedBy: user.id
+        };
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const docs = [];
+            for (const quantity of data.quantities) {
+                const childId = await batchIdService.generate({ session });
+                docs.push(await this.buildDerivedBatch(childId, {
+                    farmerId: parent.farmerId,
+                    farmerName: parent.farmerName,
+                    farmerAddress: parent.farmerAddress,
+                    cropType: parent.cropType,
+                    quantity,
+                    harvestDate: parent.harvestDate,
+                    origin: parent.origin,
+                    certifications: parent.certifications,
+                    description: parent.description,
+                    parentBatchIds: [parent.batchId],
+                    derivedBy: 'split'
+                }, update));
+            }
+
+            const children = await Batch.create(docs, { session, ordered: true });
+            const childBatchIds = children.map((child) => child.batchId);
+
+            // Only consume the batch if nobody moved, recalled, split or merged it since it was checked
+            const consumed = await Batch.findOneAndUpdate(
+                { batchId, currentStage: parent.currentStage, isRecalled: false, consumedBy: null },
+                { $set: { consumedBy: 'split', childBatchIds } },
+                { new: true, session }
+            );
+            if (!consumed) {
+                throw new BusinessRuleError('Batch was modified by another request, reload it and try again', 'BATCH_UPDATE_CONFLICT');
+            }
+
+            await session.commitTransaction();
+            session.endSession();
+
+            // One splitBatch transaction creates the lots on-chain and consumes the batch
+            anchorService.anchorBatchSplit(consumed, children)
+                .catch((error) => console.error(`[CHAIN ERROR] Anchoring split of batch ${consumed.batchId} failed:`, error.message));
+
+            return { parent: consumed, children };
+        } catch (error) {
+            await session.abortTransaction();
+            session.endSession();
+            throw error;
+        }
+    }
+
+    /**
+     * Merge batches of one crop type at one stage into a new batch holding their combined
+     * quantity, e.g. when a mandi pools lots from several farmers. Farmer and origin are kept
+     * when all batches share them. The merged batches are consumed.
+     * @param {{batchIds: string[], location: string, notes?: string}} data - Validated mergeBatchesSchema payload
+     * @param {Object} user - Authenticated mandi or admin
+     * @returns {Promise<{parents: Object[], batch: Object}>}
+     * @throws {BusinessRuleError} CROP_TYPE_MISMATCH, STAGE_MISMATCH, INVALID_MERGE_QUANTITY, BATCH_RECALLED, BATCH_CONSUMED or BATCH_UPDATE_CONFLICT
+     */
+    async mergeBatches(data, user) {
+        // mergeBatchesSchema rejects these too; a repeated parent would be counted twice and fail the consume check
+        const duplicates = [...new Set(data.batchIds.filter((id, i) => data.batchIds.indexOf(id) !== i))];
+        if (duplicates.length) {
+            throw new ValidationError('A batch cannot be merged with itself', { duplicates });
+        }
+
+        const found = await Batch.find({ batchId: { $in: data.batchIds } });
+        const missing = data.batchIds.filter((id) => !found.some((batch) => batch.batchId === id));
+        if (missing.length) {
+            throw new NotFoundError('Batch', `ID: ${missing.join(', ')}`);
+        }
+
+        // In the order they were given, which is also the order they are anchored in
+        const parents = data.batchIds.map((id) => found.find((batch) => batch.batchId === id));
+        parents.forEach((batch) => this.assertCanReshape(batch));
+
+        const [first] = parents;
+        const distinct = (field) => [...new Set(parents.map((batch) => String(batch[field])))];
+
+        if (distinct('cropType').length > 1) {
+            throw new BusinessRuleError('Only batches of the same crop type can be merged', 'CROP_TYPE_MISMATCH', 409, { cropTypes: distinct('cropType') });
+        }
+        if (distinct('currentStage').length > 1) {
+            throw new BusinessRuleError('Only batches at the same stage can be merged', 'STAGE_MISMATCH', 409, { stages: distinct('currentStage') });
+        }
+
+        const quantity = parents.reduce((sum, batch) => sum + batch.quantity, 0);
+        if (quantity > MAX_BATCH_QUANTITY) {
+            throw new BusinessRuleError(`A merged batch cannot hold more than ${MAX_BATCH_QUANTITY}`, 'INVALID_MERGE_QUANTITY', 400, { quantity });
+        }
+
+        const shared = (field, fallback) => (distinct(field).length === 1 ? first[field] : fallback);
+        const stage = first.currentStage;
+        const mergedFrom = `Merged from ${data.batchIds.join(', ')}`;
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const mergedId = await batchIdService.generate({ session });
+            const [batch] = await Batch.create([await this.buildDerivedBatch(mergedId, {
+                farmerId: shared('farmerId', 'multiple'),
+                farmerName: shared('farmerName', 'Multiple farmers'),
+                farmerAddress: shared('farmerAddress', 'Multiple farm addresses'),
+                cropType: first.cropType,
+                quantity,
+                harvestDate: new Date(Math.min(...parents.map((parent) => new Date(parent.harvestDate).getTime()))),
+                origin: shared('origin', 'Multiple origins'),
+                certifications: shared('certifications', ''),
+                description: mergedFrom,
+                parentBatchIds: data.batchIds,
+                derivedBy: 'merge'
+            }, { stage, actor: user.name, location: data.location, notes: data.notes || mergedFrom, updatedBy: user.id })], { session });
+
+            const consumed = await Batch.updateMany(
+                { batchId: { $in: data.batchIds }, currentStage: stage, isRecalled: false, consumedBy: null },
+                { $set: { consumedBy: 'merge', childBatchIds: [mergedId] } },
+                { session }
+            );
+            if (consumed.modifiedCount !== parents.length) {
+                throw new BusinessRuleError('A batch was modified by another request, reload them and try again', 'BATCH_UPDATE_CONFLICT');
+            }
+
+            await session.commitTransaction();
+            session.endSession();
+
+            anchorService.anchorBatchMerge(parents, batch)
+                .catch((error) => console.error(`[CHAIN ERROR] Anchoring merge into batch ${batch.batchId} failed:`, error.message));
+
+            parents.forEach((parent) => {
+                parent.consumedBy = 'merge';
+                parent.childBatchIds = [mergedId];
+            });
+            return { parents, batch };
+        } catch (error) {
+            await session.abortTransaction();
+            session.endSession();
+            throw error;
+        }
+    }
+
+    /**
+     * The batches a batch was split or merged from (ancestors) and into (descendants), as a graph
+     * @param {string} id - Human readable or on-chain batch ID
+     * @param {number} [depth=10] - Generations to follow in each direction
+     * @returns {Promise<{batchId: string, nodes: Object[], edges: Array<{from: string, to: string}>}>}
+     *          Nodes carry relation (self/ancestor/descendant) and depth (generations away); edges point from parent to child
+     */
+    async getLineage(id, depth = 10) {
+        const batch = await this.getBatchOrFail(id);
+        const self = { ...this.pickLineageFields(batch), relation: 'self', depth: 0 };
+
+        let ancestors = [];
+        let descendants = [];
+        if (batch.parentBatchIds?.length || batch.childBatchIds?.length) {
+            const lookup = (field, as) => ({
+                $graphLookup: {
+                    from: Batch.collection.name,
+                    startWith: `$${field}`,
+                    connectFromField: field,
+                    connectToField: 'batchId',
+                    as,
+                    maxDepth: depth - 1,
+                    depthField: 'depth'
+                }
+            });
+
+            const [result] = await Batch.aggregate([
+                { $match: { batchId: batch.batchId } },
+                lookup('parentBatchIds', 'ancestors'),
+                lookup('childBatchIds', 'descendants'),
+                { $project: { _id: 0, ancestors: 1, descendants: 1 } }
+            ]);
+
+            // $graphLookup counts the first generation as depth 0
+            const toNode = (relation) => (node) => ({ ...this.pickLineageFields(node), relation, depth: node.depth + 1 });
+            const byDepth = (a, b) => a.depth - b.depth || a.batchId.localeCompare(b.batchId);
+            ancestors = (result?.ancestors || []).map(toNode('ancestor')).sort(byDepth);
+            descendants = (result?.descendants || []).map(toNode('descendant')).sort(byDepth);
+        }
+
+        const nodes = [self, ...ancestors, ...descendants];
+        const ids = new Set(nodes.map((node) => node.batchId));
+        const edges = [];
+        nodes.forEach((node) => {
+            (node.parentBatchIds || []).forEach((parentId) => {
+                if (ids.has(parentId)) {
+                    edges.push({ from: parentId, to: node.batchId });
+                }
+            });
+        });
+
+        return { batchId: batch.batchId, nodes, edges };
+    }
+
+    pickLineageFields(batch) {
+        const node = {};
+        LINEAGE_FIELDS.forEach((field) => {
+            node[field] = batch[field];
+        });
+        return node;
+    }
+
+    /**
+     * Set the administrative status of a batch
+     * @param {string} batchId
+     * @param {string} status - Active/Flagged/Inactive
+     * @returns {Promise<Object>} - Updated batch document
+     */
+    async updateBatchStatus(batchId, status) {
+        if (!BATCH_STATUSES.includes(status)) {
+            throw new ValidationError('Invalid status', { allowed: BATCH_STATUSES });
+        }
+
+        const batch = await Batch.findOneAndUpdate(
+            { batchId },
+            { $set: { status } },
+            { new: true }
+        );
+
+        if (!batch) {
+            throw new NotFoundError('Batch', `ID: ${batchId}`);
+        }
+
+        return batch;
+    }
+
+    /**
+     * One page of batches matching the filters and search, for GET /api/batches.
+     * Pages are addressed by number or, for stable paging while batches are added, by the
+     * nextCursor of the previous page.
+     * @param {Object} [query] - Validated by listBatchesQuerySchema (validations/batchSchema.js)
+     * @returns {Promise<{batches: Object[], pagination: {page: number|null, limit: number, total: number, totalPages: number, hasNextPage: boolean, nextCursor: string|null}}>}
+     * @throws {ValidationError} when the cursor is malformed or was issued for another sort order
+     */
+    async listBatches(query = {}) {
+        const { page, cursor, limit = 20, sort = '-createdAt' } = query;
+        const direction = sort.startsWith('-') ? -1 : 1;
+        const field = sort.replace(/^-/, '');
+
+        const filter = this.buildListFilter(query);
+        const pageFilter = cursor ? { ...filter, ...this.cursorFilter(cursor, sort, field, direction) } : filter;
+
+        const [docs, total] = await Promise.all([
+            Batch.find(pageFilter)
+                .select(LIST_PROJECTION)
+                .sort({ [field]: direction, _id: direction })
+                .skip(cursor ? 0 : ((page || 1) - 1) * limit)
+                .limit(limit + 1)
+                .lean(),
+            Batch.countDocuments(filter)
+        ]);
+
+        const hasNextPage = docs.length > limit;
+        const batches = hasNextPage ? docs.slice(0, limit) : docs;
+
+        return {
+            batches,
+            pagination: {
+                page: cursor ? null : (page || 1),
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasNextPage,
+                nextCursor: hasNextPage ? this.encodeCursor(batches[batches.length - 1], sort, field) : null
+            }
+        };
+    }
+
+    /**
+     * MongoDB filter for the list filters and full-text search
+     * @param {Object} query
+     * @returns {Object}
+     */
+    buildListFilter(query) {
+        const filter = {};
+
+        for (const key of ['cropType', 'currentStage', 'status', 'isRecalled', 'farmerId']) {
+            if (query[key] !== undefined) {
+                filter[key] = query[key];
+            }
+        }
+
+        if (query.harvestedFrom || query.harvestedTo) {
+            filter.harvestDate = {
+                ...(query.harvestedFrom && { $gte: new Date(query.harvestedFrom) }),
+                ...(query.harvestedTo && { $lte: new Date(query.harvestedTo) })
+            };
+        }
+
+        if (query.origin) {
+            filter.origin = { $regex: escapeRegex(query.origin), $options: 'i' };
+        }
+
+        // Uses the text index on farmerName, origin and description
+        if (query.q) {
+            filter.$text = { $search: query.q };
+        }
+
+        return filter;
+    }
+
+    encodeCursor(batch, sort, field) {
+        const value = batch[field] instanceof Date ? batch[field].toISOString() : batch[field];
+        return Buffer.from(JSON.stringify({ s: sort, v: value, id: String(batch._id) })).toString('base64url');
+    }
+
+    // Documents after the cursor in sort order; _id breaks ties between equal values
+    cursorFilter(cursor, sort, field, direction) {
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new ValidationError('Invalid cursor');
+        }
+        if (!decoded || decoded.s !== sort || !/^[a-f0-9]{24}$/i.test(decoded.id) || decoded.v === undefined) {
+            throw new ValidationError('Invalid cursor', { reason: 'Cursors only work with the sort order they were issued for' });
+        }
+
+        let value = decoded.v;
+        if (DATE_SORT_FIELDS.includes(field)) {
+            value = new Date(value);
+            if (Number.isNaN(value.getTime())) {
+                throw new ValidationError('Invalid cursor');
+            }
+        }
+
+        const op = direction === -1 ? '$lt' : '$gt';
+        return {
+            $or: [
+                { [field]: { [op]: value } },
+                { [field]: value, _id: { [op]: decoded.id } }
+            ]
+        };
+    }
+
+    /**
+     * Dashboard stats, aggregated in MongoDB by Batch.getStats()
+     * @returns {Promise<{stats: {totalBatches: number, totalFarmers: number, totalQuantity: number, recentBatches: number, recalledBatches: number}}>}
+     */
+    async getDashboardStats() {
+        const { totalBatches, uniqueFarmers, totalQuantity, recentBatches, recalledBatches } = await Batch.getStats();
+        return {
+            stats: { totalBatches, totalFarmers: uniqueFarmers, totalQuantity, recentBatches, recalledBatches }
+        };
+    }
+}
+
+module.exports = new BatchService();
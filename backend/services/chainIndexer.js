@@ -0,0 +1,321 @@
+const Batch = require('../models/Batch');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerState = require('../models/IndexerState');
+const Listing = require('../models/Listing');
+const STAGES = require('../constants/stages');
+const { toBatchSignal } = require('../utils/zkProof');
+
+// Read to decide whether a batch event is still news to the batch
+const BATCH_SYNC_FIELDS = 'currentStage blockchainHash updates.txHash';
+
+const envInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const serializeValue = (value) => {
+    if (typeof value === 'bigint') return value.toString();
+    // Array arguments decode to ethers Result objects
+    if (Array.isArray(value)) return Array.from(value, serializeValue);
+    return value;
+};
+
+/**
+ * Convert decoded event arguments into a plain object keyed by parameter name.
+ * uint256 values become decimal strings so they survive a round trip through MongoDB.
+ */
+const serializeArgs = (fragment, args) => {
+    const result = {};
+    fragment.inputs.forEach((input, i) => {
+        result[input.name] = serializeValue(args[i]);
+    });
+    return result;
+};
+
+/**
+ * Chain Indexer
+ * Durable replacement for contract.on() subscriptions. Every CropChain event is
+ * read with queryFilter in block chunks, stored in ChainEvent and applied to the
+ * Batch / Listing read models. Progress is checkpointed in IndexerState so a restart
+ * resumes where it stopped instead of losing events emitted while the server was down.
+ *
+ * Reorg safety: only blocks at least `confirmations` deep are processed.
+ *
+ * MongoDB is written before the chain (anchorService), so an event can describe a batch
+ * that has moved on since: stages only ever move forward, and a batch is marked synced
+ * only by the event of its latest anchoring transaction once every update has been sent.
+ *
+ * RoleUpdated and SpotPriceRecorded are only logged in ChainEvent: roles are written to
+ * the chain from the User documents (userService.setRole) and spot prices have no read model.
+ */
+class ChainIndexer {
+    /**
+     * @param {ethers.Contract} contract - CropChain contract instance
+     * @param {ethers.Provider} provider - Provider used to read the chain head
+     * @param {Object} [options]
+     * @param {string} [options.name] - Checkpoint name
+     * @param {number} [options.startBlock] - First block to backfill from (contract deployment block)
+     * @param {number} [options.chunkSize] - Max blocks per queryFilter call
+     * @param {number} [options.confirmations] - Blocks to wait before treating a block as final
+     * @param {number} [options.pollIntervalMs] - Delay between sync rounds
+     */
+    constructor(contract, provider, options = {}) {
+        this.contract = contract;
+        this.provider = provider;
+        this.name = options.name || 'cropchain';
+        this.startBlock = options.startBlock ?? envInt(process.env.INDEXER_START_BLOCK, 0);
+        this.chunkSize = options.chunkSize ?? envInt(process.env.INDEXER_CHUNK_SIZE, 2000);
+        this.confirmations = options.confirmations ?? envInt(process.env.INDEXER_CONFIRMATIONS, 6);
+        this.pollIntervalMs = options.pollIntervalMs ?? envInt(process.env.INDEXER_POLL_INTERVAL_MS, 15000);
+
+        this.lastProcessedBlock = null;
+        this.running = false;
+        this.timer = null;
+
+        this.handlers = {
+            BatchCreated: this._onBatchCreated.bind(this),
+            BatchUpdated: this._onBatchUpdated.bind(this),
+            BatchRecalled: this._onBatchRecalled.bind(this),
+            BatchSplit: this._onBatchSplit.bind(this),
+            BatchMerged: this._onBatchMerged.bind(this),
+            OriginProven: this._onOriginProven.bind(this),
+            ListingCreated: this._onListingCreated.bind(this),
+            ListingPurchased: this._onListingPurchased.bind(this),
+            ListingCancelled: this._onListingCancelled.bind(this)
+        };
+    }
+
+    /**
+     * Load the checkpoint and start polling
+     */
+    async start() {
+        if (this.running) return;
+        this.running = true;
+
+        await this._loadCheckpoint();
+        console.log(`🔗 Chain indexer resuming from block ${this.lastProcessedBlock + 1} (${this.confirmations} confirmations, chunks of ${this.chunkSize})`);
+
+        this._schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    _schedule(delay) {
+        this.timer = setTimeout(async () => {
+            try {
+                await this.syncOnce();
+            } catch (error) {
+                console.error('[INDEXER ERROR]', error.message);
+            }
+            if (this.running) {
+                this._schedule(this.pollIntervalMs);
+            }
+        }, delay);
+    }
+
+    async _loadCheckpoint() {
+        const contractAddress = (await this.contract.getAddress()).toLowerCase();
+        const state = await IndexerState.findOne({ name: this.name });
+
+        if (state && state.contractAddress === contractAddress) {
+            this.lastProcessedBlock = state.lastProcessedBlock;
+        } else {
+            // No checkpoint yet, or the contract was redeployed - backfill from the start block
+            this.lastProcessedBlock = this.startBlock - 1;
+        }
+        this.contractAddress = contractAddress;
+    }
+
+    /**
+     * Process every confirmed block after the checkpoint
+     * @returns {Promise<number>} - Number of events processed
+     */
+    async syncOnce() {
+        if (this.lastProcessedBlock === null) {
+            await this._loadCheckpoint();
+        }
+
+        const head = await this.provider.getBlockNumber();
+        const safeBlock = head - this.confirmations;
+        let processed = 0;
+
+        for (let from = this.lastProcessedBlock + 1; from <= safeBlock; from = this.lastProcessedBlock + 1) {
+            const to = Math.min(from + this.chunkSize - 1, safeBlock);
+            const logs = await this.contract.queryFilter('*', from, to);
+
+            for (const log of logs) {
+                // Logs the artifact ABI can't decode have no fragment
+                if (!log.fragment) continue;
+                await this._processEvent(log);
+                processed++;
+            }
+
+            await IndexerState.updateOne(
+                { name: this.name },
+                { $set: { lastProcessedBlock: to, contractAddress: this.contractAddress } },
+                { upsert: true }
+            );
+            this.lastProcessedBlock = to;
+        }
+
+        if (processed > 0) {
+            console.log(`[INDEXER] Processed ${processed} events up to block ${this.lastProcessedBlock}`);
+        }
+
+        return processed;
+    }
+
+    async _processEvent(log) {
+        const args = serializeArgs(log.fragment, log.args);
+        const key = { txHash: log.transactionHash.toLowerCase(), logIndex: log.index };
+
+        // Upsert first so a replayed block range never applies the same event twice
+        const event = await ChainEvent.findOneAndUpdate(
+            key,
+            {
+                $setOnInsert: {
+                    ...key,
+                    name: log.eventName,
+                    blockNumber: log.blockNumber,
+                    chainBatchId: args.batchId || args.parentBatchId || args.mergedBatchId || args.sourceBatchId || null,
+                    args
+                }
+            },
+            { upsert: true, new: true }
+        );
+
+        if (event.applied) return;
+
+        const handler = this.handlers[log.eventName];
+        if (handler) {
+            await handler(args, { txHash: key.txHash, blockNumber: log.blockNumber });
+        }
+
+        await ChainEvent.updateOne(key, { $set: { applied: true } });
+    }
+
+    /**
+     * Batch documents are joined to chain events through chainBatchId, keccak256(batchId)
+     */
+    _batchFilterFor(chainBatchId) {
+        return { chainBatchId: chainBatchId.toLowerCase() };
+    }
+
+    /**
+     * Fields marking a batch synced when the event's transaction is the last one it waits for:
+     * its latest anchoring transaction, with no update recorded in MongoDB still unsent
+     * (the creation update is anchored by createBatch and carries no txHash)
+     */
+    _syncedFields(batch, event) {
+        const unsent = (batch.updates || []).slice(1).some((update) => !update.txHash);
+        if (unsent || batch.blockchainHash?.toLowerCase() !== event.txHash) {
+            return {};
+        }
+        return { syncStatus: 'synced', blockNumber: event.blockNumber };
+    }
+
+    async _onBatchCreated(args, event) {
+        const filter = this._batchFilterFor(args.batchId);
+        const batch = await Batch.findOne(filter, BATCH_SYNC_FIELDS);
+        if (!batch) return;
+
+        const fields = this._syncedFields(batch, event);
+        if (Object.keys(fields).length) {
+            await Batch.updateOne(filter, { $set: fields });
+        }
+    }
+
+    async _onBatchUpdated(args, event) {
+        const filter = this._batchFilterFor(args.batchId);
+        const batch = await Batch.findOne(filter, BATCH_SYNC_FIELDS);
+        if (!batch) return;
+
+        const stage = STAGES[Number(args.stage)];
+        const fields = {
+            // Updates recorded in MongoDB after this one may already have moved the batch further
+            ...(STAGES.indexOf(stage) > STAGES.indexOf(batch.currentStage) && { currentStage: stage }),
+            ...this._syncedFields(batch, event)
+        };
+        if (Object.keys(fields).length) {
+            await Batch.updateOne(filter, { $set: fields });
+        }
+    }
+
+    async _onBatchRecalled(args) {
+        await Batch.updateOne(this._batchFilterFor(args.batchId), { $set: { isRecalled: true } });
+    }
+
+    // The child batches arrive as BatchCreated events of the same transaction
+    async _onBatchSplit(args, event) {
+        await Batch.updateOne(
+            this._batchFilterFor(args.parentBatchId),
+            { $set: { consumedBy: 'split', syncStatus: 'synced', blockNumber: event.blockNumber } }
+        );
+    }
+
+    async _onBatchMerged(args, event) {
+        await Batch.updateMany(
+            { chainBatchId: { $in: args.parentBatchIds.map((id) => id.toLowerCase()) } },
+            { $set: { consumedBy: 'merge', syncStatus: 'synced', blockNumber: event.blockNumber } }
+        );
+    }
+
+    async _onOriginProven(args, event) {
+        await Batch.updateOne(
+            this._batchFilterFor(args.batchId),
+            {
+                $set: {
+                    'originProof.publicSignals': [args.minLat, args.maxLat, args.minLon, args.maxLon, toBatchSignal(args.batchId)],
+                    'originProof.status': 'verified',
+                    'originProof.txHash': event.txHash,
+                    'originProof.blockNumber': event.blockNumber,
+                    'originProof.error': null
+                }
+            }
+        );
+    }
+
+    async _onListingCreated(args, event) {
+        await Listing.updateOne(
+            { listingId: Number(args.listingId) },
+            {
+                $setOnInsert: {
+                    listingId: Number(args.listingId),
+                    chainBatchId: args.batchId,
+                    seller: args.seller,
+                    quantity: args.quantity,
+                    quantityAvailable: args.quantity,
+                    unitPriceWei: args.unitPriceWei,
+                    active: true,
+                    createdBlock: event.blockNumber
+                }
+            },
+            { upsert: true }
+        );
+    }
+
+    async _onListingPurchased(args) {
+        const listing = await Listing.findOne({ listingId: Number(args.listingId) });
+        if (!listing) return;
+
+        const remaining = BigInt(listing.quantityAvailable) - BigInt(args.quantity);
+        listing.quantityAvailable = (remaining > 0n ? remaining : 0n).toString();
+        listing.active = remaining > 0n;
+        await listing.save();
+    }
+
+    async _onListingCancelled(args) {
+        await Listing.updateOne(
+            { listingId: Number(args.listingId) },
+            { $set: { active: false, quantityAvailable: '0', cancelledBy: args.cancelledBy } }
+        );
+    }
+}
+
+module.exports = ChainIndexer;
@@ -1,5 +1,6 @@
 const { ethers } = require('ethers');
 const User = require('../models/User');
+const sessionService = require('./sessionService');
 
 /**
  * DID Service for Verifiable Credentials
@@ -125,7 +126,7 @@ class DIDService {
      * @param {string} userId - User ID to revoke
      * @param {string} adminId - Admin ID performing revocation
      * @param {string} reason - Revocation reason
-     * @returns {Object} - Revocation result
+     * @returns {Object} - Revocation result; the user's sessions are revoked too
      */
     async revokeCredential(userId, adminId, reason) {
         try {
@@ -150,9 +151,13 @@ class DIDService {
 
             await user.save();
 
+            // Sessions opened with the revoked credential must not outlive it
+            const { sessions } = await sessionService.revokeAllSessions(user._id);
+
             return {
                 success: true,
                 message: 'Credential revoked successfully',
+                sessionsRevoked: sessions,
             };
         } catch (error) {
             throw error;
@@ -0,0 +1,115 @@
+const { createTransportFromEnv } = require('./mailTransports');
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Mail Service
+ * Account emails (password reset, email verification) and recall notices. Delivery goes through the
+ * transport chosen by MAIL_TRANSPORT: smtp, file or console (default).
+ */
+class MailService {
+    constructor() {
+        this.transport = null;
+        this.from = process.env.MAIL_FROM || 'CropChain <no-reply@cropchain.local>';
+        this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+    }
+
+    /**
+     * Replace the transport, e.g. with one that records messages in tests
+     * @param {{name: string, send: Function}} transport
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    getTransport() {
+        if (!this.transport) {
+            this.transport = createTransportFromEnv();
+        }
+        return this.transport;
+    }
+
+    /**
+     * Send a message
+     * @param {{to: string, subject: string, text: string, html?: string}} message
+     * @returns {Promise<{messageId: string}>}
+     */
+    async send(message) {
+        return this.getTransport().send({ from: this.from, ...message });
+    }
+
+    /**
+     * Email a password reset link
+     * @param {Object} user - User document
+     * @param {string} token - Password reset token
+     * @param {number} ttlMinutes - How long the link works
+     */
+    async sendPasswordReset(user, token, ttlMinutes) {
+        const link = `${this.frontendUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+        return this.send({
+            to: user.email,
+            subject: 'Reset your CropChain password',
+            text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${link}\n\n` +
+                `The link works once and expires in ${ttlMinutes} minutes. ` +
+                'If you did not ask for a password reset, you can ignore this email.',
+            html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+                `<p><a href="${escapeHtml(link)}">Choose a new password</a></p>` +
+                `<p>The link works once and expires in ${ttlMinutes} minutes. ` +
+                'If you did not ask for a password reset, you can ignore this email.</p>'
+        });
+    }
+
+    /**
+     * Email a link that confirms the user's address
+     * @param {Object} user - User document
+     * @param {string} token - Email verification token
+     * @param {number} ttlHours - How long the link works
+     */
+    async sendEmailVerification(user, token, ttlHours) {
+        const link = `${this.frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+        return this.send({
+            to: user.email,
+            subject: 'Confirm your CropChain email address',
+            text: `Hi ${user.name},\n\nConfirm your email address with this link:\n${link}\n\n` +
+                `The link expires in ${ttlHours} hours.`,
+            html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+                `<p><a href="${escapeHtml(link)}">Confirm your email address</a></p>` +
+                `<p>The link expires in ${ttlHours} hours.</p>`
+        });
+    }
+
+    /**
+     * Tell a supply chain actor that batches they handled were recalled
+     * @param {Object} user - User document
+     * @param {{sourceBatchId: string, severity: string, reason: string}} recall
+     * @param {string[]} batchIds - Recalled batches the user handled
+     */
+    async sendRecallNotice(user, recall, batchIds) {
+        const links = batchIds.map((batchId) => ({
+            batchId,
+            url: `${this.frontendUrl}/track-batch?batchId=${encodeURIComponent(batchId)}`
+        }));
+
+        return this.send({
+            to: user.email,
+            subject: `[${recall.severity.toUpperCase()}] CropChain recall of batch ${recall.sourceBatchId}`,
+            text: `Hi ${user.name},\n\nBatch ${recall.sourceBatchId} has been recalled: ${recall.reason}\n\n` +
+                'The recall covers these batches you handled. Stop moving or selling them; ' +
+                'their marketplace listings have been cancelled.\n' +
+                links.map((link) => `- ${link.batchId}: ${link.url}`).join('\n'),
+            html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+                `<p>Batch ${escapeHtml(recall.sourceBatchId)} has been recalled: ${escapeHtml(recall.reason)}</p>` +
+                '<p>The recall covers these batches you handled. Stop moving or selling them; ' +
+                'their marketplace listings have been cancelled.</p>' +
+                `<ul>${links.map((link) => `<li><a href="${escapeHtml(link.url)}">${escapeHtml(link.batchId)}</a></li>`).join('')}</ul>`
+        });
+    }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,107 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mail transports
+ * A transport is an object with a name and send(message), where message is
+ * {from, to, subject, text, html} and send resolves to {messageId}. MailService
+ * picks one from MAIL_TRANSPORT; anything else with the same shape can be set
+ * with mailService.setTransport().
+ */
+
+const newMessageId = () => `${Date.now()}.${crypto.randomBytes(6).toString('hex')}@cropchain.local`;
+
+// Password reset and email verification links carry a token that must not end up in logs
+const redactTokens = (text) => String(text).replace(/([?&]token=)[^&\s"'<]+/g, '$1[redacted]');
+
+/**
+ * Send through an SMTP server (nodemailer)
+ * @param {{host: string, port: number, secure: boolean, user?: string, pass?: string}} options
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+/**
+ * Write each message to a JSON file, for development and tests
+ * @param {{dir: string}} options
+ */
+const createFileTransport = ({ dir }) => ({
+    name: 'file',
+    async send(message) {
+        const messageId = newMessageId();
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+            path.join(dir, `${messageId}.json`),
+            JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2)
+        );
+        return { messageId };
+    }
+});
+
+/**
+ * Print each message to the console, for development. Link tokens are redacted; use the
+ * file transport to follow password reset and verification links locally.
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    async send(message) {
+        const messageId = newMessageId();
+        console.log(`[MAIL] To: ${message.to}\n[MAIL] Subject: ${message.subject}\n${redactTokens(message.text)}`);
+        return { messageId };
+    }
+});
+
+/**
+ * Build the transport configured by the environment. Production must name one explicitly
+ * rather than fall back to printing emails to the log.
+ * @returns {{name: string, send: Function}}
+ * @throws {Error} when MAIL_TRANSPORT is unknown, or unset in production
+ */
+const createTransportFromEnv = () => {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set in production. Use smtp, file or console.');
+    }
+
+    const type = process.env.MAIL_TRANSPORT || 'console';
+
+    switch (type) {
+        case 'smtp':
+            return createSmtpTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            });
+        case 'file':
+            return createFileTransport({ dir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'cropchain-mail') });
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${type}". Use smtp, file or console.`);
+    }
+};
+
+module.exports = {
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    createTransportFromEnv
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const AuthNonce = require('../models/AuthNonce');
+const { UnauthorizedError } = require('../utils/errorHandler');
+
+/**
+ * Nonce Service
+ * Single-use nonces for wallet authentication, stored in MongoDB so they survive restarts
+ * and are shared by every backend instance. Each address has at most one pending nonce;
+ * it is deleted when a signed message carrying it is accepted.
+ */
+class NonceService {
+    constructor() {
+        this.ttlSeconds = parseInt(process.env.AUTH_NONCE_TTL_SECONDS) || 300;
+    }
+
+    /**
+     * Issue a fresh nonce for an address, replacing any pending one
+     * @param {string} address - Wallet address
+     * @returns {Promise<{nonce: string, expiresAt: Date}>} - nonce is alphanumeric, as EIP-4361 requires
+     */
+    async issue(address) {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const expiresAt = new Date(Date.now() + this.ttlSeconds * 1000);
+
+        await AuthNonce.findOneAndUpdate(
+            { address: address.toLowerCase() },
+            { $set: { nonce, expiresAt } },
+            { upsert: true }
+        );
+
+        return { nonce, expiresAt };
+    }
+
+    /**
+     * The address's unexpired nonce
+     * @param {string} address
+     * @returns {Promise<Object|null>} - AuthNonce document
+     */
+    async getPending(address) {
+        return AuthNonce.findOne({ address: address.toLowerCase(), expiresAt: { $gt: new Date() } });
+    }
+
+    /**
+     * Delete a pending nonce once a message carrying it was accepted
+     * @param {string} address
+     * @param {string} nonce
+     * @throws {UnauthorizedError} when the nonce was already used, replaced or expired
+     */
+    async consume(address, nonce) {
+        // Atomic, so of two requests replaying the same signature only one succeeds
+        const consumed = await AuthNonce.findOneAndDelete({
+            address: address.toLowerCase(),
+            nonce,
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!consumed) {
+            throw new UnauthorizedError('Nonce already used. Please request a new one.');
+        }
+    }
+}
+
+module.exports = new NonceService();
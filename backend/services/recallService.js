@@ -0,0 +1,300 @@
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Listing = require('../models/Listing');
+const User = require('../models/User');
+const anchorService = require('./anchorService');
+const mailService = require('./mailService');
+const { toChainBatchId } = require('../utils/batchId');
+const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+
+const REPORT_BATCH_FIELDS = 'batchId cropType quantity currentStage isRecalled consumedBy childBatchIds farmerName origin updates recall';
+
+const isObjectId = (value) => typeof value === 'string' && /^[a-f0-9]{24}$/i.test(value);
+
+/**
+ * Recall Service
+ * Recalls a batch together with every batch split or merged from it (CropChain.recallBatch
+ * does the same on-chain), cancels the marketplace listings of those batches, emails the
+ * users who handled them and reports what the recall reached.
+ *
+ * Every batch the recall reaches gets batch.recall with the source batch, severity, reason
+ * and evidence. The cancelled listings and the notification outcomes are kept on the source
+ * batch, which the recall report is built from.
+ */
+class RecallService {
+    /**
+     * Recall a batch and the batches derived from it
+     * @param {string} batchId
+     * @param {{severity: string, reason: string, evidence?: string[]}} data - Validated recallBatchSchema payload
+     * @param {Object} user - Authenticated admin
+     * @returns {Promise<{batch: Object, recall: Object, affectedBatchIds: string[], cancelledListings: Object[], notifications: Object[]}>}
+     * @throws {ConflictError} when the batch is already recalled
+     */
+    async recallBatch(batchId, data, user) {
+        const source = await Batch.findOne({ batchId });
+        if (!source) {
+            throw new NotFoundError('Batch', `ID: ${batchId}`);
+        }
+
+        if (source.isRecalled) {
+            throw new ConflictError('Batch already recalled');
+        }
+
+        const evidence = data.evidence || [];
+        const recall = {
+            sourceBatchId: source.batchId,
+            severity: data.severity,
+            reason: data.reason,
+            evidence,
+            evidenceHash: anchorService.toEvidenceHash(evidence),
+            recalledBy: user.id,
+            recalledAt: new Date(),
+            syncStatus: 'pending'
+        };
+
+        // Batches recalled earlier keep their own recall, as on-chain
+        const descendants = (await this.findDescendants(source)).filter((batch) => !batch.isRecalled);
+        const affected = [source, ...descendants];
+        const affectedBatchIds = affected.map((batch) => batch.batchId);
+        const chainBatchIds = affected.map((batch) => batch.chainBatchId || toChainBatchId(batch.batchId));
+
+        const activeListings = { chainBatchId: { $in: chainBatchIds }, active: true };
+        const listings = await Listing.find(activeListings);
+        const cancelledListings = listings.map((listing) => ({
+            listingId: listing.listingId,
+            batchId: affectedBatchIds[chainBatchIds.indexOf(listing.chainBatchId)],
+            seller: listing.seller,
+            quantityAvailable: listing.quantityAvailable
+        }));
+
+        const notifications = await this.findRecipients(affected, listings);
+
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const recalled = await Batch.updateMany(
+                { batchId: { $in: affectedBatchIds }, isRecalled: false },
+                { $set: { isRecalled: true, recall } },
+                { session }
+            );
+            if (recalled.modifiedCount !== affected.length) {
+                throw new ConflictError('A batch was recalled by another request, reload it and try again');
+            }
+
+            await Batch.updateOne(
+                { batchId: source.batchId },
+                { $set: { 'recall.cancelledListings': cancelledListings, 'recall.notifications': notifications } },
+                { session }
+            );
+
+            // The contract cancels the same listings when the recall is anchored; the indexer then records who cancelled them
+            if (listings.length) {
+                await Listing.updateMany(activeListings, { $set: { active: false, quantityAvailable: '0' } }, { session });
+            }
+
+            await session.commitTransaction();
+            session.endSession();
+        } catch (error) {
+            await session.abortTransaction();
+            session.endSession();
+            throw error;
+        }
+
+        // Anchor and email in the background; the outcomes are recorded on the batches
+        anchorService.anchorRecall(source.batchId, affectedBatchIds, recall)
+            .catch((error) => console.error(`[CHAIN ERROR] Anchoring recall of batch ${source.batchId} failed:`, error.message));
+        this.notifyActors(source.batchId, recall, notifications);
+
+        source.isRecalled = true;
+        source.recall = { ...recall, cancelledListings, notifications };
+
+        return { batch: source, recall: source.recall, affectedBatchIds, cancelledListings, notifications };
+    }
+
+    /**
+     * Every batch split or merged from a batch, however many generations away
+     * @param {Object} batch - Batch document
+     * @returns {Promise<Object[]>}
+     */
+    async findDescendants(batch) {
+        if (!batch.childBatchIds?.length) return [];
+
+        const [result] = await Batch.aggregate([
+            { $match: { batchId: batch.batchId } },
+            {
+                $graphLookup: {
+                    from: Batch.collection.name,
+                    startWith: '$childBatchIds',
+                    connectFromField: 'childBatchIds',
+                    connectToField: 'batchId',
+                    as: 'descendants'
+                }
+            },
+            { $project: { _id: 0, descendants: 1 } }
+        ]);
+
+        return result?.descendants || [];
+    }
+
+    /**
+     * Users who handled the recalled batches: the farmer, everyone who recorded an update and the
+     * sellers of their listings, matched by user ID and wallet only - actor names are free text and
+     * could reach someone else. Each gets one notification listing the batches they handled.
+     * @param {Object[]} batches - Recalled batches
+     * @param {Object[]} listings - Their active listings
+     * @returns {Promise<Object[]>} - Pending notifications
+     */
+    async findRecipients(batches, listings) {
+        const handlers = new Map();
+        const touch = (key, batchId) => {
+            if (!key) return;
+            if (!handlers.has(key)) handlers.set(key, new Set());
+            handlers.get(key).add(batchId);
+        };
+
+        batches.forEach((batch) => {
+            touch(`id:${batch.farmerId}`, batch.batchId);
+            (batch.updates || []).forEach((update) => {
+                touch(update.updatedBy && `id:${update.updatedBy}`, batch.batchId);
+            });
+        });
+        listings.forEach((listing) => {
+            const batch = batches.find((candidate) => (candidate.chainBatchId || toChainBatchId(candidate.batchId)) === listing.chainBatchId);
+            touch(`wallet:${listing.seller}`, batch?.batchId);
+        });
+
+        const keys = [...handlers.keys()];
+        const values = (prefix) => keys.filter((key) => key.startsWith(prefix)).map((key) => key.slice(prefix.length));
+        const ids = values('id:').filter(isObjectId);
+        const wallets = values('wallet:');
+
+        const users = await User.find({
+            $or: [
+                { _id: { $in: ids } },
+                { walletAddress: { $in: wallets } }
+            ]
+        }).select('name email walletAddress');
+
+        return users.map((user) => {
+            const batchIds = new Set();
+            [`id:${user._id}`, user.walletAddress && `wallet:${user.walletAddress}`].forEach((key) => {
+                (handlers.get(key) || []).forEach((batchId) => batchIds.add(batchId));
+            });
+
+            return {
+                userId: String(user._id),
+                name: user.name,
+                email: user.email,
+                batchIds: [...batchIds],
+                status: 'pending'
+            };
+        });
+    }
+
+    /**
+     * Email the recall notice to every recipient and record the outcomes on the source batch.
+     * Never throws - a failed email is recorded as failed.
+     * @param {string} sourceBatchId
+     * @param {Object} recall
+     * @param {Object[]} notifications - Pending notifications from findRecipients
+     * @returns {Promise<Object[]>} - Notifications with their outcome
+     */
+    async notifyActors(sourceBatchId, recall, notifications) {
+        const results = await Promise.all(notifications.map(async (notification) => {
+            try {
+                await mailService.sendRecallNotice(notification, recall, notification.batchIds);
+                return { ...notification, status: 'sent', sentAt: new Date() };
+            } catch (error) {
+                console.error(`[RECALL] Could not notify ${notification.email} of the recall of ${sourceBatchId}: ${error.message}`);
+                return { ...notification, status: 'failed', error: error.message };
+            }
+        }));
+
+        try {
+            await Batch.updateOne({ batchId: sourceBatchId }, { $set: { 'recall.notifications': results } });
+        } catch (dbError) {
+            console.error(`[RECALL] Could not record notifications for ${sourceBatchId}:`, dbError.message);
+        }
+
+        return results;
+    }
+
+    /**
+     * What a recall reached: the batches, their quantities by stage and by last recorded
+     * location, the cancelled listings and who was notified. Any batch the recall reached
+     * can be given; the report is always for the whole recall.
+     * Only batches that were not split or merged further hold stock, so consumed batches are
+     * listed but left out of the quantity totals.
+     * @param {string} id - Human readable or on-chain batch ID
+     * @returns {Promise<Object>}
+     * @throws {NotFoundError} when the batch was not recalled
+     */
+    async getRecallReport(id) {
+        const batch = await Batch.findByAnyId(id);
+        if (!batch?.isRecalled) {
+            throw new NotFoundError('Recall', `batch ${id}`);
+        }
+
+        // Batches recalled before recalls were recorded only have the flag
+        const sourceBatchId = batch.recall?.sourceBatchId || batch.batchId;
+        const affected = batch.recall
+            ? await Batch.find({ 'recall.sourceBatchId': sourceBatchId }).select(REPORT_BATCH_FIELDS)
+            : [batch];
+        const source = affected.find((candidate) => candidate.batchId === sourceBatchId) || batch;
+        const recall = source.recall || {};
+
+        const batches = affected.map((candidate) => {
+            const lastUpdate = candidate.updates?.[candidate.updates.length - 1];
+            return {
+                batchId: candidate.batchId,
+                cropType: candidate.cropType,
+                quantity: candidate.quantity,
+                currentStage: candidate.currentStage,
+                location: lastUpdate?.location || candidate.origin,
+                lastActor: lastUpdate?.actor || candidate.farmerName,
+                consumedBy: candidate.consumedBy || null,
+                childBatchIds: candidate.childBatchIds || []
+            };
+        });
+
+        const inStock = batches.filter((candidate) => !candidate.consumedBy);
+        const tally = (key) => {
+            const groups = new Map();
+            inStock.forEach((candidate) => {
+                const group = groups.get(candidate[key]) || { [key]: candidate[key], batches: 0, quantity: 0 };
+                group.batches += 1;
+                group.quantity += candidate.quantity;
+                groups.set(candidate[key], group);
+            });
+            return [...groups.values()].sort((a, b) => b.quantity - a.quantity);
+        };
+
+        const cancelledListings = recall.cancelledListings || [];
+
+        return {
+            sourceBatchId,
+            severity: recall.severity || null,
+            reason: recall.reason || null,
+            evidence: recall.evidence || [],
+            evidenceHash: recall.evidenceHash || null,
+            recalledBy: recall.recalledBy || null,
+            recalledAt: recall.recalledAt || null,
+            totals: {
+                batches: batches.length,
+                batchesInStock: inStock.length,
+                quantity: inStock.reduce((sum, candidate) => sum + candidate.quantity, 0),
+                cancelledListings: cancelledListings.length,
+                delistedQuantity: cancelledListings.reduce((sum, listing) => sum + Number(listing.quantityAvailable), 0),
+                notified: (recall.notifications || []).filter((notification) => notification.status === 'sent').length
+            },
+            byStage: tally('currentStage').map(({ currentStage, ...group }) => ({ stage: currentStage, ...group })),
+            locations: tally('location'),
+            batches,
+            cancelledListings,
+            notifications: recall.notifications || []
+        };
+    }
+}
+
+module.exports = new RecallService();
@@ -0,0 +1,435 @@
+const Batch = require('../models/Batch');
+const STAGES = require('../constants/stages');
+const anchorService = require('./anchorService');
+const { toChainBatchId } = require('../utils/batchId');
+
+/**
+ * Reconciliation Service
+ * Compares MongoDB batches with CropChain state and optionally repairs it. The chain is treated
+ * as the source of truth, except for work whose anchoring failed or never finished (syncStatus
+ * error, or pending for longer than RECONCILE_PENDING_GRACE_MINUTES): that is re-submitted.
+ *
+ * Report categories:
+ * - missing:   on-chain batches with no Mongo document
+ * - divergent: batches present in both whose chain ID, quantity, crop type, recall flag, consumed flag
+ *              or stage history differ
+ * - orphaned:  Mongo batches that do not exist on-chain
+ */
+class ReconciliationService {
+    constructor() {
+        const grace = parseInt(process.env.RECONCILE_PENDING_GRACE_MINUTES, 10);
+        this.pendingGraceMs = (Number.isNaN(grace) ? 10 : grace) * 60 * 1000;
+    }
+
+    /**
+     * Read every batch from the contract
+     * @param {ethers.Contract} contract - CropChain contract instance
+     * @returns {Promise<Map<string, Object>>} - Chain batches keyed by lower-case bytes32 ID
+     */
+    async loadChainBatches(contract) {
+        const total = Number(await contract.getTotalBatches());
+        const batches = new Map();
+
+        for (let i = 0; i < total; i++) {
+            const chainBatchId = (await contract.getBatchIdByIndex(i)).toLowerCase();
+            const batch = await contract.getBatch(chainBatchId);
+            const updates = await contract.getBatchUpdates(chainBatchId);
+
+            batches.set(chainBatchId, {
+                chainBatchId,
+                cropTypeHash: batch.cropTypeHash.toLowerCase(),
+                quantity: Number(batch.quantity),
+                isRecalled: batch.isRecalled,
+                // Split or merged into other batches
+                consumed: await contract.consumedBatches(chainBatchId),
+                creator: batch.creator,
+                createdAt: new Date(Number(batch.createdAt) * 1000),
+                updates: updates.map((update) => ({
+                    stage: STAGES[Number(update.stage)],
+                    actor: update.actorName,
+                    location: update.location,
+                    timestamp: new Date(Number(update.timestamp) * 1000),
+                    notes: update.notes,
+                    updatedBy: update.updatedBy
+                }))
+            });
+        }
+
+        return batches;
+    }
+
+    /**
+     * List the fields on which a Mongo batch differs from its on-chain record
+     * @param {Object} mongoBatch - Batch document (lean)
+     * @param {Object} chainBatch - Entry from loadChainBatches
+     * @returns {Array<{field: string, mongo: *, chain: *}>}
+     */
+    compareBatch(mongoBatch, chainBatch) {
+        const differences = [];
+
+        // Documents created before chainBatchId existed are backfilled by --fix
+        if (mongoBatch.chainBatchId !== chainBatch.chainBatchId) {
+            differences.push({ field: 'chainBatchId', mongo: mongoBatch.chainBatchId || null, chain: chainBatch.chainBatchId });
+        }
+
+        if (mongoBatch.quantity !== chainBatch.quantity) {
+            differences.push({ field: 'quantity', mongo: mongoBatch.quantity, chain: chainBatch.quantity });
+        }
+
+        if (anchorService.toCropTypeHash(mongoBatch.cropType).toLowerCase() !== chainBatch.cropTypeHash) {
+            differences.push({ field: 'cropType', mongo: mongoBatch.cropType, chain: chainBatch.cropTypeHash });
+        }
+
+        if (Boolean(mongoBatch.isRecalled) !== chainBatch.isRecalled) {
+            differences.push({ field: 'isRecalled', mongo: Boolean(mongoBatch.isRecalled), chain: chainBatch.isRecalled });
+        }
+
+        if (Boolean(mongoBatch.consumedBy) !== Boolean(chainBatch.consumed)) {
+            differences.push({ field: 'consumed', mongo: mongoBatch.consumedBy || null, chain: Boolean(chainBatch.consumed) });
+        }
+
+        const mongoUpdates = mongoBatch.updates || [];
+        const length = Math.max(mongoUpdates.length, chainBatch.updates.length);
+
+        for (let i = 0; i < length; i++) {
+            const local = mongoUpdates[i];
+            const remote = chainBatch.updates[i];
+
+            if (!local || !remote) {
+                differences.push({
+                    field: `updates[${i}]`,
+                    mongo: local ? local.stage : null,
+                    chain: remote ? remote.stage : null
+                });
+                continue;
+            }
+
+            ['stage', 'actor', 'location'].forEach((key) => {
+                if (local[key] !== remote[key]) {
+                    differences.push({ field: `updates[${i}].${key}`, mongo: local[key], chain: remote[key] });
+                }
+            });
+        }
+
+        return differences;
+    }
+
+    /**
+     * Diff MongoDB against the chain
+     * @param {ethers.Contract} contract - CropChain contract instance
+     * @param {Object} [options]
+     * @param {boolean} [options.fix=false] - Re-submit unanchored work, repair the other divergent and orphaned records from chain state
+     * @returns {Promise<Object>} - Reconciliation report
+     */
+    async reconcile(contract, { fix = false } = {}) {
+        const chainBatches = await this.loadChainBatches(contract);
+        const mongoBatches = await Batch.find({}).lean();
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            contractAddress: await contract.getAddress(),
+            fix,
+            summary: {
+                chainBatches: chainBatches.size,
+                mongoBatches: mongoBatches.length,
+                matched: 0,
+                missing: 0,
+                divergent: 0,
+                orphaned: 0,
+                repaired: 0
+            },
+            missing: [],
+            divergent: [],
+            orphaned: []
+        };
+
+        const seen = new Set();
+        // Batch ID → syncStatus after its split or merge was re-submitted
+        const relinked = fix ? await this._resubmitLineage(mongoBatches, chainBatches) : new Map();
+
+        for (const mongoBatch of mongoBatches) {
+            const chainBatchId = toChainBatchId(mongoBatch.batchId);
+            const chainBatch = chainBatches.get(chainBatchId);
+
+            if (!chainBatch) {
+                const entry = {
+                    batchId: mongoBatch.batchId,
+                    chainBatchId,
+                    syncStatus: mongoBatch.syncStatus
+                };
+                report.orphaned.push(entry);
+
+                if (!fix) continue;
+
+                if (relinked.has(mongoBatch.batchId)) {
+                    entry.resubmitted = relinked.get(mongoBatch.batchId);
+                    if (entry.resubmitted === 'synced') report.summary.repaired++;
+                } else if (this.canResubmit(mongoBatch) && !mongoBatch.parentBatchIds?.length) {
+                    entry.resubmitted = await this._resubmit(mongoBatch, 0, false);
+                    if (entry.resubmitted === 'synced') report.summary.repaired++;
+                } else if (mongoBatch.syncStatus !== 'pending') {
+                    // Split and merged batches only exist on-chain through the splitBatch/mergeBatches
+                    // transaction of their sources; pending batches may still have a transaction in flight
+                    await Batch.updateOne(
+                        { batchId: mongoBatch.batchId },
+                        { $set: { syncStatus: 'error', syncError: 'Batch not found on-chain' } }
+                    );
+                    report.summary.repaired++;
+                }
+                continue;
+            }
+
+            seen.add(chainBatchId);
+            const differences = this.compareBatch(mongoBatch, chainBatch);
+
+            if (differences.length === 0) {
+                report.summary.matched++;
+                continue;
+            }
+
+            const entry = { batchId: mongoBatch.batchId, chainBatchId, differences };
+            report.divergent.push(entry);
+
+            // A split or merge still in flight, or whose batches are not all orphaned, is only reported
+            const unrecordedLineage = Boolean(mongoBatch.consumedBy) && !chainBatch.consumed;
+
+            if (fix && relinked.has(mongoBatch.batchId)) {
+                entry.resubmitted = relinked.get(mongoBatch.batchId);
+                if (entry.resubmitted === 'synced') report.summary.repaired++;
+            } else if (fix && this.isAheadOfChain(mongoBatch, chainBatch)) {
+                // Recent pending work may still have a transaction in flight
+                if (this.canResubmit(mongoBatch) || (mongoBatch.syncStatus === 'synced' && this.canResubmitRecall(mongoBatch))) {
+                    entry.resubmitted = await this._resubmit(mongoBatch, chainBatch.updates.length, chainBatch.isRecalled);
+                    if (entry.resubmitted === 'synced') report.summary.repaired++;
+                }
+            } else if (fix && !unrecordedLineage) {
+                await this._repairFromChain(mongoBatch, chainBatch);
+                report.summary.repaired++;
+            }
+        }
+
+        for (const [chainBatchId, chainBatch] of chainBatches) {
+            if (seen.has(chainBatchId)) continue;
+
+            // The human readable ID cannot be recovered from its hash, so these are reported only
+            report.missing.push({
+                chainBatchId,
+                quantity: chainBatch.quantity,
+                creator: chainBatch.creator,
+                currentStage: chainBatch.updates[chainBatch.updates.length - 1]?.stage || null,
+                isRecalled: chainBatch.isRecalled
+            });
+        }
+
+        report.summary.missing = report.missing.length;
+        report.summary.divergent = report.divergent.length;
+        report.summary.orphaned = report.orphaned.length;
+
+        return report;
+    }
+
+    /**
+     * Whether a batch's anchoring is over: it failed, or it has been pending so long that no
+     * transaction can still be in flight
+     * @param {Object} mongoBatch - Batch document (lean)
+     * @param {Date} [now]
+     * @returns {boolean}
+     */
+    canResubmit(mongoBatch, now = new Date()) {
+        if (mongoBatch.syncStatus === 'error') return true;
+        return mongoBatch.syncStatus === 'pending' && now - new Date(mongoBatch.updatedAt) > this.pendingGraceMs;
+    }
+
+    /**
+     * Whether MongoDB holds everything the chain does plus work that was never anchored:
+     * later updates, or a recall issued for this batch
+     * @param {Object} mongoBatch - Batch document (lean)
+     * @param {Object} chainBatch - Entry from loadChainBatches
+     * @returns {boolean}
+     */
+    isAheadOfChain(mongoBatch, chainBatch) {
+        const mongoUpdates = mongoBatch.updates || [];
+        const sameBatch = mongoBatch.quantity === chainBatch.quantity
+            && anchorService.toCropTypeHash(mongoBatch.cropType).toLowerCase() === chainBatch.cropTypeHash
+            && mongoUpdates.length >= chainBatch.updates.length
+            && chainBatch.updates.every((remote, i) => ['stage', 'actor', 'location'].every((key) => mongoUpdates[i][key] === remote[key]));
+
+        const unanchoredRecall = this.isRecallSource(mongoBatch) && !chainBatch.isRecalled;
+
+        return sameBatch && (mongoUpdates.length > chainBatch.updates.length || unanchoredRecall);
+    }
+
+    /**
+     * Whether the anchoring of the recall issued for a batch is over. Tracked apart from the
+     * batch's own syncStatus; recalls recorded before that have no recall.syncStatus.
+     * @param {Object} mongoBatch - Batch document (lean)
+     * @param {Date} [now]
+     * @returns {boolean}
+     */
+    canResubmitRecall(mongoBatch, now = new Date()) {
+        if (!this.isRecallSource(mongoBatch)) return false;
+
+        const { syncStatus = 'pending', recalledAt } = mongoBatch.recall;
+        if (syncStatus === 'error') return true;
+        return syncStatus === 'pending' && now - new Date(recalledAt) > this.pendingGraceMs;
+    }
+
+    isRecallSource(mongoBatch) {
+        return Boolean(mongoBatch.isRecalled && mongoBatch.recall?.sourceBatchId === mongoBatch.batchId);
+    }
+
+    /**
+     * Anchor what the chain is missing, in order: the batch itself (from = 0), the updates from
+     * index `from` on, then the recall. Stops at the first transaction that fails.
+     * @param {Object} mongoBatch - Batch document (lean)
+     * @param {number} from - Index of the first update the chain does not have
+     * @param {boolean} chainRecalled - Whether the chain already recalled the batch
+     * @returns {Promise<string>} - syncStatus after the last transaction
+     */
+    async _resubmit(mongoBatch, from, chainRecalled) {
+        const updates = mongoBatch.updates || [];
+        let result;
+
+        if (from === 0) {
+            result = await anchorService.anchorBatchCreation(mongoBatch);
+        }
+        for (let i = Math.max(from, 1); i < updates.length && (!result || result.syncStatus === 'synced'); i++) {
+            result = await anchorService.anchorBatchUpdate(mongoBatch.batchId, updates[i]);
+        }
+        if ((!result || result.syncStatus === 'synced') && this.isRecallSource(mongoBatch) && !chainRecalled) {
+            result = await anchorService.anchorRecall(mongoBatch.batchId, [mongoBatch.batchId], mongoBatch.recall);
+        }
+
+        return result?.syncStatus || 'pending';
+    }
+
+    /**
+     * Re-submit splits and merges the chain never recorded: the source batches exist on-chain
+     * but are not consumed there, and none of the batches made from them exist on-chain.
+     * Skipped while one of those batches may still have a transaction in flight.
+     * @param {Object[]} mongoBatches - Batch documents (lean)
+     * @param {Map<string, Object>} chainBatches - Output of loadChainBatches
+     * @returns {Promise<Map<string, string>>} - Batch ID → syncStatus after the transaction, for every batch it changes
+     */
+    async _resubmitLineage(mongoBatches, chainBatches) {
+        const byId = new Map(mongoBatches.map((batch) => [batch.batchId, batch]));
+        const chainBatchOf = (batch) => chainBatches.get(toChainBatchId(batch.batchId));
+        const unconsumedOnChain = (batch) => Boolean(batch) && chainBatchOf(batch) && !chainBatchOf(batch).consumed;
+        const relinked = new Map();
+
+        for (const source of mongoBatches) {
+            if (!source.consumedBy || relinked.has(source.batchId) || !unconsumedOnChain(source)) continue;
+
+            const made = (source.childBatchIds || []).map((batchId) => byId.get(batchId));
+            if (!made.length || made.some((batch) => !batch || chainBatchOf(batch) || !this.canResubmit(batch))) continue;
+
+            let batchIds;
+            let result;
+
+            if (source.consumedBy === 'split') {
+                batchIds = [source.batchId, ...made.map((child) => child.batchId)];
+                result = await anchorService.anchorBatchSplit(source, made);
+            } else {
+                const [merged] = made;
+                const parents = (merged.parentBatchIds || []).map((batchId) => byId.get(batchId));
+                if (!parents.every(unconsumedOnChain)) continue;
+
+                batchIds = [...parents.map((parent) => parent.batchId), merged.batchId];
+                result = await anchorService.anchorBatchMerge(parents, merged);
+            }
+
+            batchIds.forEach((batchId) => relinked.set(batchId, result?.syncStatus || 'pending'));
+        }
+
+        return relinked;
+    }
+
+    /**
+     * Overwrite chain ID, quantity, recall flag and stage history with on-chain values.
+     * Existing update subdocuments keep their _id and txHash where the stage still lines up.
+     */
+    async _repairFromChain(mongoBatch, chainBatch) {
+        const mongoUpdates = mongoBatch.updates || [];
+
+        const updates = chainBatch.updates.map((remote, i) => {
+            const local = mongoUpdates[i];
+            const keep = local && local.stage === remote.stage;
+
+            return {
+                ...(keep && { _id: local._id, txHash: local.txHash }),
+                stage: remote.stage,
+                actor: remote.actor,
+                location: remote.location,
+                timestamp: remote.timestamp,
+                notes: remote.notes
+            };
+        });
+
+        await Batch.updateOne(
+            { batchId: mongoBatch.batchId },
+            {
+                $set: {
+                    chainBatchId: chainBatch.chainBatchId,
+                    quantity: chainBatch.quantity,
+                    isRecalled: chainBatch.isRecalled,
+                    updates,
+                    currentStage: updates[updates.length - 1]?.stage || mongoBatch.currentStage,
+                    syncStatus: 'synced',
+                    syncError: null
+                }
+            }
+        );
+    }
+
+    /**
+     * Human readable report
+     * @param {Object} report - Output of reconcile()
+     * @returns {string}
+     */
+    formatReport(report) {
+        const { summary } = report;
+        const lines = [
+            `CropChain reconciliation report - ${report.generatedAt}`,
+            `Contract: ${report.contractAddress}`,
+            '',
+            `On-chain batches: ${summary.chainBatches}`,
+            `MongoDB batches:  ${summary.mongoBatches}`,
+            `Matched:          ${summary.matched}`,
+            `Missing:          ${summary.missing}  (on-chain, not in MongoDB)`,
+            `Divergent:        ${summary.divergent}`,
+            `Orphaned:         ${summary.orphaned}  (in MongoDB, not on-chain)`
+        ];
+
+        if (report.fix) {
+            lines.push(`Repaired:         ${summary.repaired}`);
+        }
+
+        if (report.missing.length > 0) {
+            lines.push('', 'Missing:');
+            report.missing.forEach((entry) => {
+                lines.push(`  ${entry.chainBatchId}  qty=${entry.quantity} stage=${entry.currentStage} recalled=${entry.isRecalled}`);
+            });
+        }
+
+        if (report.divergent.length > 0) {
+            lines.push('', 'Divergent:');
+            report.divergent.forEach((entry) => {
+                lines.push(`  ${entry.batchId}${entry.resubmitted ? `  resubmitted=${entry.resubmitted}` : ''}`);
+                entry.differences.forEach((diff) => {
+                    lines.push(`    ${diff.field}: mongo=${JSON.stringify(diff.mongo)} chain=${JSON.stringify(diff.chain)}`);
+                });
+            });
+        }
+
+        if (report.orphaned.length > 0) {
+            lines.push('', 'Orphaned:');
+            report.orphaned.forEach((entry) => {
+                lines.push(`  ${entry.batchId}  syncStatus=${entry.syncStatus}${entry.resubmitted ? ` resubmitted=${entry.resubmitted}` : ''}`);
+            });
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,256 @@
+const { ethers } = require('ethers');
+const CertifiedRegion = require('../models/CertifiedRegion');
+const Batch = require('../models/Batch');
+const { getContract } = require('../config/blockchain');
+const { NotFoundError, ConflictError, ValidationError, BusinessRuleError, ServiceError } = require('../utils/errorHandler');
+
+const EDITABLE_FIELDS = ['name', 'authority', 'bounds', 'validFrom', 'validUntil'];
+
+const toSeconds = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : 0);
+
+/**
+ * Region Service
+ * Registry of certified growing regions. Location proofs reference a region by ID and
+ * must prove exactly its box while the certification is in force. A region's record can
+ * be anchored on-chain by hash with CropChain.anchorRegion.
+ */
+class RegionService {
+    constructor() {
+        this.confirmations = parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS) || 1;
+        this.txTimeoutMs = parseInt(process.env.BLOCKCHAIN_TX_TIMEOUT_MS) || 120000;
+    }
+
+    /**
+     * On-chain region key: keccak256 of the region ID
+     * @param {string} regionId
+     * @returns {string} - bytes32 hex string
+     */
+    toChainRegionId(regionId) {
+        return ethers.id(regionId);
+    }
+
+    /**
+     * Hash of the certified fields, as anchored on-chain:
+     * keccak256(abi.encode(regionId, name, authority, box, validFrom, validUntil)), dates in Unix seconds
+     * (validUntil 0 when open-ended)
+     * @param {Object} region - CertifiedRegion document
+     * @returns {string} - bytes32 hex string
+     */
+    hashRegion(region) {
+        return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+            ['string', 'string', 'string', 'uint256[4]', 'uint256', 'uint256'],
+            [region.regionId, region.name, region.authority, region.box, toSeconds(region.validFrom), toSeconds(region.validUntil)]
+        ));
+    }
+
+    /**
+     * API representation of a region
+     * @param {Object} region - CertifiedRegion document
+     * @returns {Object}
+     */
+    serialize(region) {
+        return {
+            regionId: region.regionId,
+            name: region.name,
+            authority: region.authority,
+            bounds: {
+                minLat: region.bounds.minLat,
+                maxLat: region.bounds.maxLat,
+                minLon: region.bounds.minLon,
+                maxLon: region.bounds.maxLon
+            },
+            box: [...region.box],
+            validFrom: region.validFrom,
+            validUntil: region.validUntil,
+            active: region.isValidAt(),
+            anchor: region.anchor ? {
+                dataHash: region.anchor.dataHash,
+                txHash: region.anchor.txHash,
+                blockNumber: region.anchor.blockNumber,
+                anchoredAt: region.anchor.anchoredAt,
+                // False once the record changed after it was anchored
+                current: region.anchor.dataHash === this.hashRegion(region)
+            } : null,
+            createdAt: region.createdAt,
+            updatedAt: region.updatedAt
+        };
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.activeOnly] - Only regions whose certification is in force
+     * @returns {Promise<Object[]>} - CertifiedRegion documents sorted by ID
+     */
+    async listRegions({ activeOnly = false } = {}) {
+        const now = new Date();
+        const filter = activeOnly
+            ? { validFrom: { $lte: now }, $or: [{ validUntil: null }, { validUntil: { $gt: now } }] }
+            : {};
+
+        return CertifiedRegion.find(filter).sort({ regionId: 1 });
+    }
+
+    /**
+     * @param {string} regionId
+     * @returns {Promise<Object>}
+     * @throws {NotFoundError}
+     */
+    async getRegion(regionId) {
+        const region = await CertifiedRegion.findOne({ regionId: String(regionId).toUpperCase() });
+        if (!region) {
+            throw new NotFoundError('Region', regionId);
+        }
+        return region;
+    }
+
+    /**
+     * @param {Object} data - Validated createRegionSchema payload
+     * @param {Object} user - Authenticated admin
+     * @returns {Promise<Object>}
+     */
+    async createRegion(data, user) {
+        const regionId = data.regionId.toUpperCase();
+
+        if (await CertifiedRegion.exists({ regionId })) {
+            throw new ConflictError(`Region ${regionId} already exists`);
+        }
+
+        const region = new CertifiedRegion({
+            regionId,
+            name: data.name,
+            authority: data.authority,
+            bounds: data.bounds,
+            validFrom: data.validFrom,
+            validUntil: data.validUntil || null,
+            createdBy: user?.id
+        });
+        this._assertConsistent(region);
+
+        return region.save();
+    }
+
+    /**
+     * Update a region. The box cannot change once batch proofs reference the region.
+     * @param {string} regionId
+     * @param {Object} data - Validated updateRegionSchema payload
+     * @returns {Promise<Object>}
+     */
+    async updateRegion(regionId, data) {
+        const region = await this.getRegion(regionId);
+
+        if (data.bounds && await this._isReferenced(region.regionId)) {
+            const current = region.bounds;
+            const changed = ['minLat', 'maxLat', 'minLon', 'maxLon'].some((key) => data.bounds[key] !== current[key]);
+            if (changed) {
+                throw new BusinessRuleError(
+                    `Region ${region.regionId} is referenced by batch origin proofs; its bounds cannot change`,
+                    'REGION_IN_USE'
+                );
+            }
+        }
+
+        EDITABLE_FIELDS.forEach((field) => {
+            if (data[field] !== undefined) {
+                region[field] = data[field];
+            }
+        });
+        this._assertConsistent(region);
+
+        return region.save();
+    }
+
+    /**
+     * Delete a region that no batch proof references
+     * @param {string} regionId
+     * @returns {Promise<Object>} - The deleted region
+     */
+    async deleteRegion(regionId) {
+        const region = await this.getRegion(regionId);
+
+        if (await this._isReferenced(region.regionId)) {
+            throw new BusinessRuleError(
+                `Region ${region.regionId} is referenced by batch origin proofs; set validUntil instead`,
+                'REGION_IN_USE'
+            );
+        }
+
+        await CertifiedRegion.deleteOne({ regionId: region.regionId });
+        return region;
+    }
+
+    /**
+     * Anchor the region's current hash with CropChain.anchorRegion
+     * @param {string} regionId
+     * @returns {Promise<{region: Object, chain: {status: string, txHash: string, blockNumber: number}}>}
+     * @throws {ServiceError} when blockchain is not configured or the transaction fails
+     */
+    async anchorRegion(regionId) {
+        const region = await this.getRegion(regionId);
+        const contract = getContract();
+
+        if (!contract) {
+            throw new ServiceError('Blockchain', 'Blockchain not configured');
+        }
+
+        const dataHash = this.hashRegion(region);
+
+        let receipt;
+        try {
+            const tx = await contract.anchorRegion(this.toChainRegionId(region.regionId), dataHash);
+            receipt = await tx.wait(this.confirmations, this.txTimeoutMs);
+        } catch (error) {
+            throw new ServiceError('Blockchain', `anchorRegion failed: ${error.shortMessage || error.message}`, 502);
+        }
+
+        console.log(`[CHAIN] Region ${region.regionId} anchored in tx ${receipt.hash}`);
+
+        region.anchor = {
+            dataHash,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            anchoredAt: new Date()
+        };
+        await region.save();
+
+        return {
+            region,
+            chain: { status: 'synced', txHash: receipt.hash, blockNumber: receipt.blockNumber }
+        };
+    }
+
+    /**
+     * Find the certified region a proof's public signals prove
+     * @param {string[]} publicSignals - Box signals first, as in utils/zkProof.js
+     * @param {string} [regionId] - Region the proof claims; without it any region with this box matches
+     * @param {Date} [at] - Time the certification must be in force
+     * @returns {Promise<Object|null>} - Region document, null if no certified region matches
+     */
+    async findProvenRegion(publicSignals, regionId, at = new Date()) {
+        const box = publicSignals.slice(0, 4).map(String);
+
+        if (regionId) {
+            const region = await CertifiedRegion.findOne({ regionId: String(regionId).toUpperCase() });
+            const matches = region && region.box.every((value, index) => value === box[index]);
+            return matches && region.isValidAt(at) ? region : null;
+        }
+
+        const candidates = await CertifiedRegion.find({ box });
+        return candidates.find((region) => region.isValidAt(at)) || null;
+    }
+
+    _assertConsistent(region) {
+        const { minLat, maxLat, minLon, maxLon } = region.bounds;
+        if (minLat >= maxLat || minLon >= maxLon) {
+            throw new ValidationError('Invalid bounds', ['minLat must be below maxLat and minLon below maxLon']);
+        }
+        if (region.validUntil && region.validUntil <= region.validFrom) {
+            throw new ValidationError('Invalid validity period', ['validUntil must be after validFrom']);
+        }
+    }
+
+    async _isReferenced(regionId) {
+        return Boolean(await Batch.exists({ 'originProof.regionId': regionId }));
+    }
+}
+
+module.exports = new RegionService();
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const generateToken = require('../utils/generateToken');
+const { UnauthorizedError, NotFoundError } = require('../utils/errorHandler');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Session Service
+ * Login sessions: a short-lived JWT access token plus a refresh token that is rotated on
+ * every use and stored hashed in MongoDB. Sessions end on logout, on "log out all sessions"
+ * and when an admin revokes the user's sessions or credential; the latter two also bump
+ * user.tokenVersion so access tokens issued before stop working immediately.
+ */
+class SessionService {
+    constructor() {
+        this.refreshTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    }
+
+    /**
+     * Start a session after a successful login or registration
+     * @param {Object} user - User document
+     * @param {{ip?: string, userAgent?: string}} [meta] - Client details stored with the refresh token
+     * @returns {Promise<{token: string, refreshToken: string, accessTokenExpiresAt: Date, refreshTokenExpiresAt: Date}>}
+     */
+    async createSession(user, meta = {}) {
+        return this._issue(user, crypto.randomUUID(), meta);
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and a new refresh token.
+     * Presenting a token that was already rotated revokes the whole session.
+     * @param {string} refreshToken
+     * @param {{ip?: string, userAgent?: string}} [meta]
+     * @returns {Promise<{token: string, refreshToken: string, accessTokenExpiresAt: Date, refreshTokenExpiresAt: Date}>}
+     * @throws {UnauthorizedError} when the token is unknown, revoked, expired or its user no longer exists
+     */
+    async refreshSession(refreshToken, meta = {}) {
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+        if (!stored) {
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        if (stored.revokedAt) {
+            if (stored.replacedBy) {
+                // A rotated token came back: it was copied, so end the session for everyone holding it
+                console.warn(`[AUTH] Reuse of a rotated refresh token for user ${stored.user}; revoking session ${stored.family}`);
+                await this._revokeFamily(stored.family);
+            }
+            throw new UnauthorizedError('Refresh token has been revoked');
+        }
+
+        if (stored.expiresAt <= new Date()) {
+            throw new UnauthorizedError('Refresh token expired');
+        }
+
+        const user = await User.findById(stored.user);
+        if (!user) {
+            throw new UnauthorizedError('User not found');
+        }
+
+        const nextToken = crypto.randomBytes(48).toString('base64url');
+
+        // Only one request can rotate a token
+        const rotated = await RefreshToken.findOneAndUpdate(
+            { _id: stored._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), replacedBy: hashToken(nextToken) } }
+        );
+        if (!rotated) {
+            throw new UnauthorizedError('Refresh token has been revoked');
+        }
+
+        return this._issue(user, stored.family, meta, nextToken);
+    }
+
+    /**
+     * End the session a refresh token belongs to. Unknown tokens are ignored.
+     * @param {string} refreshToken
+     * @returns {Promise<void>}
+     */
+    async revokeSession(refreshToken) {
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+        if (stored) {
+            await this._revokeFamily(stored.family);
+        }
+    }
+
+    /**
+     * End every session of a user, including live access tokens
+     * @param {string} userId
+     * @returns {Promise<{revokedAt: Date, sessions: number}>} - sessions is the number of refresh tokens revoked
+     * @throws {NotFoundError}
+     */
+    async revokeAllSessions(userId) {
+        const revokedAt = new Date();
+
+        const user = mongoose.isValidObjectId(userId)
+            ? await User.findByIdAndUpdate(userId, { $set: { sessionsRevokedAt: revokedAt }, $inc: { tokenVersion: 1 } })
+            : null;
+        if (!user) {
+            throw new NotFoundError('User', `ID: ${userId}`);
+        }
+
+        const result = await RefreshToken.updateMany(
+            { user: userId, revokedAt: null },
+            { $set: { revokedAt } }
+        );
+
+        return { revokedAt, sessions: result.modifiedCount };
+    }
+
+    /**
+     * Whether an access token predates the user's latest session revocation.
+     * Compares token versions rather than times: JWT iat has one second resolution, so a
+     * time check cannot tell a token issued just before a revocation from one issued just after.
+     * @param {{ver?: number}} decoded - Verified JWT payload; tokens without ver are version 0
+     * @param {Object} user - User document
+     * @returns {boolean}
+     */
+    isAccessTokenRevoked(decoded, user) {
+        return (decoded.ver || 0) !== (user.tokenVersion || 0);
+    }
+
+    async _issue(user, family, meta, refreshToken = crypto.randomBytes(48).toString('base64url')) {
+        const token = generateToken(user._id, user.role, user.name, user.tokenVersion || 0);
+        const refreshTokenExpiresAt = new Date(Date.now() + this.refreshTtlDays * 24 * 60 * 60 * 1000);
+
+        await RefreshToken.create({
+            user: user._id,
+            tokenHash: hashToken(refreshToken),
+            family,
+            expiresAt: refreshTokenExpiresAt,
+            createdByIp: meta.ip || null,
+            userAgent: meta.userAgent || null
+        });
+
+        return {
+            token,
+            refreshToken,
+            accessTokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+            refreshTokenExpiresAt
+        };
+    }
+
+    async _revokeFamily(family) {
+        await RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    }
+}
+
+module.exports = new SessionService();
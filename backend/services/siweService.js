@@ -0,0 +1,126 @@
+const { SiweMessage } = require('siwe');
+const nonceService = require('./nonceService');
+const { UnauthorizedError } = require('../utils/errorHandler');
+
+const SIWE_STATEMENT = 'Sign in to CropChain';
+
+// Tolerated clock difference between the browser that wrote issuedAt and this server
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const splitList = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+const defaultDomain = () => {
+    try {
+        return new URL(process.env.FRONTEND_URL || 'http://localhost:5173').host;
+    } catch (error) {
+        return 'localhost:5173';
+    }
+};
+
+/**
+ * SIWE Service
+ * Verifies Sign-In with Ethereum (EIP-4361) messages for wallet login and registration.
+ * The message binds the signature to the frontend's domain and URI, a chain ID, the
+ * address's pending nonce and an expiration time, so a signature collected by another
+ * site or for another chain is refused.
+ */
+class SiweService {
+    constructor() {
+        this.domains = splitList(process.env.SIWE_DOMAINS);
+        if (this.domains.length === 0) {
+            this.domains = [defaultDomain()];
+        }
+        this.chainIds = splitList(process.env.SIWE_CHAIN_IDS || '31337').map(Number);
+        this.statement = SIWE_STATEMENT;
+    }
+
+    /**
+     * Parameters the frontend needs to build a message
+     * @returns {{statement: string, chainIds: number[], version: string}}
+     */
+    getMessageParams() {
+        return { statement: this.statement, chainIds: [...this.chainIds], version: '1' };
+    }
+
+    /**
+     * Address a message claims to be signed by, without checking anything else
+     * @param {string} message
+     * @returns {string|null} - Lowercase address, or null when the message does not parse
+     */
+    getMessageAddress(message) {
+        try {
+            return new SiweMessage(message).address.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check a signed SIWE message and consume its nonce
+     * @param {string} message - EIP-4361 message as signed with personal_sign
+     * @param {string} signature
+     * @returns {Promise<{address: string, chainId: number}>} - Lowercase signer address
+     * @throws {UnauthorizedError} when the message is malformed, not for this site, expired,
+     *   carries a nonce that is not pending, or the signature does not match its address
+     */
+    async verify(message, signature) {
+        let siwe;
+        try {
+            siwe = new SiweMessage(message);
+        } catch (error) {
+            throw new UnauthorizedError('Malformed sign-in message');
+        }
+
+        const address = siwe.address.toLowerCase();
+
+        if (!this.domains.includes(siwe.domain)) {
+            throw new UnauthorizedError(`Sign-in message is for another site (${siwe.domain})`);
+        }
+
+        let uriHost = null;
+        try {
+            uriHost = new URL(siwe.uri).host;
+        } catch (error) {
+            // Handled below
+        }
+        if (uriHost !== siwe.domain) {
+            throw new UnauthorizedError('Sign-in message URI does not match its domain');
+        }
+
+        if (siwe.statement !== this.statement) {
+            throw new UnauthorizedError('Unexpected sign-in statement');
+        }
+
+        if (!this.chainIds.includes(siwe.chainId)) {
+            throw new UnauthorizedError(`Unsupported chain ID ${siwe.chainId}`);
+        }
+
+        if (!siwe.expirationTime) {
+            throw new UnauthorizedError('Sign-in message must have an expiration time');
+        }
+
+        if (new Date(siwe.issuedAt).getTime() > Date.now() + CLOCK_SKEW_MS) {
+            throw new UnauthorizedError('Sign-in message is issued in the future');
+        }
+
+        const pending = await nonceService.getPending(address);
+        if (!pending || pending.nonce !== siwe.nonce) {
+            throw new UnauthorizedError('No valid nonce for this address. Please request a new one.');
+        }
+
+        // Checks the signature, the nonce, and expirationTime/notBefore against the current time
+        const result = await siwe.verify(
+            { signature, domain: siwe.domain, nonce: pending.nonce, time: new Date().toISOString() },
+            { suppressExceptions: true }
+        );
+        if (!result.success) {
+            throw new UnauthorizedError(`Sign-in message rejected: ${result.error?.type || 'invalid signature'}`);
+        }
+
+        await nonceService.consume(address, pending.nonce);
+
+        return { address, chainId: siwe.chainId };
+    }
+}
+
+module.exports = new SiweService();
@@ -0,0 +1,190 @@
+const Batch = require('../models/Batch');
+const { SLA_STAGES, loadSlaHours } = require('../config/sla');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const BREACH_PROJECTION = 'batchId cropType farmerName origin currentStage status slaBreach';
+
+/**
+ * SLA Service
+ * Detects batches that stay in a stage longer than the SLA for their crop type allows
+ * (config/sla.js). A batch enters a stage with the update that records it; the scan runs
+ * on a timer, sets the status of every overdue Active batch to Flagged and stores the
+ * breach on the batch. A breach is reported once: after an admin sets the batch back to
+ * Active it is not flagged again until it moves to the next stage.
+ */
+class SlaService {
+    constructor() {
+        this.hours = loadSlaHours();
+        const interval = parseInt(process.env.SLA_SCAN_INTERVAL_MINUTES, 10);
+        this.scanIntervalMinutes = Number.isNaN(interval) ? 15 : interval;
+
+        this.running = false;
+        this.timer = null;
+    }
+
+    /**
+     * SLA in hours for a crop type and stage
+     * @param {string} cropType
+     * @param {string} stage
+     * @returns {number|null} - null for the terminal stage
+     */
+    limitFor(cropType, stage) {
+        return this.hours[cropType]?.[stage] ?? this.hours.default?.[stage] ?? null;
+    }
+
+    /**
+     * The SLA table and the stages it applies to (for GET /api/batches/sla)
+     * @returns {{stages: string[], hours: Object<string, Object<string, number>>, scanIntervalMinutes: number}}
+     */
+    getRules() {
+        return { stages: SLA_STAGES, hours: this.hours, scanIntervalMinutes: this.scanIntervalMinutes };
+    }
+
+    /**
+     * Start scanning every SLA_SCAN_INTERVAL_MINUTES (0 disables the scan)
+     */
+    start() {
+        if (this.running || !this.scanIntervalMinutes) return;
+        this.running = true;
+
+        console.log(`⏱️  SLA scan every ${this.scanIntervalMinutes} minutes`);
+        this._schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    _schedule(delay) {
+        this.timer = setTimeout(async () => {
+            try {
+                await this.scan();
+            } catch (error) {
+                console.error('[SLA ERROR]', error.message);
+            }
+            if (this.running) {
+                this._schedule(this.scanIntervalMinutes * 60 * 1000);
+            }
+        }, delay);
+    }
+
+    /**
+     * $match conditions for batches that entered their stage before its SLA ran out:
+     * one per crop with a limit of its own, and one per stage for all other crops
+     * @param {number} now - Epoch milliseconds
+     * @returns {Object[]}
+     */
+    overdueConditions(now) {
+        const conditions = [];
+        const deadline = (hours) => ({ $lt: new Date(now - hours * HOUR_MS) });
+
+        for (const stage of SLA_STAGES) {
+            const ownCrops = Object.keys(this.hours)
+                .filter((crop) => crop !== 'default' && this.hours[crop][stage] !== undefined);
+
+            ownCrops.forEach((crop) => {
+                conditions.push({ cropType: crop, currentStage: stage, enteredStageAt: deadline(this.hours[crop][stage]) });
+            });
+
+            const defaultHours = this.hours.default?.[stage];
+            if (defaultHours) {
+                conditions.push({ cropType: { $nin: ownCrops }, currentStage: stage, enteredStageAt: deadline(defaultHours) });
+            }
+        }
+
+        return conditions;
+    }
+
+    /**
+     * Flag every Active, unrecalled batch that overstayed its current stage
+     * @param {Date} [now]
+     * @returns {Promise<{checkedAt: Date, flagged: Array<{batchId: string} & Object>}>} - Breaches recorded by this scan
+     */
+    async scan(now = new Date()) {
+        const conditions = this.overdueConditions(now.getTime());
+        if (!conditions.length) {
+            return { checkedAt: now, flagged: [] };
+        }
+
+        const overdue = await Batch.aggregate([
+            { $match: { isRecalled: false, status: 'Active', currentStage: { $in: SLA_STAGES } } },
+            {
+                $project: {
+                    batchId: 1,
+                    cropType: 1,
+                    currentStage: 1,
+                    slaBreach: 1,
+                    // Batches created before the first update was recorded entered the farmer stage on creation
+                    enteredStageAt: { $ifNull: [{ $arrayElemAt: ['$updates.timestamp', -1] }, '$createdAt'] }
+                }
+            },
+            { $match: { $or: conditions } }
+        ]);
+
+        const flagged = [];
+        for (const batch of overdue) {
+            const previous = batch.slaBreach;
+            if (previous && previous.stage === batch.currentStage
+                && new Date(previous.enteredStageAt).getTime() === new Date(batch.enteredStageAt).getTime()) {
+                // Already reported and cleared by an admin
+                continue;
+            }
+
+            const limitHours = this.limitFor(batch.cropType, batch.currentStage);
+            const hoursInStage = (now.getTime() - new Date(batch.enteredStageAt).getTime()) / HOUR_MS;
+            const slaBreach = {
+                stage: batch.currentStage,
+                limitHours,
+                enteredStageAt: batch.enteredStageAt,
+                detectedAt: now,
+                reason: `${batch.cropType} batch has been at ${batch.currentStage} for ${hoursInStage.toFixed(1)}h; the SLA is ${limitHours}h`
+            };
+
+            // Guarded by the stage and status that were checked, so a batch updated meanwhile is left alone
+            const result = await Batch.updateOne(
+                { _id: batch._id, status: 'Active', currentStage: batch.currentStage },
+                { $set: { status: 'Flagged', slaBreach } }
+            );
+            if (result.modifiedCount) {
+                flagged.push({ batchId: batch.batchId, ...slaBreach });
+            }
+        }
+
+        if (flagged.length) {
+            console.warn(`[SLA] Flagged ${flagged.length} batch(es): ${flagged.map((breach) => breach.batchId).join(', ')}`);
+        }
+
+        return { checkedAt: now, flagged };
+    }
+
+    /**
+     * Flagged batches with a recorded SLA breach, most recent first
+     * @param {{page?: number, limit?: number}} [query]
+     * @returns {Promise<{breaches: Object[], pagination: {page: number, limit: number, total: number, totalPages: number}}>}
+     */
+    async listBreaches({ page = 1, limit = 20 } = {}) {
+        const filter = { status: 'Flagged', slaBreach: { $ne: null } };
+
+        const [breaches, total] = await Promise.all([
+            Batch.find(filter)
+                .select(BREACH_PROJECTION)
+                .sort({ 'slaBreach.detectedAt': -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            Batch.countDocuments(filter)
+        ]);
+
+        return {
+            breaches,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        };
+    }
+}
+
+module.exports = new SlaService();
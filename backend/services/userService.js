@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getContract } = require('../config/blockchain');
+const { ROLES, isValidRole, toChainRole } = require('../constants/roles');
+const { NotFoundError, ValidationError, ServiceError } = require('../utils/errorHandler');
+
+/**
+ * User Service
+ * Role management that keeps User.role in MongoDB and CropChain.roles on-chain in step.
+ */
+class UserService {
+    constructor() {
+        this.confirmations = parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS) || 1;
+        this.txTimeoutMs = parseInt(process.env.BLOCKCHAIN_TX_TIMEOUT_MS) || 120000;
+    }
+
+    /**
+     * Assign a role to a user.
+     * The on-chain role is written first, so a failed transaction leaves MongoDB unchanged.
+     * Setting the role a user already has re-sends it to the contract.
+     * @param {string} userId
+     * @param {string} role - One of ROLES
+     * @returns {Promise<{user: Object, previousRole: string, chain: Object}>}
+     */
+    async setRole(userId, role) {
+        if (!isValidRole(role)) {
+            throw new ValidationError('Invalid role', { allowed: ROLES });
+        }
+
+        const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+        if (!user) {
+            throw new NotFoundError('User', `ID: ${userId}`);
+        }
+
+        const chain = await this.syncChainRole(user.walletAddress, role);
+
+        const previousRole = user.role;
+        user.role = role;
+        await user.save();
+
+        return { user, previousRole, chain };
+    }
+
+    /**
+     * Write a role to CropChain.setRole for a wallet
+     * @param {string|undefined} walletAddress
+     * @param {string} role
+     * @returns {Promise<{status: string, reason?: string, txHash?: string, blockNumber?: number}>}
+     *   status is 'synced', or 'skipped' when blockchain is not configured or the user has no wallet
+     * @throws {ServiceError} when the transaction fails or reverts
+     */
+    async syncChainRole(walletAddress, role) {
+        const contract = getContract();
+
+        if (!contract) {
+            return { status: 'skipped', reason: 'Blockchain not configured' };
+        }
+
+        if (!walletAddress) {
+            return { status: 'skipped', reason: 'User has no linked wallet' };
+        }
+
+        try {
+            const tx = await contract.setRole(walletAddress, toChainRole(role));
+            const receipt = await tx.wait(this.confirmations, this.txTimeoutMs);
+
+            console.log(`[CHAIN] Role ${role} set for ${walletAddress} in tx ${receipt.hash}`);
+
+            return { status: 'synced', txHash: receipt.hash, blockNumber: receipt.blockNumber };
+        } catch (error) {
+            throw new ServiceError('Blockchain', `setRole failed: ${error.shortMessage || error.message}`, 502);
+        }
+    }
+}
+
+module.exports = new UserService();
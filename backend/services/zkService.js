@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const snarkjs = require('snarkjs');
+const Batch = require('../models/Batch');
+const regionService = require('./regionService');
+const { boxFromPublicSignals, boxToDegrees } = require('../utils/zkProof');
+const { NotFoundError, ConflictError, ServiceError } = require('../utils/errorHandler');
+
+const VERIFICATION_KEY_PATH = process.env.ZK_VERIFICATION_KEY_PATH
+    ? path.resolve(process.env.ZK_VERIFICATION_KEY_PATH)
+    : path.join(__dirname, '../../zk/verification_key.json');
+
+/**
+ * ZK Service
+ * Verifies location proofs off-chain against zk/verification_key.json, the same
+ * key the on-chain Groth16Verifier was generated from. Lets clients check a proof
+ * before paying gas and lets the backend refuse to anchor proofs that cannot pass.
+ */
+class ZkService {
+    constructor() {
+        this.verificationKey = null;
+    }
+
+    /**
+     * Load the verification key once
+     * @returns {Object}
+     */
+    getVerificationKey() {
+        if (!this.verificationKey) {
+            try {
+                this.verificationKey = JSON.parse(fs.readFileSync(VERIFICATION_KEY_PATH, 'utf8'));
+            } catch (error) {
+                throw new ServiceError('ZK', `Verification key unavailable: ${error.message}`);
+            }
+        }
+        return this.verificationKey;
+    }
+
+    /**
+     * Stable identifier for a proof and its public signals
+     * @returns {string} - keccak256 hex string
+     */
+    proofHash(proof, publicSignals) {
+        return ethers.id(JSON.stringify([proof.pi_a, proof.pi_b, proof.pi_c, publicSignals.map(String)]));
+    }
+
+    /**
+     * Verify a location proof and look up the certified region it proves
+     * @param {{proof: Object, publicSignals: string[], regionId?: string}} originProof
+     * @returns {Promise<{valid: boolean, proofHash: string, region: Object|null, box: Object}>}
+     *   region is the serialized region, null when the proof is invalid or proves no region in force
+     */
+    async checkLocationProof({ proof, publicSignals, regionId }) {
+        const verificationKey = this.getVerificationKey();
+        let valid;
+
+        try {
+            valid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+        } catch (error) {
+            // Points that are not on the curve make snarkjs throw instead of returning false
+            valid = false;
+        }
+
+        const region = valid ? await regionService.findProvenRegion(publicSignals, regionId) : null;
+
+        return {
+            valid,
+            proofHash: this.proofHash(proof, publicSignals),
+            region: region ? regionService.serialize(region) : null,
+            box: boxToDegrees(boxFromPublicSignals(publicSignals))
+        };
+    }
+
+    /**
+     * Fields recording a check result on batch.originProof
+     */
+    toCheckFields(check) {
+        return {
+            proofHash: check.proofHash,
+            offChainValid: check.valid,
+            regionId: check.region?.regionId || null,
+            regionVerified: Boolean(check.region),
+            checkedAt: new Date()
+        };
+    }
+
+    /**
+     * Verify a proof, caching the result on the batch that carries it
+     * @param {{proof: Object, publicSignals: string[], regionId?: string}} originProof
+     * @param {string} [batchId] - Human readable or on-chain batch ID
+     * @returns {Promise<Object>} - Check result with `cached` and, for batches, `batchId`
+     */
+    async verifyLocation(originProof, batchId) {
+        if (!batchId) {
+            const { proofHash, ...result } = await this.checkLocationProof(originProof);
+            return { ...result, cached: false };
+        }
+
+        const batch = await Batch.findByAnyId(batchId);
+        if (!batch) {
+            throw new NotFoundError('Batch', batchId);
+        }
+
+        const stored = batch.originProof;
+        if (!stored?.proof) {
+            throw new NotFoundError('Origin proof for batch', batchId);
+        }
+
+        const proofHash = this.proofHash(originProof.proof, originProof.publicSignals);
+        const storedHash = stored.proofHash || this.proofHash(stored.proof, stored.publicSignals);
+        if (proofHash !== storedHash) {
+            throw new ConflictError(`Proof does not match the origin proof recorded for batch ${batch.batchId}`);
+        }
+
+        if (stored.checkedAt && typeof stored.offChainValid === 'boolean') {
+            let region = stored.regionVerified ? await regionService.getRegion(stored.regionId).catch(() => null) : null;
+
+            // The certification may have ended (or the region been removed) since the proof was checked
+            if (stored.regionVerified && !region?.isValidAt()) {
+                region = null;
+                await Batch.updateOne({ batchId: batch.batchId }, { $set: { 'originProof.regionVerified': false } });
+            }
+
+            return {
+                valid: stored.offChainValid,
+                region: region ? regionService.serialize(region) : null,
+                box: boxToDegrees(boxFromPublicSignals(stored.publicSignals)),
+                batchId: batch.batchId,
+                status: stored.status,
+                cached: true
+            };
+        }
+
+        const check = await this.checkLocationProof({ ...originProof, regionId: stored.regionId || originProof.regionId });
+        const fields = this.toCheckFields(check);
+        // Keep the region the batch referenced even when the proof does not prove it
+        fields.regionId = stored.regionId || fields.regionId;
+
+        await Batch.updateOne({ batchId: batch.batchId }, {
+            $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`originProof.${key}`, value]))
+        });
+
+        return {
+            valid: check.valid,
+            region: check.region,
+            box: check.box,
+            batchId: batch.batchId,
+            status: stored.status,
+            cached: false
+        };
+    }
+}
+
+module.exports = new ZkService();
@@ -0,0 +1,183 @@
+process.env.NODE_ENV = 'test';
+
+const mockUser = {
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  exists: jest.fn()
+};
+
+jest.mock('../models/User', () => mockUser);
+
+const AuthAuditLog = require('../models/AuthAuditLog');
+const accountLockoutService = require('../services/accountLockoutService');
+const { NotFoundError } = require('../utils/errorHandler');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const ADMIN_ID = '64b7f0c2a1b2c3d4e5f60719';
+const attempt = { method: 'password', identifier: 'ravi@example.com', ip: '10.0.0.1', userAgent: 'jest' };
+
+const userWith = (loginLockout = {}) => ({
+  _id: USER_ID,
+  email: 'ravi@example.com',
+  loginLockout: { failedAttempts: 0, lastFailedAt: undefined, lockedUntil: null, ...loginLockout }
+});
+
+// findOneAndUpdate returns the counter after $inc
+const failuresAfterInc = (count) => {
+  mockUser.findOneAndUpdate.mockResolvedValue({ loginLockout: { failedAttempts: count } });
+};
+
+const auditEvents = () => AuthAuditLog.create.mock.calls.map(([entry]) => entry.event);
+
+describe('Account Lockout Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    jest.spyOn(AuthAuditLog, 'create').mockResolvedValue({});
+    mockUser.updateOne.mockResolvedValue({});
+  });
+
+  describe('lockDurationSeconds', () => {
+    it('should double the lock with every failure from the threshold on, up to the maximum', () => {
+      expect(accountLockoutService.lockDurationSeconds(4)).toBe(0);
+      expect(accountLockoutService.lockDurationSeconds(5)).toBe(60);
+      expect(accountLockoutService.lockDurationSeconds(6)).toBe(120);
+      expect(accountLockoutService.lockDurationSeconds(8)).toBe(480);
+      expect(accountLockoutService.lockDurationSeconds(20)).toBe(3600);
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should count failures below the threshold without locking', async () => {
+      failuresAfterInc(3);
+
+      const result = await accountLockoutService.recordFailure(userWith({ failedAttempts: 2, lastFailedAt: new Date() }), attempt);
+
+      expect(result).toEqual({ failedAttempts: 3, lockedUntil: null });
+      expect(mockUser.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        { $inc: { 'loginLockout.failedAttempts': 1 }, $set: { 'loginLockout.lastFailedAt': expect.any(Date) } },
+        { new: true }
+      );
+      expect(auditEvents()).toEqual(['login_failed']);
+      expect(AuthAuditLog.create.mock.calls[0][0]).toMatchObject({
+        user: USER_ID,
+        method: 'password',
+        identifier: 'ravi@example.com',
+        ip: '10.0.0.1',
+        failedAttempts: 3
+      });
+    });
+
+    it('should lock the account at the threshold and never shorten a lock', async () => {
+      failuresAfterInc(5);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const before = Date.now();
+
+      const { lockedUntil } = await accountLockoutService.recordFailure(userWith({ failedAttempts: 4, lastFailedAt: new Date() }), attempt);
+
+      expect(lockedUntil.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+      expect(lockedUntil.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 1000);
+      expect(mockUser.updateOne).toHaveBeenCalledWith({ _id: USER_ID }, { $max: { 'loginLockout.lockedUntil': lockedUntil } });
+      expect(auditEvents()).toEqual(['login_failed', 'account_locked']);
+    });
+
+    it('should forget failures after a quiet period', async () => {
+      const lastFailedAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      failuresAfterInc(1);
+
+      await accountLockoutService.recordFailure(userWith({ failedAttempts: 4, lastFailedAt }), attempt);
+
+      expect(mockUser.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID, 'loginLockout.lastFailedAt': lastFailedAt },
+        { $set: { 'loginLockout.failedAttempts': 0 } }
+      );
+    });
+
+    it('should measure the quiet period from the end of the last lock', async () => {
+      failuresAfterInc(7);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await accountLockoutService.recordFailure(userWith({
+        failedAttempts: 6,
+        lastFailedAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+        lockedUntil: new Date(Date.now() - 10 * 60 * 1000)
+      }), attempt);
+
+      // Only the new lock is written; the counter was not reset
+      expect(mockUser.updateOne).toHaveBeenCalledTimes(1);
+      expect(mockUser.updateOne).toHaveBeenCalledWith({ _id: USER_ID }, { $max: { 'loginLockout.lockedUntil': expect.any(Date) } });
+    });
+
+    it('should still count the failure when the audit log cannot be written', async () => {
+      failuresAfterInc(1);
+      AuthAuditLog.create.mockRejectedValue(new Error('disk full'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(accountLockoutService.recordFailure(userWith(), attempt)).resolves.toEqual({ failedAttempts: 1, lockedUntil: null });
+    });
+  });
+
+  describe('assertNotLocked', () => {
+    it('should refuse attempts while locked, with the time left', async () => {
+      const lockedUntil = new Date(Date.now() + 90 * 1000);
+
+      const error = await accountLockoutService.assertNotLocked(userWith({ failedAttempts: 5, lockedUntil }), attempt).catch((e) => e);
+
+      expect(error).toMatchObject({ code: 'ACCOUNT_LOCKED', statusCode: 429 });
+      expect(error.details.lockedUntil).toBe(lockedUntil);
+      expect(error.details.retryAfter).toBeGreaterThan(85);
+      expect(error.details.retryAfter).toBeLessThanOrEqual(90);
+      expect(auditEvents()).toEqual(['login_blocked']);
+    });
+
+    it('should let attempts through once the lock has expired', async () => {
+      await expect(accountLockoutService.assertNotLocked(userWith({ lockedUntil: new Date(Date.now() - 1000) }), attempt)).resolves.toBeUndefined();
+      await expect(accountLockoutService.assertNotLocked(userWith(), attempt)).resolves.toBeUndefined();
+      expect(AuthAuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('should clear the counter only when there is something to clear', async () => {
+      await accountLockoutService.recordSuccess(userWith());
+      expect(mockUser.updateOne).not.toHaveBeenCalled();
+
+      await accountLockoutService.recordSuccess(userWith({ failedAttempts: 3 }));
+      expect(mockUser.updateOne).toHaveBeenCalledWith(
+        { _id: USER_ID },
+        { $set: { 'loginLockout.failedAttempts': 0, 'loginLockout.lockedUntil': null } }
+      );
+    });
+  });
+
+  describe('unlock', () => {
+    it('should clear the lock and record which admin lifted it', async () => {
+      mockUser.findByIdAndUpdate.mockResolvedValue(userWith());
+
+      await accountLockoutService.unlock(USER_ID, { _id: ADMIN_ID }, { ip: '10.0.0.2' });
+
+      expect(mockUser.findByIdAndUpdate).toHaveBeenCalledWith(
+        USER_ID,
+        { $set: { 'loginLockout.failedAttempts': 0, 'loginLockout.lockedUntil': null } },
+        { new: true }
+      );
+      expect(AuthAuditLog.create.mock.calls[0][0]).toMatchObject({
+        user: USER_ID,
+        event: 'account_unlocked',
+        method: 'admin',
+        actor: ADMIN_ID,
+        ip: '10.0.0.2'
+      });
+    });
+
+    it('should throw NotFoundError for unknown or malformed user IDs', async () => {
+      mockUser.findByIdAndUpdate.mockResolvedValue(null);
+
+      await expect(accountLockoutService.unlock(USER_ID, { _id: ADMIN_ID })).rejects.toBeInstanceOf(NotFoundError);
+      await expect(accountLockoutService.unlock('nope', { _id: ADMIN_ID })).rejects.toBeInstanceOf(NotFoundError);
+      expect(AuthAuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-that-is-at-least-32-characters';
+
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+const mockUser = { findOne: jest.fn(), findById: jest.fn(), findOneAndUpdate: jest.fn(), findByIdAndUpdate: jest.fn() };
+const mockSessionService = { revokeAllSessions: jest.fn() };
+
+jest.mock('../models/User', () => mockUser);
+jest.mock('../services/sessionService', () => mockSessionService);
+
+const accountService = require('../services/accountService');
+const mailService = require('../services/mailService');
+const { BusinessRuleError } = require('../utils/errorHandler');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+// Mongoose query stand-in: awaitable, with select()
+const query = (value) => ({
+  select: jest.fn().mockResolvedValue(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const linkToken = (message) => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('Account Service', () => {
+  let sent;
+  let user;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sent = [];
+    mailService.setTransport({
+      name: 'memory',
+      send: async (message) => {
+        sent.push(message);
+        return { messageId: `m${sent.length}` };
+      }
+    });
+    user = {
+      _id: USER_ID,
+      name: 'Ravi',
+      email: 'ravi@example.com',
+      password: '$2a$12$existinghashexistinghashexistinghashexistinghashexist',
+      emailVerified: false
+    };
+    mockUser.findOne.mockImplementation(() => query(user));
+    mockUser.findById.mockImplementation(() => query(user));
+  });
+
+  describe('password reset', () => {
+    it('should email a reset link and set the new password once', async () => {
+      await accountService.requestPasswordReset('ravi@example.com');
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0]).toMatchObject({ to: 'ravi@example.com', subject: 'Reset your CropChain password' });
+      expect(sent[0].text).toContain('http://localhost:5173/reset-password?token=');
+
+      const token = linkToken(sent[0]);
+      mockUser.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...user, ...update.$set }));
+
+      const updated = await accountService.resetPassword(token, 'N3w-Passw0rd!');
+
+      const [filter, update] = mockUser.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: USER_ID, password: user.password });
+      expect(await bcrypt.compare('N3w-Passw0rd!', update.$set.password)).toBe(true);
+      expect(updated.emailVerified).toBe(true);
+      expect(mockSessionService.revokeAllSessions).toHaveBeenCalledWith(USER_ID);
+
+      // The password hash changed, so the same link no longer works
+      user.password = update.$set.password;
+      await expect(accountService.resetPassword(token, 'An0ther-Pass!')).rejects.toThrow('invalid or has expired');
+    });
+
+    it('should not reveal whether the email is registered', async () => {
+      mockUser.findOne.mockImplementation(() => query(null));
+
+      await expect(accountService.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+      expect(sent).toHaveLength(0);
+    });
+
+    it('should refuse a token that lost the race to a concurrent reset', async () => {
+      await accountService.requestPasswordReset('ravi@example.com');
+      mockUser.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(accountService.resetPassword(linkToken(sent[0]), 'N3w-Passw0rd!')).rejects.toBeInstanceOf(BusinessRuleError);
+      expect(mockSessionService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    it('should refuse expired, tampered and access tokens', async () => {
+      jest.useFakeTimers({ now: Date.now(), doNotFake: ['nextTick', 'setImmediate'] });
+      await accountService.requestPasswordReset('ravi@example.com');
+      const token = linkToken(sent[0]);
+      jest.setSystemTime(Date.now() + 31 * 60 * 1000);
+      await expect(accountService.resetPassword(token, 'N3w-Passw0rd!')).rejects.toMatchObject({ code: 'INVALID_TOKEN', statusCode: 400 });
+      jest.useRealTimers();
+
+      const accessToken = jwt.sign({ id: USER_ID, role: 'farmer' }, process.env.JWT_SECRET);
+      await expect(accountService.resetPassword(accessToken, 'N3w-Passw0rd!')).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+      await expect(accountService.resetPassword('not-a-token', 'N3w-Passw0rd!')).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+      expect(mockUser.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('email verification', () => {
+    it('should email a verification link and mark the email verified', async () => {
+      await accountService.sendEmailVerification(user);
+
+      expect(sent[0].text).toContain('http://localhost:5173/verify-email?token=');
+      mockUser.findByIdAndUpdate.mockImplementation(async (id, update) => ({ ...user, ...update.$set }));
+
+      const updated = await accountService.verifyEmail(linkToken(sent[0]));
+
+      expect(mockUser.findByIdAndUpdate).toHaveBeenCalledWith(
+        USER_ID,
+        { $set: { emailVerified: true, emailVerifiedAt: expect.any(Date) } },
+        { new: true }
+      );
+      expect(updated.emailVerified).toBe(true);
+    });
+
+    it('should treat verifying twice as success', async () => {
+      await accountService.sendEmailVerification(user);
+      user.emailVerified = true;
+
+      await expect(accountService.verifyEmail(linkToken(sent[0]))).resolves.toBe(user);
+      expect(mockUser.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a link sent to a previous email address', async () => {
+      await accountService.sendEmailVerification(user);
+      user.email = 'ravi.new@example.com';
+
+      await expect(accountService.verifyEmail(linkToken(sent[0]))).rejects.toThrow('Email verification link is invalid');
+    });
+
+    it('should not accept a reset token as a verification token', async () => {
+      await accountService.requestPasswordReset('ravi@example.com');
+
+      await expect(accountService.verifyEmail(linkToken(sent[0]))).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    });
+
+    it('should not send a link to an already verified address', async () => {
+      user.emailVerified = true;
+
+      await expect(accountService.sendEmailVerification(user)).rejects.toMatchObject({ code: 'EMAIL_ALREADY_VERIFIED' });
+      expect(sent).toHaveLength(0);
+    });
+  });
+});
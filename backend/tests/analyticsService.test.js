@@ -0,0 +1,138 @@
+process.env.NODE_ENV = 'test';
+
+const mockBatch = { aggregate: jest.fn() };
+
+jest.mock('../models/Batch', () => mockBatch);
+
+const analyticsService = require('../services/analyticsService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const pipeline = () => mockBatch.aggregate.mock.calls[0][0];
+
+describe('Analytics Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('matchRange', () => {
+    it('should filter on the creation date only for the bounds given', () => {
+      const from = new Date('2025-01-01');
+      const to = new Date('2025-03-31');
+
+      expect(analyticsService.matchRange()).toEqual({});
+      expect(analyticsService.matchRange({ from })).toEqual({ createdAt: { $gte: from } });
+      expect(analyticsService.matchRange({ from, to })).toEqual({ createdAt: { $gte: from, $lte: to } });
+    });
+  });
+
+  describe('batchVolume', () => {
+    it('should group by crop, largest quantity first', async () => {
+      mockBatch.aggregate.mockResolvedValue([{ key: 'rice', batches: 2, quantity: 300 }]);
+
+      const result = await analyticsService.batchVolume({ groupBy: 'crop' });
+
+      expect(result).toEqual({ groupBy: 'crop', buckets: [{ key: 'rice', batches: 2, quantity: 300 }] });
+      expect(pipeline()[1].$group._id).toBe('$cropType');
+      expect(pipeline()[3]).toEqual({ $sort: { quantity: -1, key: 1 } });
+    });
+
+    it('should cap the number of regions', async () => {
+      mockBatch.aggregate.mockResolvedValue([]);
+
+      await analyticsService.batchVolume({ groupBy: 'region', limit: 5 });
+
+      expect(pipeline()[1].$group._id).toBe('$origin');
+      expect(pipeline()[pipeline().length - 1]).toEqual({ $limit: 5 });
+    });
+
+    it('should list every month of the range, including empty ones', async () => {
+      mockBatch.aggregate.mockResolvedValue([
+        { key: '2024-12', batches: 1, quantity: 50 },
+        { key: '2025-02', batches: 3, quantity: 400 }
+      ]);
+
+      const { buckets } = await analyticsService.batchVolume({
+        groupBy: 'month',
+        from: new Date('2024-11-15'),
+        to: new Date('2025-02-10')
+      });
+
+      expect(buckets).toEqual([
+        { key: '2024-11', batches: 0, quantity: 0 },
+        { key: '2024-12', batches: 1, quantity: 50 },
+        { key: '2025-01', batches: 0, quantity: 0 },
+        { key: '2025-02', batches: 3, quantity: 400 }
+      ]);
+      expect(pipeline()[3]).toEqual({ $sort: { key: 1 } });
+    });
+
+    it('should return no months when there are no batches and no range', async () => {
+      mockBatch.aggregate.mockResolvedValue([]);
+
+      await expect(analyticsService.batchVolume({ groupBy: 'month' })).resolves.toEqual({ groupBy: 'month', buckets: [] });
+    });
+  });
+
+  describe('stageDwellTimes', () => {
+    it('should report every non-terminal stage in order, in hours', async () => {
+      mockBatch.aggregate.mockResolvedValue([
+        { _id: 'mandi', batches: 1, avgMs: 30 * HOUR_MS, minMs: 30 * HOUR_MS, maxMs: 30 * HOUR_MS },
+        { _id: 'farmer', batches: 2, avgMs: 1.5 * HOUR_MS, minMs: HOUR_MS, maxMs: 2 * HOUR_MS }
+      ]);
+
+      const { stages } = await analyticsService.stageDwellTimes();
+
+      expect(stages).toEqual([
+        { stage: 'farmer', batches: 2, avgHours: 1.5, minHours: 1, maxHours: 2 },
+        { stage: 'mandi', batches: 1, avgHours: 30, minHours: 30, maxHours: 30 },
+        { stage: 'transport', batches: 0, avgHours: null, minHours: null, maxHours: null }
+      ]);
+      // Batches with a single update have no dwell time yet
+      expect(pipeline()[0]).toEqual({ $match: { 'updates.1': { $exists: true } } });
+    });
+  });
+
+  describe('recallRate', () => {
+    it('should compute the share of recalled batches', async () => {
+      mockBatch.aggregate.mockResolvedValue([{ _id: null, totalBatches: 3, recalledBatches: 1 }]);
+
+      await expect(analyticsService.recallRate()).resolves.toEqual({ totalBatches: 3, recalledBatches: 1, recallRate: 0.3333 });
+    });
+
+    it('should report zero when there are no batches', async () => {
+      mockBatch.aggregate.mockResolvedValue([]);
+
+      await expect(analyticsService.recallRate()).resolves.toEqual({ totalBatches: 0, recalledBatches: 0, recallRate: 0 });
+    });
+  });
+
+  describe('syncErrorRate', () => {
+    it('should count batches per sync status', async () => {
+      mockBatch.aggregate.mockResolvedValue([
+        { _id: 'synced', count: 6 },
+        { _id: 'error', count: 2 }
+      ]);
+
+      await expect(analyticsService.syncErrorRate()).resolves.toEqual({
+        totalBatches: 8,
+        synced: 6,
+        pending: 0,
+        error: 2,
+        errorRate: 0.25
+      });
+    });
+  });
+
+  describe('topFarmers', () => {
+    it('should rank farmers by quantity and apply the limit', async () => {
+      const farmers = [{ farmerId: 'F1', farmerName: 'Ravi Kumar', batches: 2, quantity: 300, recalledBatches: 0 }];
+      mockBatch.aggregate.mockResolvedValue(farmers);
+
+      const to = new Date('2025-01-31');
+      await expect(analyticsService.topFarmers({ to, limit: 3 })).resolves.toEqual({ farmers });
+
+      expect(pipeline()[0]).toEqual({ $match: { createdAt: { $lte: to } } });
+      expect(pipeline()).toContainEqual({ $limit: 3 });
+    });
+  });
+});
@@ -0,0 +1,392 @@
+process.env.NODE_ENV = 'test';
+
+const { ethers } = require('ethers');
+
+const mockBatch = {
+  find: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn()
+};
+
+// Batch.findOne(...).select(...) resolving to the stored batch
+const storedBatch = (doc) => ({ select: jest.fn().mockResolvedValue(doc) });
+// Batch.find(...).select(...) for the receipt check: every queried batch was last sent this transaction
+const latestBatches = (updates = []) => (query) => ({
+  select: jest.fn().mockResolvedValue(query.batchId.$in.map((batchId) => ({ batchId, updates })))
+});
+
+const mockContract = {
+  createBatch: jest.fn(),
+  updateBatch: jest.fn(),
+  splitBatch: jest.fn(),
+  recallBatch: jest.fn(),
+  recordOriginProof: jest.fn()
+};
+
+let mockContractAvailable = true;
+
+jest.mock('../models/Batch', () => mockBatch);
+jest.mock('../config/blockchain', () => ({
+  getContract: () => (mockContractAvailable ? mockContract : null)
+}));
+
+const anchorService = require('../services/anchorService');
+const sampleProof = require('../../zk/proof.json');
+const samplePublicSignals = require('../../zk/public.json');
+
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+const mockTx = (receiptOverrides = {}) => ({
+  hash: TX_HASH,
+  wait: jest.fn().mockResolvedValue({
+    hash: TX_HASH,
+    blockNumber: 42,
+    confirmations: jest.fn().mockResolvedValue(3),
+    ...receiptOverrides
+  })
+});
+
+const savedBatch = {
+  batchId: 'CROP-2024-001',
+  cropType: 'rice',
+  quantity: 100,
+  farmerName: 'John Doe',
+  origin: 'Farm Location A',
+  updates: [{
+    _id: 'update-1',
+    stage: 'farmer',
+    actor: 'John Doe',
+    location: 'Farm Location A',
+    notes: 'Initial harvest recorded'
+  }]
+};
+
+describe('Anchor Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockContractAvailable = true;
+    mockBatch.updateOne.mockResolvedValue({ acknowledged: true });
+    mockBatch.findOne.mockReturnValue(storedBatch(null));
+    mockBatch.find.mockImplementation(latestBatches());
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should submit createBatch with the contract argument layout', async () => {
+    mockContract.createBatch.mockResolvedValue(mockTx());
+
+    await anchorService.anchorBatchCreation(savedBatch);
+
+    expect(mockContract.createBatch).toHaveBeenCalledWith(
+      ethers.id('CROP-2024-001'),
+      ethers.id('RICE'),
+      '',
+      100,
+      'John Doe',
+      'Farm Location A',
+      'Initial harvest recorded'
+    );
+  });
+
+  it('should persist tx hash, block number and confirmations once the receipt arrives', async () => {
+    const tx = mockTx();
+    mockContract.createBatch.mockResolvedValue(tx);
+
+    const result = await anchorService.anchorBatchCreation(savedBatch);
+
+    expect(tx.wait).toHaveBeenCalledWith(anchorService.confirmations, anchorService.txTimeoutMs);
+    expect(mockBatch.updateOne).toHaveBeenNthCalledWith(
+      1,
+      { batchId: 'CROP-2024-001', 'updates._id': 'update-1' },
+      { $set: expect.objectContaining({ blockchainHash: TX_HASH, syncStatus: 'pending', 'updates.$.txHash': TX_HASH }) }
+    );
+    expect(mockBatch.find).toHaveBeenCalledWith({ batchId: { $in: ['CROP-2024-001'] }, blockchainHash: TX_HASH });
+    expect(mockBatch.updateMany).toHaveBeenCalledWith(
+      { batchId: { $in: ['CROP-2024-001'] }, blockchainHash: TX_HASH },
+      { $set: expect.objectContaining({ blockNumber: 42, confirmations: 3, syncStatus: 'synced' }) }
+    );
+    expect(result).toEqual({ txHash: TX_HASH, blockNumber: 42, confirmations: 3, syncStatus: 'synced' });
+  });
+
+  it('should leave batches alone when an older transaction confirms after a newer one was sent', async () => {
+    mockContract.updateBatch.mockResolvedValue(mockTx());
+    mockBatch.find.mockReturnValue(storedBatch([]));
+
+    const result = await anchorService.anchorBatchUpdate('CROP-2024-001', { _id: 'update-2', stage: 'mandi', actor: 'Mandi', location: 'Meerut' });
+
+    expect(result.syncStatus).toBe('synced');
+    expect(mockBatch.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should not mark a batch synced while one of its updates is unsent', async () => {
+    mockContract.updateBatch.mockResolvedValue(mockTx());
+    mockBatch.find.mockImplementation(latestBatches([{ txHash: TX_HASH }, { txHash: null }, { txHash: TX_HASH }]));
+
+    await anchorService.anchorBatchUpdate('CROP-2024-001', { _id: 'update-3', stage: 'transport', actor: 'Carrier', location: 'Delhi' });
+
+    expect(mockBatch.updateMany).toHaveBeenCalledTimes(1);
+    expect(mockBatch.updateMany).toHaveBeenCalledWith(
+      { batchId: { $in: ['CROP-2024-001'] }, blockchainHash: TX_HASH },
+      { $set: { blockNumber: 42, confirmations: 3 } }
+    );
+  });
+
+  it('should submit updateBatch with the Stage enum index', async () => {
+    mockContract.updateBatch.mockResolvedValue(mockTx());
+
+    await anchorService.anchorBatchUpdate('CROP-2024-001', {
+      _id: 'update-2',
+      stage: 'transport',
+      actor: 'Fast Logistics',
+      location: 'Delhi Hub'
+    });
+
+    expect(mockContract.updateBatch).toHaveBeenCalledWith(
+      ethers.id('CROP-2024-001'),
+      2,
+      'Fast Logistics',
+      'Delhi Hub',
+      ''
+    );
+  });
+
+  it('should submit splitBatch and record the outcome on the parent and every child', async () => {
+    mockContract.splitBatch.mockResolvedValue(mockTx());
+    const child = (batchId, quantity) => ({
+      batchId,
+      quantity,
+      updates: [{ stage: 'mandi', actor: 'Mandi A', location: 'Ludhiana', notes: 'Split for two buyers' }]
+    });
+
+    await anchorService.anchorBatchSplit(savedBatch, [child('CROP-2024-002', 60), child('CROP-2024-003', 40)]);
+
+    expect(mockContract.splitBatch).toHaveBeenCalledWith(
+      ethers.id('CROP-2024-001'),
+      [ethers.id('CROP-2024-002'), ethers.id('CROP-2024-003')],
+      [60, 40],
+      'Mandi A',
+      'Ludhiana',
+      'Split for two buyers'
+    );
+    expect(mockBatch.updateMany).toHaveBeenLastCalledWith(
+      { batchId: { $in: ['CROP-2024-001', 'CROP-2024-002', 'CROP-2024-003'] }, blockchainHash: TX_HASH },
+      { $set: expect.objectContaining({ syncStatus: 'synced' }) }
+    );
+    expect(mockBatch.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should submit recallBatch with the severity index and evidence hash', async () => {
+    mockContract.recallBatch.mockResolvedValue(mockTx());
+    const evidenceHash = anchorService.toEvidenceHash(['ipfs://QmLabReport']);
+
+    await anchorService.anchorRecall('CROP-2024-001', ['CROP-2024-001'], { severity: 'high', reason: 'Aflatoxin above limit', evidenceHash });
+
+    expect(evidenceHash).toBe(ethers.id('ipfs://QmLabReport'));
+    expect(anchorService.toEvidenceHash([])).toBe(ethers.ZeroHash);
+    expect(mockContract.recallBatch).toHaveBeenCalledWith(ethers.id('CROP-2024-001'), 2, 'Aflatoxin above limit', evidenceHash);
+    expect(mockBatch.updateMany).toHaveBeenLastCalledWith(
+      { 'recall.sourceBatchId': 'CROP-2024-001' },
+      { $set: { 'recall.syncStatus': 'synced', 'recall.blockNumber': 42 } }
+    );
+  });
+
+  it('should record a recall on the recall of every batch it reached, leaving their own anchoring alone', async () => {
+    mockContract.recallBatch.mockResolvedValue(mockTx());
+
+    const result = await anchorService.anchorRecall('CROP-2024-001', ['CROP-2024-001', 'CROP-2024-002'], {
+      severity: 'low', reason: 'Mislabelled', evidenceHash: ethers.ZeroHash
+    });
+
+    expect(result).toEqual({ txHash: TX_HASH, blockNumber: 42, confirmations: 3, syncStatus: 'synced' });
+    expect(mockBatch.updateMany).toHaveBeenCalledWith(
+      { 'recall.sourceBatchId': 'CROP-2024-001' },
+      { $set: { 'recall.txHash': TX_HASH, 'recall.syncStatus': 'pending', 'recall.syncError': null } }
+    );
+    mockBatch.updateMany.mock.calls.forEach(([, update]) => {
+      expect(Object.keys(update.$set).every((field) => field.startsWith('recall.'))).toBe(true);
+    });
+    expect(mockBatch.find).not.toHaveBeenCalled();
+    expect(mockBatch.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should mark the recall as error when its transaction reverts', async () => {
+    mockContract.recallBatch.mockRejectedValue(Object.assign(new Error('execution reverted'), { shortMessage: 'Batch already recalled' }));
+
+    const result = await anchorService.anchorRecall('CROP-2024-001', ['CROP-2024-001'], {
+      severity: 'high', reason: 'Aflatoxin', evidenceHash: ethers.ZeroHash
+    });
+
+    expect(result).toEqual({ txHash: null, syncStatus: 'error', error: 'Batch already recalled' });
+    expect(mockBatch.updateMany).toHaveBeenCalledWith(
+      { 'recall.sourceBatchId': 'CROP-2024-001' },
+      { $set: { 'recall.syncStatus': 'error', 'recall.syncError': 'Batch already recalled' } }
+    );
+  });
+
+  it('should mark the batch as error when the transaction reverts', async () => {
+    const tx = mockTx();
+    const revert = Object.assign(new Error('transaction execution reverted'), {
+      shortMessage: 'transaction execution reverted',
+      receipt: { hash: TX_HASH, status: 0 }
+    });
+    tx.wait.mockRejectedValue(revert);
+    mockContract.updateBatch.mockResolvedValue(tx);
+
+    const result = await anchorService.anchorBatchUpdate('CROP-2024-001', {
+      _id: 'update-2',
+      stage: 'retailer',
+      actor: 'Retail Store',
+      location: 'Mumbai'
+    });
+
+    expect(mockBatch.updateOne).toHaveBeenLastCalledWith(
+      { batchId: 'CROP-2024-001', 'updates._id': 'update-2' },
+      { $set: { syncStatus: 'error', syncError: 'transaction execution reverted', 'updates.$.txHash': null } }
+    );
+    expect(result).toMatchObject({ txHash: TX_HASH, syncStatus: 'error' });
+  });
+
+  it('should mark the batch as error when the transaction cannot be sent', async () => {
+    mockContract.createBatch.mockRejectedValue(new Error('insufficient funds'));
+
+    const result = await anchorService.anchorBatchCreation(savedBatch);
+
+    expect(mockBatch.updateOne).toHaveBeenCalledTimes(1);
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { batchId: 'CROP-2024-001', 'updates._id': 'update-1' },
+      { $set: { syncStatus: 'error', syncError: 'insufficient funds', 'updates.$.txHash': null } }
+    );
+    expect(result).toMatchObject({ txHash: null, syncStatus: 'error' });
+  });
+
+  it('should record an origin proof attached while the batch was being anchored', async () => {
+    mockContract.createBatch.mockResolvedValue(mockTx());
+    mockContract.recordOriginProof.mockResolvedValue(mockTx());
+    mockBatch.findOne.mockReturnValue(storedBatch({
+      originProof: { proof: sampleProof, publicSignals: samplePublicSignals, status: 'pending' }
+    }));
+
+    const result = await anchorService.anchorBatchCreation(savedBatch);
+
+    expect(mockContract.recordOriginProof).toHaveBeenCalledWith(
+      ethers.id('CROP-2024-001'),
+      [sampleProof.pi_a[0], sampleProof.pi_a[1]],
+      [
+        [sampleProof.pi_b[0][1], sampleProof.pi_b[0][0]],
+        [sampleProof.pi_b[1][1], sampleProof.pi_b[1][0]]
+      ],
+      [sampleProof.pi_c[0], sampleProof.pi_c[1]],
+      samplePublicSignals
+    );
+    expect(mockBatch.updateOne).toHaveBeenLastCalledWith(
+      { batchId: 'CROP-2024-001' },
+      { $set: expect.objectContaining({ 'originProof.status': 'verified', 'originProof.txHash': TX_HASH, 'originProof.blockNumber': 42 }) }
+    );
+    expect(result.originProof).toEqual({ status: 'verified', txHash: TX_HASH, blockNumber: 42 });
+  });
+
+  it('should keep the origin proof pending when it cannot be read after the batch is anchored', async () => {
+    mockContract.createBatch.mockResolvedValue(mockTx());
+    mockBatch.findOne.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('connection reset')) });
+
+    const result = await anchorService.anchorBatchCreation(savedBatch);
+
+    expect(result).toMatchObject({ syncStatus: 'synced', originProof: { status: 'pending', error: 'connection reset' } });
+    expect(mockContract.recordOriginProof).not.toHaveBeenCalled();
+    expect(mockBatch.updateOne).toHaveBeenLastCalledWith(
+      { batchId: 'CROP-2024-001', 'originProof.status': 'pending' },
+      { $set: { 'originProof.error': 'connection reset' } }
+    );
+  });
+
+  it('should not record the origin proof when the batch could not be anchored', async () => {
+    mockContract.createBatch.mockRejectedValue(new Error('insufficient funds'));
+
+    mockBatch.findOne.mockReturnValue(storedBatch({
+      originProof: { proof: sampleProof, publicSignals: samplePublicSignals, status: 'pending' }
+    }));
+
+    await anchorService.anchorBatchCreation(savedBatch);
+
+    expect(mockContract.recordOriginProof).not.toHaveBeenCalled();
+  });
+
+  it('should mark the origin proof rejected when the contract reverts', async () => {
+    mockContract.recordOriginProof.mockRejectedValue(Object.assign(new Error('execution reverted: "Invalid origin proof"'), {
+      code: 'CALL_EXCEPTION',
+      shortMessage: 'execution reverted: "Invalid origin proof"'
+    }));
+
+    const result = await anchorService.anchorOriginProof('CROP-2024-001', {
+      proof: sampleProof,
+      publicSignals: samplePublicSignals
+    });
+
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { batchId: 'CROP-2024-001', 'originProof.status': { $ne: 'verified' } },
+      { $set: { 'originProof.status': 'rejected', 'originProof.error': 'execution reverted: "Invalid origin proof"' } }
+    );
+    expect(result).toEqual({ status: 'rejected', error: 'execution reverted: "Invalid origin proof"' });
+  });
+
+  it('should keep the origin proof pending when the node is unreachable', async () => {
+    mockContract.recordOriginProof.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'NETWORK_ERROR' }));
+
+    const result = await anchorService.anchorOriginProof('CROP-2024-001', {
+      proof: sampleProof,
+      publicSignals: samplePublicSignals
+    });
+
+    expect(result.status).toBe('pending');
+  });
+
+  it('should send a batch update only once the batch creation is mined', async () => {
+    let mineCreation;
+    mockContract.createBatch.mockResolvedValue({
+      hash: TX_HASH,
+      wait: jest.fn(() => new Promise((resolve) => {
+        mineCreation = () => resolve({ hash: TX_HASH, blockNumber: 41, confirmations: jest.fn().mockResolvedValue(1) });
+      }))
+    });
+    mockContract.updateBatch.mockResolvedValue(mockTx());
+
+    const creation = anchorService.anchorBatchCreation(savedBatch);
+    const update = anchorService.anchorBatchUpdate('CROP-2024-001', { _id: 'update-2', stage: 'mandi', actor: 'Mandi', location: 'Meerut' });
+    // Let the creation be sent and the update reach the queue
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(mockContract.createBatch).toHaveBeenCalled();
+    expect(mockContract.updateBatch).not.toHaveBeenCalled();
+
+    mineCreation();
+    await Promise.all([creation, update]);
+
+    expect(mockContract.updateBatch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not hold up other batches or later transactions after a failure', async () => {
+    mockContract.createBatch.mockRejectedValue(new Error('insufficient funds'));
+    mockContract.updateBatch.mockResolvedValue(mockTx());
+
+    const failed = await anchorService.anchorBatchCreation(savedBatch);
+    const update = await anchorService.anchorBatchUpdate('CROP-2024-001', { _id: 'update-2', stage: 'mandi', actor: 'Mandi', location: 'Meerut' });
+
+    expect(failed.syncStatus).toBe('error');
+    expect(update.syncStatus).toBe('synced');
+    expect(anchorService.queues.size).toBe(0);
+  });
+
+  it('should leave the batch pending when blockchain is not configured', async () => {
+    mockContractAvailable = false;
+
+    const result = await anchorService.anchorBatchCreation(savedBatch);
+
+    expect(result).toBeNull();
+    expect(mockBatch.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -18,14 +18,22 @@ const mockBatch = {
 
 const mockUser = {
     findOne: jest.fn(),
+    findById: jest.fn(),
     create: jest.fn()
 };
 
 // Mock Mongoose
 jest.mock('mongoose', () => {
-  const Schema = jest.fn();
+  // Models not mocked below still build their schemas (indexes, hooks) at require time
+  const Schema = jest.fn(function () {
+      this.index = jest.fn();
+      this.pre = jest.fn();
+      this.methods = {};
+      this.statics = {};
+  });
   Schema.Types = {
       ObjectId: 'ObjectId',
+      Mixed: 'Mixed',
       String: 'String',
       Number: 'Number',
       Date: 'Date',
@@ -66,18 +74,25 @@ jest.mock('../models/Batch', () => mockBatch);
 jest.mock('../models/User', () => mockUser);
 
 const app = require("../server");
+const jwt = require("jsonwebtoken");
+
+// A real token for a farmer, resolved by the protect middleware through the mocked User model
+const FARMER = { _id: '64b7f0c2a1b2c3d4e5f60711', id: '64b7f0c2a1b2c3d4e5f60711', name: 'Test Farmer', role: 'farmer' };
+const authHeader = `Bearer ${jwt.sign({ id: FARMER._id, role: FARMER.role }, process.env.JWT_SECRET)}`;
+
 const mongoose = require("mongoose");
 
 describe("Batch API Endpoints", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockUser.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(FARMER) });
     mockCounter.findOneAndUpdate.mockResolvedValue({ seq: 1 });
     mockBatch.create.mockImplementation((data) => Promise.resolve(data));
     mockBatch.findOne.mockResolvedValue(null); // Default not found
   });
 
   it("should return 400 if quantity is negative", async () => {
-    const res = await request(app).post("/api/batches").send({
+    const res = await request(app).post("/api/batches").set("Authorization", authHeader).send({
       farmerId: "FARM123",
       farmerName: "Test Farmer",
       farmerAddress: "123 Green Lane",
@@ -93,7 +108,7 @@ describe("Batch API Endpoints", () => {
   });
 
   it("should create a valid batch", async () => {
-    const res = await request(app).post("/api/batches").send({
+    const res = await request(app).post("/api/batches").set("Authorization", authHeader).send({
       farmerId: "FARM123",
       farmerName: "Test Farmer",
       farmerAddress: "123 Green Lane",
@@ -111,6 +126,33 @@ describe("Batch API Endpoints", () => {
     expect(res.body.data.batch).toHaveProperty("batchId");
   });
 
+  it("should create the batch from the validated body", async () => {
+    const res = await request(app).post("/api/batches").set("Authorization", authHeader).send({
+      farmerId: "FARM123",
+      farmerName: "Test Farmer",
+      farmerAddress: "123 Green Lane",
+      cropType: "rice",
+      quantity: "50",
+      harvestDate: "2024-01-01",
+      origin: "Test Origin"
+    });
+
+    expect(res.statusCode).toEqual(201);
+    expect(mockBatch.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ quantity: 50, harvestDate: new Date("2024-01-01") })],
+      expect.anything()
+    );
+  });
+
+  it("should require authentication to verify a location proof", async () => {
+    const res = await request(app).post("/api/zk/verify-location").send({
+      proof: { pi_a: [], pi_b: [], pi_c: [] },
+      publicSignals: []
+    });
+
+    expect(res.statusCode).toEqual(401);
+  });
+
   // Removed skipped test "should prevent invalid stage transition" as the logic is not implemented in the backend.
   
   afterAll(async () => {
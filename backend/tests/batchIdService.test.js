@@ -0,0 +1,88 @@
+process.env.NODE_ENV = 'test';
+
+const mockCounter = { findOneAndUpdate: jest.fn() };
+jest.mock('../models/Counter', () => mockCounter);
+
+const batchIdService = require('../services/batchIdService');
+
+describe('Batch ID Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('generate', () => {
+    it('should use a separate counter per year', async () => {
+      mockCounter.findOneAndUpdate.mockResolvedValue({ seq: 7 });
+      const session = {};
+
+      const batchId = await batchIdService.generate({ session, date: new Date('2025-03-01T00:00:00Z') });
+
+      expect(batchId).toBe('CROP-2025-007');
+      expect(mockCounter.findOneAndUpdate).toHaveBeenCalledWith(
+        { name: 'batchId:2025' },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+      );
+    });
+
+    it('should include the organisation code in the ID and counter', async () => {
+      mockCounter.findOneAndUpdate.mockResolvedValue({ seq: 1 });
+
+      const batchId = await batchIdService.generate({ orgCode: 'pb', date: new Date('2026-01-01T00:00:00Z') });
+
+      expect(batchId).toBe('CROP-PB-2026-001');
+      expect(mockCounter.findOneAndUpdate).toHaveBeenCalledWith(
+        { name: 'batchId:PB:2026' },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+    });
+
+    it('should keep every digit once the sequence outgrows the width', async () => {
+      mockCounter.findOneAndUpdate.mockResolvedValue({ seq: 1000 });
+
+      const batchId = await batchIdService.generate({ date: new Date('2025-06-01T00:00:00Z') });
+
+      expect(batchId).toBe('CROP-2025-1000');
+      expect(batchIdService.isValid(batchId)).toBe(true);
+    });
+
+    it('should reject org codes that could not be parsed back', () => {
+      expect(() => batchIdService.format({ year: 2025, seq: 1, orgCode: 'north-india' })).toThrow('Invalid batch ID org code');
+    });
+  });
+
+  describe('parse', () => {
+    it('should split well formed IDs', () => {
+      expect(batchIdService.parse('CROP-2024-001')).toEqual({ orgCode: null, year: 2024, seq: 1 });
+      expect(batchIdService.parse('CROP-MH01-2025-042')).toEqual({ orgCode: 'MH01', year: 2025, seq: 42 });
+    });
+
+    it('should reject malformed IDs', () => {
+      ['CROP-2024', 'CROP-2024-ABC', 'crop-2024-001', 'CROP-2024-01', 'CROP-24-001'].forEach((batchId) => {
+        expect(batchIdService.parse(batchId)).toBeNull();
+      });
+    });
+  });
+
+  describe('audit', () => {
+    it('should report invalid IDs, collisions and the counters to seed', () => {
+      const result = batchIdService.audit([
+        'CROP-2024-001',
+        'CROP-2024-0001',
+        'CROP-2024-017',
+        'CROP-PB-2024-003',
+        'CROP-2025-002',
+        'BATCH-1'
+      ]);
+
+      expect(result.invalid).toEqual(['BATCH-1']);
+      expect(result.collisions).toEqual([['CROP-2024-001', 'CROP-2024-0001']]);
+      expect(result.counters).toEqual({
+        'batchId:2024': 17,
+        'batchId:PB:2024': 3,
+        'batchId:2025': 2
+      });
+    });
+  });
+});
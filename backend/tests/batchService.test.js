@@ -0,0 +1,603 @@
+process.env.NODE_ENV = 'test';
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn()
+};
+const mockBatch = {
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByAnyId: jest.fn(),
+  updateMany: jest.fn(),
+  aggregate: jest.fn(),
+  collection: { name: 'batches' }
+};
+const mockBatchIdService = { generate: jest.fn() };
+const mockAnchorService = {
+  anchorBatchCreation: jest.fn().mockResolvedValue(null),
+  anchorBatchUpdate: jest.fn().mockResolvedValue(null),
+  anchorBatchSplit: jest.fn().mockResolvedValue(null),
+  anchorBatchMerge: jest.fn().mockResolvedValue(null),
+  anchorOriginProof: jest.fn().mockResolvedValue(null)
+};
+const mockZkService = { checkLocationProof: jest.fn(), toCheckFields: jest.fn() };
+
+jest.mock('mongoose', () => ({ startSession: jest.fn(async () => mockSession) }));
+jest.mock('../models/Batch', () => mockBatch);
+jest.mock('../services/batchIdService', () => mockBatchIdService);
+jest.mock('../services/anchorService', () => mockAnchorService);
+jest.mock('../services/zkService', () => mockZkService);
+
+const batchService = require('../services/batchService');
+const { toChainBatchId } = require('../utils/batchId');
+const { toBatchSignal } = require('../utils/zkProof');
+const { NotFoundError, ValidationError, BusinessRuleError, ForbiddenError } = require('../utils/errorHandler');
+
+const user = { id: 'user1', name: 'Ravi Kumar' };
+const createData = {
+  farmerName: 'Ravi Kumar',
+  farmerAddress: 'Village Rampur',
+  cropType: 'rice',
+  quantity: 100,
+  harvestDate: '2025-01-15',
+  origin: 'Rampur, Meerut'
+};
+
+describe('Batch Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBatchIdService.generate.mockResolvedValue('CROP-2025-001');
+  });
+
+  describe('createBatch', () => {
+    it('should generate the ID inside the transaction and queue anchoring', async () => {
+      mockBatch.create.mockImplementation(async (docs) => docs);
+
+      const batch = await batchService.createBatch(createData, user);
+
+      expect(mockBatchIdService.generate).toHaveBeenCalledWith({ session: mockSession });
+      expect(mockBatch.create).toHaveBeenCalledWith([expect.any(Object)], { session: mockSession });
+      expect(batch).toEqual(expect.objectContaining({
+        batchId: 'CROP-2025-001',
+        farmerId: 'user1',
+        currentStage: 'farmer',
+        syncStatus: 'pending',
+        updates: [expect.objectContaining({ stage: 'farmer', actor: 'Ravi Kumar', notes: 'Initial harvest recorded' })]
+      }));
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(mockAnchorService.anchorBatchCreation).toHaveBeenCalledWith(batch);
+    });
+
+    it('should abort the transaction and not anchor when the insert fails', async () => {
+      mockBatch.create.mockRejectedValue(new Error('write conflict'));
+
+      await expect(batchService.createBatch(createData, user)).rejects.toThrow('write conflict');
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockSession.endSession).toHaveBeenCalled();
+      expect(mockAnchorService.anchorBatchCreation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attachOriginProof', () => {
+    const batchSignal = toBatchSignal(toChainBatchId('CROP-2025-001'));
+    const submitted = (signal = batchSignal, regionId = 'in-pb') => ({
+      proof: { pi_a: ['1', '2', '1'] },
+      publicSignals: ['1', '2', '3', '4', signal],
+      regionId
+    });
+    const storedBatch = (overrides = {}) => ({
+      batchId: 'CROP-2025-001',
+      farmerId: 'user1',
+      isRecalled: false,
+      syncStatus: 'synced',
+      ...overrides
+    });
+
+    beforeEach(() => {
+      mockBatch.findOne.mockResolvedValue(storedBatch());
+      mockBatch.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...storedBatch(), ...update.$set }));
+    });
+
+    it('should store a verified proof as pending and record it on-chain', async () => {
+      mockZkService.checkLocationProof.mockResolvedValue({ valid: true, proofHash: '0xabc', region: { regionId: 'IN-PB' } });
+      mockZkService.toCheckFields.mockReturnValue({ proofHash: '0xabc', offChainValid: true, regionVerified: true, regionId: 'IN-PB' });
+      const data = submitted();
+
+      const batch = await batchService.attachOriginProof('CROP-2025-001', data, user);
+
+      expect(mockZkService.checkLocationProof).toHaveBeenCalledWith(data);
+      expect(mockBatch.findOneAndUpdate).toHaveBeenCalledWith(
+        { batchId: 'CROP-2025-001', 'originProof.status': { $ne: 'verified' } },
+        { $set: { originProof: expect.any(Object) } },
+        { new: true }
+      );
+      expect(batch.originProof).toEqual({
+        ...data,
+        status: 'pending',
+        error: null,
+        proofHash: '0xabc',
+        offChainValid: true,
+        regionVerified: true,
+        regionId: 'IN-PB'
+      });
+      expect(mockAnchorService.anchorOriginProof).toHaveBeenCalledWith('CROP-2025-001', batch.originProof);
+    });
+
+    it('should leave the proof to the creation anchoring while the batch is not on-chain yet', async () => {
+      mockBatch.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...storedBatch({ syncStatus: 'pending' }), ...update.$set }));
+      mockZkService.checkLocationProof.mockResolvedValue({ valid: true, proofHash: '0xabc', region: { regionId: 'IN-PB' } });
+      mockZkService.toCheckFields.mockReturnValue({ proofHash: '0xabc', offChainValid: true, regionVerified: true, regionId: 'IN-PB' });
+
+      const batch = await batchService.attachOriginProof('CROP-2025-001', submitted(), user);
+
+      expect(batch.originProof.status).toBe('pending');
+      expect(mockAnchorService.anchorOriginProof).not.toHaveBeenCalled();
+    });
+
+    it('should reject a proof that fails verification without recording it', async () => {
+      mockZkService.checkLocationProof.mockResolvedValue({ valid: false, proofHash: '0xabc', region: null });
+      mockZkService.toCheckFields.mockReturnValue({ proofHash: '0xabc', offChainValid: false, regionVerified: false });
+
+      const batch = await batchService.attachOriginProof('CROP-2025-001', submitted(), user);
+
+      expect(batch.originProof).toMatchObject({ status: 'rejected', offChainValid: false });
+      expect(mockAnchorService.anchorOriginProof).not.toHaveBeenCalled();
+    });
+
+    it('should reject a valid proof that does not match the referenced certified region', async () => {
+      mockZkService.checkLocationProof.mockResolvedValue({ valid: true, proofHash: '0xabc', region: null });
+      mockZkService.toCheckFields.mockReturnValue({ proofHash: '0xabc', offChainValid: true, regionVerified: false });
+
+      const batch = await batchService.attachOriginProof('CROP-2025-001', submitted(batchSignal, 'IN-HR'), user);
+
+      expect(batch.originProof).toMatchObject({
+        status: 'rejected',
+        error: 'Proof does not match certified region IN-HR or its certification is not in force',
+        offChainValid: true,
+        regionVerified: false,
+        regionId: 'IN-HR'
+      });
+    });
+
+    it('should refuse a proof bound to another batch', async () => {
+      const otherSignal = toBatchSignal(toChainBatchId('CROP-2025-002'));
+
+      await expect(batchService.attachOriginProof('CROP-2025-001', submitted(otherSignal), user))
+        .rejects.toThrow(ValidationError);
+      expect(mockZkService.checkLocationProof).not.toHaveBeenCalled();
+      expect(mockBatch.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should only let the batch farmer or an admin attach a proof', async () => {
+      mockBatch.findOne.mockResolvedValue(storedBatch({ farmerId: 'someone-else' }));
+      mockZkService.checkLocationProof.mockResolvedValue({ valid: true, proofHash: '0xabc', region: { regionId: 'IN-PB' } });
+      mockZkService.toCheckFields.mockReturnValue({ proofHash: '0xabc', offChainValid: true, regionVerified: true, regionId: 'IN-PB' });
+
+      await expect(batchService.attachOriginProof('CROP-2025-001', submitted(), user)).rejects.toThrow(ForbiddenError);
+      await expect(batchService.attachOriginProof('CROP-2025-001', submitted(), { id: 'admin1', role: 'admin' }))
+        .resolves.toMatchObject({ batchId: 'CROP-2025-001' });
+    });
+
+    it('should refuse recalled batches and batches whose origin is already proven', async () => {
+      mockBatch.findOne.mockResolvedValueOnce(storedBatch({ isRecalled: true }));
+      await expect(batchService.attachOriginProof('CROP-2025-001', submitted(), user)).rejects.toThrow(BusinessRuleError);
+
+      mockBatch.findOne.mockResolvedValueOnce(storedBatch({ originProof: { status: 'verified' } }));
+      await expect(batchService.attachOriginProof('CROP-2025-001', submitted(), user))
+        .rejects.toMatchObject({ code: 'ORIGIN_ALREADY_PROVEN', statusCode: 409 });
+    });
+
+    it('should throw NotFoundError for an unknown batch', async () => {
+      mockBatch.findOne.mockResolvedValue(null);
+
+      await expect(batchService.attachOriginProof('CROP-2025-999', submitted(), user)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('updateBatch', () => {
+    const existing = (overrides = {}) => ({
+      batchId: 'CROP-2025-001',
+      currentStage: 'farmer',
+      isRecalled: false,
+      canBeUpdated() { return !this.isRecalled; },
+      ...overrides
+    });
+    const mandiUser = { id: 'user2', role: 'mandi' };
+    const mandiUpdate = { stage: 'Mandi', actor: 'Mandi A', location: 'Ludhiana' };
+
+    it('should push a normalized update guarded by the checked stage and anchor it', async () => {
+      const pushed = { _id: 'u2', stage: 'mandi' };
+      mockBatch.findOne.mockResolvedValue(existing());
+      mockBatch.findOneAndUpdate.mockResolvedValue({ batchId: 'CROP-2025-001', currentStage: 'mandi', updates: [{}, pushed] });
+
+      await batchService.updateBatch('CROP-2025-001', mandiUpdate, mandiUser);
+
+      expect(mockBatch.findOneAndUpdate).toHaveBeenCalledWith(
+        { batchId: 'CROP-2025-001', currentStage: 'farmer', isRecalled: false, consumedBy: null },
+        expect.objectContaining({ currentStage: 'mandi', $push: { updates: expect.objectContaining({ stage: 'mandi' }) } }),
+        { new: true }
+      );
+      expect(mockAnchorService.anchorBatchUpdate).toHaveBeenCalledWith('CROP-2025-001', pushed);
+    });
+
+    it('should throw NotFoundError for an unknown batch', async () => {
+      mockBatch.findOne.mockResolvedValue(null);
+
+      await expect(batchService.updateBatch('CROP-2025-999', mandiUpdate, mandiUser)).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should reject updates to a recalled batch', async () => {
+      mockBatch.findOne.mockResolvedValue(existing({ isRecalled: true }));
+
+      await expect(batchService.updateBatch('CROP-2025-001', mandiUpdate, mandiUser))
+        .rejects.toMatchObject({ code: 'BATCH_RECALLED', statusCode: 409 });
+      expect(mockBatch.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject updates to a batch that was split or merged', async () => {
+      mockBatch.findOne.mockResolvedValue(existing({ consumedBy: 'split', childBatchIds: ['CROP-2025-002', 'CROP-2025-003'] }));
+
+      await expect(batchService.updateBatch('CROP-2025-001', mandiUpdate, mandiUser))
+        .rejects.toMatchObject({ code: 'BATCH_CONSUMED', statusCode: 409, details: expect.objectContaining({ consumedBy: 'split' }) });
+      expect(mockBatch.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject skipped or repeated stages', async () => {
+      mockBatch.findOne.mockResolvedValue(existing());
+
+      await expect(batchService.updateBatch('CROP-2025-001', { ...mandiUpdate, stage: 'retailer' }, { role: 'admin' }))
+        .rejects.toMatchObject({
+          code: 'INVALID_STAGE_TRANSITION',
+          statusCode: 409,
+          details: { currentStage: 'farmer', requestedStage: 'retailer', expectedStage: 'mandi' }
+        });
+
+      mockBatch.findOne.mockResolvedValue(existing({ currentStage: 'retailer' }));
+      await expect(batchService.updateBatch('CROP-2025-001', { ...mandiUpdate, stage: 'retailer' }, { role: 'admin' }))
+        .rejects.toMatchObject({ code: 'INVALID_STAGE_TRANSITION', details: expect.objectContaining({ expectedStage: null }) });
+    });
+
+    it('should only let the stage role or an admin record a stage', async () => {
+      mockBatch.findOne.mockResolvedValue(existing());
+
+      await expect(batchService.updateBatch('CROP-2025-001', mandiUpdate, { role: 'transporter' }))
+        .rejects.toMatchObject({ code: 'ROLE_NOT_ALLOWED_FOR_STAGE', statusCode: 403 });
+
+      mockBatch.findOneAndUpdate.mockResolvedValue({ currentStage: 'mandi', updates: [{}] });
+      await expect(batchService.updateBatch('CROP-2025-001', mandiUpdate, { role: 'admin' })).resolves.toBeDefined();
+    });
+
+    it('should report a conflict when the batch changed after it was checked', async () => {
+      mockBatch.findOne.mockResolvedValue(existing());
+      mockBatch.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(batchService.updateBatch('CROP-2025-001', mandiUpdate, mandiUser))
+        .rejects.toMatchObject({ code: 'BATCH_UPDATE_CONFLICT' });
+      expect(mockAnchorService.anchorBatchUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('splitBatch', () => {
+    const mandiUser = { id: 'user2', name: 'Mandi A', role: 'mandi' };
+    const parent = (overrides = {}) => ({
+      ...createData,
+      batchId: 'CROP-2025-001',
+      farmerId: 'user1',
+      currentStage: 'mandi',
+      isRecalled: false,
+      consumedBy: null,
+      childBatchIds: [],
+      ...overrides
+    });
+    const splitData = { quantities: [60, 40], location: 'Ludhiana' };
+
+    beforeEach(() => {
+      let next = 2;
+      mockBatchIdService.generate.mockImplementation(async () => `CROP-2025-00${next++}`);
+      mockBatch.create.mockImplementation(async (docs) => docs);
+    });
+
+    it('should create the lots at the parent stage and consume the parent', async () => {
+      mockBatch.findOne.mockResolvedValue(parent());
+      mockBatch.findOneAndUpdate.mockImplementation(async (filter, update) => parent(update.$set));
+
+      const { parent: consumed, children } = await batchService.splitBatch('CROP-2025-001', splitData, mandiUser);
+
+      expect(children).toEqual([
+        expect.objectContaining({ batchId: 'CROP-2025-002', quantity: 60, cropType: 'rice', farmerId: 'user1', parentBatchIds: ['CROP-2025-001'], derivedBy: 'split' }),
+        expect.objectContaining({ batchId: 'CROP-2025-003', quantity: 40, currentStage: 'mandi' })
+      ]);
+      expect(children[0].updates).toEqual([
+        { stage: 'mandi', actor: 'Mandi A', location: 'Ludhiana', notes: 'Split from CROP-2025-001', updatedBy: 'user2' }
+      ]);
+      expect(mockBatch.create).toHaveBeenCalledWith(expect.any(Array), { session: mockSession, ordered: true });
+      expect(mockBatch.findOneAndUpdate).toHaveBeenCalledWith(
+        { batchId: 'CROP-2025-001', currentStage: 'mandi', isRecalled: false, consumedBy: null },
+        { $set: { consumedBy: 'split', childBatchIds: ['CROP-2025-002', 'CROP-2025-003'] } },
+        { new: true, session: mockSession }
+      );
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(mockAnchorService.anchorBatchSplit).toHaveBeenCalledWith(consumed, children);
+    });
+
+    it('should require quantities that add up to the batch', async () => {
+      mockBatch.findOne.mockResolvedValue(parent());
+
+      await expect(batchService.splitBatch('CROP-2025-001', { ...splitData, quantities: [60, 30] }, mandiUser))
+        .rejects.toMatchObject({ code: 'INVALID_SPLIT_QUANTITIES', statusCode: 400, details: { quantity: 100, total: 90 } });
+      expect(mockBatch.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject recalled and already consumed batches', async () => {
+      mockBatch.findOne.mockResolvedValue(parent({ isRecalled: true }));
+      await expect(batchService.splitBatch('CROP-2025-001', splitData, mandiUser)).rejects.toMatchObject({ code: 'BATCH_RECALLED' });
+
+      mockBatch.findOne.mockResolvedValue(parent({ consumedBy: 'merge', childBatchIds: ['CROP-2025-009'] }));
+      await expect(batchService.splitBatch('CROP-2025-001', splitData, mandiUser)).rejects.toMatchObject({ code: 'BATCH_CONSUMED' });
+    });
+
+    it('should roll back the lots when the parent changed meanwhile', async () => {
+      mockBatch.findOne.mockResolvedValue(parent());
+      mockBatch.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(batchService.splitBatch('CROP-2025-001', splitData, mandiUser)).rejects.toMatchObject({ code: 'BATCH_UPDATE_CONFLICT' });
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockAnchorService.anchorBatchSplit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeBatches', () => {
+    const mandiUser = { id: 'user2', name: 'Mandi A', role: 'mandi' };
+    const source = (batchId, overrides = {}) => ({
+      ...createData,
+      batchId,
+      farmerId: 'user1',
+      currentStage: 'mandi',
+      isRecalled: false,
+      consumedBy: null,
+      childBatchIds: [],
+      ...overrides
+    });
+    const mergeData = { batchIds: ['CROP-2025-001', 'CROP-2025-002'], location: 'Ludhiana' };
+
+    beforeEach(() => {
+      mockBatchIdService.generate.mockResolvedValue('CROP-2025-010');
+      mockBatch.create.mockImplementation(async (docs) => docs);
+      mockBatch.updateMany.mockResolvedValue({ modifiedCount: 2 });
+    });
+
+    it('should combine the quantities and keep only the fields all batches share', async () => {
+      mockBatch.find.mockResolvedValue([
+        source('CROP-2025-002', { farmerId: 'user3', farmerName: 'Sita Devi', quantity: 50, harvestDate: new Date('2025-01-10') }),
+        source('CROP-2025-001', { harvestDate: new Date('2025-01-15') })
+      ]);
+
+      const { batch, parents } = await batchService.mergeBatches(mergeData, mandiUser);
+
+      expect(batch).toEqual(expect.objectContaining({
+        batchId: 'CROP-2025-010',
+        quantity: 150,
+        cropType: 'rice',
+        currentStage: 'mandi',
+        farmerId: 'multiple',
+        farmerName: 'Multiple farmers',
+        origin: 'Rampur, Meerut',
+        harvestDate: new Date('2025-01-10'),
+        parentBatchIds: ['CROP-2025-001', 'CROP-2025-002'],
+        derivedBy: 'merge'
+      }));
+      expect(mockBatch.updateMany).toHaveBeenCalledWith(
+        { batchId: { $in: mergeData.batchIds }, currentStage: 'mandi', isRecalled: false, consumedBy: null },
+        { $set: { consumedBy: 'merge', childBatchIds: ['CROP-2025-010'] } },
+        { session: mockSession }
+      );
+      expect(parents.map((parent) => parent.batchId)).toEqual(mergeData.batchIds);
+      expect(mockAnchorService.anchorBatchMerge).toHaveBeenCalledWith(parents, batch);
+    });
+
+    it('should only merge batches of one crop type at one stage', async () => {
+      mockBatch.find.mockResolvedValue([source('CROP-2025-001'), source('CROP-2025-002', { cropType: 'wheat' })]);
+      await expect(batchService.mergeBatches(mergeData, mandiUser))
+        .rejects.toMatchObject({ code: 'CROP_TYPE_MISMATCH', details: { cropTypes: ['rice', 'wheat'] } });
+
+      mockBatch.find.mockResolvedValue([source('CROP-2025-001'), source('CROP-2025-002', { currentStage: 'transport' })]);
+      await expect(batchService.mergeBatches(mergeData, mandiUser)).rejects.toMatchObject({ code: 'STAGE_MISMATCH' });
+      expect(mockBatch.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to merge a batch with itself', async () => {
+      await expect(batchService.mergeBatches({ ...mergeData, batchIds: ['CROP-2025-001', 'CROP-2025-002', 'CROP-2025-001'] }, mandiUser))
+        .rejects.toMatchObject({ statusCode: 400, details: { duplicates: ['CROP-2025-001'] } });
+      expect(mockBatch.find).not.toHaveBeenCalled();
+      expect(mockSession.startTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should name missing batches', async () => {
+      mockBatch.find.mockResolvedValue([source('CROP-2025-001')]);
+
+      await expect(batchService.mergeBatches(mergeData, mandiUser)).rejects.toThrow('CROP-2025-002');
+    });
+
+    it('should roll back when a batch changed meanwhile', async () => {
+      mockBatch.find.mockResolvedValue([source('CROP-2025-001'), source('CROP-2025-002')]);
+      mockBatch.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(batchService.mergeBatches(mergeData, mandiUser)).rejects.toMatchObject({ code: 'BATCH_UPDATE_CONFLICT' });
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockAnchorService.anchorBatchMerge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getLineage', () => {
+    it('should return ancestors and descendants as nodes and parent-to-child edges', async () => {
+      // A and B were merged into M, which was split into C1 and C2
+      mockBatch.findByAnyId.mockResolvedValue({ batchId: 'M', cropType: 'rice', parentBatchIds: ['A', 'B'], childBatchIds: ['C1', 'C2'] });
+      mockBatch.aggregate.mockResolvedValue([{
+        ancestors: [
+          { batchId: 'B', parentBatchIds: [], childBatchIds: ['M'], depth: 0 },
+          { batchId: 'A', parentBatchIds: [], childBatchIds: ['M'], depth: 0 }
+        ],
+        descendants: [
+          { batchId: 'C2', parentBatchIds: ['M'], childBatchIds: [], depth: 0 },
+          { batchId: 'C1', parentBatchIds: ['M'], childBatchIds: [], depth: 0 }
+        ]
+      }]);
+
+      const lineage = await batchService.getLineage('M', 3);
+
+      expect(mockBatch.aggregate.mock.calls[0][0][1]).toEqual({
+        $graphLookup: {
+          from: 'batches',
+          startWith: '$parentBatchIds',
+          connectFromField: 'parentBatchIds',
+          connectToField: 'batchId',
+          as: 'ancestors',
+          maxDepth: 2,
+          depthField: 'depth'
+        }
+      });
+      expect(lineage.nodes.map(({ batchId, relation, depth }) => [batchId, relation, depth])).toEqual([
+        ['M', 'self', 0],
+        ['A', 'ancestor', 1],
+        ['B', 'ancestor', 1],
+        ['C1', 'descendant', 1],
+        ['C2', 'descendant', 1]
+      ]);
+      expect(lineage.edges).toEqual([
+        { from: 'A', to: 'M' },
+        { from: 'B', to: 'M' },
+        { from: 'M', to: 'C1' },
+        { from: 'M', to: 'C2' }
+      ]);
+    });
+
+    it('should not query the graph for a batch without lineage', async () => {
+      mockBatch.findByAnyId.mockResolvedValue({ batchId: 'CROP-2025-001', parentBatchIds: [], childBatchIds: [] });
+
+      const lineage = await batchService.getLineage('CROP-2025-001');
+
+      expect(mockBatch.aggregate).not.toHaveBeenCalled();
+      expect(lineage).toMatchObject({ batchId: 'CROP-2025-001', nodes: [expect.objectContaining({ relation: 'self' })], edges: [] });
+    });
+  });
+
+  describe('getStageRules', () => {
+    it('should expose the transition table and stage roles', () => {
+      expect(batchService.getStageRules()).toEqual({
+        stages: ['farmer', 'mandi', 'transport', 'retailer'],
+        transitions: { farmer: 'mandi', mandi: 'transport', transport: 'retailer', retailer: null },
+        stageRoles: { farmer: ['farmer'], mandi: ['mandi'], transport: ['transporter'], retailer: ['retailer'] },
+        adminRole: 'admin'
+      });
+    });
+  });
+
+  describe('updateBatchStatus', () => {
+    it('should reject unknown statuses', async () => {
+      await expect(batchService.updateBatchStatus('CROP-2025-001', 'Deleted')).rejects.toBeInstanceOf(ValidationError);
+      expect(mockBatch.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listBatches', () => {
+    // Chainable Mongoose query resolving to docs
+    const findQuery = (docs) => {
+      const query = {};
+      for (const method of ['select', 'sort', 'skip', 'limit']) {
+        query[method] = jest.fn(() => query);
+      }
+      query.lean = jest.fn().mockResolvedValue(docs);
+      return query;
+    };
+    const docs = (count) => Array.from({ length: count }, (_, i) => ({
+      _id: `64b7f0c2a1b2c3d4e5f607${String(10 + i)}`,
+      batchId: `CROP-2025-00${i + 1}`,
+      createdAt: new Date(Date.UTC(2025, 0, 20 - i))
+    }));
+
+    beforeEach(() => {
+      mockBatch.countDocuments = jest.fn().mockResolvedValue(45);
+    });
+
+    it('should build filters, search and sort from the query and leave out heavy fields', async () => {
+      const query = findQuery(docs(2));
+      mockBatch.find.mockReturnValue(query);
+
+      const result = await batchService.listBatches({
+        page: 3,
+        limit: 10,
+        sort: 'harvestDate',
+        cropType: 'rice',
+        isRecalled: false,
+        harvestedFrom: new Date('2025-01-01'),
+        harvestedTo: new Date('2025-01-31'),
+        origin: 'Meerut (UP)',
+        q: 'ravi'
+      });
+
+      const filter = {
+        cropType: 'rice',
+        isRecalled: false,
+        harvestDate: { $gte: new Date('2025-01-01'), $lte: new Date('2025-01-31') },
+        origin: { $regex: 'Meerut \\(UP\\)', $options: 'i' },
+        $text: { $search: 'ravi' }
+      };
+      expect(mockBatch.find).toHaveBeenCalledWith(filter);
+      expect(mockBatch.countDocuments).toHaveBeenCalledWith(filter);
+      expect(query.select).toHaveBeenCalledWith('-qrCode -originProof.proof');
+      expect(query.sort).toHaveBeenCalledWith({ harvestDate: 1, _id: 1 });
+      expect(query.skip).toHaveBeenCalledWith(20);
+      expect(query.limit).toHaveBeenCalledWith(11);
+      expect(result.pagination).toEqual({ page: 3, limit: 10, total: 45, totalPages: 5, hasNextPage: false, nextCursor: null });
+    });
+
+    it('should continue after the cursor of the previous page', async () => {
+      mockBatch.find.mockReturnValue(findQuery(docs(3)));
+
+      const first = await batchService.listBatches({ limit: 2, sort: '-createdAt' });
+
+      expect(first.batches).toHaveLength(2);
+      expect(first.pagination.hasNextPage).toBe(true);
+      const last = first.batches[1];
+
+      const query = findQuery(docs(1));
+      mockBatch.find.mockReturnValue(query);
+      const second = await batchService.listBatches({ limit: 2, sort: '-createdAt', cursor: first.pagination.nextCursor });
+
+      expect(mockBatch.find).toHaveBeenLastCalledWith({
+        $or: [
+          { createdAt: { $lt: last.createdAt } },
+          { createdAt: last.createdAt, _id: { $lt: last._id } }
+        ]
+      });
+      expect(mockBatch.countDocuments).toHaveBeenLastCalledWith({});
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(second.pagination).toMatchObject({ page: null, hasNextPage: false, nextCursor: null });
+    });
+
+    it('should reject malformed cursors and cursors issued for another sort', async () => {
+      mockBatch.find.mockReturnValue(findQuery(docs(3)));
+      const { pagination } = await batchService.listBatches({ limit: 2, sort: '-createdAt' });
+
+      await expect(batchService.listBatches({ sort: 'quantity', cursor: pagination.nextCursor })).rejects.toBeInstanceOf(ValidationError);
+      await expect(batchService.listBatches({ cursor: 'not-a-cursor' })).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('getDashboardStats', () => {
+    it('should report the Batch.getStats aggregation', async () => {
+      mockBatch.getStats = jest.fn().mockResolvedValue({
+        totalBatches: 3, totalQuantity: 175, uniqueFarmers: 2, recalledBatches: 1, recentBatches: 2
+      });
+
+      const { stats } = await batchService.getDashboardStats();
+
+      expect(stats).toEqual({ totalBatches: 3, totalFarmers: 2, totalQuantity: 175, recentBatches: 2, recalledBatches: 1 });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+process.env.NODE_ENV = 'test';
+
+const { getContractInterface, stripMetadata } = require('../config/blockchain');
+
+describe('Blockchain Config', () => {
+  describe('CropChain artifact ABI', () => {
+    const contractInterface = getContractInterface();
+
+    it('should decode events with the signatures declared in CropChain.sol', () => {
+      expect(contractInterface.getEvent('BatchCreated').format())
+        .toBe('BatchCreated(bytes32,string,uint256,address)');
+      expect(contractInterface.getEvent('BatchUpdated').format())
+        .toBe('BatchUpdated(bytes32,uint8,string,string,address)');
+      expect(contractInterface.getEvent('BatchRecalled').format())
+        .toBe('BatchRecalled(bytes32,address)');
+    });
+
+    it('should expose the seven-argument createBatch', () => {
+      expect(contractInterface.getFunction('createBatch').format())
+        .toBe('createBatch(bytes32,bytes32,string,uint256,string,string,string)');
+      expect(contractInterface.getFunction('updateBatch').format())
+        .toBe('updateBatch(bytes32,uint8,string,string,string)');
+    });
+  });
+
+  describe('artifact loading', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('should start without the artifact when no contract is configured', () => {
+      process.env.CONTRACT_ARTIFACT_PATH = '/nonexistent/CropChain.json';
+      delete process.env.INFURA_URL;
+      delete process.env.CONTRACT_ADDRESS;
+      delete process.env.PRIVATE_KEY;
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      jest.isolateModules(() => {
+        const blockchain = require('../config/blockchain');
+
+        expect(blockchain.getContract()).toBeNull();
+        expect(() => blockchain.getArtifact()).toThrow('CropChain artifact not found at /nonexistent/CropChain.json');
+      });
+
+      console.log.mockRestore();
+    });
+
+    it('should fail to build the contract when a configured contract has no artifact', () => {
+      process.env.CONTRACT_ARTIFACT_PATH = '/nonexistent/CropChain.json';
+      process.env.INFURA_URL = 'http://127.0.0.1:8545';
+      process.env.CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+      process.env.PRIVATE_KEY = '0x' + '11'.repeat(32);
+
+      jest.isolateModules(() => {
+        const blockchain = require('../config/blockchain');
+
+        expect(() => blockchain.getContract()).toThrow('CropChain artifact not found');
+      });
+    });
+  });
+
+  describe('stripMetadata', () => {
+    // 0x6080 runtime code followed by a 4-byte fake CBOR payload and its 2-byte length (0x0004)
+    const runtime = '0x60806040';
+    const withMetadata = (cbor) => `${runtime}${cbor}0004`;
+
+    it('should ignore differences in the metadata trailer', () => {
+      expect(stripMetadata(withMetadata('aaaaaaaa'))).toBe(stripMetadata(withMetadata('bbbbbbbb')));
+      expect(stripMetadata(withMetadata('aaaaaaaa'))).toBe('60806040');
+    });
+
+    it('should still detect differences in the runtime code', () => {
+      expect(stripMetadata(withMetadata('aaaaaaaa')))
+        .not.toBe(stripMetadata(`0x60806041aaaaaaaa0004`));
+    });
+  });
+});
@@ -0,0 +1,267 @@
+process.env.NODE_ENV = 'test';
+
+const { getContractInterface } = require('../config/blockchain');
+const { toBatchSignal } = require('../utils/zkProof');
+
+const mockBatch = { findOne: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn() };
+const mockListing = { updateOne: jest.fn(), findOne: jest.fn() };
+const mockIndexerState = { findOne: jest.fn(), updateOne: jest.fn() };
+
+// In-memory ChainEvent collection keyed by txHash:logIndex
+const mockEvents = new Map();
+const mockChainEvent = {
+  findOneAndUpdate: jest.fn(async (key, update) => {
+    const id = `${key.txHash}:${key.logIndex}`;
+    if (!mockEvents.has(id)) {
+      mockEvents.set(id, { ...update.$setOnInsert, applied: false });
+    }
+    return mockEvents.get(id);
+  }),
+  updateOne: jest.fn(async (key, update) => {
+    Object.assign(mockEvents.get(`${key.txHash}:${key.logIndex}`), update.$set);
+  })
+};
+
+jest.mock('../models/Batch', () => mockBatch);
+jest.mock('../models/Listing', () => mockListing);
+jest.mock('../models/IndexerState', () => mockIndexerState);
+jest.mock('../models/ChainEvent', () => mockChainEvent);
+
+const ChainIndexer = require('../services/chainIndexer');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const BATCH_ID = '0x' + '11'.repeat(32);
+
+let txCounter = 0;
+
+// Shape of an ethers v6 EventLog as returned by contract.queryFilter
+const eventLog = (eventName, values, blockNumber) => {
+  const fragment = getContractInterface().getEvent(eventName);
+  txCounter++;
+  return {
+    eventName,
+    fragment,
+    args: values,
+    blockNumber,
+    index: 0,
+    transactionHash: '0x' + txCounter.toString(16).padStart(64, '0')
+  };
+};
+
+// The fields of a Batch document the indexer reads before applying a batch event
+const storedBatch = (currentStage, blockchainHash, updateTxHashes = []) => ({
+  currentStage,
+  blockchainHash,
+  updates: [{}, ...updateTxHashes.map((txHash) => ({ txHash }))]
+});
+
+const buildIndexer = (logsByBlock, head, options = {}) => {
+  const contract = {
+    getAddress: jest.fn().mockResolvedValue(CONTRACT_ADDRESS),
+    queryFilter: jest.fn(async (filter, from, to) => (
+      logsByBlock.filter((log) => log.blockNumber >= from && log.blockNumber <= to)
+    ))
+  };
+  const provider = { getBlockNumber: jest.fn().mockResolvedValue(head) };
+
+  return {
+    contract,
+    indexer: new ChainIndexer(contract, provider, { startBlock: 1, chunkSize: 10, confirmations: 2, ...options })
+  };
+};
+
+describe('Chain Indexer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockEvents.clear();
+    mockIndexerState.findOne.mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should backfill from the start block in chunks up to the confirmed head', async () => {
+    const { contract, indexer } = buildIndexer([], 25);
+
+    await indexer.syncOnce();
+
+    // head 25 - 2 confirmations = 23, chunks of 10 starting at block 1
+    expect(contract.queryFilter.mock.calls.map(([, from, to]) => [from, to])).toEqual([[1, 10], [11, 20], [21, 23]]);
+    expect(mockIndexerState.updateOne).toHaveBeenLastCalledWith(
+      { name: 'cropchain' },
+      { $set: { lastProcessedBlock: 23, contractAddress: CONTRACT_ADDRESS.toLowerCase() } },
+      { upsert: true }
+    );
+  });
+
+  it('should resume after the stored checkpoint', async () => {
+    mockIndexerState.findOne.mockResolvedValue({ lastProcessedBlock: 40, contractAddress: CONTRACT_ADDRESS.toLowerCase() });
+    const { contract, indexer } = buildIndexer([], 45);
+
+    await indexer.syncOnce();
+
+    expect(contract.queryFilter).toHaveBeenCalledTimes(1);
+    expect(contract.queryFilter).toHaveBeenCalledWith('*', 41, 43);
+  });
+
+  it('should not process blocks that are not yet confirmed', async () => {
+    const created = eventLog('BatchCreated', [BATCH_ID, '', 100n, CONTRACT_ADDRESS], 10);
+    const { indexer } = buildIndexer([created], 11);
+
+    const processed = await indexer.syncOnce();
+
+    expect(processed).toBe(0);
+    expect(mockBatch.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should apply batch events to the Batch document with the matching chainBatchId', async () => {
+    const created = eventLog('BatchCreated', [BATCH_ID, '', 100n, CONTRACT_ADDRESS], 3);
+    const recalled = eventLog('BatchRecalled', [BATCH_ID, CONTRACT_ADDRESS], 5);
+    mockBatch.findOne.mockResolvedValue(storedBatch('farmer', created.transactionHash));
+    const { indexer } = buildIndexer([created, recalled], 10);
+
+    await indexer.syncOnce();
+
+    expect(mockBatch.findOne).toHaveBeenCalledWith({ chainBatchId: BATCH_ID }, 'currentStage blockchainHash updates.txHash');
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { chainBatchId: BATCH_ID },
+      { $set: { syncStatus: 'synced', blockNumber: 3 } }
+    );
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { chainBatchId: BATCH_ID },
+      { $set: { isRecalled: true } }
+    );
+  });
+
+  it('should move the stage forward and mark the batch synced by its latest update', async () => {
+    const updated = eventLog('BatchUpdated', [BATCH_ID, 2n, 'Fast Logistics', 'Delhi Hub', CONTRACT_ADDRESS], 4);
+    mockBatch.findOne.mockResolvedValue(storedBatch('mandi', updated.transactionHash, ['0xmandi', updated.transactionHash]));
+    const { indexer } = buildIndexer([updated], 10);
+
+    await indexer.syncOnce();
+
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { chainBatchId: BATCH_ID },
+      { $set: { currentStage: 'transport', syncStatus: 'synced', blockNumber: 4 } }
+    );
+    expect(mockChainEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { txHash: updated.transactionHash, logIndex: 0 },
+      { $setOnInsert: expect.objectContaining({ name: 'BatchUpdated', chainBatchId: BATCH_ID, args: expect.objectContaining({ stage: '2' }) }) },
+      { upsert: true, new: true }
+    );
+  });
+
+  it('should leave batches that MongoDB has moved past the event alone', async () => {
+    const updated = eventLog('BatchUpdated', [BATCH_ID, 1n, 'Mandi A', 'Ludhiana', CONTRACT_ADDRESS], 4);
+    // The transport update was anchored after this one
+    mockBatch.findOne.mockResolvedValue(storedBatch('transport', '0xtransport', [updated.transactionHash, '0xtransport']));
+    const { indexer } = buildIndexer([updated], 10);
+
+    await indexer.syncOnce();
+
+    expect(mockBatch.updateOne).not.toHaveBeenCalled();
+    expect(mockEvents.get(`${updated.transactionHash}:0`).applied).toBe(true);
+  });
+
+  it('should not mark a batch synced while a newer update is still to be sent', async () => {
+    const updated = eventLog('BatchUpdated', [BATCH_ID, 1n, 'Mandi A', 'Ludhiana', CONTRACT_ADDRESS], 4);
+    // The transport update is saved but its transaction has not been sent yet
+    mockBatch.findOne.mockResolvedValue(storedBatch('farmer', updated.transactionHash, [updated.transactionHash, undefined]));
+    const { indexer } = buildIndexer([updated], 10);
+
+    await indexer.syncOnce();
+
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { chainBatchId: BATCH_ID },
+      { $set: { currentStage: 'mandi' } }
+    );
+  });
+
+  it('should only log events without a read model', async () => {
+    const role = eventLog('RoleUpdated', [CONTRACT_ADDRESS, 2n], 3);
+    const price = eventLog('SpotPriceRecorded', [BATCH_ID, 1000n, 1700000000n], 4);
+    const { indexer } = buildIndexer([role, price], 10);
+
+    const processed = await indexer.syncOnce();
+
+    expect(processed).toBe(2);
+    expect(mockEvents.get(`${role.transactionHash}:0`)).toMatchObject({ name: 'RoleUpdated', applied: true, args: { role: '2' } });
+    expect(mockEvents.get(`${price.transactionHash}:0`)).toMatchObject({ name: 'SpotPriceRecorded', applied: true, args: { priceWei: '1000' } });
+    expect(mockBatch.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should mark the origin proof verified when OriginProven is indexed', async () => {
+    const proven = eventLog('OriginProven', [BATCH_ID, 119500000n, 122500000n, 253800000n, 257000000n, CONTRACT_ADDRESS], 6);
+    const { indexer } = buildIndexer([proven], 10);
+
+    await indexer.syncOnce();
+
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { chainBatchId: BATCH_ID },
+      {
+        $set: {
+          'originProof.publicSignals': ['119500000', '122500000', '253800000', '257000000', toBatchSignal(BATCH_ID)],
+          'originProof.status': 'verified',
+          'originProof.txHash': proven.transactionHash,
+          'originProof.blockNumber': 6,
+          'originProof.error': null
+        }
+      }
+    );
+  });
+
+  it('should mark split and merged batches consumed', async () => {
+    const childIds = ['0x' + '22'.repeat(32), '0x' + '33'.repeat(32)];
+    const split = eventLog('BatchSplit', [BATCH_ID, childIds, [60n, 40n], CONTRACT_ADDRESS], 3);
+    const merged = eventLog('BatchMerged', [childIds[1], [BATCH_ID, childIds[0]], 100n, CONTRACT_ADDRESS], 4);
+    const { indexer } = buildIndexer([split, merged], 10);
+
+    await indexer.syncOnce();
+
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { chainBatchId: BATCH_ID },
+      { $set: { consumedBy: 'split', syncStatus: 'synced', blockNumber: 3 } }
+    );
+    expect(mockBatch.updateMany).toHaveBeenCalledWith(
+      { chainBatchId: { $in: [BATCH_ID, childIds[0]] } },
+      { $set: { consumedBy: 'merge', syncStatus: 'synced', blockNumber: 4 } }
+    );
+    expect(mockEvents.get(`${split.transactionHash}:0`)).toMatchObject({
+      chainBatchId: BATCH_ID,
+      args: { childBatchIds: childIds, quantities: ['60', '40'] }
+    });
+  });
+
+  it('should not apply the same event twice when a block range is replayed', async () => {
+    const created = eventLog('BatchCreated', [BATCH_ID, '', 100n, CONTRACT_ADDRESS], 3);
+    mockBatch.findOne.mockResolvedValue(storedBatch('farmer', created.transactionHash));
+    const { indexer } = buildIndexer([created], 10);
+
+    await indexer.syncOnce();
+    indexer.lastProcessedBlock = 0;
+    await indexer.syncOnce();
+
+    expect(mockBatch.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('should maintain the listing read model', async () => {
+    const created = eventLog('ListingCreated', [1n, BATCH_ID, CONTRACT_ADDRESS, 20n, 1000n], 3);
+    const purchased = eventLog('ListingPurchased', [1n, CONTRACT_ADDRESS, 5n, 5000n], 4);
+    const listing = { quantityAvailable: '20', active: true, save: jest.fn() };
+    mockListing.findOne.mockResolvedValue(listing);
+    const { indexer } = buildIndexer([created, purchased], 10);
+
+    await indexer.syncOnce();
+
+    expect(mockListing.updateOne).toHaveBeenCalledWith(
+      { listingId: 1 },
+      { $setOnInsert: expect.objectContaining({ chainBatchId: BATCH_ID, quantity: '20', quantityAvailable: '20', unitPriceWei: '1000' }) },
+      { upsert: true }
+    );
+    expect(listing.quantityAvailable).toBe('15');
+    expect(listing.active).toBe(true);
+    expect(listing.save).toHaveBeenCalled();
+  });
+});
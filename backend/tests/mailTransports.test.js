@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createFileTransport,
+  createConsoleTransport,
+  createTransportFromEnv
+} = require('../services/mailTransports');
+
+const message = {
+  from: 'CropChain <no-reply@cropchain.local>',
+  to: 'ravi@example.com',
+  subject: 'Hello',
+  text: 'Plain body',
+  html: '<p>Plain body</p>'
+};
+
+describe('Mail transports', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  it('file transport should write each message to its own JSON file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cropchain-mail-test-'));
+    const transport = createFileTransport({ dir });
+
+    const first = await transport.send(message);
+    const second = await transport.send({ ...message, subject: 'Again' });
+
+    expect(first.messageId).not.toBe(second.messageId);
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, `${first.messageId}.json`), 'utf8'));
+    expect(stored).toMatchObject({ messageId: first.messageId, ...message });
+    expect(fs.readdirSync(dir)).toHaveLength(2);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('console transport should print the recipient, subject and text', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await createConsoleTransport().send(message);
+
+    const output = log.mock.calls.map((args) => args.join(' ')).join('\n');
+    expect(output).toContain('ravi@example.com');
+    expect(output).toContain('Hello');
+    expect(output).toContain('Plain body');
+  });
+
+  it('console transport should redact link tokens', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await createConsoleTransport().send({
+      ...message,
+      text: 'Use this link:\nhttp://localhost:5173/reset-password?token=abc123secret\n\nThanks'
+    });
+
+    const output = log.mock.calls.map((args) => args.join(' ')).join('\n');
+    expect(output).toContain('/reset-password?token=[redacted]');
+    expect(output).not.toContain('abc123secret');
+  });
+
+  it('should pick the transport named by MAIL_TRANSPORT', () => {
+    delete process.env.MAIL_TRANSPORT;
+    expect(createTransportFromEnv().name).toBe('console');
+
+    process.env.MAIL_TRANSPORT = 'file';
+    expect(createTransportFromEnv().name).toBe('file');
+
+    process.env.MAIL_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = 'smtp.example.com';
+    expect(createTransportFromEnv().name).toBe('smtp');
+
+    process.env.MAIL_TRANSPORT = 'pigeon';
+    expect(() => createTransportFromEnv()).toThrow('Unknown MAIL_TRANSPORT');
+  });
+
+  it('should require MAIL_TRANSPORT in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+    expect(() => createTransportFromEnv()).toThrow('MAIL_TRANSPORT must be set in production');
+
+    process.env.MAIL_TRANSPORT = 'console';
+    expect(createTransportFromEnv().name).toBe('console');
+  });
+});
@@ -0,0 +1,66 @@
+process.env.NODE_ENV = 'test';
+
+const AuthNonce = require('../models/AuthNonce');
+const nonceService = require('../services/nonceService');
+const { UnauthorizedError } = require('../utils/errorHandler');
+
+const address = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+describe('Nonce Service', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('issue', () => {
+    it('should store a random alphanumeric nonce per address that expires after the TTL', async () => {
+      const upsert = jest.spyOn(AuthNonce, 'findOneAndUpdate').mockResolvedValue({});
+
+      const first = await nonceService.issue('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+      const second = await nonceService.issue(address);
+
+      expect(first.nonce).toMatch(/^[0-9a-f]{32}$/);
+      expect(second.nonce).not.toBe(first.nonce);
+      expect(first.expiresAt.getTime() - Date.now()).toBeGreaterThan((nonceService.ttlSeconds - 5) * 1000);
+      expect(upsert).toHaveBeenCalledWith(
+        { address },
+        { $set: { nonce: first.nonce, expiresAt: first.expiresAt } },
+        { upsert: true }
+      );
+    });
+  });
+
+  describe('getPending', () => {
+    it('should only return unexpired nonces', async () => {
+      const findOne = jest.spyOn(AuthNonce, 'findOne').mockResolvedValue(null);
+
+      await expect(nonceService.getPending(address)).resolves.toBeNull();
+      expect(findOne).toHaveBeenCalledWith({ address, expiresAt: { $gt: expect.any(Date) } });
+    });
+  });
+
+  describe('consume', () => {
+    it('should delete the pending nonce', async () => {
+      const remove = jest.spyOn(AuthNonce, 'findOneAndDelete').mockResolvedValue({ address, nonce: 'abc123abc' });
+
+      await nonceService.consume(address, 'abc123abc');
+
+      expect(remove).toHaveBeenCalledWith({ address, nonce: 'abc123abc', expiresAt: { $gt: expect.any(Date) } });
+    });
+
+    it('should let only one request use a nonce', async () => {
+      jest.spyOn(AuthNonce, 'findOneAndDelete')
+        .mockResolvedValueOnce({ address, nonce: 'abc123abc' })
+        .mockResolvedValueOnce(null);
+
+      const results = await Promise.allSettled([
+        nonceService.consume(address, 'abc123abc'),
+        nonceService.consume(address, 'abc123abc')
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      const rejected = results.find((result) => result.status === 'rejected').reason;
+      expect(rejected).toBeInstanceOf(UnauthorizedError);
+      expect(rejected.message).toMatch('already used');
+    });
+  });
+});
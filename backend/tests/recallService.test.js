@@ -0,0 +1,233 @@
+process.env.NODE_ENV = 'test';
+
+const mockSession = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn()
+};
+const mockBatch = {
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findByAnyId: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  aggregate: jest.fn(),
+  collection: { name: 'batches' }
+};
+const mockListing = { find: jest.fn(), updateMany: jest.fn() };
+const mockUser = { find: jest.fn() };
+const mockAnchorService = { toEvidenceHash: jest.fn(() => '0xevidence'), anchorRecall: jest.fn().mockResolvedValue(null) };
+const mockMailService = { sendRecallNotice: jest.fn() };
+
+jest.mock('mongoose', () => ({ startSession: jest.fn(async () => mockSession) }));
+jest.mock('../models/Batch', () => mockBatch);
+jest.mock('../models/Listing', () => mockListing);
+jest.mock('../models/User', () => mockUser);
+jest.mock('../services/anchorService', () => mockAnchorService);
+jest.mock('../services/mailService', () => mockMailService);
+
+const recallService = require('../services/recallService');
+const { toChainBatchId } = require('../utils/batchId');
+const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+
+const admin = { id: 'admin1', email: 'admin@cropchain.local' };
+const recallData = { severity: 'high', reason: 'Aflatoxin above limit', evidence: ['ipfs://QmLabReport'] };
+
+const FARMER_ID = '64b7f0c2a1b2c3d4e5f60711';
+const MANDI_ID = '64b7f0c2a1b2c3d4e5f60712';
+
+const batch = (batchId, fields = {}) => ({
+  batchId,
+  chainBatchId: toChainBatchId(batchId),
+  cropType: 'rice',
+  quantity: 100,
+  currentStage: 'mandi',
+  isRecalled: false,
+  consumedBy: null,
+  childBatchIds: [],
+  farmerId: FARMER_ID,
+  farmerName: 'Ravi Kumar',
+  origin: 'Rampur, Meerut',
+  updates: [
+    { stage: 'farmer', actor: 'Ravi Kumar', location: 'Rampur, Meerut', updatedBy: FARMER_ID },
+    { stage: 'mandi', actor: 'Mandi A', location: 'Ludhiana' }
+  ],
+  ...fields
+});
+
+const selectable = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+describe('Recall Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockListing.find.mockResolvedValue([]);
+    mockUser.find.mockReturnValue(selectable([]));
+    mockBatch.updateMany.mockImplementation(async (filter) => ({ modifiedCount: filter.batchId.$in.length }));
+    mockBatch.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    mockMailService.sendRecallNotice.mockResolvedValue({ messageId: 'm1' });
+  });
+
+  describe('recallBatch', () => {
+    it('should recall the batch and every batch derived from it', async () => {
+      mockBatch.findOne.mockResolvedValue(batch('CROP-2025-001', { consumedBy: 'split', childBatchIds: ['CROP-2025-002', 'CROP-2025-003'] }));
+      mockBatch.aggregate.mockResolvedValue([{
+        descendants: [
+          batch('CROP-2025-002', { quantity: 60 }),
+          batch('CROP-2025-003', { quantity: 40, isRecalled: true })
+        ]
+      }]);
+
+      const result = await recallService.recallBatch('CROP-2025-001', recallData, admin);
+
+      const recall = expect.objectContaining({
+        sourceBatchId: 'CROP-2025-001',
+        severity: 'high',
+        reason: 'Aflatoxin above limit',
+        evidence: ['ipfs://QmLabReport'],
+        evidenceHash: '0xevidence',
+        recalledBy: 'admin1'
+      });
+      // CROP-2025-003 was recalled before and keeps its own recall
+      expect(result.affectedBatchIds).toEqual(['CROP-2025-001', 'CROP-2025-002']);
+      expect(mockBatch.updateMany).toHaveBeenCalledWith(
+        { batchId: { $in: ['CROP-2025-001', 'CROP-2025-002'] }, isRecalled: false },
+        { $set: { isRecalled: true, recall } },
+        { session: mockSession }
+      );
+      expect(mockBatch.aggregate.mock.calls[0][0][1].$graphLookup).toEqual(expect.objectContaining({
+        from: 'batches',
+        startWith: '$childBatchIds',
+        connectFromField: 'childBatchIds',
+        connectToField: 'batchId'
+      }));
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(mockAnchorService.anchorRecall).toHaveBeenCalledWith('CROP-2025-001', ['CROP-2025-001', 'CROP-2025-002'], recall);
+      expect(result.batch.isRecalled).toBe(true);
+    });
+
+    it('should cancel the active listings of the recalled batches', async () => {
+      mockBatch.findOne.mockResolvedValue(batch('CROP-2025-001'));
+      mockListing.find.mockResolvedValue([
+        { listingId: 7, chainBatchId: toChainBatchId('CROP-2025-001'), seller: '0xseller', quantityAvailable: '25' }
+      ]);
+
+      const { cancelledListings } = await recallService.recallBatch('CROP-2025-001', recallData, admin);
+
+      const activeListings = { chainBatchId: { $in: [toChainBatchId('CROP-2025-001')] }, active: true };
+      expect(mockListing.find).toHaveBeenCalledWith(activeListings);
+      expect(mockListing.updateMany).toHaveBeenCalledWith(activeListings, { $set: { active: false, quantityAvailable: '0' } }, { session: mockSession });
+      expect(cancelledListings).toEqual([{ listingId: 7, batchId: 'CROP-2025-001', seller: '0xseller', quantityAvailable: '25' }]);
+      expect(mockBatch.updateOne).toHaveBeenCalledWith(
+        { batchId: 'CROP-2025-001' },
+        { $set: { 'recall.cancelledListings': cancelledListings, 'recall.notifications': [] } },
+        { session: mockSession }
+      );
+      expect(mockBatch.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('should notify every user who handled a recalled batch once, matched by ID or wallet', async () => {
+      mockBatch.findOne.mockResolvedValue(batch('CROP-2025-001'));
+      mockListing.find.mockResolvedValue([
+        { listingId: 7, chainBatchId: toChainBatchId('CROP-2025-001'), seller: '0xseller', quantityAvailable: '25' }
+      ]);
+      mockUser.find.mockReturnValue(selectable([
+        { _id: FARMER_ID, name: 'Ravi Kumar', email: 'ravi@example.com' },
+        { _id: MANDI_ID, name: 'Mandi A', email: 'mandi@example.com', walletAddress: '0xseller' }
+      ]));
+
+      const { notifications } = await recallService.recallBatch('CROP-2025-001', recallData, admin);
+
+      expect(mockUser.find).toHaveBeenCalledWith({
+        $or: [
+          { _id: { $in: [FARMER_ID] } },
+          { walletAddress: { $in: ['0xseller'] } }
+        ]
+      });
+      expect(notifications).toEqual([
+        { userId: FARMER_ID, name: 'Ravi Kumar', email: 'ravi@example.com', batchIds: ['CROP-2025-001'], status: 'pending' },
+        { userId: MANDI_ID, name: 'Mandi A', email: 'mandi@example.com', batchIds: ['CROP-2025-001'], status: 'pending' }
+      ]);
+      expect(mockMailService.sendRecallNotice).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject a second recall', async () => {
+      mockBatch.findOne.mockResolvedValue(batch('CROP-2025-001', { isRecalled: true }));
+
+      await expect(recallService.recallBatch('CROP-2025-001', recallData, admin)).rejects.toBeInstanceOf(ConflictError);
+      expect(mockBatch.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when a batch was recalled meanwhile', async () => {
+      mockBatch.findOne.mockResolvedValue(batch('CROP-2025-001'));
+      mockBatch.updateMany.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(recallService.recallBatch('CROP-2025-001', recallData, admin)).rejects.toBeInstanceOf(ConflictError);
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockAnchorService.anchorRecall).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyActors', () => {
+    it('should record which emails were sent and which failed', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockMailService.sendRecallNotice
+        .mockResolvedValueOnce({ messageId: 'm1' })
+        .mockRejectedValueOnce(new Error('Mailbox unavailable'));
+      const pending = [
+        { userId: FARMER_ID, email: 'ravi@example.com', batchIds: ['CROP-2025-001'], status: 'pending' },
+        { userId: MANDI_ID, email: 'mandi@example.com', batchIds: ['CROP-2025-001'], status: 'pending' }
+      ];
+
+      const results = await recallService.notifyActors('CROP-2025-001', { severity: 'high' }, pending);
+
+      expect(results).toEqual([
+        expect.objectContaining({ userId: FARMER_ID, status: 'sent', sentAt: expect.any(Date) }),
+        expect.objectContaining({ userId: MANDI_ID, status: 'failed', error: 'Mailbox unavailable' })
+      ]);
+      expect(mockBatch.updateOne).toHaveBeenCalledWith({ batchId: 'CROP-2025-001' }, { $set: { 'recall.notifications': results } });
+    });
+  });
+
+  describe('getRecallReport', () => {
+    const recall = {
+      sourceBatchId: 'CROP-2025-001',
+      severity: 'high',
+      reason: 'Aflatoxin above limit',
+      cancelledListings: [{ listingId: 7, batchId: 'CROP-2025-002', seller: '0xseller', quantityAvailable: '25' }],
+      notifications: [{ userId: FARMER_ID, status: 'sent' }, { userId: MANDI_ID, status: 'failed' }]
+    };
+
+    it('should total the quantities still in stock by stage and location', async () => {
+      const transported = (location) => [{ stage: 'transport', actor: 'Road Freight', location }];
+      mockBatch.findByAnyId.mockResolvedValue(batch('CROP-2025-002', { isRecalled: true, recall: { sourceBatchId: 'CROP-2025-001' } }));
+      mockBatch.find.mockReturnValue(selectable([
+        batch('CROP-2025-001', { isRecalled: true, consumedBy: 'split', childBatchIds: ['CROP-2025-002', 'CROP-2025-003'], recall }),
+        batch('CROP-2025-002', { isRecalled: true, quantity: 60, currentStage: 'transport', updates: transported('Delhi Hub') }),
+        batch('CROP-2025-003', { isRecalled: true, quantity: 40 })
+      ]));
+
+      const report = await recallService.getRecallReport('CROP-2025-002');
+
+      expect(mockBatch.find).toHaveBeenCalledWith({ 'recall.sourceBatchId': 'CROP-2025-001' });
+      expect(report).toEqual(expect.objectContaining({ sourceBatchId: 'CROP-2025-001', severity: 'high', reason: 'Aflatoxin above limit' }));
+      // The split batch lives on in its lots and is not counted twice
+      expect(report.totals).toEqual({ batches: 3, batchesInStock: 2, quantity: 100, cancelledListings: 1, delistedQuantity: 25, notified: 1 });
+      expect(report.byStage).toEqual([
+        { stage: 'transport', batches: 1, quantity: 60 },
+        { stage: 'mandi', batches: 1, quantity: 40 }
+      ]);
+      expect(report.locations).toEqual([
+        { location: 'Delhi Hub', batches: 1, quantity: 60 },
+        { location: 'Ludhiana', batches: 1, quantity: 40 }
+      ]);
+      expect(report.batches[0]).toEqual(expect.objectContaining({ batchId: 'CROP-2025-001', consumedBy: 'split', location: 'Ludhiana' }));
+    });
+
+    it('should throw NotFoundError for batches that were not recalled', async () => {
+      mockBatch.findByAnyId.mockResolvedValue(batch('CROP-2025-001'));
+
+      await expect(recallService.getRecallReport('CROP-2025-001')).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,338 @@
+process.env.NODE_ENV = 'test';
+
+const { ethers } = require('ethers');
+
+const mockBatch = { find: jest.fn(), updateOne: jest.fn() };
+jest.mock('../models/Batch', () => mockBatch);
+
+const reconciliationService = require('../services/reconciliationService');
+const anchorService = require('../services/anchorService');
+
+const CONTRACT_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const ACTOR = '0x' + 'ab'.repeat(20);
+
+const chainUpdate = (stage, actorName, location) => ({
+  stage: BigInt(stage),
+  actorName,
+  location,
+  timestamp: 1700000000n,
+  notes: '',
+  updatedBy: ACTOR
+});
+
+// Fake contract exposing the read API reconcile walks, keyed by human batch ID
+const buildContract = (batches) => {
+  const entries = Object.entries(batches).map(([batchId, batch]) => [ethers.id(batchId), batch]);
+  const byId = new Map(entries);
+
+  return {
+    getAddress: jest.fn().mockResolvedValue(CONTRACT_ADDRESS),
+    getTotalBatches: jest.fn().mockResolvedValue(BigInt(entries.length)),
+    getBatchIdByIndex: jest.fn(async (i) => entries[i][0]),
+    getBatch: jest.fn(async (id) => ({
+      cropTypeHash: ethers.id(byId.get(id).cropType.toUpperCase()),
+      quantity: BigInt(byId.get(id).quantity),
+      isRecalled: byId.get(id).isRecalled || false,
+      creator: ACTOR,
+      createdAt: 1700000000n
+    })),
+    getBatchUpdates: jest.fn(async (id) => byId.get(id).updates),
+    consumedBatches: jest.fn(async (id) => byId.get(id).consumed || false)
+  };
+};
+
+const mongoBatch = (overrides = {}) => ({
+  batchId: 'CROP-2024-001',
+  chainBatchId: ethers.id(overrides.batchId || 'CROP-2024-001'),
+  cropType: 'rice',
+  quantity: 1000,
+  isRecalled: false,
+  currentStage: 'mandi',
+  syncStatus: 'synced',
+  updates: [
+    { _id: 'u1', stage: 'farmer', actor: 'Ravi', location: 'Punjab', txHash: '0x01' },
+    { _id: 'u2', stage: 'mandi', actor: 'Mandi A', location: 'Ludhiana', txHash: '0x02' }
+  ],
+  ...overrides
+});
+
+const chainBatch = (overrides = {}) => ({
+  cropType: 'rice',
+  quantity: 1000,
+  updates: [chainUpdate(0, 'Ravi', 'Punjab'), chainUpdate(1, 'Mandi A', 'Ludhiana')],
+  ...overrides
+});
+
+const mockMongo = (batches) => {
+  mockBatch.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(batches) });
+};
+
+describe('Reconciliation Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should report matching batches as in sync', async () => {
+    mockMongo([mongoBatch()]);
+    const contract = buildContract({ 'CROP-2024-001': chainBatch() });
+
+    const report = await reconciliationService.reconcile(contract);
+
+    expect(report.summary).toEqual(expect.objectContaining({ chainBatches: 1, mongoBatches: 1, matched: 1, missing: 0, divergent: 0, orphaned: 0 }));
+  });
+
+  it('should classify missing, divergent and orphaned records', async () => {
+    mockMongo([
+      mongoBatch({ quantity: 900 }),
+      mongoBatch({ batchId: 'CROP-2024-002', syncStatus: 'pending' })
+    ]);
+    const contract = buildContract({
+      'CROP-2024-001': chainBatch({ isRecalled: true }),
+      'CROP-2024-003': chainBatch({ updates: [chainUpdate(0, 'Ravi', 'Punjab')] })
+    });
+
+    const report = await reconciliationService.reconcile(contract);
+
+    expect(report.divergent).toHaveLength(1);
+    expect(report.divergent[0].differences).toEqual([
+      { field: 'quantity', mongo: 900, chain: 1000 },
+      { field: 'isRecalled', mongo: false, chain: true }
+    ]);
+    expect(report.orphaned).toEqual([expect.objectContaining({ batchId: 'CROP-2024-002', syncStatus: 'pending' })]);
+    expect(report.missing).toEqual([expect.objectContaining({ chainBatchId: ethers.id('CROP-2024-003'), currentStage: 'farmer' })]);
+    expect(mockBatch.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should detect stage history differences', () => {
+    const differences = reconciliationService.compareBatch(
+      mongoBatch(),
+      {
+        chainBatchId: ethers.id('CROP-2024-001'),
+        cropTypeHash: ethers.id('RICE'),
+        quantity: 1000,
+        isRecalled: false,
+        updates: [
+          { stage: 'farmer', actor: 'Ravi', location: 'Punjab' },
+          { stage: 'transport', actor: 'Mandi A', location: 'Ludhiana' },
+          { stage: 'retailer', actor: 'Shop', location: 'Delhi' }
+        ]
+      }
+    );
+
+    expect(differences).toEqual([
+      { field: 'updates[1].stage', mongo: 'mandi', chain: 'transport' },
+      { field: 'updates[2]', mongo: null, chain: 'retailer' }
+    ]);
+  });
+
+  it('should report and backfill a missing chainBatchId', async () => {
+    mockMongo([mongoBatch({ chainBatchId: undefined })]);
+    const contract = buildContract({ 'CROP-2024-001': chainBatch() });
+
+    const report = await reconciliationService.reconcile(contract, { fix: true });
+
+    expect(report.divergent[0].differences).toEqual([
+      { field: 'chainBatchId', mongo: null, chain: ethers.id('CROP-2024-001') }
+    ]);
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { batchId: 'CROP-2024-001' },
+      { $set: expect.objectContaining({ chainBatchId: ethers.id('CROP-2024-001') }) }
+    );
+  });
+
+  it('should repair divergent and orphaned records from chain state with --fix', async () => {
+    mockMongo([
+      mongoBatch({ quantity: 900, currentStage: 'farmer', updates: [mongoBatch().updates[0]] }),
+      mongoBatch({ batchId: 'CROP-2024-002' }),
+      mongoBatch({ batchId: 'CROP-2024-004', syncStatus: 'pending' })
+    ]);
+    const contract = buildContract({ 'CROP-2024-001': chainBatch() });
+
+    const report = await reconciliationService.reconcile(contract, { fix: true });
+
+    expect(report.summary.repaired).toBe(2);
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { batchId: 'CROP-2024-001' },
+      {
+        $set: expect.objectContaining({
+          quantity: 1000,
+          currentStage: 'mandi',
+          syncStatus: 'synced',
+          updates: [
+            expect.objectContaining({ _id: 'u1', txHash: '0x01', stage: 'farmer' }),
+            expect.objectContaining({ stage: 'mandi', actor: 'Mandi A', location: 'Ludhiana' })
+          ]
+        })
+      }
+    );
+    expect(mockBatch.updateOne).toHaveBeenCalledWith(
+      { batchId: 'CROP-2024-002' },
+      { $set: { syncStatus: 'error', syncError: 'Batch not found on-chain' } }
+    );
+    // Pending batches may not have been mined yet
+    expect(mockBatch.updateOne).not.toHaveBeenCalledWith({ batchId: 'CROP-2024-004' }, expect.anything());
+  });
+
+  describe('re-submitting unanchored work with --fix', () => {
+    const synced = { syncStatus: 'synced', txHash: '0x03' };
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+    beforeEach(() => {
+      jest.spyOn(anchorService, 'anchorBatchCreation').mockResolvedValue(synced);
+      jest.spyOn(anchorService, 'anchorBatchUpdate').mockResolvedValue(synced);
+      jest.spyOn(anchorService, 'anchorRecall').mockResolvedValue(synced);
+      jest.spyOn(anchorService, 'anchorBatchSplit').mockResolvedValue(synced);
+      jest.spyOn(anchorService, 'anchorBatchMerge').mockResolvedValue(synced);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should anchor orphaned batches whose anchoring failed, update by update', async () => {
+      const batch = mongoBatch({ syncStatus: 'error' });
+      mockMongo([batch, mongoBatch({ batchId: 'CROP-2024-005', syncStatus: 'error', parentBatchIds: ['CROP-2024-001'] })]);
+
+      const report = await reconciliationService.reconcile(buildContract({}), { fix: true });
+
+      expect(anchorService.anchorBatchCreation).toHaveBeenCalledWith(batch);
+      expect(anchorService.anchorBatchUpdate).toHaveBeenCalledWith('CROP-2024-001', batch.updates[1]);
+      expect(report.orphaned[0].resubmitted).toBe('synced');
+      // A split or merged batch cannot be created on its own
+      expect(anchorService.anchorBatchCreation).toHaveBeenCalledTimes(1);
+      expect(mockBatch.updateOne).toHaveBeenCalledWith(
+        { batchId: 'CROP-2024-005' },
+        { $set: { syncStatus: 'error', syncError: 'Batch not found on-chain' } }
+      );
+      expect(report.summary.repaired).toBe(2);
+    });
+
+    it('should anchor the updates and recall the chain is missing instead of dropping them', async () => {
+      const recalled = mongoBatch({
+        syncStatus: 'pending',
+        updatedAt: longAgo,
+        isRecalled: true,
+        recall: { sourceBatchId: 'CROP-2024-001', severity: 'high', reason: 'Aflatoxin', evidenceHash: ethers.ZeroHash },
+        updates: [...mongoBatch().updates, { _id: 'u3', stage: 'transport', actor: 'Road Freight', location: 'Delhi' }]
+      });
+      mockMongo([recalled]);
+
+      const report = await reconciliationService.reconcile(buildContract({ 'CROP-2024-001': chainBatch() }), { fix: true });
+
+      expect(anchorService.anchorBatchUpdate).toHaveBeenCalledTimes(1);
+      expect(anchorService.anchorBatchUpdate).toHaveBeenCalledWith('CROP-2024-001', recalled.updates[2]);
+      expect(anchorService.anchorRecall).toHaveBeenCalledWith('CROP-2024-001', ['CROP-2024-001'], recalled.recall);
+      expect(report.divergent[0].resubmitted).toBe('synced');
+      expect(mockBatch.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should re-submit a recall whose anchoring failed on a synced batch', async () => {
+      const recalled = mongoBatch({
+        isRecalled: true,
+        recall: {
+          sourceBatchId: 'CROP-2024-001', severity: 'high', reason: 'Aflatoxin', evidenceHash: ethers.ZeroHash,
+          recalledAt: new Date(), syncStatus: 'error'
+        }
+      });
+      const inFlight = mongoBatch({
+        batchId: 'CROP-2024-002',
+        isRecalled: true,
+        recall: { ...recalled.recall, sourceBatchId: 'CROP-2024-002', recalledAt: new Date(), syncStatus: 'pending' }
+      });
+      mockMongo([recalled, inFlight]);
+
+      const report = await reconciliationService.reconcile(
+        buildContract({ 'CROP-2024-001': chainBatch(), 'CROP-2024-002': chainBatch() }),
+        { fix: true }
+      );
+
+      expect(anchorService.anchorRecall).toHaveBeenCalledTimes(1);
+      expect(anchorService.anchorRecall).toHaveBeenCalledWith('CROP-2024-001', ['CROP-2024-001'], recalled.recall);
+      expect(anchorService.anchorBatchUpdate).not.toHaveBeenCalled();
+      expect(report.divergent[0].resubmitted).toBe('synced');
+      expect(report.divergent[1].resubmitted).toBeUndefined();
+    });
+
+    it('should re-submit a split the chain never recorded from its parent', async () => {
+      const parent = mongoBatch({ consumedBy: 'split', childBatchIds: ['CROP-2024-002', 'CROP-2024-003'] });
+      const children = ['CROP-2024-002', 'CROP-2024-003'].map((batchId) => mongoBatch({
+        batchId, quantity: 500, syncStatus: 'error', parentBatchIds: ['CROP-2024-001'], derivedBy: 'split'
+      }));
+      mockMongo([children[0], parent, children[1]]);
+
+      const report = await reconciliationService.reconcile(buildContract({ 'CROP-2024-001': chainBatch() }), { fix: true });
+
+      expect(report.divergent[0]).toMatchObject({
+        batchId: 'CROP-2024-001',
+        differences: [{ field: 'consumed', mongo: 'split', chain: false }],
+        resubmitted: 'synced'
+      });
+      expect(anchorService.anchorBatchSplit).toHaveBeenCalledTimes(1);
+      expect(anchorService.anchorBatchSplit).toHaveBeenCalledWith(parent, children);
+      expect(report.orphaned.map((entry) => entry.resubmitted)).toEqual(['synced', 'synced']);
+      expect(report.summary.repaired).toBe(3);
+      // Neither stamped as orphaned nor overwritten from the chain
+      expect(mockBatch.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should re-submit a merge the chain never recorded once, from all its parents', async () => {
+      const parents = ['CROP-2024-001', 'CROP-2024-002'].map((batchId) => mongoBatch({
+        batchId, consumedBy: 'merge', childBatchIds: ['CROP-2024-003']
+      }));
+      const merged = mongoBatch({
+        batchId: 'CROP-2024-003', quantity: 2000, syncStatus: 'error', parentBatchIds: ['CROP-2024-001', 'CROP-2024-002'], derivedBy: 'merge'
+      });
+      mockMongo([...parents, merged]);
+
+      const report = await reconciliationService.reconcile(
+        buildContract({ 'CROP-2024-001': chainBatch(), 'CROP-2024-002': chainBatch() }),
+        { fix: true }
+      );
+
+      expect(anchorService.anchorBatchMerge).toHaveBeenCalledTimes(1);
+      expect(anchorService.anchorBatchMerge).toHaveBeenCalledWith(parents, merged);
+      expect(report.divergent.map((entry) => entry.resubmitted)).toEqual(['synced', 'synced']);
+      expect(report.orphaned[0].resubmitted).toBe('synced');
+    });
+
+    it('should only report a split whose lots may still be in flight', async () => {
+      mockMongo([
+        mongoBatch({ consumedBy: 'split', childBatchIds: ['CROP-2024-002', 'CROP-2024-003'] }),
+        ...['CROP-2024-002', 'CROP-2024-003'].map((batchId) => mongoBatch({
+          batchId, quantity: 500, syncStatus: 'pending', updatedAt: new Date(), parentBatchIds: ['CROP-2024-001']
+        }))
+      ]);
+
+      const report = await reconciliationService.reconcile(buildContract({ 'CROP-2024-001': chainBatch() }), { fix: true });
+
+      expect(report.divergent[0].differences).toEqual([{ field: 'consumed', mongo: 'split', chain: false }]);
+      expect(anchorService.anchorBatchSplit).not.toHaveBeenCalled();
+      expect(mockBatch.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should leave recently pending work alone', async () => {
+      mockMongo([mongoBatch({
+        syncStatus: 'pending',
+        updatedAt: new Date(),
+        updates: [...mongoBatch().updates, { _id: 'u3', stage: 'transport', actor: 'Road Freight', location: 'Delhi' }]
+      })]);
+
+      const report = await reconciliationService.reconcile(buildContract({ 'CROP-2024-001': chainBatch() }), { fix: true });
+
+      expect(anchorService.anchorBatchUpdate).not.toHaveBeenCalled();
+      expect(mockBatch.updateOne).not.toHaveBeenCalled();
+      expect(report.summary.repaired).toBe(0);
+    });
+  });
+
+  it('should format a human readable report', async () => {
+    mockMongo([mongoBatch({ quantity: 900 })]);
+    const contract = buildContract({ 'CROP-2024-001': chainBatch() });
+
+    const text = reconciliationService.formatReport(await reconciliationService.reconcile(contract));
+
+    expect(text).toContain(`Contract: ${CONTRACT_ADDRESS}`);
+    expect(text).toContain('Divergent:        1');
+    expect(text).toContain('quantity: mongo=900 chain=1000');
+  });
+});
@@ -0,0 +1,141 @@
+process.env.NODE_ENV = 'test';
+
+const { ethers } = require('ethers');
+
+const mockBatch = { exists: jest.fn() };
+const mockContract = { anchorRegion: jest.fn() };
+let mockContractAvailable = true;
+
+jest.mock('../models/Batch', () => mockBatch);
+jest.mock('../config/blockchain', () => ({
+  getContract: () => (mockContractAvailable ? mockContract : null)
+}));
+
+const CertifiedRegion = require('../models/CertifiedRegion');
+const regionService = require('../services/regionService');
+const { ConflictError, ValidationError, BusinessRuleError, ServiceError } = require('../utils/errorHandler');
+
+const TX_HASH = '0x' + 'cd'.repeat(32);
+const admin = { id: '507f1f77bcf86cd799439011', email: 'admin@cropchain.com' };
+
+const punjabData = {
+  regionId: 'in-pb',
+  name: 'Punjab',
+  authority: 'Punjab State Seed Certification Authority',
+  bounds: { minLat: 29.5, maxLat: 32.5, minLon: 73.8, maxLon: 77 },
+  validFrom: '2025-01-01T00:00:00Z'
+};
+
+// A region document as loaded from MongoDB
+const punjab = async (overrides = {}) => {
+  const region = new CertifiedRegion({ ...punjabData, ...overrides });
+  await region.validate();
+  return region;
+};
+
+describe('Region Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockContractAvailable = true;
+    mockBatch.exists.mockResolvedValue(null);
+    jest.spyOn(CertifiedRegion.prototype, 'save').mockImplementation(async function () {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('createRegion', () => {
+    it('should normalize the ID and derive the circuit box from the bounds', async () => {
+      jest.spyOn(CertifiedRegion, 'exists').mockResolvedValue(null);
+
+      const region = await regionService.createRegion(punjabData, admin);
+
+      expect(region.regionId).toBe('IN-PB');
+      expect([...region.box]).toEqual(['119500000', '122500000', '253800000', '257000000']);
+      expect(region.createdBy.toString()).toBe(admin.id);
+    });
+
+    it('should reject duplicate IDs and inverted bounds', async () => {
+      jest.spyOn(CertifiedRegion, 'exists').mockResolvedValueOnce({ _id: 'existing' }).mockResolvedValue(null);
+
+      await expect(regionService.createRegion(punjabData, admin)).rejects.toThrow(ConflictError);
+      await expect(regionService.createRegion({
+        ...punjabData,
+        bounds: { ...punjabData.bounds, minLat: 33 }
+      }, admin)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('updateRegion', () => {
+    it('should not move the box of a region batch proofs reference', async () => {
+      jest.spyOn(CertifiedRegion, 'findOne').mockResolvedValue(await punjab());
+      mockBatch.exists.mockResolvedValue({ _id: 'batch' });
+
+      await expect(regionService.updateRegion('IN-PB', {
+        bounds: { ...punjabData.bounds, maxLat: 33 }
+      })).rejects.toMatchObject({ code: 'REGION_IN_USE', statusCode: 409 });
+
+      const renamed = await regionService.updateRegion('IN-PB', { name: 'Punjab (India)', bounds: punjabData.bounds });
+      expect(renamed.name).toBe('Punjab (India)');
+    });
+  });
+
+  describe('deleteRegion', () => {
+    it('should refuse to delete a referenced region', async () => {
+      jest.spyOn(CertifiedRegion, 'findOne').mockResolvedValue(await punjab());
+      const deleteOne = jest.spyOn(CertifiedRegion, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      mockBatch.exists.mockResolvedValue({ _id: 'batch' });
+
+      await expect(regionService.deleteRegion('IN-PB')).rejects.toThrow(BusinessRuleError);
+      expect(deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('anchorRegion', () => {
+    it('should anchor the record hash and report when it goes stale', async () => {
+      const region = await punjab();
+      jest.spyOn(CertifiedRegion, 'findOne').mockResolvedValue(region);
+      mockContract.anchorRegion.mockResolvedValue({
+        wait: jest.fn().mockResolvedValue({ hash: TX_HASH, blockNumber: 7 })
+      });
+
+      const { chain } = await regionService.anchorRegion('IN-PB');
+
+      expect(mockContract.anchorRegion).toHaveBeenCalledWith(ethers.id('IN-PB'), regionService.hashRegion(region));
+      expect(chain).toEqual({ status: 'synced', txHash: TX_HASH, blockNumber: 7 });
+      expect(regionService.serialize(region).anchor).toMatchObject({ txHash: TX_HASH, current: true });
+
+      region.validUntil = new Date('2030-01-01T00:00:00Z');
+      expect(regionService.serialize(region).anchor.current).toBe(false);
+    });
+
+    it('should fail with a service error when blockchain is not configured', async () => {
+      jest.spyOn(CertifiedRegion, 'findOne').mockResolvedValue(await punjab());
+      mockContractAvailable = false;
+
+      await expect(regionService.anchorRegion('IN-PB')).rejects.toThrow(ServiceError);
+    });
+  });
+
+  describe('findProvenRegion', () => {
+    const box = ['119500000', '122500000', '253800000', '257000000'];
+
+    it('should match the referenced region only for its exact box while certified', async () => {
+      jest.spyOn(CertifiedRegion, 'findOne').mockResolvedValue(await punjab());
+
+      expect((await regionService.findProvenRegion(box, 'in-pb')).regionId).toBe('IN-PB');
+      expect(await regionService.findProvenRegion([box[0], '122500001', box[2], box[3]], 'IN-PB')).toBeNull();
+      expect(await regionService.findProvenRegion(box, 'IN-PB', new Date('2024-06-01T00:00:00Z'))).toBeNull();
+    });
+
+    it('should ignore expired regions when matching by box alone', async () => {
+      const expired = await punjab({ regionId: 'IN-PB-OLD', validFrom: '2020-01-01T00:00:00Z', validUntil: '2024-01-01T00:00:00Z' });
+      jest.spyOn(CertifiedRegion, 'find').mockResolvedValue([expired, await punjab()]);
+
+      expect((await regionService.findProvenRegion(box)).regionId).toBe('IN-PB');
+      expect(CertifiedRegion.find).toHaveBeenCalledWith({ box });
+    });
+  });
+});
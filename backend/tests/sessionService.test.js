@@ -0,0 +1,170 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-that-is-at-least-32-characters';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const mockUser = { findById: jest.fn(), findByIdAndUpdate: jest.fn() };
+
+jest.mock('../models/User', () => mockUser);
+
+const RefreshToken = require('../models/RefreshToken');
+const sessionService = require('../services/sessionService');
+const { UnauthorizedError, NotFoundError } = require('../utils/errorHandler');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const user = { _id: USER_ID, role: 'farmer', name: 'Ravi' };
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const storedToken = (overrides = {}) => ({
+  _id: 'token-1',
+  user: USER_ID,
+  tokenHash: sha256('refresh-1'),
+  family: 'family-1',
+  expiresAt: new Date(Date.now() + 60000),
+  revokedAt: null,
+  replacedBy: null,
+  ...overrides
+});
+
+describe('Session Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    jest.spyOn(RefreshToken, 'create').mockResolvedValue({});
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    mockUser.findById.mockResolvedValue(user);
+  });
+
+  describe('createSession', () => {
+    it('should issue a short-lived access token and store only the refresh token hash', async () => {
+      const session = await sessionService.createSession(user, { ip: '127.0.0.1', userAgent: 'jest' });
+
+      const decoded = jwt.verify(session.token, process.env.JWT_SECRET);
+      expect(decoded).toMatchObject({ id: USER_ID, role: 'farmer', name: 'Ravi', ver: 0 });
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+      expect(session.accessTokenExpiresAt.getTime()).toBe(decoded.exp * 1000);
+
+      const [stored] = RefreshToken.create.mock.calls[0];
+      expect(stored).toMatchObject({
+        user: USER_ID,
+        tokenHash: sha256(session.refreshToken),
+        createdByIp: '127.0.0.1',
+        userAgent: 'jest'
+      });
+      expect(JSON.stringify(stored)).not.toContain(session.refreshToken);
+      expect(stored.expiresAt).toEqual(session.refreshTokenExpiresAt);
+    });
+  });
+
+  describe('refreshSession', () => {
+    it('should rotate the refresh token within the same session', async () => {
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken());
+      const rotate = jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(storedToken());
+
+      const session = await sessionService.refreshSession('refresh-1');
+
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: sha256('refresh-1') });
+      expect(session.refreshToken).not.toBe('refresh-1');
+      expect(rotate).toHaveBeenCalledWith(
+        { _id: 'token-1', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), replacedBy: sha256(session.refreshToken) } }
+      );
+      expect(RefreshToken.create.mock.calls[0][0]).toMatchObject({
+        family: 'family-1',
+        tokenHash: sha256(session.refreshToken)
+      });
+    });
+
+    it('should revoke the whole session when a rotated token is presented again', async () => {
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken({ revokedAt: new Date(), replacedBy: 'next-hash' }));
+
+      await expect(sessionService.refreshSession('refresh-1')).rejects.toThrow('revoked');
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-1', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date) } }
+      );
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unknown, logged out and expired tokens', async () => {
+      const findOne = jest.spyOn(RefreshToken, 'findOne');
+
+      findOne.mockResolvedValueOnce(null);
+      await expect(sessionService.refreshSession('unknown')).rejects.toThrow('Invalid refresh token');
+
+      findOne.mockResolvedValueOnce(storedToken({ revokedAt: new Date() }));
+      await expect(sessionService.refreshSession('refresh-1')).rejects.toThrow('revoked');
+
+      findOne.mockResolvedValueOnce(storedToken({ expiresAt: new Date(Date.now() - 1000) }));
+      await expect(sessionService.refreshSession('refresh-1')).rejects.toThrow('expired');
+
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should let only one request rotate a token', async () => {
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(storedToken());
+      jest.spyOn(RefreshToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(sessionService.refreshSession('refresh-1')).rejects.toBeInstanceOf(UnauthorizedError);
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke the session of a known token and ignore unknown ones', async () => {
+      jest.spyOn(RefreshToken, 'findOne').mockResolvedValueOnce(storedToken()).mockResolvedValueOnce(null);
+
+      await sessionService.revokeSession('refresh-1');
+      await sessionService.revokeSession('unknown');
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledTimes(1);
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith({ family: 'family-1', revokedAt: null }, expect.anything());
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    it('should stamp the user, bump its token version and revoke every refresh token', async () => {
+      mockUser.findByIdAndUpdate.mockResolvedValue(user);
+
+      const result = await sessionService.revokeAllSessions(USER_ID);
+
+      expect(mockUser.findByIdAndUpdate).toHaveBeenCalledWith(USER_ID, {
+        $set: { sessionsRevokedAt: result.revokedAt },
+        $inc: { tokenVersion: 1 }
+      });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: USER_ID, revokedAt: null },
+        { $set: { revokedAt: result.revokedAt } }
+      );
+      expect(result.sessions).toBe(2);
+    });
+
+    it('should throw NotFoundError for unknown or malformed user IDs', async () => {
+      mockUser.findByIdAndUpdate.mockResolvedValue(null);
+
+      await expect(sessionService.revokeAllSessions(USER_ID)).rejects.toBeInstanceOf(NotFoundError);
+      await expect(sessionService.revokeAllSessions('not-an-id')).rejects.toBeInstanceOf(NotFoundError);
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isAccessTokenRevoked', () => {
+    it('should reject tokens issued before the latest revocation', () => {
+      expect(sessionService.isAccessTokenRevoked({ ver: 1 }, { tokenVersion: 2 })).toBe(true);
+      // Issued before token versions existed
+      expect(sessionService.isAccessTokenRevoked({ iat: 1736937000 }, { tokenVersion: 1 })).toBe(true);
+    });
+
+    it('should accept tokens issued after it, even within the same second', async () => {
+      const session = await sessionService.createSession({ ...user, tokenVersion: 2 });
+      const decoded = jwt.verify(session.token, process.env.JWT_SECRET);
+
+      expect(sessionService.isAccessTokenRevoked(decoded, { tokenVersion: 2, sessionsRevokedAt: new Date() })).toBe(false);
+      expect(sessionService.isAccessTokenRevoked({ iat: 1736937000 }, { sessionsRevokedAt: null })).toBe(false);
+    });
+  });
+});
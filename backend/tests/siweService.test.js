@@ -0,0 +1,109 @@
+process.env.NODE_ENV = 'test';
+process.env.SIWE_DOMAINS = 'cropchain.example';
+process.env.SIWE_CHAIN_IDS = '31337,11155111';
+
+const { ethers } = require('ethers');
+const { SiweMessage } = require('siwe');
+
+const mockNonceService = {
+  getPending: jest.fn(),
+  consume: jest.fn()
+};
+
+jest.mock('../services/nonceService', () => mockNonceService);
+
+const siweService = require('../services/siweService');
+const { UnauthorizedError } = require('../utils/errorHandler');
+
+const wallet = ethers.Wallet.createRandom();
+const NONCE = '9f86d081884c7d659a2feaa0c55ad015';
+
+// A message as AuthContext builds it, with optional overrides
+const buildMessage = (overrides = {}) => new SiweMessage({
+  domain: 'cropchain.example',
+  address: wallet.address,
+  statement: 'Sign in to CropChain',
+  uri: 'https://cropchain.example',
+  version: '1',
+  chainId: 31337,
+  nonce: NONCE,
+  issuedAt: new Date().toISOString(),
+  expirationTime: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+  ...overrides
+}).prepareMessage();
+
+const sign = async (overrides) => {
+  const message = buildMessage(overrides);
+  return { message, signature: await wallet.signMessage(message) };
+};
+
+describe('SIWE Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockNonceService.getPending.mockResolvedValue({ nonce: NONCE });
+    mockNonceService.consume.mockResolvedValue();
+  });
+
+  it('should accept a message for this site and consume its nonce', async () => {
+    const { message, signature } = await sign();
+
+    const result = await siweService.verify(message, signature);
+
+    expect(result).toEqual({ address: wallet.address.toLowerCase(), chainId: 31337 });
+    expect(mockNonceService.getPending).toHaveBeenCalledWith(wallet.address.toLowerCase());
+    expect(mockNonceService.consume).toHaveBeenCalledWith(wallet.address.toLowerCase(), NONCE);
+  });
+
+  it('should describe the message the frontend has to build', () => {
+    expect(siweService.getMessageParams()).toEqual({
+      statement: 'Sign in to CropChain',
+      chainIds: [31337, 11155111],
+      version: '1'
+    });
+  });
+
+  it.each([
+    ['another domain', { domain: 'phishing.example', uri: 'https://phishing.example' }, 'another site'],
+    ['a URI on another host', { uri: 'https://phishing.example/login' }, 'URI does not match'],
+    ['an unsupported chain', { chainId: 1 }, 'Unsupported chain ID 1'],
+    ['another statement', { statement: 'Transfer all funds' }, 'statement'],
+    ['no expiration time', { expirationTime: undefined }, 'expiration time'],
+    ['an expired message', { expirationTime: new Date(Date.now() - 1000).toISOString() }, 'rejected'],
+    ['a future issuedAt', { issuedAt: new Date(Date.now() + 3600 * 1000).toISOString() }, 'future']
+  ])('should refuse %s', async (_, overrides, error) => {
+    const { message, signature } = await sign(overrides);
+
+    await expect(siweService.verify(message, signature)).rejects.toThrow(error);
+    expect(mockNonceService.consume).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a nonce that is not pending for the address', async () => {
+    const { message, signature } = await sign({ nonce: 'a1b2c3d4e5f6a7b8' });
+
+    await expect(siweService.verify(message, signature)).rejects.toThrow('No valid nonce');
+
+    mockNonceService.getPending.mockResolvedValue(null);
+    await expect(siweService.verify(buildMessage(), signature)).rejects.toThrow('No valid nonce');
+  });
+
+  it('should refuse a signature by another wallet', async () => {
+    const message = buildMessage();
+    const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+    await expect(siweService.verify(message, signature)).rejects.toThrow(UnauthorizedError);
+    expect(mockNonceService.consume).not.toHaveBeenCalled();
+  });
+
+  it('should refuse the legacy plain-text nonce message', async () => {
+    const signature = await wallet.signMessage('Login to CropChain');
+
+    await expect(siweService.verify('Login to CropChain', signature)).rejects.toThrow('Malformed sign-in message');
+  });
+
+  it('should refuse a replayed signature once the nonce is used', async () => {
+    const { message, signature } = await sign();
+    mockNonceService.consume.mockRejectedValueOnce(new UnauthorizedError('Nonce already used. Please request a new one.'));
+
+    await expect(siweService.verify(message, signature)).rejects.toThrow('already used');
+  });
+});
@@ -0,0 +1,148 @@
+process.env.NODE_ENV = 'test';
+
+const mockBatch = {
+  aggregate: jest.fn(),
+  updateOne: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn()
+};
+
+jest.mock('../models/Batch', () => mockBatch);
+
+const slaService = require('../services/slaService');
+const { loadSlaHours, DEFAULT_SLA_HOURS } = require('../config/sla');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2025-03-10T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+const overdueBatch = (fields = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  batchId: 'CROP-2025-001',
+  cropType: 'tomato',
+  currentStage: 'transport',
+  enteredStageAt: hoursAgo(53),
+  slaBreach: null,
+  ...fields
+});
+
+describe('SLA Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    mockBatch.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('loadSlaHours', () => {
+    it('should use the defaults without an override', () => {
+      expect(loadSlaHours('')).toBe(DEFAULT_SLA_HOURS);
+    });
+
+    it('should override single crops and stages', () => {
+      const hours = loadSlaHours('{"tomato":{"transport":36},"corn":{"mandi":96}}');
+
+      expect(hours.tomato).toEqual({ ...DEFAULT_SLA_HOURS.tomato, transport: 36 });
+      expect(hours.corn).toEqual({ mandi: 96 });
+      expect(hours.default).toEqual(DEFAULT_SLA_HOURS.default);
+    });
+
+    it('should reject malformed overrides', () => {
+      expect(() => loadSlaHours('{tomato')).toThrow('SLA_HOURS is not valid JSON');
+      expect(() => loadSlaHours('{"tomato":{"retailer":12}}')).toThrow('stage must be one of farmer, mandi, transport');
+      expect(() => loadSlaHours('{"tomato":{"mandi":0}}')).toThrow('must be a positive number of hours');
+      expect(() => loadSlaHours('[]')).toThrow('must be an object keyed by crop type');
+    });
+  });
+
+  describe('limitFor', () => {
+    it('should fall back to the default for crops without a limit of their own', () => {
+      expect(slaService.limitFor('tomato', 'transport')).toBe(48);
+      expect(slaService.limitFor('corn', 'transport')).toBe(72);
+      expect(slaService.limitFor('rice', 'mandi')).toBe(168);
+      expect(slaService.limitFor('rice', 'retailer')).toBeNull();
+    });
+  });
+
+  describe('overdueConditions', () => {
+    it('should give crops with their own limit a condition each and the rest the default', () => {
+      const conditions = slaService.overdueConditions(now.getTime());
+
+      expect(conditions).toContainEqual({ cropType: 'tomato', currentStage: 'transport', enteredStageAt: { $lt: hoursAgo(48) } });
+      expect(conditions).toContainEqual({ cropType: { $nin: ['tomato'] }, currentStage: 'transport', enteredStageAt: { $lt: hoursAgo(72) } });
+      expect(conditions).toContainEqual({ cropType: { $nin: ['rice', 'wheat', 'tomato'] }, currentStage: 'mandi', enteredStageAt: { $lt: hoursAgo(72) } });
+      expect(conditions.some((condition) => condition.currentStage === 'retailer')).toBe(false);
+    });
+  });
+
+  describe('scan', () => {
+    it('should flag overdue batches and record why', async () => {
+      mockBatch.aggregate.mockResolvedValue([overdueBatch()]);
+
+      const { flagged } = await slaService.scan(now);
+
+      const slaBreach = {
+        stage: 'transport',
+        limitHours: 48,
+        enteredStageAt: hoursAgo(53),
+        detectedAt: now,
+        reason: 'tomato batch has been at transport for 53.0h; the SLA is 48h'
+      };
+      expect(mockBatch.updateOne).toHaveBeenCalledWith(
+        { _id: '64b7f0c2a1b2c3d4e5f60718', status: 'Active', currentStage: 'transport' },
+        { $set: { status: 'Flagged', slaBreach } }
+      );
+      expect(flagged).toEqual([{ batchId: 'CROP-2025-001', ...slaBreach }]);
+      expect(mockBatch.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { isRecalled: false, status: 'Active', currentStage: { $in: ['farmer', 'mandi', 'transport'] } }
+      });
+    });
+
+    it('should not flag a breach again after an admin cleared it', async () => {
+      mockBatch.aggregate.mockResolvedValue([overdueBatch({
+        slaBreach: { stage: 'transport', enteredStageAt: hoursAgo(53), detectedAt: hoursAgo(4) }
+      })]);
+
+      const { flagged } = await slaService.scan(now);
+
+      expect(flagged).toEqual([]);
+      expect(mockBatch.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should flag a new breach in a later stage', async () => {
+      mockBatch.aggregate.mockResolvedValue([overdueBatch({
+        slaBreach: { stage: 'mandi', enteredStageAt: hoursAgo(100), detectedAt: hoursAgo(60) }
+      })]);
+
+      const { flagged } = await slaService.scan(now);
+
+      expect(flagged).toHaveLength(1);
+    });
+
+    it('should leave out batches that changed while being checked', async () => {
+      mockBatch.aggregate.mockResolvedValue([overdueBatch()]);
+      mockBatch.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(slaService.scan(now)).resolves.toEqual({ checkedAt: now, flagged: [] });
+    });
+  });
+
+  describe('listBreaches', () => {
+    it('should page through flagged batches with a breach, most recent first', async () => {
+      const query = {};
+      for (const method of ['select', 'sort', 'skip', 'limit']) {
+        query[method] = jest.fn(() => query);
+      }
+      query.lean = jest.fn().mockResolvedValue([overdueBatch()]);
+      mockBatch.find.mockReturnValue(query);
+      mockBatch.countDocuments.mockResolvedValue(21);
+
+      const { pagination } = await slaService.listBreaches({ page: 2, limit: 10 });
+
+      expect(mockBatch.find).toHaveBeenCalledWith({ status: 'Flagged', slaBreach: { $ne: null } });
+      expect(query.sort).toHaveBeenCalledWith({ 'slaBreach.detectedAt': -1 });
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(pagination).toEqual({ page: 2, limit: 10, total: 21, totalPages: 3 });
+    });
+  });
+});
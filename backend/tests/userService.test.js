@@ -0,0 +1,84 @@
+process.env.NODE_ENV = 'test';
+
+const mockUser = { findById: jest.fn() };
+const mockBlockchain = { getContract: jest.fn() };
+
+jest.mock('../models/User', () => mockUser);
+jest.mock('../config/blockchain', () => mockBlockchain);
+
+const userService = require('../services/userService');
+const { NotFoundError, ValidationError, ServiceError } = require('../utils/errorHandler');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const WALLET = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+
+const userDoc = (overrides = {}) => ({
+  _id: USER_ID,
+  role: 'farmer',
+  walletAddress: WALLET,
+  save: jest.fn(),
+  ...overrides
+});
+
+describe('User Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBlockchain.getContract.mockReturnValue(null);
+  });
+
+  describe('setRole', () => {
+    it('should reject roles outside the contract role set', async () => {
+      await expect(userService.setRole(USER_ID, 'auditor')).rejects.toBeInstanceOf(ValidationError);
+      expect(mockUser.findById).not.toHaveBeenCalled();
+    });
+
+    it('should throw NotFoundError for unknown or malformed user IDs', async () => {
+      mockUser.findById.mockResolvedValue(null);
+
+      await expect(userService.setRole(USER_ID, 'mandi')).rejects.toBeInstanceOf(NotFoundError);
+      await expect(userService.setRole('not-an-id', 'mandi')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should write the ActorRole on-chain before saving the user', async () => {
+      const user = userDoc();
+      const receipt = { hash: '0xabc', blockNumber: 12 };
+      const contract = { setRole: jest.fn(async () => ({ wait: jest.fn(async () => receipt) })) };
+      mockUser.findById.mockResolvedValue(user);
+      mockBlockchain.getContract.mockReturnValue(contract);
+
+      const result = await userService.setRole(USER_ID, 'retailer');
+
+      expect(contract.setRole).toHaveBeenCalledWith(WALLET, 4);
+      expect(user.role).toBe('retailer');
+      expect(user.save).toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({
+        previousRole: 'farmer',
+        chain: { status: 'synced', txHash: '0xabc', blockNumber: 12 }
+      }));
+    });
+
+    it('should leave MongoDB unchanged when the transaction fails', async () => {
+      const user = userDoc();
+      const contract = { setRole: jest.fn(async () => { throw new Error('execution reverted: Only owner'); }) };
+      mockUser.findById.mockResolvedValue(user);
+      mockBlockchain.getContract.mockReturnValue(contract);
+
+      await expect(userService.setRole(USER_ID, 'oracle')).rejects.toBeInstanceOf(ServiceError);
+      expect(user.role).toBe('farmer');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should skip the chain when the user has no wallet', async () => {
+      const user = userDoc({ walletAddress: undefined });
+      const contract = { setRole: jest.fn() };
+      mockUser.findById.mockResolvedValue(user);
+      mockBlockchain.getContract.mockReturnValue(contract);
+
+      const result = await userService.setRole(USER_ID, 'mandi');
+
+      expect(contract.setRole).not.toHaveBeenCalled();
+      expect(user.save).toHaveBeenCalled();
+      expect(result.chain).toEqual({ status: 'skipped', reason: 'User has no linked wallet' });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+process.env.NODE_ENV = 'test';
+
+const mockBatch = {
+  findByAnyId: jest.fn(),
+  updateOne: jest.fn()
+};
+
+const mockPunjab = { regionId: 'IN-PB', name: 'Punjab' };
+const mockRegionService = {
+  findProvenRegion: jest.fn(),
+  getRegion: jest.fn(),
+  serialize: jest.fn((region) => ({ ...region, serialized: true }))
+};
+
+jest.mock('../models/Batch', () => mockBatch);
+jest.mock('../services/regionService', () => mockRegionService);
+
+const zkService = require('../services/zkService');
+const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+const proof = require('../../zk/proof.json');
+const publicSignals = require('../../zk/public.json');
+
+const tamperedProof = { ...proof, pi_a: [proof.pi_a[0], (BigInt(proof.pi_a[1]) + 1n).toString(), '1'] };
+
+describe('ZK Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBatch.updateOne.mockResolvedValue({ acknowledged: true });
+    mockRegionService.findProvenRegion.mockResolvedValue(mockPunjab);
+    mockRegionService.getRegion.mockResolvedValue({ ...mockPunjab, isValidAt: () => true });
+  });
+
+  afterAll(async () => {
+    // Release the bn128 worker threads snarkjs keeps between verifications
+    if (globalThis.curve_bn128) {
+      await globalThis.curve_bn128.terminate();
+    }
+  });
+
+  describe('checkLocationProof', () => {
+    it('should accept the sample proof and name the region it proves', async () => {
+      const result = await zkService.checkLocationProof({ proof, publicSignals, regionId: 'IN-PB' });
+
+      expect(result.valid).toBe(true);
+      expect(mockRegionService.findProvenRegion).toHaveBeenCalledWith(publicSignals, 'IN-PB');
+      expect(result.region).toEqual({ regionId: 'IN-PB', name: 'Punjab', serialized: true });
+      expect(result.box.minLat).toBeCloseTo(29.5);
+      expect(result.box.maxLon).toBeCloseTo(77);
+    });
+
+    it('should reject a tampered proof or different public signals', async () => {
+      const tampered = await zkService.checkLocationProof({ proof: tamperedProof, publicSignals });
+      const widened = await zkService.checkLocationProof({
+        proof,
+        publicSignals: [publicSignals[0], '122500001', publicSignals[2], publicSignals[3], publicSignals[4]]
+      });
+
+      expect(tampered).toMatchObject({ valid: false, region: null });
+      expect(widened).toMatchObject({ valid: false, region: null });
+      expect(mockRegionService.findProvenRegion).not.toHaveBeenCalled();
+    });
+
+    it('should report a valid proof of a box that is not a certified region', async () => {
+      mockRegionService.findProvenRegion.mockResolvedValue(null);
+
+      const result = await zkService.checkLocationProof({ proof, publicSignals, regionId: 'IN-HR' });
+
+      expect(result).toMatchObject({ valid: true, region: null });
+    });
+  });
+
+  describe('verifyLocation', () => {
+    const storedBatch = (originProof) => ({
+      batchId: 'CROP-2025-001',
+      originProof: { proof, publicSignals, regionId: 'IN-PB', status: 'pending', ...originProof }
+    });
+
+    it('should verify without touching batches when no batch ID is given', async () => {
+      const result = await zkService.verifyLocation({ proof, publicSignals });
+
+      expect(result).toMatchObject({ valid: true, cached: false });
+      expect(mockBatch.findByAnyId).not.toHaveBeenCalled();
+    });
+
+    it('should cache the result on the batch carrying the proof', async () => {
+      mockBatch.findByAnyId.mockResolvedValue(storedBatch());
+
+      const result = await zkService.verifyLocation({ proof, publicSignals }, 'CROP-2025-001');
+
+      expect(result).toMatchObject({ valid: true, batchId: 'CROP-2025-001', status: 'pending', cached: false });
+      expect(mockRegionService.findProvenRegion).toHaveBeenCalledWith(publicSignals, 'IN-PB');
+      expect(mockBatch.updateOne).toHaveBeenCalledWith(
+        { batchId: 'CROP-2025-001' },
+        {
+          $set: expect.objectContaining({
+            'originProof.proofHash': zkService.proofHash(proof, publicSignals),
+            'originProof.offChainValid': true,
+            'originProof.regionId': 'IN-PB',
+            'originProof.regionVerified': true
+          })
+        }
+      );
+    });
+
+    it('should return a cached result without verifying again', async () => {
+      mockBatch.findByAnyId.mockResolvedValue(storedBatch({
+        proofHash: zkService.proofHash(proof, publicSignals),
+        offChainValid: true,
+        regionVerified: true,
+        checkedAt: new Date()
+      }));
+      const check = jest.spyOn(zkService, 'checkLocationProof');
+
+      const result = await zkService.verifyLocation({ proof, publicSignals }, 'CROP-2025-001');
+
+      expect(result).toMatchObject({ valid: true, region: { regionId: 'IN-PB' }, cached: true });
+      expect(check).not.toHaveBeenCalled();
+      expect(mockBatch.updateOne).not.toHaveBeenCalled();
+      check.mockRestore();
+    });
+
+    it('should stop reporting a cached region once its certification has ended', async () => {
+      mockBatch.findByAnyId.mockResolvedValue(storedBatch({
+        proofHash: zkService.proofHash(proof, publicSignals),
+        offChainValid: true,
+        regionVerified: true,
+        checkedAt: new Date('2025-01-01')
+      }));
+      mockRegionService.getRegion.mockResolvedValue({ ...mockPunjab, isValidAt: () => false });
+
+      const result = await zkService.verifyLocation({ proof, publicSignals }, 'CROP-2025-001');
+
+      expect(result).toMatchObject({ valid: true, region: null, cached: true });
+      expect(mockBatch.updateOne).toHaveBeenCalledWith(
+        { batchId: 'CROP-2025-001' },
+        { $set: { 'originProof.regionVerified': false } }
+      );
+    });
+
+    it('should refuse a proof that is not the one recorded for the batch', async () => {
+      mockBatch.findByAnyId.mockResolvedValue(storedBatch());
+
+      await expect(zkService.verifyLocation({ proof: tamperedProof, publicSignals }, 'CROP-2025-001'))
+        .rejects.toThrow(ConflictError);
+    });
+
+    it('should throw NotFoundError for unknown batches or batches without a proof', async () => {
+      mockBatch.findByAnyId.mockResolvedValueOnce(null);
+      await expect(zkService.verifyLocation({ proof, publicSignals }, 'CROP-2025-999'))
+        .rejects.toThrow(NotFoundError);
+
+      mockBatch.findByAnyId.mockResolvedValueOnce({ batchId: 'CROP-2025-002' });
+      await expect(zkService.verifyLocation({ proof, publicSignals }, 'CROP-2025-002'))
+        .rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { ethers } = require('ethers');
+
+/**
+ * Batch ID encoding
+ *
+ * MongoDB and the API use human readable IDs (CROP-YYYY-XXX). CropChain.sol keys
+ * batches by bytes32. The on-chain ID is always keccak256 of the UTF-8 human ID:
+ *
+ *   chainBatchId = keccak256(utf8(batchId))    // ethers.id(batchId)
+ *
+ * The hash is deterministic but one-way, so Batch documents store it in
+ * `chainBatchId` to join chain events back to MongoDB. The frontend uses the same
+ * encoding (src/utils/index.ts).
+ */
+
+const CHAIN_BATCH_ID_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Encode a human batch ID as the bytes32 ID used on-chain
+ * @param {string} batchId - Human readable batch ID
+ * @returns {string} - Lower-case 0x-prefixed bytes32 hex string
+ */
+const toChainBatchId = (batchId) => ethers.id(batchId).toLowerCase();
+
+/**
+ * Check whether a value is a bytes32 chain batch ID
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isChainBatchId = (value) => typeof value === 'string' && CHAIN_BATCH_ID_PATTERN.test(value);
+
+module.exports = {
+    CHAIN_BATCH_ID_PATTERN,
+    toChainBatchId,
+    isChainBatchId
+};
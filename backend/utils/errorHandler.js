@@ -66,6 +66,18 @@ class ConflictError extends CustomError {
   }
 }
 
+/**
+ * Business Rule Error - 409 by default
+ * When a well formed request breaks a domain rule (e.g. supply chain stage ordering).
+ * Carries its own error code so clients can tell the rules apart.
+ */
+class BusinessRuleError extends CustomError {
+  constructor(message, code, statusCode = 409, details = null) {
+    super(message, statusCode, code);
+    this.details = details;
+  }
+}
+
 /**
  * Rate Limit Error - 429
  */
@@ -116,6 +128,7 @@ module.exports = {
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  BusinessRuleError,
   RateLimitError,
   ServerError,
   DatabaseError,
@@ -1,9 +1,13 @@
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
-const generateToken = (id, role, name) => {
-    return jwt.sign({ id, role, name }, process.env.JWT_SECRET, {
-        expiresIn: '24h',
+// Access tokens are short-lived; sessions are extended with refresh tokens (services/sessionService.js)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// ver is the user's tokenVersion; revoking the user's sessions bumps it (services/sessionService.js)
+const generateToken = (id, role, name, ver = 0) => {
+    return jwt.sign({ id, role, name, ver }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
     });
 };
 
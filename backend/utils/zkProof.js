@@ -0,0 +1,103 @@
+/**
+ * Location proof helpers.
+ *
+ * Proofs are Groth16 proofs over zk/location.circom in the JSON shape snarkjs writes
+ * (proof.json: pi_a, pi_b, pi_c; public.json: the public signals). The public signals
+ * are the certified bounding box in fixed-point micro-degrees followed by the batch the
+ * proof is for:
+ *
+ *     [minLat, maxLat, minLon, maxLon, batchId]    lat = round((latitude + 90) * 1e6)
+ *                                                  lon = round((longitude + 180) * 1e6)
+ *                                                  batchId = chainBatchId mod SNARK_SCALAR_FIELD
+ *
+ * See docs/LOCATION_PROOFS.md.
+ */
+
+const LOCATION_PUBLIC_SIGNALS = ['minLat', 'maxLat', 'minLon', 'maxLon', 'batchId'];
+const BOX_SIGNALS = LOCATION_PUBLIC_SIGNALS.slice(0, 4);
+const BATCH_SIGNAL_INDEX = LOCATION_PUBLIC_SIGNALS.indexOf('batchId');
+
+// BN254 scalar field order, matches CropChain.SNARK_SCALAR_FIELD
+const SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+/**
+ * The batchId public signal a proof for this batch must carry
+ * @param {string} chainBatchId - bytes32 hex batch ID (utils/batchId.js toChainBatchId)
+ * @returns {string}
+ */
+const toBatchSignal = (chainBatchId) => (BigInt(chainBatchId) % SNARK_SCALAR_FIELD).toString();
+
+/**
+ * The batchId public signal of a proof
+ * @param {string[]} publicSignals
+ * @returns {string|undefined}
+ */
+const batchSignalOf = (publicSignals) => publicSignals[BATCH_SIGNAL_INDEX] === undefined
+    ? undefined
+    : String(publicSignals[BATCH_SIGNAL_INDEX]);
+
+/**
+ * Arguments for Groth16Verifier.verifyProof / CropChain.recordOriginProof.
+ * The G2 point pi_b is stored by snarkjs as [x0, x1] pairs while the bn128 pairing
+ * precompile expects [x1, x0], so each pair is swapped. The projective z coordinates
+ * (always 1) are dropped.
+ * @param {{pi_a: string[], pi_b: string[][], pi_c: string[]}} proof
+ * @param {string[]} publicSignals
+ * @returns {[string[], string[][], string[], string[]]} - [pA, pB, pC, pubSignals]
+ */
+const toVerifierArgs = (proof, publicSignals) => [
+    [proof.pi_a[0], proof.pi_a[1]],
+    [
+        [proof.pi_b[0][1], proof.pi_b[0][0]],
+        [proof.pi_b[1][1], proof.pi_b[1][0]]
+    ],
+    [proof.pi_c[0], proof.pi_c[1]],
+    publicSignals.map(String)
+];
+
+/**
+ * Name the box signals of a proof's public signals
+ * @param {string[]} publicSignals
+ * @returns {{minLat: string, maxLat: string, minLon: string, maxLon: string}}
+ */
+const boxFromPublicSignals = (publicSignals) => Object.fromEntries(
+    BOX_SIGNALS.map((name, index) => [name, String(publicSignals[index])])
+);
+
+/**
+ * Encode a box in decimal degrees as the circuit's public signals
+ * @param {{minLat: number, maxLat: number, minLon: number, maxLon: number}} bounds
+ * @returns {string[]} - [minLat, maxLat, minLon, maxLon]
+ */
+const boxFromDegrees = (bounds) => [
+    String(Math.round((bounds.minLat + 90) * 1e6)),
+    String(Math.round((bounds.maxLat + 90) * 1e6)),
+    String(Math.round((bounds.minLon + 180) * 1e6)),
+    String(Math.round((bounds.maxLon + 180) * 1e6))
+];
+
+// Micro-degrees back to degrees, rounded to drop floating point noise
+const toDegrees = (value, offset) => Number((Number(value) / 1e6 - offset).toFixed(6));
+
+/**
+ * Convert a fixed-point box to decimal degrees
+ * @param {{minLat: string, maxLat: string, minLon: string, maxLon: string}} box
+ * @returns {{minLat: number, maxLat: number, minLon: number, maxLon: number}}
+ */
+const boxToDegrees = (box) => ({
+    minLat: toDegrees(box.minLat, 90),
+    maxLat: toDegrees(box.maxLat, 90),
+    minLon: toDegrees(box.minLon, 180),
+    maxLon: toDegrees(box.maxLon, 180)
+});
+
+module.exports = {
+    LOCATION_PUBLIC_SIGNALS,
+    SNARK_SCALAR_FIELD,
+    toBatchSignal,
+    batchSignalOf,
+    toVerifierArgs,
+    boxFromPublicSignals,
+    boxFromDegrees,
+    boxToDegrees
+};
@@ -0,0 +1,23 @@
+const Joi = require("joi");
+
+// Creation date range shared by every /api/analytics report; both bounds inclusive
+const dateRange = {
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref("from")),
+};
+
+const analyticsRangeQuerySchema = Joi.object(dateRange);
+
+const batchVolumeQuerySchema = Joi.object({
+  ...dateRange,
+  groupBy: Joi.string().valid("crop", "month", "region").default("crop"),
+  // Regions only: the largest by quantity
+  limit: Joi.number().integer().min(1).max(100).default(10),
+});
+
+const topFarmersQuerySchema = Joi.object({
+  ...dateRange,
+  limit: Joi.number().integer().min(1).max(100).default(10),
+});
+
+module.exports = { analyticsRangeQuerySchema, batchVolumeQuerySchema, topFarmersQuerySchema };
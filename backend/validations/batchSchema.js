@@ -1,5 +1,24 @@
 const Joi = require("joi");
 const STAGES = require("../constants/stages");
+const RECALL_SEVERITIES = require("../constants/recall");
+
+// Decimal field element as written by snarkjs
+const fieldElement = Joi.string().pattern(/^\d{1,78}$/);
+
+// proof.json / public.json for zk/location.circom
+const originProofSchema = Joi.object({
+  proof: Joi.object({
+    pi_a: Joi.array().items(fieldElement).length(3).required(),
+    pi_b: Joi.array().items(Joi.array().items(fieldElement).length(2)).length(3).required(),
+    pi_c: Joi.array().items(fieldElement).length(3).required(),
+    protocol: Joi.string().valid("groth16"),
+    curve: Joi.string().valid("bn128"),
+  }).required(),
+  // [minLat, maxLat, minLon, maxLon, batchId], see utils/zkProof.js
+  publicSignals: Joi.array().items(fieldElement).length(5).required(),
+  // Certified region (CertifiedRegion.regionId) whose box the proof proves
+  regionId: Joi.string().trim().pattern(/^[A-Za-z0-9-]{2,32}$/),
+});
 
 const createBatchSchema = Joi.object({
   farmerId: Joi.string().alphanum().min(5).max(50).required(),
@@ -28,6 +47,9 @@ const createBatchSchema = Joi.object({
   description: Joi.string().max(1000).allow(""),
 });
 
+// POST /api/batches/:batchId/origin-proof
+const attachOriginProofSchema = originProofSchema.fork("regionId", (schema) => schema.required());
+
 const updateBatchSchema = Joi.object({
   // batchId is in URL, so not required in body
   batchId: Joi.string().optional(),
@@ -49,5 +71,91 @@ const updateBatchSchema = Joi.object({
     .default(() => new Date()),
 });
 
+// Sort fields of GET /api/batches; a leading "-" sorts descending
+const BATCH_SORT_FIELDS = ["createdAt", "harvestDate", "quantity", "batchId"];
+
+// GET /api/batches: either page or cursor pagination, never both
+const listBatchesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  cursor: Joi.string().max(500),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+
+  cropType: Joi.string().valid("rice", "wheat", "corn", "tomato"),
+  currentStage: Joi.string().valid(...STAGES).lowercase(),
+  status: Joi.string().valid("Active", "Flagged", "Inactive"),
+  isRecalled: Joi.boolean(),
+  farmerId: Joi.string().max(50),
+  harvestedFrom: Joi.date().iso(),
+  harvestedTo: Joi.date().iso().min(Joi.ref("harvestedFrom")),
+  origin: Joi.string().trim().max(200),
+  q: Joi.string().trim().min(1).max(100),
+
+  sort: Joi.string()
+    .valid(...BATCH_SORT_FIELDS.flatMap((field) => [field, `-${field}`]))
+    .default("-createdAt"),
+}).oxor("page", "cursor");
+
+// GET /api/batches/sla-breaches
+const slaBreachesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// Same limit as CropChain.MAX_LINEAGE_BATCHES
+const MAX_LINEAGE_BATCHES = 20;
+
+// POST /api/batches/:batchId/split: one quantity per child batch, adding up to the batch quantity
+const splitBatchSchema = Joi.object({
+  quantities: Joi.array()
+    .items(Joi.number().integer().min(1))
+    .min(2)
+    .max(MAX_LINEAGE_BATCHES)
+    .required(),
+  location: Joi.string().min(2).max(200).required(),
+  notes: Joi.string().max(500).allow(""),
+});
+
+// POST /api/batches/merge
+const mergeBatchesSchema = Joi.object({
+  batchIds: Joi.array()
+    .items(Joi.string().trim().max(50))
+    .min(2)
+    .max(MAX_LINEAGE_BATCHES)
+    .unique()
+    .required(),
+  location: Joi.string().min(2).max(200).required(),
+  notes: Joi.string().max(500).allow(""),
+});
+
+// GET /api/batches/:batchId/lineage
+const lineageQuerySchema = Joi.object({
+  depth: Joi.number().integer().min(1).max(20).default(10),
+});
+
+// POST /api/batches/:batchId/recall
+const recallBatchSchema = Joi.object({
+  severity: Joi.string().lowercase().valid(...RECALL_SEVERITIES).required(),
+  reason: Joi.string().trim().min(5).max(500).required(),
+  // Lab reports, photos or inspection records: URLs or IPFS CIDs
+  evidence: Joi.array().items(Joi.string().trim().max(500)).max(10).default([]),
+});
+
+// PATCH /api/batch/:batchId/status
+const updateBatchStatusSchema = Joi.object({
+  status: Joi.string().valid("Active", "Flagged", "Inactive").required(),
+});
 
-module.exports = { createBatchSchema, updateBatchSchema };
+module.exports = {
+  createBatchSchema,
+  updateBatchSchema,
+  updateBatchStatusSchema,
+  originProofSchema,
+  attachOriginProofSchema,
+  listBatchesQuerySchema,
+  slaBreachesQuerySchema,
+  splitBatchSchema,
+  mergeBatchesSchema,
+  lineageQuerySchema,
+  recallBatchSchema,
+  BATCH_SORT_FIELDS,
+};
@@ -0,0 +1,29 @@
+const Joi = require("joi");
+
+const boundsSchema = Joi.object({
+  minLat: Joi.number().min(-90).max(90).required(),
+  maxLat: Joi.number().min(-90).max(90).greater(Joi.ref("minLat")).required(),
+  minLon: Joi.number().min(-180).max(180).required(),
+  maxLon: Joi.number().min(-180).max(180).greater(Joi.ref("minLon")).required(),
+});
+
+const createRegionSchema = Joi.object({
+  regionId: Joi.string().trim().pattern(/^[A-Za-z0-9-]{2,32}$/).required()
+    .messages({ "string.pattern.base": "Region ID may only contain letters, digits and dashes (2-32 characters)" }),
+  name: Joi.string().trim().min(2).max(100).required(),
+  authority: Joi.string().trim().min(2).max(200).required(),
+  bounds: boundsSchema.required(),
+  validFrom: Joi.date().iso().required(),
+  validUntil: Joi.date().iso().greater(Joi.ref("validFrom")).allow(null),
+});
+
+// regionId is immutable; every other field is optional
+const updateRegionSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  authority: Joi.string().trim().min(2).max(200),
+  bounds: boundsSchema,
+  validFrom: Joi.date().iso(),
+  validUntil: Joi.date().iso().allow(null),
+}).min(1);
+
+module.exports = { createRegionSchema, updateRegionSchema };
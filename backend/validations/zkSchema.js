@@ -0,0 +1,9 @@
+const Joi = require("joi");
+const { originProofSchema } = require("./batchSchema");
+
+const verifyLocationSchema = originProofSchema.keys({
+  // Optional: cache the result on the batch carrying this proof
+  batchId: Joi.string().trim().max(100),
+});
+
+module.exports = { verifyLocationSchema };
@@ -3,6 +3,7 @@ pragma solidity ^0.8.19;
 
 import "./lib/openzeppelin/security/Pausable.sol";
 import "./lib/openzeppelin/security/ReentrancyGuard.sol";
+import "./interfaces/ILocationVerifier.sol";
 
 contract CropChain is Pausable, ReentrancyGuard {
     enum Stage {
@@ -12,6 +13,12 @@ contract CropChain is Pausable, ReentrancyGuard {
         Retailer
     }
 
+    enum RecallSeverity {
+        Low,
+        Medium,
+        High
+    }
+
     enum ActorRole {
         None,
         Farmer,
@@ -58,6 +65,32 @@ contract CropChain is Pausable, ReentrancyGuard {
         uint256 priceWei;
     }
 
+    // Certified bounding box a batch's origin was proven to lie in (fixed-point micro-degrees, see zk/location.circom)
+    struct OriginProof {
+        uint256 minLat;
+        uint256 maxLat;
+        uint256 minLon;
+        uint256 maxLon;
+        uint256 provenAt;
+        address provenBy;
+    }
+
+    // Hash of a certified region's off-chain registry record (see backend/services/regionService.js)
+    struct RegionAnchor {
+        bytes32 dataHash;
+        uint256 anchoredAt;
+        address anchoredBy;
+    }
+
+    // Why a batch was recalled; stored for the recalled batch, which its descendants point to
+    struct Recall {
+        RecallSeverity severity;
+        string reason;
+        bytes32 evidenceHash;
+        uint256 recalledAt;
+        address recalledBy;
+    }
+
     mapping(bytes32 => CropBatch) public cropBatches;
     mapping(bytes32 => SupplyChainUpdate[]) private _batchUpdates;
     mapping(address => ActorRole) public roles;
@@ -65,13 +98,33 @@ contract CropChain is Pausable, ReentrancyGuard {
     mapping(bytes32 => PriceObservation[]) private _priceObservations;
     mapping(bytes32 => uint256) public latestOraclePrice;
     mapping(address => uint256) public pendingWithdrawals;
-
-    string[] public allBatchIds;
+    mapping(bytes32 => OriginProof) public originProofs;
+    mapping(bytes32 => RegionAnchor) public regionAnchors;
+    // Lineage of batches created by splitBatch / mergeBatches
+    mapping(bytes32 => bytes32[]) private _parentBatches;
+    mapping(bytes32 => bytes32[]) private _childBatches;
+    // Batches whose quantity went into split or merged batches; they can no longer be updated or listed
+    mapping(bytes32 => bool) public consumedBatches;
+    mapping(bytes32 => Recall) public recalls;
+    // Batch whose recall reached this batch (the batch itself for a direct recall)
+    mapping(bytes32 => bytes32) public recallSourceOf;
+    mapping(bytes32 => uint256[]) private _batchListings;
+
+    bytes32[] public allBatchIds;
+
+    // Most batches one split or merge may produce or consume
+    uint256 public constant MAX_LINEAGE_BATCHES = 20;
+    // Most batches one recall may reach through splits and merges
+    uint256 public constant MAX_RECALL_BATCHES = 200;
+    // BN254 scalar field order; origin proofs carry their batch ID reduced modulo it
+    uint256 public constant SNARK_SCALAR_FIELD =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
 
     address public owner;
     uint256 public nextListingId;
     uint256 public twapWindow;
     uint256 public maxPriceDeviationBps;
+    ILocationVerifier public locationVerifier;
 
     event BatchCreated(bytes32 indexed batchId, string ipfsCID, uint256 quantity, address indexed creator);
     event BatchUpdated(bytes32 indexed batchId, Stage stage, string actorName, string location, address indexed updatedBy);
@@ -84,6 +137,19 @@ contract CropChain is Pausable, ReentrancyGuard {
     event ProceedsWithdrawn(address indexed account, uint256 amountWei);
     event SpotPriceRecorded(bytes32 indexed cropTypeHash, uint256 priceWei, uint256 timestamp);
     event TwapConfigUpdated(uint256 twapWindowSeconds, uint256 maxPriceDeviationBps);
+    event LocationVerifierUpdated(address indexed verifier);
+    event OriginProven(bytes32 indexed batchId, uint256 minLat, uint256 maxLat, uint256 minLon, uint256 maxLon, address indexed provenBy);
+    event RegionAnchored(bytes32 indexed regionId, bytes32 dataHash, address indexed anchoredBy);
+    event BatchSplit(bytes32 indexed parentBatchId, bytes32[] childBatchIds, uint256[] quantities, address indexed splitBy);
+    event RecallIssued(
+        bytes32 indexed sourceBatchId,
+        RecallSeverity severity,
+        string reason,
+        bytes32 evidenceHash,
+        uint256 affectedBatches,
+        address indexed recalledBy
+    );
+    event BatchMerged(bytes32 indexed mergedBatchId, bytes32[] parentBatchIds, uint256 quantity, address indexed mergedBy);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Only owner");
@@ -100,6 +166,12 @@ contract CropChain is Pausable, ReentrancyGuard {
         _;
     }
 
+    modifier onlyMandiOrAdmin() {
+        ActorRole role = roles[msg.sender];
+        require(role == ActorRole.Mandi || role == ActorRole.Admin, "Only mandi/admin");
+        _;
+    }
+
     modifier onlyOracleOrAdmin() {
         ActorRole role = roles[msg.sender];
         require(role == ActorRole.Oracle || role == ActorRole.Admin, "Only oracle/admin");
@@ -156,6 +228,27 @@ contract CropChain is Pausable, ReentrancyGuard {
         emit TwapConfigUpdated(twapWindowSeconds, maxDeviationBps);
     }
 
+    function setLocationVerifier(address verifier) external onlyOwner nonReentrant {
+        require(verifier != address(0), "Invalid address");
+
+        locationVerifier = ILocationVerifier(verifier);
+
+        emit LocationVerifierUpdated(verifier);
+    }
+
+    // Re-anchoring a region replaces its hash, e.g. after its validity dates change
+    function anchorRegion(bytes32 regionId, bytes32 dataHash) external onlyOwner nonReentrant {
+        require(dataHash != bytes32(0), "Invalid region hash");
+
+        regionAnchors[regionId] = RegionAnchor({
+            dataHash: dataHash,
+            anchoredAt: block.timestamp,
+            anchoredBy: msg.sender
+        });
+
+        emit RegionAnchored(regionId, dataHash, msg.sender);
+    }
+
     function createBatch(
         bytes32 batchId,
         bytes32 cropTypeHash,
@@ -165,36 +258,85 @@ contract CropChain is Pausable, ReentrancyGuard {
         string calldata location,
         string calldata notes
     ) external onlyAuthorized whenNotPaused nonReentrant {
-        require(!cropBatches[batchId].exists, "Batch already exists");
-        require(batchId != bytes32(0), "Invalid batch ID");
         require(cropTypeHash != bytes32(0), "Invalid crop type");
-        require(quantity > 0, "Quantity must be > 0");
-
-        cropBatches[batchId] = CropBatch({
-            batchId: batchId,
-            cropTypeHash: cropTypeHash,
-            ipfsCID: ipfsCID,
-            quantity: quantity,
-            createdAt: block.timestamp,
-            creator: msg.sender,
-            exists: true,
-            isRecalled: false
-        });
 
-        _batchUpdates[batchId].push(
-            SupplyChainUpdate({
-                stage: Stage.Farmer,
-                actorName: actorName,
-                location: location,
-                timestamp: block.timestamp,
-                notes: notes,
-                updatedBy: msg.sender
-            })
+        _createBatch(batchId, cropTypeHash, ipfsCID, quantity, Stage.Farmer, actorName, location, notes);
+    }
+
+    /**
+     * Split a batch into lots whose quantities add up to the batch's. The lots continue at
+     * the parent's current stage; the parent is consumed.
+     */
+    function splitBatch(
+        bytes32 parentBatchId,
+        bytes32[] calldata childBatchIds,
+        uint256[] calldata quantities,
+        string memory actorName,
+        string memory location,
+        string memory notes
+    ) external onlyMandiOrAdmin whenNotPaused nonReentrant batchExists(parentBatchId) {
+        require(
+            childBatchIds.length >= 2 && childBatchIds.length <= MAX_LINEAGE_BATCHES && childBatchIds.length == quantities.length,
+            "Invalid split"
         );
 
-        allBatchIds.push(batchId);
+        CropBatch storage parent = cropBatches[parentBatchId];
+        _requireActive(parentBatchId);
+        Stage stage = _currentStage(parentBatchId);
 
-        emit BatchCreated(batchId, ipfsCID, quantity, msg.sender);
+        uint256 total;
+        for (uint256 i = 0; i < quantities.length; i++) {
+            total += quantities[i];
+        }
+        require(total == parent.quantity, "Quantities must sum to batch quantity");
+
+        _consume(parentBatchId);
+
+        for (uint256 i = 0; i < childBatchIds.length; i++) {
+            _createBatch(childBatchIds[i], parent.cropTypeHash, parent.ipfsCID, quantities[i], stage, actorName, location, notes);
+            _link(parentBatchId, childBatchIds[i]);
+        }
+
+        emit BatchSplit(parentBatchId, childBatchIds, quantities, msg.sender);
+    }
+
+    /**
+     * Merge batches of the same crop type at the same stage into one batch holding their
+     * combined quantity. The parents are consumed.
+     */
+    function mergeBatches(
+        bytes32[] calldata parentBatchIds,
+        bytes32 mergedBatchId,
+        string memory actorName,
+        string memory location,
+        string memory notes
+    ) external onlyMandiOrAdmin whenNotPaused nonReentrant {
+        require(parentBatchIds.length >= 2 && parentBatchIds.length <= MAX_LINEAGE_BATCHES, "Invalid merge");
+        require(cropBatches[parentBatchIds[0]].exists, "Batch not found");
+
+        bytes32 cropTypeHash = cropBatches[parentBatchIds[0]].cropTypeHash;
+        Stage stage = _currentStage(parentBatchIds[0]);
+        uint256 total;
+
+        for (uint256 i = 0; i < parentBatchIds.length; i++) {
+            bytes32 parentBatchId = parentBatchIds[i];
+            require(cropBatches[parentBatchId].exists, "Batch not found");
+            // Consumed as we go, so a repeated ID fails here too
+            _requireActive(parentBatchId);
+            require(cropBatches[parentBatchId].cropTypeHash == cropTypeHash, "Crop type mismatch");
+            require(_currentStage(parentBatchId) == stage, "Stage mismatch");
+
+            total += cropBatches[parentBatchId].quantity;
+            _consume(parentBatchId);
+        }
+
+        _createBatch(mergedBatchId, cropTypeHash, "", total, stage, actorName, location, notes);
+
+        for (uint256 i = 0; i < parentBatchIds.length; i++) {
+            _link(parentBatchIds[i], mergedBatchId);
+        }
+
+        emit BatchMerged(mergedBatchId, parentBatchIds, total, msg.sender);
     }
 
     function updateBatch(
@@ -205,6 +347,7 @@ contract CropChain is Pausable, ReentrancyGuard {
         string calldata notes
     ) external onlyAuthorized whenNotPaused nonReentrant batchExists(batchId) {
         require(!cropBatches[batchId].isRecalled, "Batch is recalled");
+        require(!consumedBatches[batchId], "Batch consumed");
         require(bytes(actorName).length > 0, "Actor required");
         require(bytes(location).length > 0, "Location required");
         require(_isNextStage(batchId, stage), "Invalid stage transition");
@@ -229,9 +372,61 @@ contract CropChain is Pausable, ReentrancyGuard {
         emit BatchUpdated(batchId, stage, actorName, location, msg.sender);
     }
 
-    function recallBatch(bytes32 batchId) external onlyOwner whenNotPaused nonReentrant batchExists(batchId) {
-        cropBatches[batchId].isRecalled = true;
-        emit BatchRecalled(batchId, msg.sender);
+    /**
+     * Recall a batch and every batch split or merged from it, cancelling their active listings.
+     * evidenceHash commits to the off-chain evidence (lab reports, complaints).
+     */
+    function recallBatch(bytes32 batchId, RecallSeverity severity, string memory reason, bytes32 evidenceHash)
+        external
+        onlyOwner
+        whenNotPaused
+        nonReentrant
+        batchExists(batchId)
+    {
+        require(!cropBatches[batchId].isRecalled, "Batch is recalled");
+        require(bytes(reason).length > 0, "Reason required");
+
+        recalls[batchId] = Recall({
+            severity: severity,
+            reason: reason,
+            evidenceHash: evidenceHash,
+            recalledAt: block.timestamp,
+            recalledBy: msg.sender
+        });
+
+        uint256 affected = _propagateRecall(batchId);
+
+        emit RecallIssued(batchId, severity, reason, evidenceHash, affected, msg.sender);
+    }
+
+    function recordOriginProof(
+        bytes32 batchId,
+        uint256[2] calldata pA,
+        uint256[2][2] calldata pB,
+        uint256[2] calldata pC,
+        uint256[5] calldata pubSignals
+    ) external onlyAuthorized whenNotPaused nonReentrant batchExists(batchId) {
+        CropBatch storage batch = cropBatches[batchId];
+        require(address(locationVerifier) != address(0), "Verifier not set");
+        require(!batch.isRecalled, "Batch is recalled");
+        require(originProofs[batchId].provenAt == 0, "Origin already proven");
+        require(
+            msg.sender == batch.creator || roles[msg.sender] == ActorRole.Admin,
+            "Only creator/admin"
+        );
+        require(pubSignals[4] == uint256(batchId) % SNARK_SCALAR_FIELD, "Proof is for another batch");
+        require(locationVerifier.verifyProof(pA, pB, pC, pubSignals), "Invalid origin proof");
+
+        originProofs[batchId] = OriginProof({
+            minLat: pubSignals[0],
+            maxLat: pubSignals[1],
+            minLon: pubSignals[2],
+            maxLon: pubSignals[3],
+            provenAt: block.timestamp,
+            provenBy: msg.sender
+        });
+
+        emit OriginProven(batchId, pubSignals[0], pubSignals[1], pubSignals[2], pubSignals[3], msg.sender);
     }
 
     function createListing(bytes32 batchId, uint256 quantity, uint256 unitPriceWei)
@@ -244,6 +439,7 @@ contract CropChain is Pausable, ReentrancyGuard {
     {
         CropBatch storage batch = cropBatches[batchId];
         require(!batch.isRecalled, "Batch is recalled");
+        require(!consumedBatches[batchId], "Batch consumed");
         require(quantity > 0 && quantity <= batch.quantity, "Invalid quantity");
         require(unitPriceWei > 0, "Price=0");
 
@@ -267,6 +463,8 @@ contract CropChain is Pausable, ReentrancyGuard {
             createdAt: block.timestamp
         });
 
+        _batchListings[batchId].push(listingId);
+
         emit ListingCreated(listingId, batchId, msg.sender, quantity, unitPriceWei);
 
         return listingId;
@@ -283,7 +481,7 @@ contract CropChain is Pausable, ReentrancyGuard {
         require(quantity > 0 && quantity <= listing.quantityAvailable, "Invalid quantity");
 
         CropBatch storage batch = cropBatches[listing.batchId];
-        require(batch.exists && !batch.isRecalled, "Batch unavailable");
+        require(batch.exists && !batch.isRecalled && !consumedBatches[listing.batchId], "Batch unavailable");
 
         uint256 twapPrice = getTwapPrice(batch.cropTypeHash, twapWindow);
         if (twapPrice > 0) {
@@ -373,6 +571,18 @@ contract CropChain is Pausable, ReentrancyGuard {
         return _batchUpdates[batchId][length - 1];
     }
 
+    function getParentBatches(bytes32 batchId) external view batchExists(batchId) returns (bytes32[] memory) {
+        return _parentBatches[batchId];
+    }
+
+    function getChildBatches(bytes32 batchId) external view batchExists(batchId) returns (bytes32[] memory) {
+        return _childBatches[batchId];
+    }
+
+    function getBatchListings(bytes32 batchId) external view batchExists(batchId) returns (uint256[] memory) {
+        return _batchListings[batchId];
+    }
+
     function getTotalBatches() external view returns (uint256) {
         return allBatchIds.length;
     }
@@ -435,6 +645,110 @@ contract CropChain is Pausable, ReentrancyGuard {
         return weightedSum / totalWeight;
     }
 
+    function _createBatch(
+        bytes32 batchId,
+        bytes32 cropTypeHash,
+        string memory ipfsCID,
+        uint256 quantity,
+        Stage stage,
+        string memory actorName,
+        string memory location,
+        string memory notes
+    ) internal {
+        require(!cropBatches[batchId].exists, "Batch already exists");
+        require(batchId != bytes32(0), "Invalid batch ID");
+        require(quantity > 0, "Quantity must be > 0");
+
+        cropBatches[batchId] = CropBatch({
+            batchId: batchId,
+            cropTypeHash: cropTypeHash,
+            ipfsCID: ipfsCID,
+            quantity: quantity,
+            createdAt: block.timestamp,
+            creator: msg.sender,
+            exists: true,
+            isRecalled: false
+        });
+
+        _batchUpdates[batchId].push(
+            SupplyChainUpdate({
+                stage: stage,
+                actorName: actorName,
+                location: location,
+                timestamp: block.timestamp,
+                notes: notes,
+                updatedBy: msg.sender
+            })
+        );
+
+        allBatchIds.push(batchId);
+
+        emit BatchCreated(batchId, ipfsCID, quantity, msg.sender);
+    }
+
+    // Recall the source batch and its descendants, depth first; batches recalled earlier and their descendants are skipped
+    function _propagateRecall(bytes32 sourceBatchId) internal returns (uint256 affected) {
+        bytes32[] memory pending = new bytes32[](MAX_RECALL_BATCHES);
+        uint256 size = 1;
+        pending[0] = sourceBatchId;
+
+        while (size > 0) {
+            bytes32 batchId = pending[--size];
+            if (cropBatches[batchId].isRecalled) continue;
+
+            _recallOne(batchId, sourceBatchId);
+            affected++;
+
+            bytes32[] storage children = _childBatches[batchId];
+            for (uint256 i = 0; i < children.length; i++) {
+                require(size < MAX_RECALL_BATCHES, "Recall too large");
+                pending[size++] = children[i];
+            }
+        }
+    }
+
+    function _recallOne(bytes32 batchId, bytes32 sourceBatchId) internal {
+        cropBatches[batchId].isRecalled = true;
+        recallSourceOf[batchId] = sourceBatchId;
+        _cancelListings(batchId);
+
+        emit BatchRecalled(batchId, msg.sender);
+    }
+
+    // A split or merged batch lives on in the batches made from it, so its listings close
+    function _consume(bytes32 batchId) internal {
+        consumedBatches[batchId] = true;
+        _cancelListings(batchId);
+    }
+
+    function _cancelListings(bytes32 batchId) internal {
+        uint256[] storage listingIds = _batchListings[batchId];
+        for (uint256 i = 0; i < listingIds.length; i++) {
+            MarketListing storage listing = listings[listingIds[i]];
+            if (!listing.active) continue;
+
+            listing.active = false;
+            listing.quantityAvailable = 0;
+            emit ListingCancelled(listing.listingId, msg.sender);
+        }
+    }
+
+    function _link(bytes32 parentBatchId, bytes32 childBatchId) internal {
+        _parentBatches[childBatchId].push(parentBatchId);
+        _childBatches[parentBatchId].push(childBatchId);
+    }
+
+    function _requireActive(bytes32 batchId) internal view {
+        require(!cropBatches[batchId].isRecalled, "Batch is recalled");
+        require(!consumedBatches[batchId], "Batch consumed");
+    }
+
+    // Stage of the latest update; every batch gets one when it is created
+    function _currentStage(bytes32 batchId) internal view returns (Stage) {
+        SupplyChainUpdate[] storage updates = _batchUpdates[batchId];
+        return updates[updates.length - 1].stage;
+    }
+
     function _canUpdate(Stage stage, ActorRole role) internal pure returns (bool) {
         if (stage == Stage.Farmer && role == ActorRole.Farmer) return true;
         if (stage == Stage.Mandi && role == ActorRole.Mandi) return true;
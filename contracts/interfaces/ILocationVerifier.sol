@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+// Groth16 verifier generated from zk/location.circom (contracts/Verifier.sol).
+// Public signals: minLat, maxLat, minLon, maxLon, batchId (the bytes32 batch ID modulo the field order).
+interface ILocationVerifier {
+    function verifyProof(
+        uint256[2] calldata pA,
+        uint256[2][2] calldata pB,
+        uint256[2] calldata pC,
+        uint256[5] calldata pubSignals
+    ) external view returns (bool);
+}
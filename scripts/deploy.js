@@ -7,16 +7,30 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   
   console.log("Deploying contracts with the account:", deployer.address);
-  console.log("Account balance:", (await deployer.getBalance()).toString());
+  console.log("Account balance:", (await ethers.provider.getBalance(deployer.address)).toString());
 
   // Deploy the contract
   const CropChain = await ethers.getContractFactory("CropChain");
   const cropChain = await CropChain.deploy();
 
-  await cropChain.deployed();
+  await cropChain.waitForDeployment();
 
-  console.log("CropChain contract deployed to:", cropChain.address);
-  console.log("Transaction hash:", cropChain.deployTransaction.hash);
+  const contractAddress = await cropChain.getAddress();
+  const deployTx = cropChain.deploymentTransaction();
+  const deployReceipt = await deployTx.wait();
+
+  console.log("CropChain contract deployed to:", contractAddress);
+  console.log("Transaction hash:", deployTx.hash);
+
+  // Deploy the Groth16 verifier for origin (location) proofs and register it
+  console.log("Deploying Groth16Verifier for location proofs...");
+  const Verifier = await ethers.getContractFactory("Groth16Verifier");
+  const verifier = await Verifier.deploy();
+  await verifier.waitForDeployment();
+
+  const verifierAddress = await verifier.getAddress();
+  await (await cropChain.setLocationVerifier(verifierAddress)).wait();
+  console.log("Groth16Verifier deployed to:", verifierAddress);
 
   // Verify deployment
   console.log("Verifying deployment...");
@@ -25,15 +39,17 @@ async function main() {
   
   const totalBatches = await cropChain.getTotalBatches();
   console.log("Total batches:", totalBatches.toString());
+  console.log("Location verifier:", await cropChain.locationVerifier());
 
   // Save deployment info
   const deploymentInfo = {
-    contractAddress: cropChain.address,
-    transactionHash: cropChain.deployTransaction.hash,
+    contractAddress,
+    locationVerifierAddress: verifierAddress,
+    transactionHash: deployTx.hash,
     deployer: deployer.address,
     network: (await ethers.provider.getNetwork()).name,
-    blockNumber: cropChain.deployTransaction.blockNumber,
-    gasUsed: cropChain.deployTransaction.gasLimit?.toString(),
+    blockNumber: deployReceipt.blockNumber,
+    gasUsed: deployReceipt.gasUsed.toString(),
     timestamp: new Date().toISOString()
   };
 
@@ -43,9 +59,9 @@ async function main() {
   // Instructions for next steps
   console.log("\n=== Next Steps ===");
   console.log("1. Update your .env file with the contract address:");
-  console.log(`   CONTRACT_ADDRESS=${cropChain.address}`);
+  console.log(`   CONTRACT_ADDRESS=${contractAddress}`);
   console.log("\n2. Verify the contract on block explorer (if on testnet/mainnet):");
-  console.log(`   npx hardhat verify --network <network> ${cropChain.address}`);
+  console.log(`   npx hardhat verify --network <network> ${contractAddress}`);
   console.log("\n3. Update your frontend/backend to use this contract address");
 }
 
@@ -13,6 +13,7 @@ import UpdateBatch from './pages/UpdateBatch';
 import TrackBatch from './pages/TrackBatch';
 import AdminDashboard from './pages/AdminDashboard';
 import VerificationDashboard from './pages/VerificationDashboard';
+import RegionRegistry from './pages/RegionRegistry';
 import NotFound from './pages/NotFound';
 import ProtectedRoute from './components/ProtectedRoute';
 
@@ -21,6 +22,9 @@ import AIChatbot from './components/AIChatbot';
 import SyncStatusIndicator from './components/SyncStatusIndicator';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 
 function App() {
   return (
@@ -34,6 +38,9 @@ function App() {
               <Route path="/" element={<Home />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
               <Route path="/add-batch" element={<AddBatch />} />
               <Route path="/update-batch" element={<UpdateBatch />} />
               <Route path="/track-batch" element={<TrackBatch />} />
@@ -42,6 +49,11 @@ function App() {
               </ProtectedRoute>
               }
               />
+              <Route path="/admin/regions" element={<ProtectedRoute allowedRoles={['admin']}>
+                <RegionRegistry />
+              </ProtectedRoute>
+              }
+              />
               <Route path="/verification" element={<VerificationDashboard />} />
 
               {/* MUST BE LAST - catch-all for 404 */}
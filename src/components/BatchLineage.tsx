@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { GitFork, GitMerge, Loader2 } from 'lucide-react';
+import { realCropBatchService, BatchLineage as Lineage, LineageNode } from '../services/realCropBatchService';
+
+interface BatchLineageProps {
+  batchId: string;
+  // Track another batch of the lineage
+  onSelect: (batchId: string) => void;
+}
+
+// Nodes of one relation, nearest generation first
+const generations = (nodes: LineageNode[]) => {
+  const byDepth = new Map<number, LineageNode[]>();
+  nodes.forEach((node) => byDepth.set(node.depth, [...(byDepth.get(node.depth) || []), node]));
+  return [...byDepth.entries()].sort(([a], [b]) => a - b);
+};
+
+const generationLabel = (relation: 'ancestor' | 'descendant', depth: number) => {
+  if (relation === 'ancestor') return depth === 1 ? 'Made from' : `${depth} steps back`;
+  return depth === 1 ? 'Became' : `${depth} steps on`;
+};
+
+const NodeButton: React.FC<{ node: LineageNode; onSelect: (batchId: string) => void }> = ({ node, onSelect }) => (
+  <button
+    type="button"
+    onClick={() => onSelect(node.batchId)}
+    className="text-left px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-600 hover:border-green-500 dark:hover:border-green-400 transition-colors"
+  >
+    <span className="block font-mono text-sm text-gray-800 dark:text-white">{node.batchId}</span>
+    <span className="block text-xs text-gray-500 dark:text-gray-400 capitalize">
+      {node.quantity} kg · {node.currentStage}
+      {node.consumedBy && ` · ${node.consumedBy === 'split' ? 'split' : 'merged'}`}
+    </span>
+    {node.isRecalled && <span className="block text-xs font-medium text-red-600 dark:text-red-400">Recalled</span>}
+  </button>
+);
+
+/**
+ * Batches the tracked batch was split or merged from (ancestors) and into (descendants).
+ * Renders nothing for batches without lineage.
+ */
+const BatchLineage: React.FC<BatchLineageProps> = ({ batchId, onSelect }) => {
+  const [lineage, setLineage] = useState<Lineage | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    realCropBatchService.getLineage(batchId)
+      .then((data) => {
+        if (!cancelled) setLineage(data);
+      })
+      .catch((err: Error) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [batchId]);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600 dark:text-red-400">{error}</p>;
+  }
+
+  const ancestors = lineage?.nodes.filter((node) => node.relation === 'ancestor') || [];
+  const descendants = lineage?.nodes.filter((node) => node.relation === 'descendant') || [];
+  if (!ancestors.length && !descendants.length) return null;
+
+  const self = lineage?.nodes.find((node) => node.relation === 'self');
+
+  const section = (relation: 'ancestor' | 'descendant', nodes: LineageNode[]) => (
+    <div className="space-y-3">
+      {generations(nodes).map(([depth, generation]) => (
+        <div key={depth}>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">{generationLabel(relation, depth)}</p>
+          <div className="flex flex-wrap gap-2">
+            {generation.map((node) => (
+              <NodeButton key={node.batchId} node={node} onSelect={onSelect} />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8">
+      <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-6 border-b pb-4 flex items-center">
+        {self?.derivedBy === 'merge' || self?.consumedBy === 'merge'
+          ? <GitMerge className="h-5 w-5 mr-2 text-green-600 dark:text-green-400" />
+          : <GitFork className="h-5 w-5 mr-2 text-green-600 dark:text-green-400" />}
+        Batch Lineage
+      </h2>
+      <div className="grid md:grid-cols-2 gap-8">
+        <div>
+          <h3 className="font-semibold text-gray-800 dark:text-white mb-3">Ancestors</h3>
+          {ancestors.length
+            ? section('ancestor', ancestors)
+            : <p className="text-sm text-gray-500 dark:text-gray-400">Harvested as this batch.</p>}
+        </div>
+        <div>
+          <h3 className="font-semibold text-gray-800 dark:text-white mb-3">Descendants</h3>
+          {descendants.length
+            ? section('descendant', descendants)
+            : <p className="text-sm text-gray-500 dark:text-gray-400">Not split or merged.</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatchLineage;
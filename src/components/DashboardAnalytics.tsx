@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from 'react';
+import { BarChart3, Clock, AlertTriangle, Trophy } from 'lucide-react';
+import { ChartSkeleton } from './skeletons';
+import { ErrorState } from './common/ErrorState';
+import {
+  analyticsService,
+  VolumeBucket,
+  StageDwellTime,
+  RecallRate,
+  SyncErrorRate,
+  TopFarmer,
+} from '../services/analyticsService';
+
+const RANGE_OPTIONS = [3, 6, 12];
+const CROP_COLORS = ['bg-green-500', 'bg-blue-500', 'bg-yellow-500', 'bg-purple-500'];
+
+interface Analytics {
+  crops: VolumeBucket[];
+  months: VolumeBucket[];
+  dwellTimes: StageDwellTime[];
+  recalls: RecallRate;
+  syncErrors: SyncErrorRate;
+  topFarmers: TopFarmer[];
+}
+
+// First day (UTC) of the month `months - 1` months ago, so the range covers `months` calendar months
+const rangeStart = (months: number) => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1)).toISOString();
+};
+
+const monthLabel = (key: string) =>
+  new Date(`${key}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+
+const percent = (fraction: number) => `${(fraction * 100).toFixed(1)}%`;
+
+const formatHours = (hours: number | null) => {
+  if (hours === null) return '—';
+  return hours >= 48 ? `${(hours / 24).toFixed(1)} d` : `${hours.toFixed(1)} h`;
+};
+
+const cardClass = 'bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6';
+const titleClass = 'text-xl font-semibold text-gray-800 dark:text-white mb-4 flex items-center';
+
+/**
+ * Admin dashboard charts, computed by the /api/analytics reports over batches created in the selected range
+ */
+const DashboardAnalytics: React.FC = () => {
+  const [months, setMonths] = useState(6);
+  const [analytics, setAnalytics] = useState<Analytics | null>(null);
+  const [isError, setIsError] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const range = { from: rangeStart(months) };
+    setAnalytics(null);
+    setIsError(false);
+
+    Promise.all([
+      analyticsService.getBatchVolume('crop', range),
+      analyticsService.getBatchVolume('month', range),
+      analyticsService.getStageDwellTimes(range),
+      analyticsService.getRecallRate(range),
+      analyticsService.getSyncErrorRate(range),
+      analyticsService.getTopFarmers(range),
+    ])
+      .then(([crops, monthly, dwellTimes, recalls, syncErrors, topFarmers]) => {
+        if (!cancelled) setAnalytics({ crops, months: monthly, dwellTimes, recalls, syncErrors, topFarmers });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Failed to load analytics:', error);
+        setIsError(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [months, reloadKey]);
+
+  const header = (
+    <div className="flex items-center justify-between">
+      <h2 className="text-2xl font-semibold text-gray-800 dark:text-white flex items-center">
+        <BarChart3 className="h-6 w-6 mr-3 text-green-600 dark:text-green-400" />
+        Analytics
+      </h2>
+      <select
+        value={months}
+        onChange={(e) => setMonths(Number(e.target.value))}
+        className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm"
+      >
+        {RANGE_OPTIONS.map((option) => (
+          <option key={option} value={option}>Last {option} months</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  if (isError) {
+    return (
+      <div className="space-y-6">
+        {header}
+        <ErrorState
+          title="Failed to load analytics"
+          message="We couldn't compute the dashboard reports. Please try again later."
+          onRetry={() => setReloadKey((key) => key + 1)}
+        />
+      </div>
+    );
+  }
+
+  if (!analytics) {
+    return (
+      <div className="space-y-6">
+        {header}
+        <div className="grid md:grid-cols-2 gap-6">
+          <ChartSkeleton />
+          <ChartSkeleton />
+        </div>
+      </div>
+    );
+  }
+
+  const totalQuantity = analytics.crops.reduce((sum, bucket) => sum + bucket.quantity, 0);
+  const maxMonthlyBatches = Math.max(1, ...analytics.months.map((bucket) => bucket.batches));
+
+  return (
+    <div className="space-y-6">
+      {header}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div className={cardClass}>
+          <h3 className={titleClass}>Crop Types Distribution</h3>
+          {analytics.crops.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No batches in this period.</p>
+          ) : (
+            <div className="space-y-4">
+              {analytics.crops.map((bucket, index) => {
+                const share = totalQuantity ? bucket.quantity / totalQuantity : 0;
+                return (
+                  <div key={bucket.key} className="flex items-center">
+                    <span className="w-16 text-sm text-gray-600 dark:text-gray-300 capitalize">{bucket.key}</span>
+                    <div className="flex-1 mx-4 bg-gray-200 dark:bg-gray-700 rounded-full h-3">
+                      <div
+                        className={`h-3 rounded-full ${CROP_COLORS[index % CROP_COLORS.length]}`}
+                        style={{ width: percent(share) }}
+                      ></div>
+                    </div>
+                    <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{percent(share)}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className={cardClass}>
+          <h3 className={titleClass}>Monthly Activity</h3>
+          <div className="flex items-end justify-between h-48 px-4">
+            {analytics.months.map((bucket) => (
+              <div key={bucket.key} className="flex flex-col items-center" title={`${bucket.batches} batches, ${bucket.quantity.toLocaleString()} kg`}>
+                <div
+                  className="bg-gradient-to-t from-green-500 to-green-400 rounded-t-lg w-8 transition-all duration-500 hover:from-green-600 hover:to-green-500"
+                  style={{ height: `${Math.round((bucket.batches / maxMonthlyBatches) * 150)}px` }}
+                ></div>
+                <span className="text-xs text-gray-600 dark:text-gray-300 mt-2">{monthLabel(bucket.key)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-6">
+        <div className={cardClass}>
+          <h3 className={titleClass}>
+            <Clock className="h-5 w-5 mr-2 text-blue-600 dark:text-blue-400" />
+            Average Time per Stage
+          </h3>
+          <ul className="space-y-3">
+            {analytics.dwellTimes.map((dwell) => (
+              <li key={dwell.stage} className="flex items-center justify-between">
+                <span className="capitalize text-gray-700 dark:text-gray-200">{dwell.stage}</span>
+                <span className="font-medium text-gray-800 dark:text-white" title={`${dwell.batches} batches`}>
+                  {formatHours(dwell.avgHours)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className={cardClass}>
+          <h3 className={titleClass}>
+            <Trophy className="h-5 w-5 mr-2 text-yellow-500" />
+            Top Farmers
+          </h3>
+          {analytics.topFarmers.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No batches in this period.</p>
+          ) : (
+            <ol className="space-y-3">
+              {analytics.topFarmers.map((farmer) => (
+                <li key={farmer.farmerId} className="flex items-center justify-between">
+                  <span className="text-gray-700 dark:text-gray-200 truncate mr-2">{farmer.farmerName}</span>
+                  <span className="text-sm font-medium text-gray-800 dark:text-white whitespace-nowrap">
+                    {farmer.quantity.toLocaleString()} kg · {farmer.batches}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div className={cardClass}>
+          <h3 className={titleClass}>
+            <AlertTriangle className="h-5 w-5 mr-2 text-red-500" />
+            Quality
+          </h3>
+          <dl className="space-y-4">
+            <div>
+              <dt className="text-sm text-gray-600 dark:text-gray-300">Recall rate</dt>
+              <dd className="text-2xl font-bold text-gray-800 dark:text-white">
+                {percent(analytics.recalls.recallRate)}
+                <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                  {analytics.recalls.recalledBatches} of {analytics.recalls.totalBatches}
+                </span>
+              </dd>
+            </div>
+            <div>
+              <dt className="text-sm text-gray-600 dark:text-gray-300">Blockchain sync errors</dt>
+              <dd className="text-2xl font-bold text-gray-800 dark:text-white">
+                {percent(analytics.syncErrors.errorRate)}
+                <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                  {analytics.syncErrors.error} failed, {analytics.syncErrors.pending} pending
+                </span>
+              </dd>
+            </div>
+          </dl>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DashboardAnalytics;
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
-import { Menu, LogOut, User, LayoutDashboard, Sun, Moon } from 'lucide-react';
+import { Menu, LogOut, User, LayoutDashboard, Sun, Moon, MonitorX } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useTranslation } from 'react-i18next';
 import { useTheme } from '../context/ThemeContext';
@@ -9,7 +9,7 @@ import Sidebar from './Sidebar';
 import LanguageSwitcher from './LanguageSwitcher';
 
 const Header: React.FC = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const { theme, toggleTheme } = useTheme();
@@ -24,6 +24,12 @@ const Header: React.FC = () => {
     navigate('/login');
   };
 
+  const handleLogoutAll = async () => {
+    if (!window.confirm(t('nav.logoutAll') + '?')) return;
+    await logoutAll();
+    navigate('/login');
+  };
+
   const navItems = [
     { path: '/', label: t('nav.home'), icon: LayoutDashboard },
     { path: '/dashboard', label: t('nav.dashboard'), icon: LayoutDashboard },
@@ -81,6 +87,15 @@ const Header: React.FC = () => {
                     >
                       <LogOut className="h-5 w-5" />
                     </button>
+
+                    <button
+                      onClick={handleLogoutAll}
+                      className="p-2 text-gray-500 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700 rounded-full transition-colors"
+                      title={t('nav.logoutAll')}
+                      aria-label={t('nav.logoutAll')}
+                    >
+                      <MonitorX className="h-5 w-5" />
+                    </button>
                   </div>
                 </>
               ) : (
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { Crosshair, ShieldCheck } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { zkService, type CertifiedRegion } from '../services/zkService';
+import { formatBoundingBox, isInsideBox, type Coordinates } from '../utils/location';
+
+/**
+ * Farm location and the certified region it lies in. Stays in the browser; the proof
+ * generated from it is bound to the batch, so it is only generated once the batch exists.
+ */
+export interface OriginLocation {
+  point: Coordinates;
+  region: CertifiedRegion;
+}
+
+interface OriginProofPanelProps {
+  onChange: (location: OriginLocation | null) => void;
+}
+
+type Status = 'idle' | 'locating' | 'error';
+
+/**
+ * "Prove origin privately" section of AddBatch. The farmer picks a certified region and
+ * supplies the farm's coordinates (GPS or typed in). Once the point is inside the region it
+ * is handed to the form, which proves it in a Web Worker after the batch is created.
+ */
+const OriginProofPanel: React.FC<OriginProofPanelProps> = ({ onChange }) => {
+  const { t } = useTranslation();
+
+  const [enabled, setEnabled] = useState(false);
+  const [regions, setRegions] = useState<CertifiedRegion[]>([]);
+  const [regionId, setRegionId] = useState('');
+  const [latitude, setLatitude] = useState('');
+  const [longitude, setLongitude] = useState('');
+  const [status, setStatus] = useState<Status>('idle');
+  const [error, setError] = useState<string | null>(null);
+
+  const region = regions.find((r) => r.regionId === regionId) || null;
+
+  useEffect(() => {
+    if (!enabled || regions.length > 0) return;
+    zkService.getCertifiedRegions()
+      .then(setRegions)
+      .catch((err: Error) => {
+        setStatus('error');
+        setError(err.message);
+      });
+  }, [enabled, regions.length]);
+
+  const point = { latitude: Number(latitude), longitude: Number(longitude) };
+  const entered = latitude !== '' && longitude !== '';
+  let problem: string | null = null;
+  if (entered && (Math.abs(point.latitude) > 90 || Math.abs(point.longitude) > 180)) {
+    problem = t('batch.originProof.invalidCoordinates');
+  } else if (entered && region && !isInsideBox(point, region.bounds)) {
+    problem = t('batch.originProof.outsideRegion');
+  }
+  const ready = enabled && Boolean(region) && entered && !problem;
+
+  // Only a point inside the selected region is handed to the form
+  useEffect(() => {
+    onChange(ready && region ? { point: { latitude: Number(latitude), longitude: Number(longitude) }, region } : null);
+  }, [ready, region, latitude, longitude, onChange]);
+
+  const clearError = () => {
+    setStatus('idle');
+    setError(null);
+  };
+
+  const handleToggle = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setEnabled(e.target.checked);
+    clearError();
+  };
+
+  const handleUseGps = () => {
+    if (!navigator.geolocation) {
+      setStatus('error');
+      setError(t('batch.originProof.gpsUnavailable'));
+      return;
+    }
+
+    clearError();
+    setStatus('locating');
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLatitude(position.coords.latitude.toFixed(6));
+        setLongitude(position.coords.longitude.toFixed(6));
+        setStatus('idle');
+      },
+      () => {
+        setStatus('error');
+        setError(t('batch.originProof.gpsUnavailable'));
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  return (
+    <div className="border rounded-lg p-4 space-y-4">
+      <label className="flex items-start gap-3 cursor-pointer">
+        <input type="checkbox" checked={enabled} onChange={handleToggle} className="mt-1" />
+        <span>
+          <span className="text-sm font-semibold text-gray-700 dark:text-gray-200">{t('batch.originProof.title')}</span>
+          <span className="block text-xs text-gray-500 dark:text-gray-400">{t('batch.originProof.subtitle')}</span>
+        </span>
+      </label>
+
+      {enabled && (
+        <>
+          <div>
+            <label className="text-sm font-semibold text-gray-700 dark:text-gray-200">{t('batch.originProof.region')}</label>
+            <select
+              value={regionId}
+              onChange={(e) => { setRegionId(e.target.value); clearError(); }}
+              className="w-full px-4 py-3 border rounded-lg"
+            >
+              <option value="">{t('batch.originProof.selectRegion')}</option>
+              {regions.map((r) => (
+                <option key={r.regionId} value={r.regionId}>
+                  {r.name} ({formatBoundingBox(r.bounds)})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid md:grid-cols-[1fr_1fr_auto] gap-4 items-end">
+            <div>
+              <label className="text-sm font-semibold text-gray-700 dark:text-gray-200">{t('batch.originProof.latitude')}</label>
+              <input
+                type="number"
+                step="any"
+                value={latitude}
+                onChange={(e) => { setLatitude(e.target.value); clearError(); }}
+                className="w-full px-4 py-3 border rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="text-sm font-semibold text-gray-700 dark:text-gray-200">{t('batch.originProof.longitude')}</label>
+              <input
+                type="number"
+                step="any"
+                value={longitude}
+                onChange={(e) => { setLongitude(e.target.value); clearError(); }}
+                className="w-full px-4 py-3 border rounded-lg"
+              />
+            </div>
+            <button
+              type="button"
+              onClick={handleUseGps}
+              disabled={status === 'locating'}
+              className="inline-flex items-center justify-center gap-2 px-4 py-3 border rounded-lg text-sm"
+            >
+              <Crosshair className="h-4 w-4" />
+              {status === 'locating' ? t('batch.originProof.locating') : t('batch.originProof.useGps')}
+            </button>
+          </div>
+
+          {ready && region && (
+            <p className="inline-flex items-center gap-1 text-sm text-green-700 dark:text-green-400">
+              <ShieldCheck className="h-4 w-4" />
+              {t('batch.originProof.ready', { region: region.name })}
+            </p>
+          )}
+
+          {problem && (
+            <p className="text-sm text-red-600 dark:text-red-400">{problem}</p>
+          )}
+
+          {status === 'error' && error && (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OriginProofPanel;
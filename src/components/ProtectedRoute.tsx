@@ -1,10 +1,11 @@
 import React from 'react';
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { UserRole } from '../services/auth.service';
 
 interface ProtectedRouteProps {
     children: React.ReactNode;
-    allowedRoles?: ('farmer' | 'transporter' | 'admin')[];
+    allowedRoles?: UserRole[];
 }
 
 const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children, allowedRoles }) => {
@@ -23,7 +24,7 @@ const ProtectedRoute: React.FC<ProtectedRouteProps> = ({ children, allowedRoles
         return <Navigate to="/login" state={{ from: location }} replace />;
     }
 
-    if (allowedRoles && user && !allowedRoles.includes(user.role)) {
+    if (allowedRoles && user && (!user.role || !allowedRoles.includes(user.role))) {
         return <Navigate to="/access-denied" replace />;
     }
 
@@ -1,85 +1,278 @@
-import React, { useState } from 'react';
-import { Camera, X, Upload } from 'lucide-react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Camera, X, Upload, Keyboard, AlertCircle } from 'lucide-react';
+import { decodeQRCode, extractBatchId } from '../utils/qr';
 
 interface QRScannerProps {
   onScan: (result: string) => void;
   onClose: () => void;
 }
 
+type CameraState = 'idle' | 'starting' | 'scanning' | 'error';
+
+// Frames are downscaled before decoding; batch label codes stay readable well below this width
+const MAX_DECODE_WIDTH = 640;
+const SCAN_INTERVAL_MS = 200;
+
+const cameraErrorMessage = (error: unknown): string => {
+  const name = error instanceof DOMException ? error.name : '';
+  switch (name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Camera access was denied. Allow camera access for this site in your browser settings, or upload a photo or enter the batch ID below.';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'No camera was found on this device. Upload a photo of the QR code or enter the batch ID below.';
+    case 'NotReadableError':
+      return 'The camera is in use by another application. Close it and try again.';
+    default:
+      return 'Could not start the camera. Upload a photo of the QR code or enter the batch ID below.';
+  }
+};
+
 const QRScanner: React.FC<QRScannerProps> = ({ onScan, onClose }) => {
   const [scannedResult, setScannedResult] = useState('');
+  const [cameraState, setCameraState] = useState<CameraState>('idle');
+  const [error, setError] = useState('');
+  const [manualId, setManualId] = useState('');
+
+  const videoRef = useRef<HTMLVideoElement>(null);
+  const canvasRef = useRef<HTMLCanvasElement | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const streamRef = useRef<MediaStream | null>(null);
+  const timerRef = useRef<number | null>(null);
+
+  const stopCamera = useCallback(() => {
+    if (timerRef.current !== null) {
+      window.clearInterval(timerRef.current);
+      timerRef.current = null;
+    }
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+  }, []);
+
+  // Release the camera when the scanner is closed or unmounted
+  useEffect(() => stopCamera, [stopCamera]);
+
+  const getCanvas = () => {
+    if (!canvasRef.current) canvasRef.current = document.createElement('canvas');
+    return canvasRef.current;
+  };
+
+  // Draw an image or video frame onto the work canvas (downscaled) and try to decode it
+  const decodeSource = (source: CanvasImageSource, sourceWidth: number, sourceHeight: number): string | null => {
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const scale = Math.min(1, MAX_DECODE_WIDTH / sourceWidth);
+    const width = Math.round(sourceWidth * scale);
+    const height = Math.round(sourceHeight * scale);
+    const canvas = getCanvas();
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    if (!context) return null;
+
+    context.drawImage(source, 0, 0, width, height);
+    return decodeQRCode(context.getImageData(0, 0, width, height).data, width, height);
+  };
+
+  const handleResult = (text: string) => {
+    const batchId = extractBatchId(text);
+    if (!batchId) return;
+
+    stopCamera();
+    setCameraState('idle');
+    setError('');
+    setScannedResult(batchId);
+    setTimeout(() => onScan(batchId), 800);
+  };
+
+  const startCamera = async () => {
+    setError('');
+
+    if (!navigator.mediaDevices?.getUserMedia) {
+      setCameraState('error');
+      setError(window.isSecureContext
+        ? 'This browser does not support camera access. Upload a photo of the QR code or enter the batch ID below.'
+        : 'Camera access requires a secure (HTTPS) connection. Upload a photo of the QR code or enter the batch ID below.');
+      return;
+    }
+
+    setCameraState('starting');
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { ideal: 'environment' } },
+        audio: false
+      });
+      streamRef.current = stream;
+
+      const video = videoRef.current;
+      if (!video) {
+        stopCamera();
+        return;
+      }
+      video.srcObject = stream;
+      await video.play();
+      setCameraState('scanning');
 
-  // Simulate QR scanning - in a real app, you'd use a camera library
-  const simulateScan = () => {
-    const sampleBatchIds = [
-      'CROP-2024-001',
-      'CROP-2024-002', 
-      'CROP-2024-003',
-      'CROP-2024-004'
-    ];
-    const randomId = sampleBatchIds[Math.floor(Math.random() * sampleBatchIds.length)];
-    setScannedResult(randomId);
-    setTimeout(() => {
-      onScan(randomId);
-    }, 1000);
+      timerRef.current = window.setInterval(() => {
+        if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) return;
+        const result = decodeSource(video, video.videoWidth, video.videoHeight);
+        if (result) handleResult(result);
+      }, SCAN_INTERVAL_MS);
+    } catch (err) {
+      console.error('Failed to start camera:', err);
+      stopCamera();
+      setCameraState('error');
+      setError(cameraErrorMessage(err));
+    }
   };
 
+  const handleStopCamera = () => {
+    stopCamera();
+    setCameraState('idle');
+  };
+
+  const handleFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      const bitmap = await createImageBitmap(file);
+      const result = decodeSource(bitmap, bitmap.width, bitmap.height);
+      bitmap.close();
+
+      if (result) {
+        handleResult(result);
+      } else {
+        setError('No QR code found in that image. Try a closer, well-lit photo or enter the batch ID below.');
+      }
+    } catch (err) {
+      console.error('Failed to read image:', err);
+      setError('Could not read that file. Please choose a JPG or PNG image.');
+    }
+  };
+
+  const handleManualSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (manualId.trim()) handleResult(manualId);
+  };
+
+  const handleClose = () => {
+    stopCamera();
+    onClose();
+  };
+
+  const isCameraActive = cameraState === 'starting' || cameraState === 'scanning';
+
   return (
-    <div className="bg-gray-50 rounded-xl p-6 border-2 border-dashed border-gray-300">
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 border-2 border-dashed border-gray-300 dark:border-gray-600">
       <div className="flex items-center justify-between mb-4">
-        <h3 className="text-lg font-semibold text-gray-800">QR Code Scanner</h3>
+        <h3 className="text-lg font-semibold text-gray-800 dark:text-white">QR Code Scanner</h3>
         <button
-          onClick={onClose}
-          className="p-2 hover:bg-gray-200 rounded-full transition-colors"
+          onClick={handleClose}
+          aria-label="Close scanner"
+          className="p-2 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-full transition-colors"
         >
-          <X className="h-5 w-5 text-gray-600" />
+          <X className="h-5 w-5 text-gray-600 dark:text-gray-300" />
         </button>
       </div>
-      
+
       <div className="text-center space-y-6">
-        <div className="bg-white rounded-lg p-8 border-2 border-gray-200">
+        <div className="bg-white dark:bg-gray-900 rounded-lg p-4 border-2 border-gray-200 dark:border-gray-700">
           {scannedResult ? (
-            <div className="space-y-4">
+            <div className="space-y-4 py-4">
               <div className="text-6xl">✅</div>
               <p className="text-green-600 font-semibold">QR Code Scanned!</p>
-              <p className="font-mono text-lg bg-green-50 px-4 py-2 rounded border">
+              <p className="font-mono text-lg bg-green-50 dark:bg-green-900/30 dark:text-white px-4 py-2 rounded border">
                 {scannedResult}
               </p>
             </div>
           ) : (
             <div className="space-y-4">
-              <Camera className="h-16 w-16 text-gray-400 mx-auto" />
-              <p className="text-gray-600">Position QR code within the frame</p>
-              <div className="w-48 h-48 mx-auto border-4 border-blue-500 border-dashed rounded-lg flex items-center justify-center">
-                <p className="text-blue-600 font-medium">Scan Area</p>
+              <div className={`relative mx-auto max-w-sm ${isCameraActive ? '' : 'hidden'}`}>
+                <video
+                  ref={videoRef}
+                  playsInline
+                  muted
+                  className="w-full rounded-lg bg-black"
+                />
+                <div className="absolute inset-8 border-4 border-green-500 border-dashed rounded-lg pointer-events-none" />
               </div>
+              {!isCameraActive && (
+                <div className="space-y-4 py-4">
+                  <Camera className="h-16 w-16 text-gray-400 mx-auto" />
+                  <p className="text-gray-600 dark:text-gray-300">Scan the QR code on the batch label with your camera or upload a photo of it</p>
+                </div>
+              )}
+              {cameraState === 'scanning' && (
+                <p className="text-gray-600 dark:text-gray-300">Position the QR code within the frame</p>
+              )}
+              {cameraState === 'starting' && (
+                <p className="text-gray-600 dark:text-gray-300">Starting camera...</p>
+              )}
             </div>
           )}
         </div>
-        
-        <div className="flex flex-col sm:flex-row gap-3 justify-center">
-          <button
-            onClick={simulateScan}
-            disabled={!!scannedResult}
-            className={`px-6 py-3 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center space-x-2 ${
-              scannedResult
-                ? 'bg-gray-400 cursor-not-allowed'
-                : 'bg-blue-600 hover:bg-blue-700 transform hover:scale-105'
-            } text-white`}
-          >
-            <Camera className="h-5 w-5" />
-            <span>Simulate Scan</span>
-          </button>
-          
-          <button className="px-6 py-3 bg-gray-600 text-white rounded-lg font-semibold hover:bg-gray-700 transition-colors flex items-center justify-center space-x-2">
-            <Upload className="h-5 w-5" />
-            <span>Upload Image</span>
-          </button>
-        </div>
-        
-        <p className="text-sm text-gray-500">
-          Demo mode: Click "Simulate Scan" to test with sample QR codes
-        </p>
+
+        {error && (
+          <div className="flex items-start gap-2 text-left text-sm text-red-700 dark:text-red-300 bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-lg p-3" role="alert">
+            <AlertCircle className="h-5 w-5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {!scannedResult && (
+          <>
+            <div className="flex flex-col sm:flex-row gap-3 justify-center">
+              <button
+                onClick={isCameraActive ? handleStopCamera : startCamera}
+                className="px-6 py-3 rounded-lg font-semibold transition-all duration-200 flex items-center justify-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white"
+              >
+                <Camera className="h-5 w-5" />
+                <span>{isCameraActive ? 'Stop Camera' : 'Use Camera'}</span>
+              </button>
+
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="px-6 py-3 bg-gray-600 text-white rounded-lg font-semibold hover:bg-gray-700 transition-colors flex items-center justify-center space-x-2"
+              >
+                <Upload className="h-5 w-5" />
+                <span>Upload Image</span>
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="image/*"
+                capture="environment"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+            </div>
+
+            <form onSubmit={handleManualSubmit} className="flex gap-2">
+              <div className="relative flex-1">
+                <Keyboard className="absolute left-3 top-3 h-5 w-5 text-gray-400" />
+                <input
+                  type="text"
+                  value={manualId}
+                  onChange={(e) => setManualId(e.target.value)}
+                  placeholder="Or type the batch ID (e.g., CROP-2025-001)"
+                  className="w-full pl-10 pr-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-800 dark:text-white focus:ring-2 focus:ring-green-500"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={!manualId.trim()}
+                className="px-4 py-2.5 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white rounded-lg font-semibold"
+              >
+                Go
+              </button>
+            </form>
+          </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,79 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { BatchRecall } from '../services/realCropBatchService';
+
+interface RecallNoticeProps {
+  batchId: string;
+  // Batches recalled before recalls carried details only have the flag
+  recall?: BatchRecall | null;
+  // Track the batch the recall was issued for
+  onSelect: (batchId: string) => void;
+}
+
+const SEVERITY_STYLES: Record<BatchRecall['severity'], string> = {
+  high: 'bg-red-600 text-white',
+  medium: 'bg-orange-500 text-white',
+  low: 'bg-yellow-400 text-gray-900',
+};
+
+/**
+ * Banner shown on recalled batches: severity, reason, evidence and, for batches split or
+ * merged from a recalled batch, the batch the recall was issued for.
+ */
+const RecallNotice: React.FC<RecallNoticeProps> = ({ batchId, recall, onSelect }) => {
+  const inherited = recall && recall.sourceBatchId !== batchId;
+
+  return (
+    <div role="alert" className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-xl p-6">
+      <div className="flex items-start gap-3">
+        <AlertTriangle className="h-6 w-6 flex-shrink-0 text-red-600 dark:text-red-400" />
+        <div className="space-y-2">
+          <h2 className="text-lg font-bold text-red-800 dark:text-red-200 flex items-center gap-2">
+            This batch has been recalled
+            {recall && (
+              <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${SEVERITY_STYLES[recall.severity]}`}>
+                {recall.severity}
+              </span>
+            )}
+          </h2>
+          {recall ? (
+            <>
+              <p className="text-red-800 dark:text-red-200">{recall.reason}</p>
+              {inherited && (
+                <p className="text-sm text-red-700 dark:text-red-300">
+                  Recalled with{' '}
+                  <button
+                    type="button"
+                    onClick={() => onSelect(recall.sourceBatchId)}
+                    className="font-mono underline hover:text-red-900 dark:hover:text-red-100"
+                  >
+                    {recall.sourceBatchId}
+                  </button>
+                  , which it was split or merged from.
+                </p>
+              )}
+              {recall.evidence.length > 0 && (
+                <ul className="text-sm text-red-700 dark:text-red-300 list-disc list-inside">
+                  {recall.evidence.map((item) => (
+                    <li key={item} className="break-all">
+                      {/^https?:\/\//.test(item)
+                        ? <a href={item} target="_blank" rel="noopener noreferrer" className="underline">{item}</a>
+                        : item}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <p className="text-xs text-red-600 dark:text-red-400">
+                Recalled on {new Date(recall.recalledAt).toLocaleDateString()}
+              </p>
+            </>
+          ) : (
+            <p className="text-red-800 dark:text-red-200">Do not move, sell or consume it.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecallNotice;
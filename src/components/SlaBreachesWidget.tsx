@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { AlarmClock, Loader2, RefreshCw } from 'lucide-react';
+import { realCropBatchService, SlaBreachedBatch } from '../services/realCropBatchService';
+import CopyButton from './CopyButton';
+
+const PAGE_SIZE = 10;
+
+const hoursSince = (date: string) => (Date.now() - new Date(date).getTime()) / (60 * 60 * 1000);
+
+const formatDuration = (hours: number) => (hours >= 48 ? `${(hours / 24).toFixed(1)} d` : `${hours.toFixed(1)} h`);
+
+/**
+ * Batches the SLA scan flagged for staying too long in a stage (admin dashboard)
+ */
+const SlaBreachesWidget: React.FC = () => {
+  const [breaches, setBreaches] = useState<SlaBreachedBatch[]>([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    realCropBatchService.getSlaBreaches(1, PAGE_SIZE)
+      .then((data) => {
+        if (cancelled) return;
+        setBreaches(data.breaches);
+        setTotal(data.pagination.total);
+        setError('');
+      })
+      .catch((err: Error) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey]);
+
+  const handleScan = async () => {
+    setIsScanning(true);
+    try {
+      await realCropBatchService.scanSlaBreaches();
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'SLA scan failed');
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-semibold text-gray-800 dark:text-white flex items-center">
+          <AlarmClock className="h-6 w-6 mr-3 text-red-500" />
+          SLA Breaches
+          {total > 0 && (
+            <span className="ml-3 px-2 py-0.5 rounded-full bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300 text-sm font-medium">
+              {total}
+            </span>
+          )}
+        </h2>
+        <button
+          onClick={handleScan}
+          disabled={isScanning}
+          className="inline-flex items-center gap-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-gray-700 dark:text-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isScanning ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+          Scan now
+        </button>
+      </div>
+
+      {error && <p className="mb-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+        </div>
+      ) : breaches.length === 0 ? (
+        !error && <p className="text-sm text-gray-500 dark:text-gray-400">No batch is over its stage SLA.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {breaches.map((batch) => {
+            const { slaBreach } = batch;
+            const stillInStage = batch.currentStage === slaBreach.stage;
+            return (
+              <li key={batch.batchId} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-mono text-sm bg-gray-100 dark:bg-gray-600 dark:text-white px-2 py-1 rounded">
+                      {batch.batchId}
+                    </span>
+                    <CopyButton value={batch.batchId} label="batch id" />
+                    <span className="text-sm text-gray-600 dark:text-gray-300 capitalize">
+                      {batch.cropType} · {batch.farmerName}
+                    </span>
+                  </div>
+                  <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">{slaBreach.reason}</p>
+                </div>
+                <div className="text-sm text-right whitespace-nowrap">
+                  <span className="capitalize font-medium text-gray-800 dark:text-white">{slaBreach.stage}</span>
+                  <span className="text-gray-500 dark:text-gray-400"> · SLA {formatDuration(slaBreach.limitHours)}</span>
+                  <p className={stillInStage ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}>
+                    {stillInStage
+                      ? `${formatDuration(hoursSince(slaBreach.enteredStageAt))} in stage`
+                      : `Moved on to ${batch.currentStage}`}
+                  </p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {total > breaches.length && (
+        <p className="mt-4 text-sm text-gray-500 dark:text-gray-400">
+          Showing the {breaches.length} most recent of {total} flagged batches.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SlaBreachesWidget;
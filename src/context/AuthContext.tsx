@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import axios from 'axios';
 import toast from 'react-hot-toast';
-import { authService, LoginCredentials, RegisterCredentials, User } from '../services/auth.service';
+import { authService, LoginCredentials, RegisterCredentials, User, SESSION_EXPIRED_EVENT } from '../services/auth.service';
+import { buildSiweMessage } from '../utils/siwe';
 
 interface AuthContextType {
   user: User | null;
@@ -9,6 +11,7 @@ interface AuthContextType {
   connectWallet: () => Promise<void>;
   walletLogin: () => Promise<void>;
   logout: () => void;
+  logoutAll: () => Promise<void>;
   isLoading: boolean;
   isWalletConnected: boolean;
 }
@@ -40,6 +43,16 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     initAuth();
   }, []);
 
+  // The refresh token was rejected (expired, logged out elsewhere or revoked by an admin)
+  useEffect(() => {
+    const onSessionExpired = () => {
+      setUser(null);
+      toast.error('Your session has ended. Please log in again.');
+    };
+    window.addEventListener(SESSION_EXPIRED_EVENT, onSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, onSessionExpired);
+  }, []);
+
   const checkWalletConnected = async () => {
     try {
       const { ethereum } = window as any;
@@ -65,8 +78,7 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     try {
       const response = await authService.login(credentials);
       setUser(response.user);
-      localStorage.setItem('user', JSON.stringify(response.user));
-      localStorage.setItem('token', response.token);
+      authService.storeSession(response);
       toast.success('Login successful!');
     } catch (error: any) {
       const message = error.response?.data?.message || 'Login failed';
@@ -82,8 +94,7 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     try {
       const response = await authService.register(credentials);
       setUser(response.user);
-      localStorage.setItem('user', JSON.stringify(response.user));
-      localStorage.setItem('token', response.token);
+      authService.storeSession(response);
       toast.success('Registration successful!');
     } catch (error: any) {
       const message = error.response?.data?.message || 'Registration failed';
@@ -133,9 +144,9 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
    * 
    * Flow:
    * 1. Get nonce from backend
-   * 2. User signs nonce with wallet
-   * 3. Send signature to backend
-   * 4. Backend verifies signature and returns JWT with user role
+   * 2. Build a Sign-In with Ethereum (EIP-4361) message for this site and chain; user signs it
+   * 3. Send message and signature to backend
+   * 4. Backend verifies message and signature and returns JWT with user role
    * 
    * This ensures role is ALWAYS assigned by backend, never by frontend.
    */
@@ -155,26 +166,40 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     setIsLoading(true);
 
     try {
+      const address: string = ethereum.selectedAddress;
+
       // Step 1: Get nonce from backend
-      const nonce = await authService.getNonce(ethereum.selectedAddress);
+      const challenge = await authService.getNonce(address);
+
+      const chainId = parseInt(await ethereum.request({ method: 'eth_chainId' }), 16);
+      if (!challenge.chainIds.includes(chainId)) {
+        toast.error(`Switch your wallet to a supported network (chain ID ${challenge.chainIds.join(', ')})`);
+        return;
+      }
 
-      // Step 2: Ask user to sign the nonce
+      // Step 2: Ask user to sign a SIWE message bound to this site, chain and nonce
+      const message = buildSiweMessage({
+        ...challenge,
+        address,
+        chainId,
+        domain: window.location.host,
+        uri: window.location.origin
+      });
       const signature = await ethereum.request({
         method: 'personal_sign',
-        params: [nonce, ethereum.selectedAddress],
+        params: [message, address],
       });
 
-      // Step 3: Send signature to backend for verification
+      // Step 3: Send message and signature to backend for verification
       const response = await authService.walletLogin({
-        address: ethereum.selectedAddress,
+        message,
         signature,
-        nonce
+        address
       });
 
       // Step 4: Store JWT and user data
       setUser(response.user);
-      localStorage.setItem('user', JSON.stringify(response.user));
-      localStorage.setItem('token', response.token);
+      authService.storeSession(response);
       
       toast.success('Wallet authentication successful!');
     } catch (error: any) {
@@ -198,6 +223,20 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
     toast.success("Logged out");
   };
 
+  const logoutAll = async () => {
+    try {
+      await authService.logoutAll();
+      setUser(null);
+      setIsWalletConnected(false);
+      toast.success("Logged out of all sessions");
+    } catch (error) {
+      const message = axios.isAxiosError(error) && error.response?.data?.message
+        ? error.response.data.message
+        : 'Failed to log out of all sessions';
+      toast.error(message);
+    }
+  };
+
   return (
     <AuthContext.Provider value={{ 
       user, 
@@ -206,6 +245,7 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({ children }) =>
       connectWallet, 
       walletLogin, 
       logout, 
+      logoutAll,
       isLoading,
       isWalletConnected 
     }}>
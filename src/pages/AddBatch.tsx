@@ -3,6 +3,8 @@ import { Plus, Upload, MapPin, Calendar, User } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import toast from 'react-hot-toast';
 import { realCropBatchService } from '../services/realCropBatchService';
+import { zkService } from '../services/zkService';
+import OriginProofPanel, { type OriginLocation } from '../components/OriginProofPanel';
 
 const AddBatch: React.FC = () => {
   const { t } = useTranslation();
@@ -18,6 +20,7 @@ const AddBatch: React.FC = () => {
     description: ''
   });
 
+  const [originLocation, setOriginLocation] = useState<OriginLocation | null>(null);
   const [isLoading, setIsLoading] = useState(false);
   const [success, setSuccess] = useState(false);
   const [generatedBatch, setGeneratedBatch] = useState<any>(null);
@@ -56,6 +59,16 @@ const AddBatch: React.FC = () => {
         certifications: '',
         description: ''
       });
+      setOriginLocation(null);
+
+      if (originLocation) {
+        // Off the critical path: the batch exists whether or not the proof can be attached
+        toast.promise(proveOrigin(batch, originLocation), {
+          loading: t('batch.originProof.generating'),
+          success: t('batch.originProof.attached', { region: originLocation.region.name }),
+          error: (err) => `${t('batch.originProof.failed')}: ${err.message}`
+        }).catch((error) => console.error('Failed to attach origin proof:', error));
+      }
 
     } catch (error) {
       console.error('Failed to create batch:', error);
@@ -64,6 +77,19 @@ const AddBatch: React.FC = () => {
     }
   };
 
+  // Proofs are bound to the batch they are for, so they can only be generated once it exists
+  const proveOrigin = async (batch: { batchId: string; chainBatchId: string }, { point, region }: OriginLocation) => {
+    const proof = await zkService.generateLocationProof(point, region, batch.chainBatchId);
+
+    // Check against the backend's key first; the backend checks again when the proof is attached
+    const check = await zkService.verifyLocationProof(proof).catch(() => null);
+    if (check && !check.valid) {
+      throw new Error(t('batch.originProof.verificationFailed'));
+    }
+
+    return realCropBatchService.attachOriginProof(batch.batchId, proof);
+  };
+
   const handleChange = (
     e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>
   ) => {
@@ -153,6 +179,8 @@ const AddBatch: React.FC = () => {
              <textarea name="description" value={formData.description} onChange={handleChange} rows={4} className="w-full px-4 py-3 border rounded-lg" />
           </div>
 
+          <OriginProofPanel onChange={setOriginLocation} />
+
           <div className="flex justify-center pt-4">
             <button type="submit" disabled={isLoading} className="px-8 py-4 bg-green-600 text-white rounded-lg font-semibold">
               {isLoading ? 'Creating...' : t('batch.createBatch')}
@@ -1,24 +1,34 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Shield, TrendingUp, Package, Users, Calendar, BarChart3 } from 'lucide-react';
+import { Shield, TrendingUp, Package, Users, Calendar, BarChart3, MapPinned, Search, ChevronLeft, ChevronRight } from 'lucide-react';
 import ToggleSwitch from '../components/ToggleSwitch';
 import { useAuth } from '../context/AuthContext';
 import { StatsCardSkeleton, TableSkeleton, ChartSkeleton } from '../components/skeletons';
 import { EmptyState } from '../components/common/EmptyState';
 import { ErrorState } from '../components/common/ErrorState';
-import { realCropBatchService } from '../services/realCropBatchService';
+import { realCropBatchService, BatchListPagination, BatchStats } from '../services/realCropBatchService';
 import Skeleton from '../components/Skeleton';
 import CopyButton from '../components/CopyButton';
+import DashboardAnalytics from '../components/DashboardAnalytics';
+import SlaBreachesWidget from '../components/SlaBreachesWidget';
+
+const PAGE_SIZE = 20;
+const CROP_TYPES = ['rice', 'wheat', 'corn', 'tomato'];
 
 const AdminDashboard: React.FC = () => {
-  const [stats, setStats] = useState({
+  const [stats, setStats] = useState<BatchStats>({
     totalBatches: 0,
     totalFarmers: 0,
     totalQuantity: 0,
-    recentBatches: [] as any[]
+    recentBatches: 0,
+    recalledBatches: 0
   });
   const [batches, setBatches] = useState<any[]>([]);
+  const [pagination, setPagination] = useState<BatchListPagination | null>(null);
+  const [query, setQuery] = useState({ page: 1, q: '', cropType: '' });
+  const [searchInput, setSearchInput] = useState('');
   const [isLoading, setIsLoading] = useState(true);
+  const [isListLoading, setIsListLoading] = useState(true);
   const [isError, setIsError] = useState(false);
 
   const { user } = useAuth();
@@ -32,8 +42,8 @@ const AdminDashboard: React.FC = () => {
     if (batches.length > 0) {
       const statusMap: Record<string, boolean> = {};
       batches.forEach(batch => {
-        // If batch has a status property, use it; otherwise default to true (active)
-        statusMap[batch.batchId] = batch.status !== undefined ? batch.status : true;
+        // Active unless the batch was flagged (e.g. by the SLA scan) or deactivated
+        statusMap[batch.batchId] = batch.status ? batch.status === 'Active' : true;
       });
       setBatchStatus(statusMap);
     }
@@ -45,24 +55,42 @@ const AdminDashboard: React.FC = () => {
   };
 
   useEffect(() => {
-    loadDashboardData();
+    realCropBatchService.getBatchStats()
+      .then(setStats)
+      .catch((error) => console.error('Failed to load dashboard stats:', error));
   }, []);
 
-  const loadDashboardData = async () => {
-    setIsLoading(true);
-    try {
-      const data = await realCropBatchService.getAllBatches();
+  // Reload the table whenever the page, search or filter changes
+  useEffect(() => {
+    let cancelled = false;
+    setIsListLoading(true);
+    realCropBatchService.listBatches({ ...query, limit: PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setBatches(data.batches);
+        setPagination(data.pagination);
+        setIsError(false);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Failed to load batches:', error);
+        setIsError(true);
+      })
+      .finally(() => {
+        if (cancelled) return;
+        setIsListLoading(false);
+        setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  const reloadBatches = () => setQuery((prev) => ({ ...prev }));
 
-      if (data) {
-        setStats(data.stats || { totalBatches: 0, totalFarmers: 0, totalQuantity: 0, recentBatches: [] });
-        setBatches(data.batches || []);
-      }
-    } catch (error) {
-      console.error('Failed to load dashboard data:', error);
-      setIsError(true);
-    } finally {
-      setIsLoading(false);
-    }
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setQuery((prev) => ({ ...prev, page: 1, q: searchInput.trim() }));
   };
 
   const formatDate = (dateString: string) => {
@@ -133,6 +161,13 @@ const AdminDashboard: React.FC = () => {
           Admin Dashboard
         </h1>
         <p className="text-xl text-gray-600 dark:text-gray-300">Monitor and manage the CropChain supply chain network</p>
+        <button
+          onClick={() => navigate('/admin/regions')}
+          className="mt-4 inline-flex items-center gap-2 px-4 py-2 border border-green-600 text-green-700 dark:text-green-400 rounded-lg font-semibold"
+        >
+          <MapPinned className="h-4 w-4" />
+          Certified Regions
+        </button>
       </div>
 
       {/* Stats Overview */}
@@ -196,24 +231,52 @@ const AdminDashboard: React.FC = () => {
         </div>
       </div>
 
+      <SlaBreachesWidget />
+
       {/* Recent Batches Table */}
       <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6">
-        <h2 className="text-2xl font-semibold text-gray-800 dark:text-white mb-6 flex items-center">
-          <Package className="h-6 w-6 mr-3 text-green-600 dark:text-green-400" />
-          Recent Batches
-        </h2>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+          <h2 className="text-2xl font-semibold text-gray-800 dark:text-white flex items-center">
+            <Package className="h-6 w-6 mr-3 text-green-600 dark:text-green-400" />
+            Recent Batches
+          </h2>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <form onSubmit={handleSearch} className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search farmer, origin, notes"
+                className="pl-9 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+              />
+            </form>
+            <select
+              value={query.cropType}
+              onChange={(e) => setQuery((prev) => ({ ...prev, page: 1, cropType: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm capitalize"
+            >
+              <option value="">All crops</option>
+              {CROP_TYPES.map((crop) => (
+                <option key={crop} value={crop}>{crop}</option>
+              ))}
+            </select>
+          </div>
+        </div>
 
         {isError && (
           <div className="p-8">
             <ErrorState
               title="Failed to load batches"
               message="We couldn't load the batch data. Please try again later."
-              onRetry={loadDashboardData}
+              onRetry={reloadBatches}
             />
           </div>
         )}
 
-        {!isError && !isLoading && batches.length === 0 && (
+        {!isError && isListLoading && <TableSkeleton />}
+
+        {!isError && !isListLoading && batches.length === 0 && (
           <div className="p-8">
             <EmptyState
               title="No batches found"
@@ -225,7 +288,7 @@ const AdminDashboard: React.FC = () => {
           </div>
         )}
 
-        {!isError && !isLoading && batches.length > 0 && (
+        {!isError && !isListLoading && batches.length > 0 && (
           <div className="overflow-x-auto">
             <table className="w-full">
               <thead>
@@ -291,52 +354,36 @@ const AdminDashboard: React.FC = () => {
             </table>
           </div>
         )}
-      </div>
 
-      {/* Charts Section */}
-      <div className="grid md:grid-cols-2 gap-6">
-        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6">
-          <h3 className="text-xl font-semibold text-gray-800 dark:text-white mb-4">Crop Types Distribution</h3>
-          <div className="space-y-4">
-            {['Rice', 'Wheat', 'Corn', 'Tomato'].map((crop, index) => {
-              const percentage = Math.random() * 40 + 10;
-              return (
-                <div key={crop} className="flex items-center">
-                  <span className="w-16 text-sm text-gray-600 dark:text-gray-300 capitalize">{crop}</span>
-                  <div className="flex-1 mx-4 bg-gray-200 dark:bg-gray-700 rounded-full h-3">
-                    <div
-                      className={`h-3 rounded-full ${index === 0 ? 'bg-green-500' :
-                        index === 1 ? 'bg-blue-500' :
-                          index === 2 ? 'bg-yellow-500' : 'bg-purple-500'
-                        }`}
-                      style={{ width: `${percentage}%` }}
-                    ></div>
-                  </div>
-                  <span className="text-sm font-medium text-gray-700 dark:text-gray-200">{percentage.toFixed(1)}%</span>
-                </div>
-              );
-            })}
+        {!isError && pagination && pagination.totalPages > 1 && (
+          <div className="mt-6 flex items-center justify-between text-sm text-gray-600 dark:text-gray-300">
+            <span>
+              Page {query.page} of {pagination.totalPages} · {pagination.total} batches
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setQuery((prev) => ({ ...prev, page: prev.page - 1 }))}
+                disabled={isListLoading || query.page <= 1}
+                className="inline-flex items-center px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4" />
+                Previous
+              </button>
+              <button
+                onClick={() => setQuery((prev) => ({ ...prev, page: prev.page + 1 }))}
+                disabled={isListLoading || !pagination.hasNextPage}
+                className="inline-flex items-center px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
           </div>
-        </div>
+        )}
+      </div>
 
-        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6">
-          <h3 className="text-xl font-semibold text-gray-800 dark:text-white mb-4">Monthly Activity</h3>
-          <div className="flex items-end justify-between h-48 px-4">
-            {['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'].map((month) => {
-              const height = Math.random() * 120 + 30;
-              return (
-                <div key={month} className="flex flex-col items-center">
-                  <div
-                    className="bg-gradient-to-t from-green-500 to-green-400 rounded-t-lg w-8 transition-all duration-500 hover:from-green-600 hover:to-green-500"
-                    style={{ height: `${height}px` }}
-                  ></div>
-                  <span className="text-xs text-gray-600 dark:text-gray-300 mt-2">{month}</span>
-                </div>
-              );
-            })}
-          </div>
-        </div>
-      </div >
+      {/* Charts Section */}
+      <DashboardAnalytics />
     </div >
   );
 };
@@ -96,6 +96,12 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="text-right text-sm">
+            <Link to="/forgot-password" className="font-medium text-green-600 hover:text-green-500 dark:text-green-400 dark:hover:text-green-300">
+              {t('auth.forgotPassword')}
+            </Link>
+          </div>
+
           <button
             type="submit"
             disabled={isSubmitting || isLoading}
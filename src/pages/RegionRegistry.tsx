@@ -0,0 +1,344 @@
+import React, { useEffect, useState } from 'react';
+import { Anchor, MapPinned, Pencil, Trash2, AlertTriangle, Plus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import axios from 'axios';
+import { regionService, type CertifiedRegion, type RegionInput } from '../services/regionService';
+import { formatBoundingBox } from '../utils/location';
+import { ErrorState } from '../components/common/ErrorState';
+import { EmptyState } from '../components/common/EmptyState';
+import { TableSkeleton } from '../components/skeletons';
+
+interface RegionForm {
+  regionId: string;
+  name: string;
+  authority: string;
+  minLat: string;
+  maxLat: string;
+  minLon: string;
+  maxLon: string;
+  validFrom: string;
+  validUntil: string;
+}
+
+const EMPTY_FORM: RegionForm = {
+  regionId: '',
+  name: '',
+  authority: '',
+  minLat: '',
+  maxLat: '',
+  minLon: '',
+  maxLon: '',
+  validFrom: '',
+  validUntil: ''
+};
+
+const toDateInput = (value: string | null) => (value ? value.split('T')[0] : '');
+
+const toForm = (region: CertifiedRegion): RegionForm => ({
+  regionId: region.regionId,
+  name: region.name,
+  authority: region.authority,
+  minLat: String(region.bounds.minLat),
+  maxLat: String(region.bounds.maxLat),
+  minLon: String(region.bounds.minLon),
+  maxLon: String(region.bounds.maxLon),
+  validFrom: toDateInput(region.validFrom),
+  validUntil: toDateInput(region.validUntil)
+});
+
+// Backend error message when there is one (validation, REGION_IN_USE, chain failures)
+const errorMessage = (err: unknown, fallback: string) => {
+  if (axios.isAxiosError(err)) {
+    return err.response?.data?.message || fallback;
+  }
+  return err instanceof Error ? err.message : fallback;
+};
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString() : '—');
+
+/**
+ * Admin registry of certified growing regions. Location proofs reference these regions by ID,
+ * so a region's bounds are locked by the backend once batches use it.
+ */
+const RegionRegistry: React.FC = () => {
+  const [regions, setRegions] = useState<CertifiedRegion[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isError, setIsError] = useState(false);
+  const [form, setForm] = useState<RegionForm>(EMPTY_FORM);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [processingId, setProcessingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadRegions();
+  }, []);
+
+  const loadRegions = async () => {
+    setIsLoading(true);
+    setIsError(false);
+    try {
+      setRegions(await regionService.listRegions());
+    } catch (err) {
+      console.error('Failed to load regions:', err);
+      setIsError(true);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const replaceRegion = (updated: CertifiedRegion) => {
+    setRegions((prev) => prev.map((region) => (region.regionId === updated.regionId ? updated : region)));
+  };
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleNew = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setShowForm(true);
+  };
+
+  const handleEdit = (region: CertifiedRegion) => {
+    setForm(toForm(region));
+    setEditingId(region.regionId);
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    const input: RegionInput = {
+      name: form.name,
+      authority: form.authority,
+      bounds: {
+        minLat: Number(form.minLat),
+        maxLat: Number(form.maxLat),
+        minLon: Number(form.minLon),
+        maxLon: Number(form.maxLon)
+      },
+      validFrom: form.validFrom,
+      validUntil: form.validUntil || null
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingId) {
+        replaceRegion(await regionService.updateRegion(editingId, input));
+        toast.success(`Region ${editingId} updated`);
+      } else {
+        const created = await regionService.createRegion({ ...input, regionId: form.regionId });
+        setRegions((prev) => [...prev, created].sort((a, b) => a.regionId.localeCompare(b.regionId)));
+        toast.success(`Region ${created.regionId} created`);
+      }
+      setShowForm(false);
+      setEditingId(null);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to save region'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (region: CertifiedRegion) => {
+    if (!confirm(`Delete region ${region.regionId}? This cannot be undone.`)) return;
+
+    setProcessingId(region.regionId);
+    try {
+      await regionService.deleteRegion(region.regionId);
+      setRegions((prev) => prev.filter((r) => r.regionId !== region.regionId));
+      toast.success(`Region ${region.regionId} deleted`);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to delete region'));
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleAnchor = async (region: CertifiedRegion) => {
+    setProcessingId(region.regionId);
+    try {
+      replaceRegion(await regionService.anchorRegion(region.regionId));
+      toast.success(`Region ${region.regionId} anchored on-chain`);
+    } catch (err) {
+      toast.error(errorMessage(err, 'Failed to anchor region'));
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const renderAnchor = (region: CertifiedRegion) => {
+    if (!region.anchor) {
+      return <span className="text-gray-500 dark:text-gray-400">Not anchored</span>;
+    }
+    if (!region.anchor.current) {
+      return (
+        <span className="inline-flex items-center gap-1 text-orange-600 dark:text-orange-400" title="The region changed after it was anchored">
+          <AlertTriangle className="h-4 w-4" />
+          Stale
+        </span>
+      );
+    }
+    return (
+      <span className="text-green-700 dark:text-green-400 font-mono text-xs" title={region.anchor.txHash}>
+        Block {region.anchor.blockNumber}
+      </span>
+    );
+  };
+
+  const inputClass = 'w-full px-4 py-2 border rounded-lg';
+  const labelClass = 'text-sm font-semibold text-gray-700 dark:text-gray-200';
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-8">
+      <div className="text-center">
+        <h1 className="text-4xl font-bold text-gray-800 dark:text-white mb-4 flex items-center justify-center">
+          <MapPinned className="h-10 w-10 mr-4 text-green-600 dark:text-green-400" />
+          Certified Regions
+        </h1>
+        <p className="text-xl text-gray-600 dark:text-gray-300">Regions farmers can prove their origin against</p>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 space-y-4">
+          <h2 className="text-2xl font-bold text-gray-800 dark:text-white">
+            {editingId ? `Edit ${editingId}` : 'New Region'}
+          </h2>
+
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className={labelClass}>Region ID</label>
+              <input name="regionId" value={form.regionId} onChange={handleChange} disabled={Boolean(editingId)} placeholder="IN-PB" className={inputClass} required />
+            </div>
+            <div>
+              <label className={labelClass}>Name</label>
+              <input name="name" value={form.name} onChange={handleChange} className={inputClass} required />
+            </div>
+            <div>
+              <label className={labelClass}>Certifying Authority</label>
+              <input name="authority" value={form.authority} onChange={handleChange} className={inputClass} required />
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-4 gap-4">
+            {(['minLat', 'maxLat', 'minLon', 'maxLon'] as const).map((key) => (
+              <div key={key}>
+                <label className={labelClass}>{key}</label>
+                <input type="number" step="any" name={key} value={form[key]} onChange={handleChange} className={inputClass} required />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>Valid From</label>
+              <input type="date" name="validFrom" value={form.validFrom} onChange={handleChange} className={inputClass} required />
+            </div>
+            <div>
+              <label className={labelClass}>Valid Until (optional)</label>
+              <input type="date" name="validUntil" value={form.validUntil} onChange={handleChange} className={inputClass} />
+            </div>
+          </div>
+
+          <div className="flex gap-4">
+            <button type="submit" disabled={isSaving} className="px-6 py-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white rounded-lg font-semibold">
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" onClick={handleCancel} className="px-6 py-2 border rounded-lg">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Registry</h2>
+          <button onClick={handleNew} className="inline-flex items-center gap-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-semibold">
+            <Plus className="h-4 w-4" />
+            New Region
+          </button>
+        </div>
+
+        {isLoading ? (
+          <TableSkeleton />
+        ) : isError ? (
+          <ErrorState
+            title="Failed to load regions"
+            message="We couldn't load the region registry. Please try again later."
+            onRetry={loadRegions}
+          />
+        ) : regions.length === 0 ? (
+          <EmptyState
+            title="No certified regions"
+            description="Register a region before farmers can prove their origin."
+            icon={MapPinned}
+            actionLabel="New Region"
+            onAction={handleNew}
+          />
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700 text-left text-gray-700 dark:text-gray-300">
+                  <th className="py-3 px-4">Region</th>
+                  <th className="py-3 px-4">Authority</th>
+                  <th className="py-3 px-4">Bounds</th>
+                  <th className="py-3 px-4">Validity</th>
+                  <th className="py-3 px-4">On-chain</th>
+                  <th className="py-3 px-4">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {regions.map((region) => (
+                  <tr key={region.regionId} className="border-b border-gray-100 dark:border-gray-700 text-gray-800 dark:text-gray-200">
+                    <td className="py-3 px-4">
+                      <span className="font-mono font-semibold">{region.regionId}</span>
+                      <span className="block text-gray-600 dark:text-gray-400">{region.name}</span>
+                    </td>
+                    <td className="py-3 px-4">{region.authority}</td>
+                    <td className="py-3 px-4 font-mono text-xs">{formatBoundingBox(region.bounds)}</td>
+                    <td className="py-3 px-4">
+                      {formatDate(region.validFrom)} – {formatDate(region.validUntil)}
+                      <span className={`block text-xs ${region.active ? 'text-green-700 dark:text-green-400' : 'text-gray-500'}`}>
+                        {region.active ? 'In force' : 'Not in force'}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4">{renderAnchor(region)}</td>
+                    <td className="py-3 px-4">
+                      <div className="flex gap-2">
+                        <button onClick={() => handleEdit(region)} disabled={processingId === region.regionId} title="Edit" className="p-2 border rounded-lg">
+                          <Pencil className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleAnchor(region)}
+                          disabled={processingId === region.regionId || Boolean(region.anchor?.current)}
+                          title="Anchor on-chain"
+                          className="p-2 border rounded-lg disabled:opacity-50"
+                        >
+                          <Anchor className="h-4 w-4" />
+                        </button>
+                        <button onClick={() => handleDelete(region)} disabled={processingId === region.regionId} title="Delete" className="p-2 border rounded-lg text-red-600">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RegionRegistry;
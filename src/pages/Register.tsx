@@ -3,12 +3,13 @@ import { useNavigate, Link } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
 import { UserPlus, Mail, Lock, User, Briefcase, Loader, AlertCircle } from 'lucide-react';
+import { SelfRegisterRole } from '../services/auth.service';
 
 const Register: React.FC = () => {
     const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
-    const [role, setRole] = useState<'farmer' | 'transporter'>('farmer');
+    const [role, setRole] = useState<SelfRegisterRole>('farmer');
     const [error, setError] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -121,11 +122,13 @@ const Register: React.FC = () => {
                                 </div>
                                 <select
                                     value={role}
-                                    onChange={(e) => setRole(e.target.value as any)}
+                                    onChange={(e) => setRole(e.target.value as SelfRegisterRole)}
                                     className="block w-full pl-10 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 transition-colors"
                                 >
                                     <option value="farmer">{t('auth.farmer')}</option>
+                                    <option value="mandi">{t('auth.mandi')}</option>
                                     <option value="transporter">{t('auth.transporter')}</option>
+                                    <option value="retailer">{t('auth.retailer')}</option>
                                 </select>
                             </div>
                             <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
@@ -1,30 +1,37 @@
-import React, { useState } from 'react';
-import { Search, Package, ArrowRight } from 'lucide-react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Search, Package, ArrowRight, QrCode, ShieldCheck } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { realCropBatchService } from '../services/realCropBatchService';
 import Timeline from '../components/Timeline';
+import QRScanner from '../components/QRScanner';
+import BatchLineage from '../components/BatchLineage';
+import RecallNotice from '../components/RecallNotice';
 import { EmptyState } from '../components/common/EmptyState';
 import { ErrorState } from '../components/common/ErrorState';
 import Skeleton from '../components/Skeleton';
+import { toChainBatchId } from '../utils';
+import { decodeBoundingBox, formatBoundingBox } from '../utils/location';
 
 const TrackBatch: React.FC = () => {
   const [batchId, setBatchId] = useState('');
   const [batch, setBatch] = useState<any>(null);
   const [isSearching, setIsSearching] = useState(false);
   const [errorType, setErrorType] = useState<'not-found' | 'error' | null>(null);
+  const [showScanner, setShowScanner] = useState(false);
 
   const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
 
-  const handleSearch = async (e?: React.FormEvent) => {
-    if (e) e.preventDefault();
-    if (!batchId.trim()) return;
+  const searchBatch = useCallback(async (id: string) => {
+    if (!id.trim()) return;
 
     setIsSearching(true);
     setBatch(null);
     setErrorType(null);
 
     try {
-      const result = await realCropBatchService.getBatch(batchId);
+      const result = await realCropBatchService.getBatch(id.trim());
       setBatch(result);
     } catch (error: any) {
       console.error('Batch error:', error);
@@ -37,6 +44,31 @@ const TrackBatch: React.FC = () => {
     } finally {
       setIsSearching(false);
     }
+  }, []);
+
+  // Links in recall emails open the page with ?batchId=
+  useEffect(() => {
+    const linkedId = searchParams.get('batchId');
+    if (linkedId) {
+      setBatchId(linkedId);
+      searchBatch(linkedId);
+    }
+  }, [searchParams, searchBatch]);
+
+  const handleSearch = (e?: React.FormEvent) => {
+    if (e) e.preventDefault();
+    searchBatch(batchId);
+  };
+
+  const handleScan = (scannedId: string) => {
+    setShowScanner(false);
+    setBatchId(scannedId);
+    searchBatch(scannedId);
+  };
+
+  const handleSelectRelated = (relatedId: string) => {
+    setBatchId(relatedId);
+    searchBatch(relatedId);
   };
 
   const getTimelineEvents = (batchData: any) => {
@@ -68,7 +100,7 @@ const TrackBatch: React.FC = () => {
             <Search className="absolute left-3 top-3.5 h-5 w-5 text-gray-400" />
             <input
               type="text"
-              placeholder="Enter Batch ID (e.g., CROP-2024-001)"
+              placeholder="Enter Batch ID (e.g., CROP-2024-001) or on-chain ID (0x...)"
               value={batchId}
               onChange={(e) => setBatchId(e.target.value)}
               className="w-full pl-10 pr-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-gray-50 dark:bg-gray-700 text-gray-800 dark:text-white focus:ring-2 focus:ring-green-500 transition-all"
@@ -82,7 +114,21 @@ const TrackBatch: React.FC = () => {
             {isSearching ? 'Searching...' : 'Track'}
             {!isSearching && <ArrowRight className="ml-2 h-5 w-5" />}
           </button>
+          <button
+            type="button"
+            onClick={() => setShowScanner(!showScanner)}
+            aria-label="Scan QR code"
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-lg font-semibold transition-all flex items-center"
+          >
+            <QrCode className="h-5 w-5" />
+            <span className="ml-2 hidden sm:inline">Scan</span>
+          </button>
         </form>
+        {showScanner && (
+          <div className="mt-6">
+            <QRScanner onScan={handleScan} onClose={() => setShowScanner(false)} />
+          </div>
+        )}
       </div>
 
       {/* 🟢 SKELETON LOADING STATE */}
@@ -131,6 +177,12 @@ const TrackBatch: React.FC = () => {
       {batch && (
         <div className="grid md:grid-cols-3 gap-8">
 
+          {batch.isRecalled && (
+            <div className="md:col-span-3">
+              <RecallNotice batchId={batch.batchId} recall={batch.recall} onSelect={handleSelectRelated} />
+            </div>
+          )}
+
           {/* Left Column: Batch Details Card */}
           <div className="md:col-span-1">
             <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg p-6 sticky top-24">
@@ -162,7 +214,25 @@ const TrackBatch: React.FC = () => {
                 <div>
                   <label className="text-sm text-gray-500">Origin</label>
                   <p className="font-semibold text-gray-800 dark:text-white">{batch.origin}</p>
+                  {batch.originProof?.status === 'verified' && (
+                    <p
+                      className="mt-1 inline-flex items-center gap-1 text-xs font-medium text-green-700 dark:text-green-400"
+                      title="Zero-knowledge proof recorded on-chain; the farm's coordinates stay private"
+                    >
+                      <ShieldCheck className="h-4 w-4" />
+                      Origin proven within {batch.originProof.regionId ? `${batch.originProof.regionId} ` : ''}
+                      ({formatBoundingBox(decodeBoundingBox(batch.originProof.publicSignals))})
+                    </p>
+                  )}
                 </div>
+                {batch.batchId && (
+                  <div>
+                    <label className="text-sm text-gray-500">On-chain ID</label>
+                    <p className="font-mono text-xs text-gray-800 dark:text-white break-all">
+                      {batch.chainBatchId || toChainBatchId(batch.batchId)}
+                    </p>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -181,6 +251,13 @@ const TrackBatch: React.FC = () => {
             </div>
           </div>
 
+          {/* Splits and merges */}
+          {batch.batchId && (
+            <div className="md:col-span-3">
+              <BatchLineage batchId={batch.batchId} onSelect={handleSelectRelated} />
+            </div>
+          )}
+
           {/* QR Code */}
           {batch.qrCode && (
             <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 text-center md:col-span-3">
@@ -1,8 +1,8 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { RefreshCw, Search, Package, Clock, User, MapPin } from 'lucide-react';
 import { cropBatchService } from '../services/cropBatchService';
 import Timeline from '../components/Timeline';
-import { realCropBatchService } from '../services/realCropBatchService';
+import { realCropBatchService, StageRules } from '../services/realCropBatchService';
 import { useToast } from '../context/ToastContext';
 import { FormSkeleton, BatchInfoSkeleton } from '../components/skeletons';
 
@@ -20,12 +20,37 @@ const UpdateBatch: React.FC = () => {
   });
   const [isUpdating, setIsUpdating] = useState(false);
 
-  const stages = [
-    { value: 'farmer', label: 'Farmer' },
-    { value: 'mandi', label: 'Mandi (Market)' },
-    { value: 'transport', label: 'Transport' },
-    { value: 'retailer', label: 'Retailer' }
-  ];
+  const [stageRules, setStageRules] = useState<StageRules | null>(null);
+
+  const stageLabels: Record<string, string> = {
+    farmer: 'Farmer',
+    mandi: 'Mandi (Market)',
+    transport: 'Transport',
+    retailer: 'Retailer'
+  };
+
+  useEffect(() => {
+    realCropBatchService.getStageRules()
+      .then(setStageRules)
+      .catch((error) => console.error('Failed to load stage rules:', error));
+  }, []);
+
+  // The backend only accepts the next stage in order; without the rules, offer every stage and let it decide
+  const nextStage = batch && stageRules ? stageRules.transitions[batch.currentStage] ?? null : undefined;
+  const stages = (nextStage === undefined ? Object.keys(stageLabels) : nextStage ? [nextStage] : [])
+    .map(value => ({ value, label: stageLabels[value] || value }));
+  // Split and merged batches live on in the batches made from them (the backend refuses their updates)
+  const derivedIds = (batch?.childBatchIds || []).join(', ');
+  const consumedReason = batch?.consumedBy === 'split'
+    ? `This batch was split into ${derivedIds} and can no longer be updated. Update those batches instead.`
+    : batch?.consumedBy === 'merge'
+      ? `This batch was merged into ${derivedIds} and can no longer be updated. Update that batch instead.`
+      : null;
+  const updateBlockedReason = batch?.isRecalled
+    ? 'This batch has been recalled and can no longer be updated.'
+    : consumedReason ?? (nextStage === null
+      ? 'This batch has reached the final stage of the supply chain.'
+      : null);
 
   const handleSearch = async () => {
     if (!batchId.trim()) return;
@@ -49,7 +74,7 @@ const UpdateBatch: React.FC = () => {
 
   const handleUpdate = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (!batch) return;
+    if (!batch || updateBlockedReason) return;
 
     setIsUpdating(true);
     try {
@@ -197,6 +222,9 @@ const UpdateBatch: React.FC = () => {
               <RefreshCw className="h-6 w-6 mr-3 text-green-600 dark:text-green-400" />
               Add New Update
             </h2>
+            {updateBlockedReason ? (
+              <p className="text-gray-600 dark:text-gray-300">{updateBlockedReason}</p>
+            ) : (
             <form onSubmit={handleUpdate} className="space-y-6">
               <div className="grid md:grid-cols-2 gap-6">
                 <div>
@@ -231,6 +259,11 @@ const UpdateBatch: React.FC = () => {
                       <option key={stage.value} value={stage.value}>{stage.label}</option>
                     ))}
                   </select>
+                  {nextStage && stageRules && (
+                    <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                      Can be recorded by: {[...(stageRules.stageRoles[nextStage] || []), stageRules.adminRole].join(', ')}
+                    </p>
+                  )}
                 </div>
               </div>
 
@@ -304,6 +337,7 @@ const UpdateBatch: React.FC = () => {
                 </button>
               </div>
             </form>
+            )}
           </div>
         </>
       )}
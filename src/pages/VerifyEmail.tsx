@@ -0,0 +1,104 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { MailCheck, Loader2, AlertCircle, CheckCircle } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/auth.service';
+
+type Status = 'verifying' | 'verified' | 'failed';
+
+const VerifyEmail = () => {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState<Status>(token ? 'verifying' : 'failed');
+  const [error, setError] = useState(token ? '' : t('auth.missingToken'));
+  const [resendState, setResendState] = useState<'idle' | 'sending' | 'sent'>('idle');
+  // React StrictMode runs effects twice in development
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        setStatus('failed');
+        setError((axios.isAxiosError(err) && err.response?.data?.message) || 'Email verification failed');
+      });
+  }, [token]);
+
+  const handleResend = async () => {
+    setResendState('sending');
+    try {
+      await authService.resendVerificationEmail();
+      setResendState('sent');
+    } catch (err) {
+      setResendState('idle');
+      setError((axios.isAxiosError(err) && err.response?.data?.message) || 'Failed to send verification email');
+    }
+  };
+
+  return (
+    <div className="min-h-[80vh] flex items-center justify-center p-4">
+      <div className="bg-white dark:bg-gray-800 p-8 rounded-2xl shadow-xl w-full max-w-md">
+        <div className="text-center mb-8">
+          <div className="bg-green-100 dark:bg-green-900 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
+            <MailCheck className="h-8 w-8 text-green-600 dark:text-green-400" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-800 dark:text-white mb-2">
+            {t('auth.verifyEmailTitle')}
+          </h2>
+        </div>
+
+        {status === 'verifying' && (
+          <div className="mb-6 flex items-center justify-center space-x-2 text-gray-600 dark:text-gray-300">
+            <Loader2 className="h-5 w-5 animate-spin" />
+            <span>{t('auth.verifyingEmail')}</span>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="mb-6 p-4 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg flex items-center space-x-2 text-green-700 dark:text-green-400">
+            <CheckCircle className="h-5 w-5 flex-shrink-0" />
+            <span className="text-sm">{t('auth.emailVerified')}</span>
+          </div>
+        )}
+
+        {status === 'failed' && error && (
+          <div className="mb-6 p-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg flex items-center space-x-2 text-red-600 dark:text-red-400">
+            <AlertCircle className="h-5 w-5 flex-shrink-0" />
+            <span className="text-sm">{error}</span>
+          </div>
+        )}
+
+        {status === 'failed' && user?.role && (
+          resendState === 'sent' ? (
+            <p className="mb-6 text-center text-sm text-green-700 dark:text-green-400">{t('auth.verificationSent')}</p>
+          ) : (
+            <button
+              onClick={handleResend}
+              disabled={resendState === 'sending'}
+              className="w-full mb-6 flex items-center justify-center py-2 px-4 rounded-lg text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {resendState === 'sending' && <Loader2 className="animate-spin -ml-1 mr-2 h-4 w-4" />}
+              {t('auth.resendVerification')}
+            </button>
+          )
+        )}
+
+        <div className="text-center text-sm">
+          <Link to={user?.role ? '/' : '/login'} className="font-medium text-green-600 hover:text-green-500 dark:text-green-400 dark:hover:text-green-300">
+            {user?.role ? t('nav.home') : t('auth.backToLogin')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
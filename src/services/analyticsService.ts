@@ -0,0 +1,91 @@
+import axios from 'axios';
+import { authService } from './auth.service';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+/** Creation date range of the batches a report covers; both bounds inclusive */
+export interface AnalyticsRange {
+    from?: string;
+    to?: string;
+}
+
+export interface VolumeBucket {
+    /** Crop type, YYYY-MM month (UTC) or origin, depending on groupBy */
+    key: string;
+    batches: number;
+    quantity: number;
+}
+
+export interface StageDwellTime {
+    stage: string;
+    batches: number;
+    avgHours: number | null;
+    minHours: number | null;
+    maxHours: number | null;
+}
+
+export interface RecallRate {
+    totalBatches: number;
+    recalledBatches: number;
+    /** Fraction, 0-1 */
+    recallRate: number;
+}
+
+export interface SyncErrorRate {
+    totalBatches: number;
+    synced: number;
+    pending: number;
+    error: number;
+    /** Fraction, 0-1 */
+    errorRate: number;
+}
+
+export interface TopFarmer {
+    farmerId: string;
+    farmerName: string;
+    batches: number;
+    quantity: number;
+    recalledBatches: number;
+}
+
+const get = async <T>(path: string, params: object): Promise<T> => {
+    const response = await axios.get(`${API_URL}/analytics/${path}`, {
+        params,
+        headers: { Authorization: `Bearer ${await authService.getAccessToken()}` },
+    });
+    return response.data.data;
+};
+
+/**
+ * Admin dashboard reports, aggregated by the backend (Admin only)
+ */
+export const analyticsService = {
+    /**
+     * Batch count and quantity per crop, month or origin region
+     */
+    async getBatchVolume(groupBy: 'crop' | 'month' | 'region', range: AnalyticsRange = {}, limit?: number): Promise<VolumeBucket[]> {
+        const data = await get<{ buckets: VolumeBucket[] }>('batches', { groupBy, limit, ...range });
+        return data.buckets;
+    },
+
+    /**
+     * Average time batches spend in each stage before moving on
+     */
+    async getStageDwellTimes(range: AnalyticsRange = {}): Promise<StageDwellTime[]> {
+        const data = await get<{ stages: StageDwellTime[] }>('dwell-times', range);
+        return data.stages;
+    },
+
+    async getRecallRate(range: AnalyticsRange = {}): Promise<RecallRate> {
+        return get<RecallRate>('recall-rate', range);
+    },
+
+    async getSyncErrorRate(range: AnalyticsRange = {}): Promise<SyncErrorRate> {
+        return get<SyncErrorRate>('sync-errors', range);
+    },
+
+    async getTopFarmers(range: AnalyticsRange = {}, limit = 5): Promise<TopFarmer[]> {
+        const data = await get<{ farmers: TopFarmer[] }>('top-farmers', { limit, ...range });
+        return data.farmers;
+    },
+};
@@ -1,13 +1,21 @@
 import axios from 'axios';
+import type { SiweChallenge } from '../utils/siwe';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
+// Mirrors backend/constants/roles.js and the contract's ActorRole
+export type UserRole = 'farmer' | 'mandi' | 'transporter' | 'retailer' | 'oracle' | 'admin';
+
+// Oracle and admin are only granted by an admin
+export type SelfRegisterRole = 'farmer' | 'mandi' | 'transporter' | 'retailer';
+
 export interface User {
     id: string;
     name: string;
     email: string;
-    role: 'farmer' | 'transporter' | 'admin' | '';
+    role: UserRole | '';
     walletAddress?: string;
+    emailVerified?: boolean;
     verification?: {
         isVerified: boolean;
         verifiedAt?: string;
@@ -24,39 +32,71 @@ export interface RegisterCredentials {
     name: string;
     email: string;
     password: string;
-    role: 'farmer' | 'transporter' | 'admin';
+    role: SelfRegisterRole;
 }
 
 export interface WalletLoginCredentials {
-    address: string;
+    /** Signed Sign-In with Ethereum (EIP-4361) message */
+    message: string;
     signature: string;
-    nonce?: string;
+    address?: string;
 }
 
 export interface WalletRegisterCredentials {
     name: string;
     email: string;
-    walletAddress: string;
+    walletAddress?: string;
+    message: string;
     signature: string;
-    nonce?: string;
-    role: 'farmer' | 'transporter';
+    role: SelfRegisterRole;
 }
 
 interface AuthResponse {
     success: boolean;
+    /** Short-lived access token */
     token: string;
+    /** Single-use token exchanged at /auth/refresh for a new token pair */
+    refreshToken: string;
+    accessTokenExpiresAt: string;
+    refreshTokenExpiresAt: string;
     user: User;
     message: string;
 }
 
+interface SessionTokens {
+    token: string;
+    refreshToken: string;
+}
+
 interface NonceResponse {
     success: boolean;
-    data: {
-        nonce: string;
-    };
+    data: SiweChallenge;
     message: string;
 }
 
+/** Dispatched on window when the session can no longer be refreshed */
+export const SESSION_EXPIRED_EVENT = 'auth:session-expired';
+
+// Refresh when the access token has less than this left
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+let refreshInFlight: Promise<string | null> | null = null;
+
+const tokenExpiresAt = (token: string): number | null => {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+};
+
+const clearSession = () => {
+    localStorage.removeItem('user');
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+};
+
 export const authService = {
     async login(credentials: LoginCredentials): Promise<AuthResponse> {
         const response = await axios.post<{ data: AuthResponse }>(`${API_URL}/auth/login`, credentials);
@@ -69,23 +109,23 @@ export const authService = {
     },
 
     /**
-     * Get a nonce for wallet authentication
-     * This should be called before signing the message
+     * Get a single-use nonce and the SIWE parameters for wallet authentication
+     * This should be called before building and signing the message
      */
-    async getNonce(address: string): Promise<string> {
+    async getNonce(address: string): Promise<SiweChallenge> {
         const response = await axios.get<NonceResponse>(`${API_URL}/auth/nonce`, {
             params: { address }
         });
-        return response.data.data.nonce;
+        return response.data.data;
     },
 
     /**
      * Authenticate with wallet signature
      * Flow:
      * 1. Get nonce from backend
-     * 2. User signs nonce with wallet
-     * 3. Send address and signature to backend
-     * 4. Backend verifies signature and returns JWT with user role
+     * 2. Build a SIWE message with the nonce and sign it with the wallet
+     * 3. Send the message and signature to backend
+     * 4. Backend verifies the message and signature and returns JWT with user role
      */
     async walletLogin(credentials: WalletLoginCredentials): Promise<AuthResponse> {
         const response = await axios.post<{ data: AuthResponse }>(`${API_URL}/auth/wallet-login`, credentials);
@@ -101,9 +141,122 @@ export const authService = {
         return response.data.data;
     },
 
-    logout() {
-        localStorage.removeItem('user');
-        localStorage.removeItem('token');
+    /**
+     * Email a password reset link. Succeeds whether or not the email is registered.
+     */
+    async forgotPassword(email: string): Promise<void> {
+        await axios.post(`${API_URL}/auth/forgot-password`, { email });
+    },
+
+    /**
+     * Set a new password with the token from a reset link. All sessions are ended,
+     * so the user has to log in again.
+     */
+    async resetPassword(token: string, password: string): Promise<void> {
+        await axios.post(`${API_URL}/auth/reset-password`, { token, password });
+        if (localStorage.getItem('token')) {
+            clearSession();
+            window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+        }
+    },
+
+    /**
+     * Confirm the email address with the token from a verification link
+     */
+    async verifyEmail(token: string): Promise<User> {
+        const response = await axios.post<{ data: { user: User } }>(`${API_URL}/auth/verify-email`, { token });
+        const verified = response.data.data.user;
+        const current = authService.getCurrentUser();
+        if (current && current.id === verified.id) {
+            localStorage.setItem('user', JSON.stringify({ ...current, emailVerified: true }));
+        }
+        return verified;
+    },
+
+    /**
+     * Send the logged-in user a new verification email
+     */
+    async resendVerificationEmail(): Promise<void> {
+        const token = await authService.getAccessToken();
+        await axios.post(`${API_URL}/auth/verify-email/resend`, {}, {
+            headers: { Authorization: `Bearer ${token}` },
+        });
+    },
+
+    /**
+     * Persist the user and token pair returned by login, registration or refresh
+     */
+    storeSession(session: SessionTokens & { user?: User }) {
+        if (session.user) {
+            localStorage.setItem('user', JSON.stringify(session.user));
+        }
+        localStorage.setItem('token', session.token);
+        localStorage.setItem('refreshToken', session.refreshToken);
+    },
+
+    /**
+     * Exchange the refresh token for a new token pair.
+     * Concurrent callers share one request, since each refresh token can only be used once.
+     * When the session cannot be refreshed it is cleared and SESSION_EXPIRED_EVENT is dispatched.
+     */
+    refreshSession(): Promise<string | null> {
+        if (!refreshInFlight) {
+            refreshInFlight = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) {
+                    return null;
+                }
+                try {
+                    const response = await axios.post<{ data: AuthResponse }>(`${API_URL}/auth/refresh`, { refreshToken });
+                    authService.storeSession(response.data.data);
+                    return response.data.data.token;
+                } catch {
+                    clearSession();
+                    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+                    return null;
+                }
+            })().finally(() => {
+                refreshInFlight = null;
+            });
+        }
+        return refreshInFlight;
+    },
+
+    /**
+     * Access token for an API call, refreshed first when it is about to expire
+     */
+    async getAccessToken(): Promise<string | null> {
+        const token = localStorage.getItem('token');
+        if (!token) {
+            return null;
+        }
+        const expiresAt = tokenExpiresAt(token);
+        if (expiresAt !== null && expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+            return authService.refreshSession();
+        }
+        return token;
+    },
+
+    /**
+     * End this session on the backend and locally
+     */
+    async logout() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        clearSession();
+        if (refreshToken) {
+            await axios.post(`${API_URL}/auth/logout`, { refreshToken }).catch(() => undefined);
+        }
+    },
+
+    /**
+     * End every session of the current user, on all devices
+     */
+    async logoutAll() {
+        const token = await authService.getAccessToken();
+        await axios.post(`${API_URL}/auth/logout-all`, {}, {
+            headers: { Authorization: `Bearer ${token}` },
+        });
+        clearSession();
     },
 
     getCurrentUser(): User | null {
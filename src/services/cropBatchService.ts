@@ -1,6 +1,6 @@
 import * as QRCode from 'qrcode';
 
-interface CropBatch {
+export interface CropBatch {
   batchId: string;
   farmerName: string;
   farmerAddress: string;
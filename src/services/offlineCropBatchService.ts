@@ -251,9 +251,9 @@ class OfflineCropBatchService {
     // Try to fetch from API if online
     if (navigator.onLine) {
       try {
-        const response = await fetch(`${this.API_URL}/api/batches`);
+        const response = await fetch(`${this.API_URL}/api/batches/stats`);
         if (response.ok) {
-          onlineData = await response.json();
+          onlineData = (await response.json()).data;
         }
       } catch (error) {
         console.warn('[OfflineCropBatchService] Failed to fetch dashboard stats online:', error);
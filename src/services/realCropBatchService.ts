@@ -1,43 +1,247 @@
 // src/services/realCropBatchService.ts
+import { authService } from './auth.service';
+import type { LocationProof } from './zkService';
+import type { CropBatch } from './cropBatchService';
 
 // Adjust this URL to match your running backend (e.g., http://localhost:5000)
 const API_URL = 'http://localhost:5000/api';
 
+export interface StageRules {
+  stages: string[];
+  transitions: Record<string, string | null>;
+  stageRoles: Record<string, string[]>;
+  adminRole: string;
+}
+
+export interface BatchUpdateInput {
+  actor: string;
+  stage: string;
+  location: string;
+  notes?: string;
+  timestamp: string;
+}
+
+export interface BatchListParams {
+  page?: number;
+  cursor?: string;
+  limit?: number;
+  cropType?: string;
+  currentStage?: string;
+  status?: string;
+  isRecalled?: boolean;
+  farmerId?: string;
+  harvestedFrom?: string;
+  harvestedTo?: string;
+  origin?: string;
+  q?: string;
+  // Field name, prefixed with '-' for descending
+  sort?: string;
+}
+
+export interface BatchListPagination {
+  // null when paging by cursor
+  page: number | null;
+  limit: number;
+  total: number;
+  totalPages: number;
+  hasNextPage: boolean;
+  nextCursor: string | null;
+}
+
+export interface BatchStats {
+  totalBatches: number;
+  totalFarmers: number;
+  totalQuantity: number;
+  recentBatches: number;
+  recalledBatches: number;
+}
+
+export interface SlaBreach {
+  stage: string;
+  limitHours: number;
+  enteredStageAt: string;
+  detectedAt: string;
+  reason: string;
+}
+
+export interface SlaBreachedBatch {
+  batchId: string;
+  cropType: string;
+  farmerName: string;
+  origin: string;
+  currentStage: string;
+  status: string;
+  slaBreach: SlaBreach;
+}
+
+export interface LineageNode {
+  batchId: string;
+  cropType: string;
+  quantity: number;
+  currentStage: string;
+  isRecalled: boolean;
+  farmerName: string;
+  origin: string;
+  parentBatchIds: string[];
+  childBatchIds: string[];
+  derivedBy: 'split' | 'merge' | null;
+  consumedBy: 'split' | 'merge' | null;
+  relation: 'self' | 'ancestor' | 'descendant';
+  // Generations away from the requested batch
+  depth: number;
+}
+
+export interface BatchLineage {
+  batchId: string;
+  nodes: LineageNode[];
+  // Parent to child
+  edges: Array<{ from: string; to: string }>;
+}
+
+// batch.recall, on every batch a recall reached
+export interface BatchRecall {
+  // Batch the recall was issued for; other batches were split or merged from it
+  sourceBatchId: string;
+  severity: 'low' | 'medium' | 'high';
+  reason: string;
+  // URLs or IPFS CIDs
+  evidence: string[];
+  evidenceHash: string | null;
+  recalledAt: string;
+}
+
+const authHeaders = async (): Promise<Record<string, string>> => {
+  const token = await authService.getAccessToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 export const realCropBatchService = {
   // Existing method you likely already had
   createBatch: async (formData: any) => {
     const response = await fetch(`${API_URL}/batches`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await authHeaders()),
+      },
       body: JSON.stringify(formData),
     });
-    if (!response.ok) throw new Error('Failed to create batch');
-    return await response.json();
+    const result = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(result?.message || 'Failed to create batch');
+    return result.data.batch;
   },
 
-  // 🟢 NEW METHOD: This was missing!
-  getAllBatches: async () => {
-    try {
-      const response = await fetch(`${API_URL}/dashboard-data`);
-      if (!response.ok) throw new Error('Failed to fetch dashboard data');
-      return await response.json();
-    } catch (error) {
-      console.error("API Error:", error);
-      throw error;
-    }
+  // The proof must be generated for this batch's chainBatchId; returns the batch with originProof set
+  attachOriginProof: async (batchId: string, locationProof: LocationProof) => {
+    const response = await fetch(`${API_URL}/batches/${encodeURIComponent(batchId)}/origin-proof`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await authHeaders()),
+      },
+      body: JSON.stringify(locationProof),
+    });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(result?.message || 'Failed to attach origin proof');
+    return result.data.batch;
+  },
+
+  // One page of batches; pass pagination.nextCursor back as `cursor` for the next page
+  listBatches: async (params: BatchListParams = {}): Promise<{ batches: CropBatch[]; pagination: BatchListPagination }> => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.set(key, String(value));
+    });
+    const response = await fetch(`${API_URL}/batches?${query}`);
+    const result = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(result?.message || 'Failed to fetch batches');
+    return result.data;
+  },
+
+  getBatchStats: async (): Promise<BatchStats> => {
+    const response = await fetch(`${API_URL}/batches/stats`);
+    if (!response.ok) throw new Error('Failed to fetch batch stats');
+    const result = await response.json();
+    return result.data.stats;
   },
 
+  // Accepts either the human batch ID (CROP-YYYY-XXX) or the bytes32 on-chain ID
   getBatch: async (batchId: string) => {
     try {
-      const response = await fetch(`${API_URL}/batches/${batchId}`);
+      const response = await fetch(`${API_URL}/batches/${encodeURIComponent(batchId)}`);
       if (!response.ok) {
         if (response.status === 404) throw new Error('Batch not found');
         throw new Error('Failed to fetch batch');
       }
-      return await response.json();
+      const result = await response.json();
+      return result.data?.batch ?? result;
     } catch (error) {
       console.error("API Error:", error);
       throw error;
     }
+  },
+
+  // Batches the batch was split or merged from and into
+  getLineage: async (batchId: string, depth?: number): Promise<BatchLineage> => {
+    const query = depth ? `?depth=${depth}` : '';
+    const response = await fetch(`${API_URL}/batches/${encodeURIComponent(batchId)}/lineage${query}`);
+    const result = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(result?.message || 'Failed to fetch batch lineage');
+    return result.data;
+  },
+
+  // Maps a human batch ID to its on-chain bytes32 ID or back
+  resolveBatchId: async (id: string): Promise<{ batchId: string; chainBatchId: string; syncStatus: string }> => {
+    const response = await fetch(`${API_URL}/batches/resolve/${encodeURIComponent(id)}`);
+    if (!response.ok) {
+      if (response.status === 404) throw new Error('Batch not found');
+      throw new Error('Failed to resolve batch ID');
+    }
+    const result = await response.json();
+    return result.data;
+  },
+
+  // Stage ordering and the roles allowed to record each stage, as enforced by PUT /batches/:batchId
+  getStageRules: async (): Promise<StageRules> => {
+    const response = await fetch(`${API_URL}/batches/stages`);
+    if (!response.ok) throw new Error('Failed to fetch stage rules');
+    const result = await response.json();
+    return result.data;
+  },
+
+  // Flagged batches that overstayed a stage, most recent first (admin only)
+  getSlaBreaches: async (page = 1, limit = 10): Promise<{ breaches: SlaBreachedBatch[]; pagination: Omit<BatchListPagination, 'hasNextPage' | 'nextCursor'> }> => {
+    const response = await fetch(`${API_URL}/batches/sla-breaches?page=${page}&limit=${limit}`, {
+      headers: await authHeaders(),
+    });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(result?.message || 'Failed to fetch SLA breaches');
+    return result.data;
+  },
+
+  // Runs the SLA scan immediately; returns the breaches it recorded (admin only)
+  scanSlaBreaches: async (): Promise<{ checkedAt: string; flagged: Array<SlaBreach & { batchId: string }> }> => {
+    const response = await fetch(`${API_URL}/batches/sla-breaches/scan`, {
+      method: 'POST',
+      headers: await authHeaders(),
+    });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(result?.message || 'SLA scan failed');
+    return result.data;
+  },
+
+  // Rejected transitions come back as 403/409 with a message explaining the rule
+  updateBatch: async (batchId: string, updateData: BatchUpdateInput) => {
+    const response = await fetch(`${API_URL}/batches/${encodeURIComponent(batchId)}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await authHeaders()),
+      },
+      body: JSON.stringify(updateData),
+    });
+    const result = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(result?.message || 'Failed to update batch');
+    return result.data?.batch ?? result;
   }
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+import axios from 'axios';
+import type { BoundingBox } from '../utils/location';
+import { authService } from './auth.service';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+export interface RegionAnchor {
+    dataHash: string;
+    txHash: string;
+    blockNumber: number;
+    anchoredAt: string;
+    /** False once the region was edited after it was anchored */
+    current: boolean;
+}
+
+export interface CertifiedRegion {
+    regionId: string;
+    name: string;
+    authority: string;
+    bounds: BoundingBox;
+    box: string[];
+    validFrom: string;
+    validUntil: string | null;
+    active: boolean;
+    anchor: RegionAnchor | null;
+    createdAt?: string;
+    updatedAt?: string;
+}
+
+export interface RegionInput {
+    regionId?: string;
+    name?: string;
+    authority?: string;
+    bounds?: BoundingBox;
+    validFrom?: string;
+    validUntil?: string | null;
+}
+
+const authHeaders = async () => ({
+    headers: {
+        Authorization: `Bearer ${await authService.getAccessToken()}`,
+    },
+});
+
+export const regionService = {
+    /**
+     * All certified regions, including expired and not yet valid ones
+     */
+    async listRegions(): Promise<CertifiedRegion[]> {
+        const response = await axios.get(`${API_URL}/regions`);
+        return response.data.data.regions;
+    },
+
+    /**
+     * Register a certified region (Admin only)
+     */
+    async createRegion(input: RegionInput): Promise<CertifiedRegion> {
+        const response = await axios.post(`${API_URL}/regions`, input, await authHeaders());
+        return response.data.data.region;
+    },
+
+    /**
+     * Update a region (Admin only). The bounds are locked once batch proofs reference the region.
+     */
+    async updateRegion(regionId: string, input: RegionInput): Promise<CertifiedRegion> {
+        const response = await axios.put(`${API_URL}/regions/${encodeURIComponent(regionId)}`, input, await authHeaders());
+        return response.data.data.region;
+    },
+
+    /**
+     * Delete a region no batch proof references (Admin only)
+     */
+    async deleteRegion(regionId: string): Promise<void> {
+        await axios.delete(`${API_URL}/regions/${encodeURIComponent(regionId)}`, await authHeaders());
+    },
+
+    /**
+     * Anchor the region's current hash on-chain (Admin only)
+     */
+    async anchorRegion(regionId: string): Promise<CertifiedRegion> {
+        const response = await axios.post(`${API_URL}/regions/${encodeURIComponent(regionId)}/anchor`, {}, await authHeaders());
+        return response.data.data.region;
+    },
+};
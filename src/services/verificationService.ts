@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { authService } from './auth.service';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
@@ -60,7 +61,7 @@ export const verificationService = {
             params: [message, walletAddress],
         }) as string;
 
-        const token = localStorage.getItem('token');
+        const token = await authService.getAccessToken();
         const response = await axios.post(
             `${API_URL}/verification/link-wallet`,
             { walletAddress, signature },
@@ -91,7 +92,7 @@ export const verificationService = {
 
         const adminAddress = accounts[0];
 
-        const token = localStorage.getItem('token');
+        const token = await authService.getAccessToken();
 
         // Sign verification message with deterministic, non-PII content
         const message = `Issue credential for user ${userId} with wallet ${walletAddress}`;
@@ -120,7 +121,7 @@ export const verificationService = {
         userId: string,
         reason: string
     ): Promise<{ success: boolean }> {
-        const token = localStorage.getItem('token');
+        const token = await authService.getAccessToken();
         const response = await axios.post(
             `${API_URL}/verification/revoke`,
             { userId, reason },
@@ -146,7 +147,7 @@ export const verificationService = {
      * Get unverified users (Admin only)
      */
     async getUnverifiedUsers(): Promise<UnverifiedUser[]> {
-        const token = localStorage.getItem('token');
+        const token = await authService.getAccessToken();
         const response = await axios.get(`${API_URL}/verification/unverified`, {
             headers: {
                 Authorization: `Bearer ${token}`,
@@ -160,7 +161,7 @@ export const verificationService = {
      * Get verified users (Admin only)
      */
     async getVerifiedUsers(): Promise<VerifiedUser[]> {
-        const token = localStorage.getItem('token');
+        const token = await authService.getAccessToken();
         const response = await axios.get(`${API_URL}/verification/verified`, {
             headers: {
                 Authorization: `Bearer ${token}`,
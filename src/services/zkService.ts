@@ -0,0 +1,104 @@
+import type { Groth16Proof } from 'snarkjs';
+import type { LocationProofRequest, LocationProofResponse } from '../workers/locationProof.worker';
+import { buildLocationInput, type BoundingBox, type Coordinates } from '../utils/location';
+import type { CertifiedRegion } from './regionService';
+import { authService } from './auth.service';
+
+export type { CertifiedRegion } from './regionService';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+/**
+ * Proof, public signals and the certified region they prove, as attached to a batch with
+ * POST /batches/:batchId/origin-proof. The coordinates are not included.
+ */
+export interface LocationProof {
+    proof: Groth16Proof;
+    publicSignals: string[];
+    regionId: string;
+}
+
+export interface LocationProofCheck {
+    valid: boolean;
+    region: CertifiedRegion | null;
+    box: BoundingBox;
+}
+
+export class LocationProofError extends Error {
+    constructor(message: string, public code: 'OUTSIDE_BOX' | 'PROOF_FAILED') {
+        super(message);
+        this.name = 'LocationProofError';
+    }
+}
+
+let worker: Worker | null = null;
+let nextRequestId = 1;
+const pending = new Map<number, { resolve: (proof: Omit<LocationProof, 'regionId'>) => void; reject: (error: Error) => void }>();
+
+// One worker is shared by all proofs so the circuit files are only downloaded once
+const getWorker = (): Worker => {
+    if (!worker) {
+        worker = new Worker(new URL('../workers/locationProof.worker.ts', import.meta.url), { type: 'module' });
+        worker.onmessage = (event: MessageEvent<LocationProofResponse>) => {
+            const response = event.data;
+            const request = pending.get(response.id);
+            if (!request) return;
+            pending.delete(response.id);
+
+            if (response.ok) {
+                request.resolve({ proof: response.proof, publicSignals: response.publicSignals });
+            } else {
+                request.reject(new LocationProofError(response.message, response.code));
+            }
+        };
+        worker.onerror = (event) => {
+            pending.forEach(({ reject }) => reject(new LocationProofError(event.message || 'Proof worker failed', 'PROOF_FAILED')));
+            pending.clear();
+            worker?.terminate();
+            worker = null;
+        };
+    }
+    return worker;
+};
+
+export const zkService = {
+    /**
+     * Certified regions currently in force, i.e. the ones a location proof can target
+     */
+    async getCertifiedRegions(): Promise<CertifiedRegion[]> {
+        const response = await fetch(`${API_URL}/regions?active=true`);
+        if (!response.ok) throw new Error('Failed to fetch certified regions');
+        const result = await response.json();
+        return result.data.regions;
+    },
+
+    /**
+     * Prove in a Web Worker that a point lies inside a region without revealing the point.
+     * The proof is bound to one batch and is refused for any other.
+     */
+    generateLocationProof(point: Coordinates, region: CertifiedRegion, chainBatchId: string): Promise<LocationProof> {
+        const request: LocationProofRequest = { id: nextRequestId++, input: buildLocationInput(point, region.box, chainBatchId) };
+
+        return new Promise<Omit<LocationProof, 'regionId'>>((resolve, reject) => {
+            pending.set(request.id, { resolve, reject });
+            getWorker().postMessage(request);
+        }).then((proof) => ({ ...proof, regionId: region.regionId }));
+    },
+
+    /**
+     * Check a proof against the backend's verification key before it is submitted
+     */
+    async verifyLocationProof(locationProof: LocationProof): Promise<LocationProofCheck> {
+        const response = await fetch(`${API_URL}/zk/verify-location`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${await authService.getAccessToken()}`,
+            },
+            body: JSON.stringify(locationProof),
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || 'Failed to verify location proof');
+        return result.data;
+    },
+};
@@ -0,0 +1,25 @@
+// Minimal typings for the parts of snarkjs used in the browser (no upstream types are published)
+declare module 'snarkjs' {
+  export interface Groth16Proof {
+    pi_a: string[];
+    pi_b: string[][];
+    pi_c: string[];
+    protocol: string;
+    curve: string;
+  }
+
+  type FileSource = string | Uint8Array | { type: 'mem'; data?: Uint8Array };
+
+  export const wtns: {
+    calculate(input: Record<string, string>, wasm: FileSource, wtns: FileSource): Promise<void>;
+  };
+
+  export const groth16: {
+    prove(
+      zkey: FileSource,
+      wtns: FileSource,
+      logger?: unknown,
+      options?: { singleThread?: boolean }
+    ): Promise<{ proof: Groth16Proof; publicSignals: string[] }>;
+  };
+}
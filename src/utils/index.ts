@@ -1,3 +1,5 @@
+import { id } from 'ethers';
+
 
 /**
  * Formats a date string to DD/MM/YYYY format.
@@ -22,18 +24,19 @@ export const calculateTotalWeight = (batches: { quantity: number }[]): number =>
 };
 
 /**
- * Validates if a batch ID is a valid hex string.
+ * Human readable batch IDs issued by the backend: CROP[-ORG]-YYYY-NNN.
+ * Must match the default pattern of backend/services/batchIdService.js.
+ */
+const BATCH_ID_PATTERN = /^CROP(?:-[A-Z0-9]{2,10})?-\d{4}-\d{3,}$/;
+
+/**
+ * Validates a batch ID: a human readable ID (CROP-2025-001, CROP-PB-2025-001)
+ * or a hex string ID from before human readable IDs were issued.
  * @param batchId The batch ID to validate.
  * @returns True if valid, false otherwise.
  */
 export const validateBatchID = (batchId: string): boolean => {
-    // Assuming a standard hex string format (e.g., Ethereum address or similar hash)
-    // Adjust the regex based on specific requirements if needed. 
-    // For now, checking for alphanumeric (hex) characters.
-    // Example: 0x... or just hex. Let's assume a general hex string of some length.
-    // Requirements say "valid hex strings".
-    const hexRegex = /^[0-9a-fA-F]+$/;
-    return hexRegex.test(batchId);
+    return BATCH_ID_PATTERN.test(batchId) || /^[0-9a-fA-F]+$/.test(batchId);
 };
 
 /**
@@ -44,3 +47,22 @@ export const validateBatchID = (batchId: string): boolean => {
 export const convertKgToQuintal = (kg: number): number => {
     return kg / 100;
 };
+
+/**
+ * Encodes a human readable batch ID (CROP-YYYY-XXX) as the bytes32 ID used by CropChain.sol.
+ * Must match backend/utils/batchId.js: keccak256 of the UTF-8 string.
+ * @param batchId The human readable batch ID.
+ * @returns The lower-case 0x-prefixed bytes32 hex string.
+ */
+export const toChainBatchId = (batchId: string): string => {
+    return id(batchId).toLowerCase();
+};
+
+/**
+ * Checks whether a value is a bytes32 on-chain batch ID.
+ * @param value The value to check.
+ * @returns True if value is 0x followed by 64 hex characters.
+ */
+export const isChainBatchId = (value: string): boolean => {
+    return /^0x[0-9a-fA-F]{64}$/.test(value);
+};
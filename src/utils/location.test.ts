@@ -0,0 +1,63 @@
+import {
+    buildLocationInput,
+    decodeBoundingBox,
+    encodeBatchId,
+    encodeLatitude,
+    encodeLongitude,
+    formatBoundingBox,
+    isInsideBox,
+} from './location';
+
+describe('location encoding', () => {
+    it('encodes coordinates the way zk/input.json does', () => {
+        expect(encodeLatitude(30.901)).toBe('120901000');
+        expect(encodeLongitude(75.8573)).toBe('255857300');
+        expect(encodeLatitude(-90)).toBe('0');
+        expect(encodeLongitude(180)).toBe('360000000');
+    });
+
+    it('decodes and formats the public signals of a proof', () => {
+        const box = decodeBoundingBox(['119500000', '122500000', '253800000', '257000000']);
+
+        expect(box.minLat).toBeCloseTo(29.5);
+        expect(box.maxLon).toBeCloseTo(77);
+        expect(formatBoundingBox(box)).toBe('29.5°N–32.5°N, 73.8°E–77°E');
+    });
+
+    it('formats southern and western boxes', () => {
+        expect(formatBoundingBox({ minLat: -10.25, maxLat: -5, minLon: -60, maxLon: -55.5 }))
+            .toBe('10.25°S–5°S, 60°W–55.5°W');
+    });
+
+    it('builds the circuit input the way zk/input.json does', () => {
+        const box = ['119500000', '122500000', '253800000', '257000000'];
+
+        // keccak256('CROP-2025-001')
+        const chainBatchId = '0xf63d1f9c44a2d1b4108711489521f1408f752e23734ce4e4c41ca3ec94964831';
+
+        expect(buildLocationInput({ latitude: 30.901, longitude: 75.8573 }, box, chainBatchId)).toEqual({
+            lat: '120901000',
+            lon: '255857300',
+            minLat: '119500000',
+            maxLat: '122500000',
+            minLon: '253800000',
+            maxLon: '257000000',
+            batchId: '1935742230355283204055730068389254699599867250398312243713443475903074420780',
+        });
+    });
+
+    it('reduces batch IDs above the scalar field modulo it', () => {
+        expect(encodeBatchId('0x' + '00'.repeat(31) + '2a')).toBe('42');
+        expect(encodeBatchId('0x' + 'ff'.repeat(32)))
+            .toBe('6350874878119819312338956282401532410528162663560392320966563075034087161850');
+    });
+
+    it('checks points against a box, edges included', () => {
+        const punjab = { minLat: 29.5, maxLat: 32.5, minLon: 73.8, maxLon: 77 };
+
+        expect(isInsideBox({ latitude: 30.901, longitude: 75.8573 }, punjab)).toBe(true);
+        expect(isInsideBox({ latitude: 29.5, longitude: 77 }, punjab)).toBe(true);
+        expect(isInsideBox({ latitude: 29.499999, longitude: 75 }, punjab)).toBe(false);
+        expect(isInsideBox({ latitude: 28.6139, longitude: 77.209 }, punjab)).toBe(false);
+    });
+});
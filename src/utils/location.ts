@@ -0,0 +1,108 @@
+/**
+ * Fixed-point coordinate encoding used by the location proof circuit (zk/location.circom).
+ * Coordinates are micro-degrees shifted to be non-negative; see docs/LOCATION_PROOFS.md.
+ */
+
+export interface BoundingBox {
+  minLat: number;
+  maxLat: number;
+  minLon: number;
+  maxLon: number;
+}
+
+const SCALE = 1e6;
+
+/**
+ * Encodes a latitude in degrees as a circuit input.
+ * @param latitude Latitude in degrees (-90 to 90).
+ * @returns The encoded latitude as a decimal string.
+ */
+export const encodeLatitude = (latitude: number): string => String(Math.round((latitude + 90) * SCALE));
+
+/**
+ * Encodes a longitude in degrees as a circuit input.
+ * @param longitude Longitude in degrees (-180 to 180).
+ * @returns The encoded longitude as a decimal string.
+ */
+export const encodeLongitude = (longitude: number): string => String(Math.round((longitude + 180) * SCALE));
+
+export interface Coordinates {
+  latitude: number;
+  longitude: number;
+}
+
+/**
+ * Input signals of the location circuit, as decimal strings.
+ */
+export interface LocationCircuitInput {
+  lat: string;
+  lon: string;
+  minLat: string;
+  maxLat: string;
+  minLon: string;
+  maxLon: string;
+  batchId: string;
+}
+
+// BN254 scalar field order, matches CropChain.SNARK_SCALAR_FIELD
+const SNARK_SCALAR_FIELD = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+/**
+ * Encodes an on-chain batch ID as the circuit's batchId input, which binds a proof to one batch.
+ * @param chainBatchId The bytes32 batch ID as a 0x-prefixed hex string.
+ * @returns chainBatchId modulo the scalar field, as a decimal string.
+ */
+export const encodeBatchId = (chainBatchId: string): string => (BigInt(chainBatchId) % SNARK_SCALAR_FIELD).toString();
+
+/**
+ * Checks whether a point lies inside a box, edges included, as the circuit does.
+ * @param point The point in degrees.
+ * @param box The bounding box in degrees.
+ * @returns True if the point is inside the box.
+ */
+export const isInsideBox = (point: Coordinates, box: BoundingBox): boolean => {
+  const lat = Number(encodeLatitude(point.latitude));
+  const lon = Number(encodeLongitude(point.longitude));
+  return lat >= Number(encodeLatitude(box.minLat)) && lat <= Number(encodeLatitude(box.maxLat))
+    && lon >= Number(encodeLongitude(box.minLon)) && lon <= Number(encodeLongitude(box.maxLon));
+};
+
+/**
+ * Builds the circuit input for proving that a point lies in a certified box.
+ * @param point The private point in degrees.
+ * @param box The public box, already encoded as [minLat, maxLat, minLon, maxLon].
+ * @param chainBatchId The on-chain ID of the batch the proof is for.
+ * @returns The circuit input.
+ */
+export const buildLocationInput = (point: Coordinates, box: string[], chainBatchId: string): LocationCircuitInput => ({
+  lat: encodeLatitude(point.latitude),
+  lon: encodeLongitude(point.longitude),
+  minLat: box[0],
+  maxLat: box[1],
+  minLon: box[2],
+  maxLon: box[3],
+  batchId: encodeBatchId(chainBatchId),
+});
+
+/**
+ * Decodes the public signals of a location proof into a box in degrees.
+ * @param publicSignals [minLat, maxLat, minLon, maxLon, batchId] as encoded by the circuit.
+ * @returns The bounding box in degrees.
+ */
+export const decodeBoundingBox = (publicSignals: string[]): BoundingBox => ({
+  minLat: Number(publicSignals[0]) / SCALE - 90,
+  maxLat: Number(publicSignals[1]) / SCALE - 90,
+  minLon: Number(publicSignals[2]) / SCALE - 180,
+  maxLon: Number(publicSignals[3]) / SCALE - 180,
+});
+
+/**
+ * Formats a bounding box for display, e.g. "29.5°N–32.5°N, 73.8°E–77°E".
+ * @param box The bounding box in degrees.
+ * @returns The formatted box.
+ */
+export const formatBoundingBox = (box: BoundingBox): string => {
+  const lat = (value: number) => `${Math.abs(Number(value.toFixed(4)))}°${value < 0 ? 'S' : 'N'}`;
+  const lon = (value: number) => `${Math.abs(Number(value.toFixed(4)))}°${value < 0 ? 'W' : 'E'}`;
+  return `${lat(box.minLat)}–${lat(box.maxLat)}, ${lon(box.minLon)}–${lon(box.maxLon)}`;
+};
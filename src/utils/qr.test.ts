@@ -0,0 +1,72 @@
+import * as QRCode from 'qrcode';
+import { decodeQRCode, extractBatchId, toDarkestChannel } from './qr';
+
+/**
+ * Renders a QR code to RGBA pixels the way a camera frame or uploaded image would arrive.
+ */
+const renderQRCode = (text: string, dark: [number, number, number], light: [number, number, number] = [255, 255, 255]) => {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const scale = 6;
+    const margin = 4;
+    const size = (modules.size + margin * 2) * scale;
+    const data = new Uint8ClampedArray(size * size * 4);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const row = Math.floor(y / scale) - margin;
+            const col = Math.floor(x / scale) - margin;
+            const inside = row >= 0 && col >= 0 && row < modules.size && col < modules.size;
+            const color = inside && modules.get(row, col) ? dark : light;
+            const offset = (y * size + x) * 4;
+            data.set([...color, 255], offset);
+        }
+    }
+
+    return { data, width: size, height: size };
+};
+
+describe('QR Utilities', () => {
+    describe('decodeQRCode', () => {
+        it('should decode a black-on-white code', () => {
+            const { data, width, height } = renderQRCode('CROP-2025-001', [0, 0, 0]);
+            expect(decodeQRCode(data, width, height)).toBe('CROP-2025-001');
+        });
+
+        it('should decode the green-on-white codes printed on batch labels', () => {
+            const { data, width, height } = renderQRCode('CROP-2025-042', [0x22, 0xc5, 0x5e]);
+            expect(decodeQRCode(data, width, height)).toBe('CROP-2025-042');
+        });
+
+        it('should decode faded light-green codes', () => {
+            const { data, width, height } = renderQRCode('CROP-PB-2025-007', [0x86, 0xef, 0xac]);
+            expect(decodeQRCode(data, width, height)).toBe('CROP-PB-2025-007');
+        });
+
+        it('should return null when there is no code', () => {
+            const data = new Uint8ClampedArray(100 * 100 * 4).fill(255);
+            expect(decodeQRCode(data, 100, 100)).toBeNull();
+        });
+    });
+
+    describe('toDarkestChannel', () => {
+        it('should map each pixel to its lowest channel', () => {
+            const result = toDarkestChannel(new Uint8ClampedArray([34, 197, 94, 255, 255, 255, 255, 255]));
+            expect(Array.from(result)).toEqual([34, 34, 34, 255, 255, 255, 255, 255]);
+        });
+    });
+
+    describe('extractBatchId', () => {
+        it('should return bare batch IDs unchanged', () => {
+            expect(extractBatchId('  CROP-2025-001\n')).toBe('CROP-2025-001');
+        });
+
+        it('should read the batch ID from tracking links', () => {
+            expect(extractBatchId('https://cropchain.app/track?batchId=CROP-2025-001')).toBe('CROP-2025-001');
+            expect(extractBatchId('https://cropchain.app/track/CROP-2025-002')).toBe('CROP-2025-002');
+        });
+
+        it('should return null for empty content', () => {
+            expect(extractBatchId('   ')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import jsQR from 'jsqr';
+
+/**
+ * Builds a grayscale copy of an RGBA image where each pixel takes its darkest channel.
+ * Coloured modules on white (such as the green #22c55e codes printed on batch labels)
+ * have a high luminance but a very low red channel, so this turns them into near-black
+ * modules that the binarizer separates cleanly from the white background.
+ * @param data RGBA pixel data.
+ * @returns New RGBA pixel data of the same size.
+ */
+export const toDarkestChannel = (data: Uint8ClampedArray): Uint8ClampedArray => {
+    const output = new Uint8ClampedArray(data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        const value = Math.min(data[i], data[i + 1], data[i + 2]);
+        output[i] = value;
+        output[i + 1] = value;
+        output[i + 2] = value;
+        output[i + 3] = 255;
+    }
+    return output;
+};
+
+/**
+ * Decodes a QR code from RGBA pixel data (e.g. a canvas ImageData).
+ * Tries the image as-is first, then the darkest-channel version for coloured codes.
+ * @param data RGBA pixel data.
+ * @param width Image width in pixels.
+ * @param height Image height in pixels.
+ * @returns The decoded text, or null if no QR code was found.
+ */
+export const decodeQRCode = (data: Uint8ClampedArray, width: number, height: number): string | null => {
+    const direct = jsQR(data, width, height, { inversionAttempts: 'attemptBoth' });
+    if (direct?.data) return direct.data;
+
+    const contrasted = jsQR(toDarkestChannel(data), width, height, { inversionAttempts: 'dontInvert' });
+    return contrasted?.data || null;
+};
+
+/**
+ * Extracts a batch ID from scanned QR content.
+ * Batch labels encode the bare batch ID; links to a tracking page carry it in a
+ * `batchId` query parameter or as the last path segment.
+ * @param text The decoded QR text.
+ * @returns The batch ID, or null if the content is empty.
+ */
+export const extractBatchId = (text: string): string | null => {
+    const value = text.trim();
+    if (!value) return null;
+
+    if (/^https?:\/\//i.test(value)) {
+        try {
+            const url = new URL(value);
+            const fromQuery = url.searchParams.get('batchId');
+            if (fromQuery) return fromQuery.trim();
+            const segments = url.pathname.split('/').filter(Boolean);
+            if (segments.length) return decodeURIComponent(segments[segments.length - 1]);
+        } catch {
+            return value;
+        }
+    }
+
+    return value;
+};
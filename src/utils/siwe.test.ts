@@ -0,0 +1,32 @@
+import { buildSiweMessage } from './siwe';
+
+describe('buildSiweMessage', () => {
+    it('builds an EIP-4361 message bound to the site, chain and nonce', () => {
+        const message = buildSiweMessage({
+            address: '0x70997970c51812dc3a010c7d01b50e0d17dc79c8',
+            chainId: 31337,
+            domain: 'localhost:5173',
+            uri: 'http://localhost:5173',
+            nonce: '9f86d081884c7d659a2feaa0c55ad015',
+            expiresAt: '2025-01-15T10:35:00.000Z',
+            statement: 'Sign in to CropChain',
+            chainIds: [31337],
+            version: '1',
+            issuedAt: new Date('2025-01-15T10:30:00.000Z'),
+        });
+
+        expect(message).toBe([
+            'localhost:5173 wants you to sign in with your Ethereum account:',
+            '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+            '',
+            'Sign in to CropChain',
+            '',
+            'URI: http://localhost:5173',
+            'Version: 1',
+            'Chain ID: 31337',
+            'Nonce: 9f86d081884c7d659a2feaa0c55ad015',
+            'Issued At: 2025-01-15T10:30:00.000Z',
+            'Expiration Time: 2025-01-15T10:35:00.000Z',
+        ].join('\n'));
+    });
+});
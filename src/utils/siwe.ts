@@ -0,0 +1,37 @@
+import { getAddress } from 'ethers';
+import { SiweMessage } from 'siwe';
+
+export interface SiweChallenge {
+    nonce: string;
+    expiresAt: string;
+    statement: string;
+    chainIds: number[];
+    version: string;
+}
+
+export interface SiweMessageInput extends SiweChallenge {
+    address: string;
+    chainId: number;
+    /** Host the user is signing in on, e.g. window.location.host */
+    domain: string;
+    /** Origin the user is signing in on, e.g. window.location.origin */
+    uri: string;
+    issuedAt?: Date;
+}
+
+/**
+ * Build the Sign-In with Ethereum (EIP-4361) message for a nonce issued by GET /auth/nonce.
+ * The message expires together with the nonce. The backend only accepts messages for its
+ * own domain and chain IDs, so a signature phished on another site is useless.
+ */
+export const buildSiweMessage = (input: SiweMessageInput): string => new SiweMessage({
+    domain: input.domain,
+    address: getAddress(input.address),
+    statement: input.statement,
+    uri: input.uri,
+    version: input.version,
+    chainId: input.chainId,
+    nonce: input.nonce,
+    issuedAt: (input.issuedAt || new Date()).toISOString(),
+    expirationTime: new Date(input.expiresAt).toISOString(),
+}).prepareMessage();
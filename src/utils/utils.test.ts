@@ -1,5 +1,5 @@
 
-import { formatDate, calculateTotalWeight, validateBatchID, convertKgToQuintal } from './index';
+import { formatDate, calculateTotalWeight, validateBatchID, convertKgToQuintal, toChainBatchId, isChainBatchId } from './index';
 
 describe('Utility Functions', () => {
     describe('formatDate', () => {
@@ -41,6 +41,19 @@ describe('Utility Functions', () => {
             expect(validateBatchID('123g')).toBe(false);
             expect(validateBatchID('')).toBe(false); // Empty string - generally considered invalid ID
         });
+
+        it('should return true for human readable batch IDs', () => {
+            expect(validateBatchID('CROP-2025-001')).toBe(true);
+            expect(validateBatchID('CROP-PB-2025-042')).toBe(true);
+            expect(validateBatchID('CROP-2025-1000')).toBe(true);
+        });
+
+        it('should return false for malformed human readable batch IDs', () => {
+            expect(validateBatchID('CROP-25-001')).toBe(false);
+            expect(validateBatchID('CROP-2025-01')).toBe(false);
+            expect(validateBatchID('CROP-P-2025-001')).toBe(false);
+            expect(validateBatchID('crop-2025-001')).toBe(false);
+        });
     });
 
     describe('convertKgToQuintal', () => {
@@ -50,4 +63,25 @@ describe('Utility Functions', () => {
             expect(convertKgToQuintal(0)).toBe(0);
         })
     })
+
+    describe('toChainBatchId', () => {
+        it('should hash the human batch ID with keccak256', () => {
+            // Same value as ethers.id('CROP-2024-001') in backend/utils/batchId.js
+            expect(toChainBatchId('CROP-2024-001')).toBe('0x40f6f86c4bd5d710272b24f9280178cada100c4b5e2bb58db7c553b4aa7df71c');
+            expect(isChainBatchId(toChainBatchId('CROP-2024-001'))).toBe(true);
+        });
+
+        it('should be deterministic and case sensitive', () => {
+            expect(toChainBatchId('CROP-2024-001')).toBe(toChainBatchId('CROP-2024-001'));
+            expect(toChainBatchId('crop-2024-001')).not.toBe(toChainBatchId('CROP-2024-001'));
+        });
+    });
+
+    describe('isChainBatchId', () => {
+        it('should only accept 0x-prefixed 32 byte hex strings', () => {
+            expect(isChainBatchId('0x' + 'ab'.repeat(32))).toBe(true);
+            expect(isChainBatchId('CROP-2024-001')).toBe(false);
+            expect(isChainBatchId('0x' + 'ab'.repeat(31))).toBe(false);
+        });
+    });
 });
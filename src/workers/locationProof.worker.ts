@@ -0,0 +1,72 @@
+import * as snarkjs from 'snarkjs';
+import wasmUrl from '../../zk/location_js/location.wasm?url';
+import zkeyUrl from '../../zk/location_final.zkey?url';
+import type { LocationCircuitInput } from '../utils/location';
+
+/**
+ * Proves zk/location.circom off the main thread. The witness is computed from the
+ * circuit's wasm and the Groth16 proof from the final zkey; the private coordinates
+ * never leave this worker.
+ */
+
+export interface LocationProofRequest {
+  id: number;
+  input: LocationCircuitInput;
+}
+
+export type LocationProofResponse =
+  | { id: number; ok: true; proof: snarkjs.Groth16Proof; publicSignals: string[] }
+  | { id: number; ok: false; code: 'OUTSIDE_BOX' | 'PROOF_FAILED'; message: string };
+
+// The app compiles against the DOM lib, so type the worker scope by hand
+const ctx = self as unknown as {
+  onmessage: ((event: MessageEvent<LocationProofRequest>) => void) | null;
+  postMessage: (message: LocationProofResponse) => void;
+};
+
+const download = async (url: string): Promise<Uint8Array> => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to download ${url} (${response.status})`);
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+// Circuit files are fetched once per worker and reused for later proofs
+let circuitFiles: Promise<[Uint8Array, Uint8Array]> | null = null;
+const loadCircuitFiles = () => {
+  if (!circuitFiles) {
+    circuitFiles = Promise.all([download(wasmUrl), download(zkeyUrl)]);
+    circuitFiles.catch(() => { circuitFiles = null; });
+  }
+  return circuitFiles;
+};
+
+ctx.onmessage = async (event: MessageEvent<LocationProofRequest>) => {
+  const { id, input } = event.data;
+  const reply = (response: LocationProofResponse) => ctx.postMessage(response);
+
+  let wasm: Uint8Array;
+  let zkey: Uint8Array;
+  try {
+    [wasm, zkey] = await loadCircuitFiles();
+  } catch (error) {
+    reply({ id, ok: false, code: 'PROOF_FAILED', message: (error as Error).message });
+    return;
+  }
+
+  const witness: { type: 'mem'; data?: Uint8Array } = { type: 'mem' };
+  try {
+    await snarkjs.wtns.calculate({ ...input }, wasm, witness);
+  } catch {
+    // The circuit's constraints fail for points outside the box, so no witness exists
+    reply({ id, ok: false, code: 'OUTSIDE_BOX', message: 'Location is outside the selected region' });
+    return;
+  }
+
+  try {
+    // The circuit is small; a single thread avoids spawning workers from this worker
+    const { proof, publicSignals } = await snarkjs.groth16.prove(zkey, witness, undefined, { singleThread: true });
+    reply({ id, ok: true, proof, publicSignals });
+  } catch (error) {
+    reply({ id, ok: false, code: 'PROOF_FAILED', message: (error as Error).message });
+  }
+};
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { JsonRpcServer } = require("hardhat/internal/hardhat-network/jsonrpc/server");
+
+const { ethers } = hre;
+
+// Hardhat account #0, the deployer and contract owner
+const PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+const id = (value) => ethers.id(value);
+
+// The backend wallet (backend/config/blockchain.js) against a Hardhat node over JSON-RPC
+describe("Backend wallet nonces", function () {
+  let server;
+  let contract;
+  let backendSigner;
+
+  before(async function () {
+    const CropChain = await ethers.getContractFactory("CropChain");
+    const cropChain = await CropChain.deploy();
+
+    server = new JsonRpcServer({ hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+    const { port } = await server.listen();
+
+    process.env.INFURA_URL = `http://127.0.0.1:${port}`;
+    process.env.CONTRACT_ADDRESS = await cropChain.getAddress();
+    process.env.PRIVATE_KEY = PRIVATE_KEY;
+
+    const blockchain = require("../backend/config/blockchain");
+    contract = blockchain.getContract();
+    backendSigner = contract.runner;
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  // A nonce gap leaves the transaction unmined, so wait() times out instead of returning a receipt
+  const mined = async (tx) => {
+    const receipt = await tx.wait(1, 10000);
+    expect(receipt.status).to.equal(1);
+  };
+
+  const createBatch = (batchId) => contract.createBatch(id(batchId), id("RICE"), "", 100, "Farmer Joe", "Punjab", "");
+
+  it("keeps anchoring after a transaction reverts in gas estimation", async function () {
+    // Updating a batch the contract does not know reverts before anything is broadcast
+    await expect(contract.updateBatch(id("CROP-2025-404"), 1, "Mandi", "Ludhiana", "")).to.be.rejected;
+
+    await mined(await createBatch("CROP-2025-001"));
+    expect(await backendSigner.getNonce("pending"))
+      .to.equal(await ethers.provider.getTransactionCount(await backendSigner.getAddress(), "pending"));
+  });
+
+  it("keeps the nonces of concurrent sends in order when one of them reverts", async function () {
+    const [create, update, next] = await Promise.allSettled([
+      createBatch("CROP-2025-002"),
+      contract.updateBatch(id("CROP-2025-405"), 1, "Mandi", "Ludhiana", ""),
+      createBatch("CROP-2025-003")
+    ]);
+
+    expect(update.status).to.equal("rejected");
+    await mined(create.value);
+    await mined(next.value);
+    expect((await contract.getBatch(id("CROP-2025-003"))).quantity).to.equal(100n);
+  });
+});
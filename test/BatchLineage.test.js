@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const Roles = { Farmer: 1, Mandi: 2, Transporter: 3 };
+const Stage = { Farmer: 0, Mandi: 1, Transport: 2 };
+
+const id = (value) => ethers.id(value);
+
+describe("Batch split and merge", function () {
+  let cropChain;
+  let farmer;
+  let mandi;
+  let transporter;
+  let other;
+
+  const wheat = id("wheat");
+
+  async function createAtMandi(batchId, quantity, cropTypeHash = wheat) {
+    await cropChain.connect(farmer).createBatch(batchId, cropTypeHash, "QmHash", quantity, "Farmer Joe", "Punjab", "");
+    await cropChain.connect(mandi).updateBatch(batchId, Stage.Mandi, "Mandi Market", "Ludhiana", "");
+  }
+
+  beforeEach(async function () {
+    [, farmer, mandi, transporter, other] = await ethers.getSigners();
+
+    const CropChain = await ethers.getContractFactory("CropChain");
+    cropChain = await CropChain.deploy();
+
+    await cropChain.setRole(farmer.address, Roles.Farmer);
+    await cropChain.setRole(mandi.address, Roles.Mandi);
+    await cropChain.setRole(transporter.address, Roles.Transporter);
+  });
+
+  it("splits a batch into lots at the parent's stage", async function () {
+    await createAtMandi(id("P"), 100);
+    const children = [id("C1"), id("C2")];
+
+    await expect(cropChain.connect(mandi).splitBatch(id("P"), children, [60, 40], "Mandi Market", "Ludhiana", "Split"))
+      .to.emit(cropChain, "BatchSplit")
+      .withArgs(id("P"), children, [60, 40], mandi.address);
+
+    const child = await cropChain.getBatch(children[0]);
+    expect(child.quantity).to.equal(60n);
+    expect(child.cropTypeHash).to.equal(wheat);
+    expect((await cropChain.getLatestUpdate(children[1])).stage).to.equal(Stage.Mandi);
+    expect(await cropChain.getParentBatches(children[1])).to.deep.equal([id("P")]);
+    expect(await cropChain.getChildBatches(id("P"))).to.deep.equal(children);
+    expect(await cropChain.consumedBatches(id("P"))).to.be.true;
+
+    // The lots carry on through the supply chain; the parent does not
+    await cropChain.connect(transporter).updateBatch(children[0], Stage.Transport, "Road Freight", "Ludhiana", "");
+    await expect(cropChain.connect(transporter).updateBatch(id("P"), Stage.Transport, "Road Freight", "Ludhiana", ""))
+      .to.be.revertedWith("Batch consumed");
+  });
+
+  it("cancels the listings of consumed batches so they can no longer be bought", async function () {
+    await createAtMandi(id("P"), 100);
+    await createAtMandi(id("A"), 70);
+    await createAtMandi(id("B"), 30);
+    await cropChain.connect(mandi).createListing(id("P"), 40, 1);
+    await cropChain.connect(mandi).createListing(id("A"), 20, 1);
+
+    await expect(cropChain.connect(mandi).splitBatch(id("P"), [id("C1"), id("C2")], [60, 40], "Mandi", "Ludhiana", ""))
+      .to.emit(cropChain, "ListingCancelled").withArgs(1, mandi.address);
+    await expect(cropChain.connect(mandi).mergeBatches([id("A"), id("B")], id("M"), "Mandi", "Ludhiana", ""))
+      .to.emit(cropChain, "ListingCancelled").withArgs(2, mandi.address);
+
+    const listing = await cropChain.listings(1);
+    expect(listing.active).to.be.false;
+    expect(listing.quantityAvailable).to.equal(0n);
+    await expect(cropChain.connect(other).buyFromListing(1, 10, { value: 10 }))
+      .to.be.revertedWith("Listing inactive");
+    await expect(cropChain.connect(other).buyFromListing(2, 10, { value: 10 }))
+      .to.be.revertedWith("Listing inactive");
+  });
+
+  it("requires split quantities that add up to the batch", async function () {
+    await createAtMandi(id("P"), 100);
+
+    await expect(cropChain.connect(mandi).splitBatch(id("P"), [id("C1"), id("C2")], [60, 30], "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Quantities must sum to batch quantity");
+    await expect(cropChain.connect(mandi).splitBatch(id("P"), [id("C1")], [100], "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Invalid split");
+    await expect(cropChain.connect(mandi).splitBatch(id("P"), [id("C1"), id("C2")], [100, 0], "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Quantity must be > 0");
+  });
+
+  it("only lets mandis and admins split unconsumed, unrecalled batches", async function () {
+    await createAtMandi(id("P"), 100);
+    await createAtMandi(id("R"), 100);
+    await cropChain.recallBatch(id("R"), 1, "Moisture damage", ethers.ZeroHash);
+
+    await expect(cropChain.connect(farmer).splitBatch(id("P"), [id("C1"), id("C2")], [50, 50], "Farmer", "Punjab", ""))
+      .to.be.revertedWith("Only mandi/admin");
+    await expect(cropChain.connect(mandi).splitBatch(id("R"), [id("C1"), id("C2")], [50, 50], "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Batch is recalled");
+
+    await cropChain.connect(mandi).splitBatch(id("P"), [id("C1"), id("C2")], [50, 50], "Mandi", "Ludhiana", "");
+    await expect(cropChain.connect(mandi).splitBatch(id("P"), [id("C3"), id("C4")], [50, 50], "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Batch consumed");
+  });
+
+  it("merges batches of one crop at one stage", async function () {
+    await createAtMandi(id("A"), 70);
+    await createAtMandi(id("B"), 30);
+
+    await expect(cropChain.connect(mandi).mergeBatches([id("A"), id("B")], id("M"), "Mandi Market", "Ludhiana", "Merged"))
+      .to.emit(cropChain, "BatchMerged")
+      .withArgs(id("M"), [id("A"), id("B")], 100, mandi.address);
+
+    expect((await cropChain.getBatch(id("M"))).quantity).to.equal(100n);
+    expect((await cropChain.getLatestUpdate(id("M"))).stage).to.equal(Stage.Mandi);
+    expect(await cropChain.getParentBatches(id("M"))).to.deep.equal([id("A"), id("B")]);
+    expect(await cropChain.getChildBatches(id("B"))).to.deep.equal([id("M")]);
+    await expect(cropChain.connect(mandi).createListing(id("A"), 10, 1))
+      .to.be.revertedWith("Batch consumed");
+  });
+
+  it("rejects merges across crops, stages or with repeated batches", async function () {
+    await createAtMandi(id("A"), 70);
+    await createAtMandi(id("B"), 30, id("rice"));
+    await cropChain.connect(farmer).createBatch(id("F"), wheat, "QmHash", 20, "Farmer Joe", "Punjab", "");
+
+    await expect(cropChain.connect(mandi).mergeBatches([id("A"), id("B")], id("M"), "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Crop type mismatch");
+    await expect(cropChain.connect(mandi).mergeBatches([id("A"), id("F")], id("M"), "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Stage mismatch");
+    await expect(cropChain.connect(mandi).mergeBatches([id("A"), id("A")], id("M"), "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Batch consumed");
+    await expect(cropChain.connect(other).mergeBatches([id("A"), id("F")], id("M"), "Other", "Ludhiana", ""))
+      .to.be.revertedWith("Only mandi/admin");
+    await expect(cropChain.connect(mandi).mergeBatches([id("X"), id("A")], id("M"), "Mandi", "Ludhiana", ""))
+      .to.be.revertedWith("Batch not found");
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const Roles = { Farmer: 1, Mandi: 2 };
+const Severity = { Low: 0, Medium: 1, High: 2 };
+
+const id = (value) => ethers.id(value);
+
+describe("Batch recalls", function () {
+  let cropChain;
+  let owner;
+  let farmer;
+  let mandi;
+
+  const wheat = id("wheat");
+  const evidenceHash = id("lab-report-2025-031.pdf");
+
+  async function createAtMandi(batchId, quantity) {
+    await cropChain.connect(farmer).createBatch(batchId, wheat, "QmHash", quantity, "Farmer Joe", "Punjab", "");
+    await cropChain.connect(mandi).updateBatch(batchId, 1, "Mandi Market", "Ludhiana", "");
+  }
+
+  beforeEach(async function () {
+    [owner, farmer, mandi] = await ethers.getSigners();
+
+    const CropChain = await ethers.getContractFactory("CropChain");
+    cropChain = await CropChain.deploy();
+
+    await cropChain.setRole(farmer.address, Roles.Farmer);
+    await cropChain.setRole(mandi.address, Roles.Mandi);
+  });
+
+  it("records the reason, severity and evidence of a recall", async function () {
+    await createAtMandi(id("A"), 100);
+
+    await expect(cropChain.recallBatch(id("A"), Severity.High, "Aflatoxin above limit", evidenceHash))
+      .to.emit(cropChain, "RecallIssued")
+      .withArgs(id("A"), Severity.High, "Aflatoxin above limit", evidenceHash, 1, owner.address);
+
+    const recall = await cropChain.recalls(id("A"));
+    expect(recall.severity).to.equal(Severity.High);
+    expect(recall.reason).to.equal("Aflatoxin above limit");
+    expect(recall.evidenceHash).to.equal(evidenceHash);
+    expect((await cropChain.getBatch(id("A"))).isRecalled).to.be.true;
+    expect(await cropChain.recallSourceOf(id("A"))).to.equal(id("A"));
+  });
+
+  it("propagates to every batch split or merged from the recalled one", async function () {
+    // A is split into A1 and A2; A2 is merged with B into M
+    await createAtMandi(id("A"), 100);
+    await createAtMandi(id("B"), 50);
+    await cropChain.connect(mandi).splitBatch(id("A"), [id("A1"), id("A2")], [70, 30], "Mandi", "Ludhiana", "");
+    await cropChain.connect(mandi).mergeBatches([id("A2"), id("B")], id("M"), "Mandi", "Ludhiana", "");
+
+    const tx = cropChain.recallBatch(id("A"), Severity.Medium, "Pesticide residue", evidenceHash);
+    await expect(tx).to.emit(cropChain, "RecallIssued")
+      .withArgs(id("A"), Severity.Medium, "Pesticide residue", evidenceHash, 4, owner.address);
+    await expect(tx).to.emit(cropChain, "BatchRecalled").withArgs(id("M"), owner.address);
+
+    for (const batchId of ["A", "A1", "A2", "M"]) {
+      expect((await cropChain.getBatch(id(batchId))).isRecalled).to.be.true;
+      expect(await cropChain.recallSourceOf(id(batchId))).to.equal(id("A"));
+    }
+    // B only shares the merged batch with A
+    expect((await cropChain.getBatch(id("B"))).isRecalled).to.be.false;
+  });
+
+  it("cancels the active listings of recalled batches", async function () {
+    await createAtMandi(id("A"), 100);
+    await cropChain.connect(mandi).splitBatch(id("A"), [id("A1"), id("A2")], [70, 30], "Mandi", "Ludhiana", "");
+    await cropChain.connect(mandi).createListing(id("A1"), 50, 1);
+    await cropChain.connect(mandi).createListing(id("A2"), 30, 1);
+
+    await expect(cropChain.recallBatch(id("A"), Severity.High, "Aflatoxin above limit", evidenceHash))
+      .to.emit(cropChain, "ListingCancelled").withArgs(1, owner.address)
+      .and.to.emit(cropChain, "ListingCancelled").withArgs(2, owner.address);
+
+    expect(await cropChain.getBatchListings(id("A1"))).to.deep.equal([1n]);
+    const listing = await cropChain.listings(1);
+    expect(listing.active).to.be.false;
+    expect(listing.quantityAvailable).to.equal(0n);
+  });
+
+  it("only lets the owner recall, once, with a reason", async function () {
+    await createAtMandi(id("A"), 100);
+
+    await expect(cropChain.connect(mandi).recallBatch(id("A"), Severity.Low, "Spoiled", evidenceHash))
+      .to.be.revertedWith("Only owner");
+    await expect(cropChain.recallBatch(id("A"), Severity.Low, "", evidenceHash))
+      .to.be.revertedWith("Reason required");
+
+    await cropChain.recallBatch(id("A"), Severity.Low, "Spoiled", evidenceHash);
+    await expect(cropChain.recallBatch(id("A"), Severity.Low, "Spoiled", evidenceHash))
+      .to.be.revertedWith("Batch is recalled");
+  });
+});
@@ -0,0 +1,21 @@
+const { expect } = require("chai");
+const { vectors } = require("../zk/test_vectors.json");
+const { checkVector } = require("../zk/check-vectors");
+
+describe("Location circuit", function () {
+  this.timeout(120000);
+
+  after(async function () {
+    // Release the bn128 worker threads snarkjs keeps between proofs
+    if (globalThis.curve_bn128) {
+      await globalThis.curve_bn128.terminate();
+    }
+  });
+
+  for (const vector of vectors) {
+    it(`${vector.valid ? "proves" : "rejects"}: ${vector.name}`, async function () {
+      const result = await checkVector(vector);
+      expect(result.provable, result.error).to.equal(vector.valid);
+    });
+  }
+});
@@ -0,0 +1,121 @@
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const snarkjs = require("snarkjs");
+const input = require("../zk/input.json");
+
+const WASM_PATH = path.join(__dirname, "../zk/location_js/location.wasm");
+const ZKEY_PATH = path.join(__dirname, "../zk/location_final.zkey");
+
+// snarkjs proof/public signals -> verifyProof arguments (pB coordinates are swapped for the precompile)
+const toCalldata = async (proof, publicSignals) => {
+  const calldata = await snarkjs.groth16.exportSolidityCallData(proof, publicSignals);
+  return JSON.parse(`[${calldata}]`);
+};
+
+describe("Origin proofs", function () {
+  this.timeout(120000);
+
+  let cropChain;
+  let verifier;
+  let owner;
+  let farmer;
+  let other;
+  let calldata;
+
+  const batchId = ethers.id("CROP-2025-001");
+  const cropTypeHash = ethers.id("RICE");
+
+  before(async function () {
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, WASM_PATH, ZKEY_PATH);
+    calldata = await toCalldata(proof, publicSignals);
+  });
+
+  after(async function () {
+    if (globalThis.curve_bn128) {
+      await globalThis.curve_bn128.terminate();
+    }
+  });
+
+  beforeEach(async function () {
+    [owner, farmer, other] = await ethers.getSigners();
+
+    const Verifier = await ethers.getContractFactory("Groth16Verifier");
+    verifier = await Verifier.deploy();
+
+    const CropChain = await ethers.getContractFactory("CropChain");
+    cropChain = await CropChain.deploy();
+
+    await cropChain.setLocationVerifier(await verifier.getAddress());
+    await cropChain.setRole(farmer.address, 1);
+    await cropChain.setRole(other.address, 1);
+    await cropChain.connect(farmer).createBatch(batchId, cropTypeHash, "", 100, "Ravi", "Ludhiana", "");
+  });
+
+  it("verifies the generated proof directly", async function () {
+    expect(await verifier.verifyProof(...calldata)).to.equal(true);
+  });
+
+  it("rejects a proof for a different box", async function () {
+    const [pA, pB, pC, pubSignals] = calldata;
+    const widened = [...pubSignals];
+    widened[1] = (BigInt(widened[1]) + 1n).toString();
+
+    expect(await verifier.verifyProof(pA, pB, pC, widened)).to.equal(false);
+  });
+
+  it("records a valid origin proof against the batch", async function () {
+    await expect(cropChain.connect(farmer).recordOriginProof(batchId, ...calldata))
+      .to.emit(cropChain, "OriginProven")
+      .withArgs(batchId, input.minLat, input.maxLat, input.minLon, input.maxLon, farmer.address);
+
+    const origin = await cropChain.originProofs(batchId);
+    expect(origin.minLat).to.equal(BigInt(input.minLat));
+    expect(origin.maxLon).to.equal(BigInt(input.maxLon));
+    expect(origin.provenBy).to.equal(farmer.address);
+    expect(origin.provenAt).to.be.greaterThan(0n);
+  });
+
+  it("rejects a proof bound to another batch", async function () {
+    const otherBatchId = ethers.id("CROP-2025-002");
+    await cropChain.connect(farmer).createBatch(otherBatchId, cropTypeHash, "", 100, "Ravi", "Ludhiana", "");
+
+    expect(BigInt(input.batchId)).to.equal(BigInt(batchId) % (await cropChain.SNARK_SCALAR_FIELD()));
+    await expect(cropChain.connect(farmer).recordOriginProof(otherBatchId, ...calldata))
+      .to.be.revertedWith("Proof is for another batch");
+  });
+
+  it("rejects a tampered proof", async function () {
+    const [pA, pB, pC, pubSignals] = calldata;
+    const tamperedA = [pA[0], (BigInt(pA[1]) + 1n).toString()];
+
+    await expect(cropChain.connect(farmer).recordOriginProof(batchId, tamperedA, pB, pC, pubSignals))
+      .to.be.reverted;
+  });
+
+  it("only lets the batch creator or an admin record a proof, once", async function () {
+    await expect(cropChain.connect(other).recordOriginProof(batchId, ...calldata))
+      .to.be.revertedWith("Only creator/admin");
+
+    await cropChain.connect(owner).recordOriginProof(batchId, ...calldata);
+
+    await expect(cropChain.connect(farmer).recordOriginProof(batchId, ...calldata))
+      .to.be.revertedWith("Origin already proven");
+  });
+
+  it("requires a configured verifier", async function () {
+    const CropChain = await ethers.getContractFactory("CropChain");
+    const unconfigured = await CropChain.deploy();
+    await unconfigured.createBatch(batchId, cropTypeHash, "", 100, "Ravi", "Ludhiana", "");
+
+    await expect(unconfigured.recordOriginProof(batchId, ...calldata))
+      .to.be.revertedWith("Verifier not set");
+  });
+
+  it("rejects proofs for recalled batches", async function () {
+    await cropChain.recallBatch(batchId, 2, "Aflatoxin above limit", ethers.ZeroHash);
+
+    await expect(cropChain.connect(farmer).recordOriginProof(batchId, ...calldata))
+      .to.be.revertedWith("Batch is recalled");
+  });
+});
@@ -0,0 +1,45 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Region anchors", function () {
+  let cropChain;
+  let owner;
+  let other;
+
+  const regionId = ethers.id("IN-PB");
+  const dataHash = ethers.id("IN-PB|Punjab|2025-01-01");
+
+  beforeEach(async function () {
+    [owner, other] = await ethers.getSigners();
+
+    const CropChain = await ethers.getContractFactory("CropChain");
+    cropChain = await CropChain.deploy();
+  });
+
+  it("stores the region hash and emits RegionAnchored", async function () {
+    await expect(cropChain.anchorRegion(regionId, dataHash))
+      .to.emit(cropChain, "RegionAnchored")
+      .withArgs(regionId, dataHash, owner.address);
+
+    const anchor = await cropChain.regionAnchors(regionId);
+    expect(anchor.dataHash).to.equal(dataHash);
+    expect(anchor.anchoredBy).to.equal(owner.address);
+    expect(anchor.anchoredAt).to.be.greaterThan(0n);
+  });
+
+  it("replaces the hash when a region is re-anchored", async function () {
+    const updatedHash = ethers.id("IN-PB|Punjab|2026-01-01");
+
+    await cropChain.anchorRegion(regionId, dataHash);
+    await cropChain.anchorRegion(regionId, updatedHash);
+
+    expect((await cropChain.regionAnchors(regionId)).dataHash).to.equal(updatedHash);
+  });
+
+  it("only lets the owner anchor non-empty hashes", async function () {
+    await expect(cropChain.connect(other).anchorRegion(regionId, dataHash))
+      .to.be.revertedWith("Only owner");
+    await expect(cropChain.anchorRegion(regionId, ethers.ZeroHash))
+      .to.be.revertedWith("Invalid region hash");
+  });
+});
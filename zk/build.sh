@@ -0,0 +1,48 @@
+#!/usr/bin/env bash
+# Rebuild the location circuit artifacts: r1cs, wasm witness generator, proving and
+# verification keys, the Solidity verifier (contracts/Verifier.sol), plus a sample
+# proof for zk/input.json.
+#
+# Usage (from the repository root): npm run zk:build
+#
+# The powers of tau and phase 2 contribution are generated locally with random entropy,
+# which is fine for development. For production use a public ceremony ptau file
+# (e.g. powersOfTau28_hez_final_10.ptau) via PTAU=path/to/file.ptau and run a
+# multi-party phase 2 contribution.
+set -euo pipefail
+
+cd "$(dirname "$0")/.."
+
+ZK=zk
+POWER=10
+PTAU=${PTAU:-}
+TMP=$(mktemp -d)
+trap 'rm -rf "$TMP"' EXIT
+
+entropy() { head -c 32 /dev/urandom | od -An -tx1 | tr -d ' \n'; }
+
+echo "==> Compiling circuit"
+# circom2 runs under WASI and can only read paths below the working directory
+npx circom2 "$ZK/location.circom" --r1cs --wasm --sym -l node_modules -o "$ZK"
+
+if [ -z "$PTAU" ]; then
+    echo "==> Generating development powers of tau (2^$POWER)"
+    npx snarkjs powersoftau new bn128 "$POWER" "$TMP/pot_0000.ptau"
+    npx snarkjs powersoftau contribute "$TMP/pot_0000.ptau" "$TMP/pot_0001.ptau" --name="CropChain dev" -e="$(entropy)"
+    npx snarkjs powersoftau prepare phase2 "$TMP/pot_0001.ptau" "$TMP/pot_final.ptau"
+    PTAU="$TMP/pot_final.ptau"
+fi
+
+echo "==> Groth16 setup"
+npx snarkjs groth16 setup "$ZK/location.r1cs" "$PTAU" "$ZK/location_0000.zkey"
+npx snarkjs zkey contribute "$ZK/location_0000.zkey" "$ZK/location_final.zkey" --name="CropChain dev" -e="$(entropy)"
+npx snarkjs zkey export verificationkey "$ZK/location_final.zkey" "$ZK/verification_key.json"
+npx snarkjs zkey export solidityverifier "$ZK/location_final.zkey" contracts/Verifier.sol
+
+echo "==> Sample proof for $ZK/input.json"
+node "$ZK/location_js/generate_witness.js" "$ZK/location_js/location.wasm" "$ZK/input.json" "$TMP/witness.wtns"
+npx snarkjs groth16 prove "$ZK/location_final.zkey" "$TMP/witness.wtns" "$ZK/proof.json" "$ZK/public.json"
+npx snarkjs groth16 verify "$ZK/verification_key.json" "$ZK/public.json" "$ZK/proof.json"
+
+echo "==> Test vectors"
+node "$ZK/check-vectors.js"
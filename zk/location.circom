@@ -1,6 +1,45 @@
 pragma circom 2.0.0;
 
-template LocationProof() {
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/comparators.circom";
+
+/*
+ * Location proof: the farmer's plot (lat, lon) lies inside a certified
+ * bounding box, without revealing the plot coordinates.
+ *
+ * Coordinates are fixed-point micro-degrees shifted to be non-negative:
+ *
+ *     lat = round((latitude  +  90) * 1e6)    0 <= lat <= 180000000
+ *     lon = round((longitude + 180) * 1e6)    0 <= lon <= 360000000
+ *
+ * Both ranges fit in 32 bits. Every input is range-checked to COORD_BITS
+ * bits before it is compared, otherwise a "negative" coordinate (a field
+ * element close to p) would wrap around and satisfy the comparators.
+ *
+ * The proof is bound to one batch through the public batchId signal: the
+ * batch's bytes32 on-chain ID reduced modulo the field order. CropChain
+ * checks it against the batch the proof is recorded for, so a proof read
+ * from the chain cannot be replayed for another batch.
+ */
+
+// min <= value <= max, for values already known to fit in n bits
+template InRange(n) {
+    signal input value;
+    signal input min;
+    signal input max;
+
+    component aboveMin = LessEqThan(n);
+    aboveMin.in[0] <== min;
+    aboveMin.in[1] <== value;
+    aboveMin.out === 1;
+
+    component belowMax = LessEqThan(n);
+    belowMax.in[0] <== value;
+    belowMax.in[1] <== max;
+    belowMax.out === 1;
+}
+
+template LocationProof(COORD_BITS) {
 
     // Private inputs (Farmer data)
     signal input lat;
@@ -12,19 +51,37 @@ template LocationProof() {
     signal input minLon;
     signal input maxLon;
 
-    // Range checks using quadratic constraints
-    signal latRange;
-    signal lonRange;
+    // Public input (Batch the proof is for)
+    signal input batchId;
+
+    // Range-check every coordinate to COORD_BITS bits
+    component bits[6];
+    for (var i = 0; i < 6; i++) {
+        bits[i] = Num2Bits(COORD_BITS);
+    }
+    bits[0].in <== lat;
+    bits[1].in <== lon;
+    bits[2].in <== minLat;
+    bits[3].in <== maxLat;
+    bits[4].in <== minLon;
+    bits[5].in <== maxLon;
 
-    // (lat - minLat) * (maxLat - lat) >= 0
-    latRange <== (lat - minLat) * (maxLat - lat);
+    // minLat <= lat <= maxLat
+    component latCheck = InRange(COORD_BITS);
+    latCheck.value <== lat;
+    latCheck.min <== minLat;
+    latCheck.max <== maxLat;
 
-    // (lon - minLon) * (maxLon - lon) >= 0
-    lonRange <== (lon - minLon) * (maxLon - lon);
+    // minLon <= lon <= maxLon
+    component lonCheck = InRange(COORD_BITS);
+    lonCheck.value <== lon;
+    lonCheck.min <== minLon;
+    lonCheck.max <== maxLon;
 
-    // Enforce constraints
-    latRange === latRange;
-    lonRange === lonRange;
+    // Constrain batchId so the compiler keeps it in the proof's constraint system
+    signal batchIdSquare;
+    batchIdSquare <== batchId * batchId;
 }
 
-component main = LocationProof();
+// Public signals, in order: minLat, maxLat, minLon, maxLon, batchId
+component main {public [minLat, maxLat, minLon, maxLon, batchId]} = LocationProof(32);